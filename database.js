@@ -1,11 +1,41 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs').promises;
+const { UNACKNOWLEDGED_STATUSES, SUPERSEDES, CommandTransitionError, normalizeStatus, canTransition, isTerminal } = require('./services/commandLifecycle');
+const { hashToken } = require('./utils/tokens');
+const { GENESIS_HASH, canonicalJson, hashLedgerEntry } = require('./utils/ledger');
+
+// Tables of the rows the ledger records, by record type
+const LEDGER_TABLES = {
+    location: 'locations',
+    command: 'commands',
+    device_log: 'device_logs'
+};
+
+// Devices a user reaches through organizations, with the user's role there:
+// every grouped device of the organization for owners and admins, otherwise
+// the devices of groups shared with one of the user's teams
+const ORGANIZATION_DEVICE_ACCESS_SQL = `
+    SELECT gd.device_id, om.role 
+    FROM device_group_devices gd 
+    JOIN device_groups g ON g.id = gd.group_id 
+    JOIN organization_members om ON om.organization_id = g.organization_id 
+    WHERE om.user_id = ? AND (om.role IN ('owner', 'admin') OR EXISTS (
+        SELECT 1 FROM device_group_teams gt 
+        JOIN team_members tm ON tm.team_id = gt.team_id 
+        WHERE gt.group_id = g.id AND tm.user_id = om.user_id
+    ))`;
 
 class Database {
     constructor() {
         this.dbPath = path.join(__dirname, 'data', 'alpha_security.db');
         this.db = null;
+        // Statements issued inside Database#transaction carry its scope;
+        // everything else waits while a transaction is open
+        this.transactionScope = new AsyncLocalStorage();
+        this.transactionQueue = Promise.resolve();
+        this.transactionActive = false;
     }
 
     async initialize() {
@@ -22,6 +52,8 @@ class Database {
                     console.log('✅ Connected to SQLite database');
                 }
             });
+            // Run statements in the order they are issued, which transactions rely on
+            this.db.serialize();
 
             // Create tables
             await this.createTables();
@@ -87,7 +119,7 @@ class Database {
                 user_id INTEGER NOT NULL,
                 command_type TEXT NOT NULL,
                 command_data TEXT,
-                status TEXT DEFAULT 'pending',
+                status TEXT DEFAULT 'queued',
                 sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 executed_at DATETIME,
                 response TEXT,
@@ -128,6 +160,387 @@ class Database {
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
                 FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Geofence state table (last known inside/outside state per geofence)
+            `CREATE TABLE IF NOT EXISTS geofence_states (
+                geofence_id INTEGER PRIMARY KEY,
+                device_id TEXT NOT NULL,
+                is_inside INTEGER NOT NULL,
+                last_location_at DATETIME NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (geofence_id) REFERENCES geofences (id) ON DELETE CASCADE
+            )`,
+
+            // Geofence events table (enter/exit transitions)
+            `CREATE TABLE IF NOT EXISTS geofence_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                geofence_id INTEGER NOT NULL,
+                device_id TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                event_type TEXT NOT NULL,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                distance_meters REAL,
+                timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (geofence_id) REFERENCES geofences (id) ON DELETE CASCADE,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Webhooks table (outbound event subscriptions)
+            `CREATE TABLE IF NOT EXISTS webhooks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                url TEXT NOT NULL,
+                events TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                description TEXT,
+                is_active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Webhook deliveries table (delivery log and retry state)
+            `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                webhook_id INTEGER NOT NULL,
+                event TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                response_status INTEGER,
+                error TEXT,
+                next_attempt_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                delivered_at DATETIME,
+                FOREIGN KEY (webhook_id) REFERENCES webhooks (id) ON DELETE CASCADE
+            )`,
+
+            // Notification preferences table (email mode per event type)
+            `CREATE TABLE IF NOT EXISTS notification_preferences (
+                user_id INTEGER NOT NULL,
+                event_type TEXT NOT NULL,
+                mode TEXT NOT NULL DEFAULT 'immediate',
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, event_type),
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Notification digest queue
+            `CREATE TABLE IF NOT EXISTS notification_digest_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Job runs table (scheduled maintenance job history)
+            `CREATE TABLE IF NOT EXISTS job_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                job_name TEXT NOT NULL,
+                status TEXT NOT NULL,
+                result TEXT,
+                error TEXT,
+                started_at DATETIME NOT NULL,
+                finished_at DATETIME NOT NULL
+            )`,
+
+            // Scheduled commands table (delayed and recurring remote commands)
+            `CREATE TABLE IF NOT EXISTS scheduled_commands (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                command_type TEXT NOT NULL,
+                command_data TEXT,
+                run_at DATETIME,
+                cron_expression TEXT,
+                timezone TEXT,
+                ttl INTEGER,
+                description TEXT,
+                is_active INTEGER DEFAULT 1,
+                run_count INTEGER DEFAULT 0,
+                last_run_at DATETIME,
+                last_command_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Wipe requests table (factory resets held for approval or cool-down)
+            `CREATE TABLE IF NOT EXISTS wipe_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                user_id INTEGER NOT NULL,
+                status TEXT DEFAULT 'pending',
+                requires_approval INTEGER DEFAULT 0,
+                approver_id INTEGER,
+                approved_at DATETIME,
+                release_at DATETIME NOT NULL,
+                command_id INTEGER,
+                resolved_by INTEGER,
+                resolved_at DATETIME,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // API keys table (named, scoped keys; only the hash is stored)
+            `CREATE TABLE IF NOT EXISTS api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                key_prefix TEXT NOT NULL,
+                key_hash TEXT UNIQUE NOT NULL,
+                scopes TEXT NOT NULL,
+                expires_at DATETIME,
+                ip_allowlist TEXT,
+                last_used_at DATETIME,
+                last_used_ip TEXT,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Two-factor recovery codes (single use; only the hash is stored)
+            `CREATE TABLE IF NOT EXISTS recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Single-use account tokens sent by email (email verification,
+            // password reset); only the hash is stored
+            `CREATE TABLE IF NOT EXISTS account_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                purpose TEXT NOT NULL,
+                token_hash TEXT UNIQUE NOT NULL,
+                email TEXT NOT NULL,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Login audit trail, also used for brute-force throttling. outcome
+            // is success, failed, blocked (refused while throttled or locked)
+            // or reset (password reset, clears earlier failures)
+            `CREATE TABLE IF NOT EXISTS login_attempts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL,
+                user_id INTEGER,
+                ip_address TEXT,
+                user_agent TEXT,
+                outcome TEXT NOT NULL,
+                reason TEXT,
+                created_at DATETIME NOT NULL
+            )`,
+
+            // Organizations share devices between accounts
+            `CREATE TABLE IF NOT EXISTS organizations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                created_by INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            )`,
+
+            // Organization members; role is owner, admin, operator or viewer
+            `CREATE TABLE IF NOT EXISTS organization_members (
+                organization_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                role TEXT NOT NULL,
+                added_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (organization_id, user_id),
+                FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Teams group organization members that device groups are shared with
+            `CREATE TABLE IF NOT EXISTS teams (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                organization_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS team_members (
+                team_id INTEGER NOT NULL,
+                user_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (team_id, user_id),
+                FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Device groups of an organization
+            `CREATE TABLE IF NOT EXISTS device_groups (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                organization_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (organization_id) REFERENCES organizations (id) ON DELETE CASCADE
+            )`,
+
+            `CREATE TABLE IF NOT EXISTS device_group_devices (
+                group_id INTEGER NOT NULL,
+                device_id TEXT NOT NULL,
+                added_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (group_id, device_id),
+                FOREIGN KEY (group_id) REFERENCES device_groups (id) ON DELETE CASCADE,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE
+            )`,
+
+            // Teams a device group is shared with
+            `CREATE TABLE IF NOT EXISTS device_group_teams (
+                group_id INTEGER NOT NULL,
+                team_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (group_id, team_id),
+                FOREIGN KEY (group_id) REFERENCES device_groups (id) ON DELETE CASCADE,
+                FOREIGN KEY (team_id) REFERENCES teams (id) ON DELETE CASCADE
+            )`,
+
+            // A single device shared with another account. permissions is a
+            // JSON array; status is pending, accepted, declined, revoked or
+            // expired. expires_at is an ISO timestamp (null: no expiry).
+            `CREATE TABLE IF NOT EXISTS device_shares (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                owner_id INTEGER NOT NULL,
+                recipient_id INTEGER NOT NULL,
+                permissions TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                expires_at DATETIME,
+                responded_at DATETIME,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (recipient_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Public links to a device's position, opened with a signed token
+            // (see createAuthentication#signLocationLink). mode is latest or
+            // trail; trail_hours is how far back a trail reaches. expires_at
+            // is an ISO timestamp.
+            `CREATE TABLE IF NOT EXISTS location_links (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                created_by INTEGER NOT NULL,
+                label TEXT,
+                mode TEXT NOT NULL DEFAULT 'latest',
+                trail_hours INTEGER,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME,
+                view_count INTEGER DEFAULT 0,
+                last_viewed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Append-only record of mutating requests (see services/auditLog).
+            // actor_id is null when no user was authenticated; target is a
+            // JSON object of the route parameters; device_owner_id is the
+            // account the device was registered to at the time. created_at is
+            // an ISO timestamp with milliseconds.
+            `CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor_id INTEGER,
+                actor_username TEXT,
+                auth_method TEXT NOT NULL,
+                ip_address TEXT,
+                user_agent TEXT,
+                action TEXT NOT NULL,
+                target TEXT,
+                device_id TEXT,
+                device_owner_id INTEGER,
+                outcome TEXT NOT NULL,
+                status_code INTEGER NOT NULL,
+                created_at DATETIME NOT NULL
+            )`,
+
+            // Hash chain over each device's commands, command status changes,
+            // locations, device logs and history pruning (see utils/ledger).
+            // payload is canonical JSON of the recorded values; hash covers
+            // the entry and prev_hash, the hash of the device's previous entry.
+            `CREATE TABLE IF NOT EXISTS ledger_entries (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                sequence INTEGER NOT NULL,
+                record_type TEXT NOT NULL,
+                record_id INTEGER,
+                payload TEXT NOT NULL,
+                prev_hash TEXT NOT NULL,
+                hash TEXT NOT NULL,
+                created_at DATETIME NOT NULL,
+                UNIQUE (device_id, sequence)
+            )`,
+
+            // Theft mode playbook of each user (JSON settings, see services/theftMode)
+            `CREATE TABLE IF NOT EXISTS theft_playbooks (
+                user_id INTEGER PRIMARY KEY,
+                settings TEXT NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // A device reported stolen. status is open or recovered; playbook
+            // is the settings that ran, steps and recovery_steps the outcome
+            // of each step and trail_snapshot the locations known at the time
+            // (all JSON).
+            `CREATE TABLE IF NOT EXISTS theft_cases (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                opened_by INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'open',
+                playbook TEXT NOT NULL,
+                steps TEXT,
+                trail_snapshot TEXT,
+                notes TEXT,
+                opened_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                recovered_by INTEGER,
+                recovered_at DATETIME,
+                recovery_steps TEXT,
+                recovery_notes TEXT,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (opened_by) REFERENCES users (id) ON DELETE CASCADE
+            )`,
+
+            // Photos, audio and screenshots uploaded for an evidence command.
+            // owner_id is the device owner at upload time, whose quota the file
+            // counts against; file_name is relative to the evidence directory.
+            `CREATE TABLE IF NOT EXISTS evidence_media (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                command_id INTEGER NOT NULL,
+                owner_id INTEGER NOT NULL,
+                media_type TEXT NOT NULL,
+                mime_type TEXT NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                sha256 TEXT NOT NULL,
+                file_name TEXT NOT NULL,
+                captured_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (device_id) REFERENCES devices (device_id) ON DELETE CASCADE,
+                FOREIGN KEY (command_id) REFERENCES commands (id) ON DELETE CASCADE,
+                FOREIGN KEY (owner_id) REFERENCES users (id) ON DELETE CASCADE
             )`
         ];
 
@@ -135,9 +548,54 @@ class Database {
             await this.run(tableSQL);
         }
 
+        // The audit log and the ledger can only be appended to
+        for (const table of ['audit_log', 'ledger_entries']) {
+            for (const operation of ['UPDATE', 'DELETE']) {
+                await this.run(`CREATE TRIGGER IF NOT EXISTS ${table}_no_${operation.toLowerCase()} 
+                                BEFORE ${operation} ON ${table} 
+                                BEGIN SELECT RAISE(ABORT, '${table} is append-only'); END`);
+            }
+        }
+
+        // Columns added after the initial schema
+        await this.addColumnIfMissing('geofences', 'shape_type', "TEXT DEFAULT 'circle'");
+        await this.addColumnIfMissing('geofences', 'geometry', 'TEXT');
+        await this.addColumnIfMissing('users', 'is_admin', 'INTEGER DEFAULT 0');
+        await this.addColumnIfMissing('commands', 'expires_at', 'DATETIME');
+        await this.addColumnIfMissing('commands', 'delivered_at', 'DATETIME');
+        await this.addColumnIfMissing('commands', 'acknowledged_at', 'DATETIME');
+        await this.addColumnIfMissing('commands', 'delivery_attempts', 'INTEGER DEFAULT 0');
+        await this.addColumnIfMissing('users', 'wipe_approver_id', 'INTEGER');
+        await this.addColumnIfMissing('users', 'wipe_cooldown_minutes', 'INTEGER DEFAULT 0');
+        await this.addColumnIfMissing('devices', 'token_hash', 'TEXT');
+        await this.addColumnIfMissing('devices', 'token_issued_at', 'DATETIME');
+        await this.addColumnIfMissing('sessions', 'refresh_token_hash', 'TEXT');
+        await this.addColumnIfMissing('sessions', 'previous_token_hash', 'TEXT');
+        await this.addColumnIfMissing('sessions', 'user_agent', 'TEXT');
+        await this.addColumnIfMissing('sessions', 'ip_address', 'TEXT');
+        await this.addColumnIfMissing('sessions', 'last_used_at', 'DATETIME');
+        await this.addColumnIfMissing('sessions', 'revoked_at', 'DATETIME');
+        await this.addColumnIfMissing('users', 'totp_secret', 'TEXT');
+        await this.addColumnIfMissing('users', 'totp_enabled_at', 'DATETIME');
+        await this.addColumnIfMissing('users', 'totp_last_counter', 'INTEGER');
+        await this.addColumnIfMissing('users', 'email_verified_at', 'DATETIME');
+        await this.addColumnIfMissing('devices', 'theft_case_id', 'INTEGER');
+        await this.addColumnIfMissing('scheduled_commands', 'last_error', 'TEXT');
+        await this.addColumnIfMissing('scheduled_commands', 'last_error_at', 'DATETIME');
+        // Tracking profile the device was last sent and its own default (see services/trackingProfiles)
+        await this.addColumnIfMissing('devices', 'tracking_profile', 'TEXT');
+        await this.addColumnIfMissing('devices', 'default_tracking_profile', 'TEXT');
+
+        // Commands created before the lifecycle states existed
+        await this.run(`UPDATE commands SET status = 'queued' WHERE status = 'pending'`);
+        await this.run(`UPDATE commands SET status = 'executed' WHERE status = 'completed'`);
+
+        await this.migratePlaintextApiKeys();
+
         // Create indexes for better performance
         const indexes = [
             'CREATE INDEX IF NOT EXISTS idx_devices_user_id ON devices(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_devices_token_hash ON devices(token_hash)',
             'CREATE INDEX IF NOT EXISTS idx_locations_device_id ON locations(device_id)',
             'CREATE INDEX IF NOT EXISTS idx_locations_timestamp ON locations(timestamp)',
             'CREATE INDEX IF NOT EXISTS idx_commands_device_id ON commands(device_id)',
@@ -145,7 +603,37 @@ class Database {
             'CREATE INDEX IF NOT EXISTS idx_device_logs_device_id ON device_logs(device_id)',
             'CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id)',
             'CREATE INDEX IF NOT EXISTS idx_geofences_device_id ON geofences(device_id)',
-            'CREATE INDEX IF NOT EXISTS idx_geofences_user_id ON geofences(user_id)'
+            'CREATE INDEX IF NOT EXISTS idx_geofences_user_id ON geofences(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_geofence_events_device_id ON geofence_events(device_id)',
+            'CREATE INDEX IF NOT EXISTS idx_geofence_events_timestamp ON geofence_events(timestamp)',
+            'CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id)',
+            'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status)',
+            'CREATE INDEX IF NOT EXISTS idx_notification_digest_items_sent_at ON notification_digest_items(sent_at)',
+            'CREATE INDEX IF NOT EXISTS idx_job_runs_job_name ON job_runs(job_name)',
+            'CREATE INDEX IF NOT EXISTS idx_scheduled_commands_user_id ON scheduled_commands(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_scheduled_commands_run_at ON scheduled_commands(run_at)',
+            'CREATE INDEX IF NOT EXISTS idx_wipe_requests_status ON wipe_requests(status)',
+            'CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token_hash ON sessions(refresh_token_hash)',
+            'CREATE INDEX IF NOT EXISTS idx_sessions_previous_token_hash ON sessions(previous_token_hash)',
+            'CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_account_tokens_user_id ON account_tokens(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username)',
+            'CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_address ON login_attempts(ip_address)',
+            'CREATE INDEX IF NOT EXISTS idx_organization_members_user_id ON organization_members(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_team_members_user_id ON team_members(user_id)',
+            'CREATE INDEX IF NOT EXISTS idx_device_group_devices_device_id ON device_group_devices(device_id)',
+            'CREATE INDEX IF NOT EXISTS idx_device_shares_device_id ON device_shares(device_id)',
+            'CREATE INDEX IF NOT EXISTS idx_device_shares_recipient_id ON device_shares(recipient_id)',
+            'CREATE INDEX IF NOT EXISTS idx_location_links_device_id ON location_links(device_id)',
+            'CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id)',
+            'CREATE INDEX IF NOT EXISTS idx_audit_log_device_owner_id ON audit_log(device_owner_id)',
+            'CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at)',
+            'CREATE INDEX IF NOT EXISTS idx_ledger_entries_record ON ledger_entries(record_type, record_id)',
+            'CREATE INDEX IF NOT EXISTS idx_theft_cases_device_id ON theft_cases(device_id)',
+            'CREATE INDEX IF NOT EXISTS idx_evidence_media_device_id ON evidence_media(device_id)',
+            'CREATE INDEX IF NOT EXISTS idx_evidence_media_owner_id ON evidence_media(owner_id)'
         ];
 
         for (const indexSQL of indexes) {
@@ -155,9 +643,33 @@ class Database {
         console.log('✅ Database tables created successfully');
     }
 
+    // Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't)
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+
+    // users.api_key used to hold each account's single key in plaintext. Move
+    // those keys into api_keys as full-access "Default key" entries and leave
+    // only a marked hash behind (the column is still UNIQUE NOT NULL).
+    async migratePlaintextApiKeys() {
+        const users = await this.all(`SELECT id, api_key FROM users WHERE api_key NOT LIKE 'sha256:%'`);
+        for (const user of users) {
+            const keyHash = hashToken(user.api_key);
+            await this.run(
+                `INSERT OR IGNORE INTO api_keys (user_id, name, key_prefix, key_hash, scopes) 
+                 VALUES (?, 'Default key', ?, ?, ?)`,
+                [user.id, user.api_key.slice(0, 8), keyHash, JSON.stringify(['admin'])]
+            );
+            await this.run('UPDATE users SET api_key = ? WHERE id = ?', [`sha256:${keyHash}`, user.id]);
+        }
+    }
+
     // Utility method to promisify database operations
     run(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.query(() => new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
                 if (err) {
                     reject(err);
@@ -165,11 +677,11 @@ class Database {
                     resolve({ id: this.lastID, changes: this.changes });
                 }
             });
-        });
+        }));
     }
 
     get(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.query(() => new Promise((resolve, reject) => {
             this.db.get(sql, params, (err, row) => {
                 if (err) {
                     reject(err);
@@ -177,11 +689,11 @@ class Database {
                     resolve(row);
                 }
             });
-        });
+        }));
     }
 
     all(sql, params = []) {
-        return new Promise((resolve, reject) => {
+        return this.query(() => new Promise((resolve, reject) => {
             this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     reject(err);
@@ -189,14 +701,58 @@ class Database {
                     resolve(rows);
                 }
             });
-        });
+        }));
+    }
+
+    // Hold statements from outside an open transaction until it ends, so they
+    // are not committed or rolled back with it
+    async query(execute) {
+        if (!this.transactionScope.getStore()) {
+            while (this.transactionActive) {
+                await this.transactionQueue;
+            }
+        }
+        return await execute();
+    }
+
+    // Run work in one transaction, committed if it resolves and rolled back if
+    // it throws. Transactions run one at a time; nested calls join the open one.
+    async transaction(work) {
+        if (this.transactionScope.getStore()) {
+            return await work();
+        }
+
+        const previous = this.transactionQueue;
+        let finish;
+        this.transactionQueue = new Promise(resolve => { finish = resolve; });
+        await previous;
+
+        this.transactionActive = true;
+        try {
+            return await this.transactionScope.run(true, async () => {
+                await this.run('BEGIN IMMEDIATE');
+                try {
+                    const result = await work();
+                    await this.run('COMMIT');
+                    return result;
+                } catch (error) {
+                    await this.run('ROLLBACK');
+                    throw error;
+                }
+            });
+        } finally {
+            this.transactionActive = false;
+            finish();
+        }
     }
 
     // User operations
-    async createUser(username, email, passwordHash, apiKey) {
+    // users.api_key only keeps a marked hash of the first key; the keys
+    // themselves live in api_keys
+    async createUser(username, email, passwordHash, apiKeyHash) {
         const sql = `INSERT INTO users (username, email, password_hash, api_key) 
                      VALUES (?, ?, ?, ?)`;
-        return await this.run(sql, [username, email, passwordHash, apiKey]);
+        return await this.run(sql, [username, email, passwordHash, `sha256:${apiKeyHash}`]);
     }
 
     async getUserByUsername(username) {
@@ -204,16 +760,18 @@ class Database {
         return await this.get(sql, [username]);
     }
 
-    async getUserByApiKey(apiKey) {
-        const sql = 'SELECT * FROM users WHERE api_key = ?';
-        return await this.get(sql, [apiKey]);
-    }
-
     // Device operations
+    // Re-registering updates the device in place, so its state (theft case,
+    // tracking profiles, lock and alarm) survives
     async registerDevice(userId, deviceId, deviceName, deviceModel, androidVersion) {
-        const sql = `INSERT OR REPLACE INTO devices 
+        const sql = `INSERT INTO devices 
                      (user_id, device_id, device_name, device_model, android_version, last_seen) 
-                     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+                     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP) 
+                     ON CONFLICT(device_id) DO UPDATE SET 
+                         device_name = excluded.device_name, 
+                         device_model = excluded.device_model, 
+                         android_version = excluded.android_version, 
+                         last_seen = CURRENT_TIMESTAMP`;
         return await this.run(sql, [userId, deviceId, deviceName, deviceModel, androidVersion]);
     }
 
@@ -227,6 +785,19 @@ class Database {
         return await this.get(sql, [deviceId]);
     }
 
+    async getDeviceByTokenHash(tokenHash) {
+        const sql = 'SELECT * FROM devices WHERE token_hash = ?';
+        return await this.get(sql, [tokenHash]);
+    }
+
+    // Store a new device token hash, or revoke the token with null
+    async setDeviceToken(deviceId, tokenHash) {
+        const sql = `UPDATE devices 
+                     SET token_hash = ?, token_issued_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END 
+                     WHERE device_id = ?`;
+        return await this.run(sql, [tokenHash, tokenHash, deviceId]);
+    }
+
     async updateDeviceStatus(deviceId, status) {
         const sql = 'UPDATE devices SET status = ?, last_seen = CURRENT_TIMESTAMP WHERE device_id = ?';
         return await this.run(sql, [status, deviceId]);
@@ -242,12 +813,23 @@ class Database {
         return await this.run(sql, [alarmActive ? 1 : 0, deviceId]);
     }
 
+    // null means the device follows its default profile
+    async updateDeviceTrackingProfile(deviceId, profile) {
+        const sql = 'UPDATE devices SET tracking_profile = ? WHERE device_id = ?';
+        return await this.run(sql, [profile, deviceId]);
+    }
+
+    async setDeviceDefaultTrackingProfile(deviceId, profile) {
+        const sql = 'UPDATE devices SET default_tracking_profile = ? WHERE device_id = ?';
+        return await this.run(sql, [profile, deviceId]);
+    }
+
     // Location operations
     async saveLocation(data) {
         const sql = `INSERT INTO locations 
                      (device_id, latitude, longitude, accuracy, altitude, speed, bearing, address, source, battery_level, network_type, timestamp) 
                      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-        return await this.run(sql, [
+        const values = [
             data.device_id,
             data.latitude,
             data.longitude,
@@ -260,7 +842,12 @@ class Database {
             data.battery_level || null,
             data.network_type || null,
             data.timestamp || new Date().toISOString()
-        ]);
+        ];
+        return await this.transaction(async () => {
+            const result = await this.run(sql, values);
+            await this.appendLedgerEntry(data.device_id, 'location', result.id, ledgerPayload('location', values));
+            return result;
+        });
     }
 
     async getLatestLocation(deviceId) {
@@ -271,40 +858,105 @@ class Database {
         return await this.get(sql, [deviceId]);
     }
 
-    async getLocationHistory(deviceId, limit = 100) {
+    // Newest first; since (ISO timestamp) leaves out older locations
+    async getLocationHistory(deviceId, limit = 100, since = null) {
         const sql = `SELECT * FROM locations 
-                     WHERE device_id = ? 
+                     WHERE device_id = ? ${since ? 'AND timestamp >= ?' : ''} 
                      ORDER BY timestamp DESC 
                      LIMIT ?`;
-        return await this.all(sql, [deviceId, limit]);
+        return await this.all(sql, since ? [deviceId, since, limit] : [deviceId, limit]);
     }
 
     // Command operations
-    async createCommand(deviceId, userId, commandType, commandData = null) {
+    async createCommand(deviceId, userId, commandType, commandData = null, expiresAt = null) {
         const sql = `INSERT INTO commands 
-                     (device_id, user_id, command_type, command_data) 
-                     VALUES (?, ?, ?, ?)`;
-        return await this.run(sql, [deviceId, userId, commandType, JSON.stringify(commandData)]);
+                     (device_id, user_id, command_type, command_data, status, expires_at) 
+                     VALUES (?, ?, ?, ?, 'queued', ?)`;
+        const values = [deviceId, userId, commandType, JSON.stringify(commandData), expiresAt];
+        return await this.transaction(async () => {
+            const result = await this.run(sql, values);
+            await this.appendLedgerEntry(deviceId, 'command', result.id, ledgerPayload('command', values));
+            return result;
+        });
     }
 
+    // Commands the device still has to pick up (queued or delivered but not acknowledged)
     async getPendingCommands(deviceId) {
+        const placeholders = UNACKNOWLEDGED_STATUSES.map(() => '?').join(', ');
         const sql = `SELECT * FROM commands 
-                     WHERE device_id = ? AND status = 'pending' 
+                     WHERE device_id = ? AND status IN (${placeholders}) 
+                     AND (expires_at IS NULL OR datetime(expires_at) > datetime('now')) 
                      ORDER BY sent_at ASC`;
-        return await this.all(sql, [deviceId]);
+        return await this.all(sql, [deviceId, ...UNACKNOWLEDGED_STATUSES]);
+    }
+
+    async getCommandById(commandId) {
+        const sql = 'SELECT * FROM commands WHERE id = ?';
+        return await this.get(sql, [commandId]);
+    }
+
+    // Queued commands a new command overrides (never the new command itself)
+    async getSupersededCommands(deviceId, commandType, commandId) {
+        const types = SUPERSEDES[commandType] || [];
+        if (types.length === 0) {
+            return [];
+        }
+        const sql = `SELECT * FROM commands 
+                     WHERE device_id = ? AND id != ? 
+                     AND command_type IN (${types.map(() => '?').join(', ')}) 
+                     AND status = 'queued' 
+                     ORDER BY sent_at ASC`;
+        return await this.all(sql, [deviceId, commandId, ...types]);
     }
 
+    // Move a command to a new lifecycle status. Throws CommandTransitionError
+    // when the move is not allowed, including when another update won the race.
     async updateCommandStatus(commandId, status, response = null) {
+        const command = await this.getCommandById(commandId);
+        if (!command) {
+            return { id: commandId, changes: 0 };
+        }
+
+        const from = normalizeStatus(command.status);
+        const to = normalizeStatus(status);
+        if (!canTransition(from, to)) {
+            throw new CommandTransitionError(commandId, from, to);
+        }
+
+        let timestamps = '';
+        if (to === 'delivered') {
+            timestamps = ', delivered_at = CURRENT_TIMESTAMP, delivery_attempts = COALESCE(delivery_attempts, 0) + 1';
+        } else if (to === 'acknowledged') {
+            timestamps = ', acknowledged_at = CURRENT_TIMESTAMP';
+        } else if (isTerminal(to)) {
+            timestamps = ', executed_at = CURRENT_TIMESTAMP';
+        }
+
         const sql = `UPDATE commands 
-                     SET status = ?, response = ?, executed_at = CURRENT_TIMESTAMP 
-                     WHERE id = ?`;
-        return await this.run(sql, [status, response, commandId]);
+                     SET status = ?, response = COALESCE(?, response)${timestamps} 
+                     WHERE id = ? AND status = ?`;
+        return await this.transaction(async () => {
+            const result = await this.run(sql, [to, response, commandId, command.status]);
+
+            if (result.changes === 0) {
+                const current = await this.getCommandById(commandId);
+                throw new CommandTransitionError(commandId, current ? normalizeStatus(current.status) : from, to);
+            }
+
+            await this.appendLedgerEntry(command.device_id, 'command_status', command.id, { status: to, response: response });
+            return result;
+        });
     }
 
     // Logging operations
     async logDeviceActivity(deviceId, logType, message) {
         const sql = `INSERT INTO device_logs (device_id, log_type, message) VALUES (?, ?, ?)`;
-        return await this.run(sql, [deviceId, logType, message]);
+        const values = [deviceId, logType, message];
+        return await this.transaction(async () => {
+            const result = await this.run(sql, values);
+            await this.appendLedgerEntry(deviceId, 'device_log', result.id, ledgerPayload('device_log', values));
+            return result;
+        });
     }
 
     async getDeviceLogs(deviceId, limit = 50) {
@@ -356,16 +1008,46 @@ class Database {
         return await this.run(sql, [batteryLevel, deviceId]);
     }
 
+    // Deletes the device with its group memberships, shares, links, theft
+    // cases and evidence rows, all or nothing
     async removeDevice(deviceId) {
-        const sql = 'DELETE FROM devices WHERE device_id = ?';
-        return await this.run(sql, [deviceId]);
+        return await this.transaction(async () => {
+            await this.run('DELETE FROM device_group_devices WHERE device_id = ?', [deviceId]);
+            await this.run('DELETE FROM device_shares WHERE device_id = ?', [deviceId]);
+            await this.run('DELETE FROM location_links WHERE device_id = ?', [deviceId]);
+            await this.run('DELETE FROM theft_cases WHERE device_id = ?', [deviceId]);
+            await this.run('DELETE FROM evidence_media WHERE device_id = ?', [deviceId]);
+            const sql = 'DELETE FROM devices WHERE device_id = ?';
+            return await this.run(sql, [deviceId]);
+        });
+    }
+
+    // Devices the user owns plus those shared with them through
+    // organizations or accepted device shares
+    async getAccessibleDevices(userId) {
+        const sql = `SELECT * FROM devices 
+                     WHERE user_id = ? 
+                        OR device_id IN (SELECT device_id FROM (${ORGANIZATION_DEVICE_ACCESS_SQL})) 
+                        OR device_id IN (SELECT device_id FROM device_shares 
+                                         WHERE recipient_id = ? AND status = 'accepted' 
+                                           AND (expires_at IS NULL OR expires_at > ?)) 
+                     ORDER BY last_seen DESC`;
+        return await this.all(sql, [userId, userId, userId, new Date().toISOString()]);
+    }
+
+    // The user's organization roles that give access to the device (one per
+    // organization whose groups contain it)
+    async getDeviceOrganizationRoles(userId, deviceId) {
+        const sql = `SELECT DISTINCT role FROM (${ORGANIZATION_DEVICE_ACCESS_SQL}) WHERE device_id = ?`;
+        const rows = await this.all(sql, [userId, deviceId]);
+        return rows.map(row => row.role);
     }
 
     // Geofence operations
     async createGeofence(data) {
         const sql = `INSERT INTO geofences 
-                     (device_id, user_id, name, center_latitude, center_longitude, radius_meters, alert_type, is_active) 
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+                     (device_id, user_id, name, center_latitude, center_longitude, radius_meters, alert_type, is_active, shape_type, geometry) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
         return await this.run(sql, [
             data.device_id,
             data.user_id,
@@ -374,7 +1056,9 @@ class Database {
             data.center_longitude,
             data.radius_meters,
             data.alert_type,
-            data.is_active ? 1 : 0
+            data.is_active ? 1 : 0,
+            data.shape_type || 'circle',
+            data.geometry ? JSON.stringify(data.geometry) : null
         ]);
     }
 
@@ -393,10 +1077,61 @@ class Database {
         return await this.run(sql, [geofenceId]);
     }
 
-    // User API key operations
-    async refreshUserApiKey(userId, newApiKey) {
-        const sql = 'UPDATE users SET api_key = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
-        return await this.run(sql, [newApiKey, userId]);
+    async getGeofenceState(geofenceId) {
+        const sql = 'SELECT * FROM geofence_states WHERE geofence_id = ?';
+        return await this.get(sql, [geofenceId]);
+    }
+
+    async saveGeofenceState(geofenceId, deviceId, isInside, locationTimestamp) {
+        const sql = `INSERT OR REPLACE INTO geofence_states 
+                     (geofence_id, device_id, is_inside, last_location_at, updated_at) 
+                     VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+        return await this.run(sql, [geofenceId, deviceId, isInside ? 1 : 0, locationTimestamp]);
+    }
+
+    async createGeofenceEvent(data) {
+        const sql = `INSERT INTO geofence_events 
+                     (geofence_id, device_id, user_id, event_type, latitude, longitude, distance_meters, timestamp) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.geofence_id,
+            data.device_id,
+            data.user_id,
+            data.event_type,
+            data.latitude,
+            data.longitude,
+            data.distance_meters,
+            data.timestamp || new Date().toISOString()
+        ]);
+    }
+
+    async getGeofenceEvents(deviceId, limit = 50) {
+        const sql = `SELECT ge.*, g.name as geofence_name 
+                     FROM geofence_events ge 
+                     JOIN geofences g ON ge.geofence_id = g.id 
+                     WHERE ge.device_id = ? 
+                     ORDER BY ge.timestamp DESC 
+                     LIMIT ?`;
+        return await this.all(sql, [deviceId, limit]);
+    }
+
+    async updateUserPassword(userId, passwordHash) {
+        const sql = 'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        return await this.run(sql, [passwordHash, userId]);
+    }
+
+    // A new address has to be verified again
+    async updateUserEmail(userId, email) {
+        const sql = `UPDATE users SET email = ?, email_verified_at = NULL, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [email, userId]);
+    }
+
+    // Only verifies the address the token was sent to
+    async markEmailVerified(userId, email) {
+        const sql = `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND email = ? AND email_verified_at IS NULL`;
+        return await this.run(sql, [userId, email]);
     }
 
     async getUserById(userId) {
@@ -418,10 +1153,1238 @@ class Database {
         return await this.all(sql, [deviceId, limit]);
     }
 
-    async close() {
-        return new Promise((resolve, reject) => {
-            if (this.db) {
-                this.db.close((err) => {
+    // Webhook operations
+    async createWebhook(userId, url, events, secret, description = null) {
+        const sql = `INSERT INTO webhooks (user_id, url, events, secret, description) 
+                     VALUES (?, ?, ?, ?, ?)`;
+        return await this.run(sql, [userId, url, JSON.stringify(events), secret, description]);
+    }
+
+    async getWebhooksByUserId(userId) {
+        const sql = 'SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC';
+        return await this.all(sql, [userId]);
+    }
+
+    async getActiveWebhooksByUserId(userId) {
+        const sql = 'SELECT * FROM webhooks WHERE user_id = ? AND is_active = 1';
+        return await this.all(sql, [userId]);
+    }
+
+    async getWebhookById(webhookId) {
+        const sql = 'SELECT * FROM webhooks WHERE id = ?';
+        return await this.get(sql, [webhookId]);
+    }
+
+    async updateWebhook(webhookId, url, events, isActive, description) {
+        const sql = `UPDATE webhooks 
+                     SET url = ?, events = ?, is_active = ?, description = ?, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [url, JSON.stringify(events), isActive ? 1 : 0, description, webhookId]);
+    }
+
+    async deleteWebhook(webhookId) {
+        await this.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+        return await this.run('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+    }
+
+    async createWebhookDelivery(webhookId, event, payload) {
+        const sql = `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at) 
+                     VALUES (?, ?, ?, ?)`;
+        return await this.run(sql, [webhookId, event, JSON.stringify(payload), new Date().toISOString()]);
+    }
+
+    async getWebhookDeliveryById(deliveryId) {
+        const sql = 'SELECT * FROM webhook_deliveries WHERE id = ?';
+        return await this.get(sql, [deliveryId]);
+    }
+
+    async getWebhookDeliveries(webhookId, limit = 50) {
+        const sql = `SELECT * FROM webhook_deliveries 
+                     WHERE webhook_id = ? 
+                     ORDER BY created_at DESC, id DESC 
+                     LIMIT ?`;
+        return await this.all(sql, [webhookId, limit]);
+    }
+
+    async getPendingWebhookDeliveries() {
+        const sql = `SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY next_attempt_at ASC`;
+        return await this.all(sql);
+    }
+
+    async updateWebhookDelivery(deliveryId, data) {
+        const sql = `UPDATE webhook_deliveries 
+                     SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ? 
+                     WHERE id = ?`;
+        return await this.run(sql, [
+            data.status,
+            data.attempts,
+            data.response_status || null,
+            data.error || null,
+            data.next_attempt_at || null,
+            data.delivered_at || null,
+            deliveryId
+        ]);
+    }
+
+    // Notification operations
+    async getNotificationPreferences(userId) {
+        const sql = 'SELECT * FROM notification_preferences WHERE user_id = ?';
+        return await this.all(sql, [userId]);
+    }
+
+    async getNotificationPreference(userId, eventType) {
+        const sql = 'SELECT * FROM notification_preferences WHERE user_id = ? AND event_type = ?';
+        return await this.get(sql, [userId, eventType]);
+    }
+
+    async setNotificationPreference(userId, eventType, mode) {
+        const sql = `INSERT OR REPLACE INTO notification_preferences 
+                     (user_id, event_type, mode, updated_at) 
+                     VALUES (?, ?, ?, CURRENT_TIMESTAMP)`;
+        return await this.run(sql, [userId, eventType, mode]);
+    }
+
+    async queueNotificationDigestItem(userId, eventType, payload, createdAt) {
+        const sql = `INSERT INTO notification_digest_items (user_id, event_type, payload, created_at) 
+                     VALUES (?, ?, ?, ?)`;
+        return await this.run(sql, [userId, eventType, JSON.stringify(payload), createdAt || new Date().toISOString()]);
+    }
+
+    async getUnsentNotificationDigestItems() {
+        const sql = `SELECT * FROM notification_digest_items 
+                     WHERE sent_at IS NULL 
+                     ORDER BY user_id, created_at ASC`;
+        return await this.all(sql);
+    }
+
+    async markNotificationDigestItemsSent(itemIds) {
+        if (itemIds.length === 0) {
+            return { changes: 0 };
+        }
+        const sql = `UPDATE notification_digest_items 
+                     SET sent_at = CURRENT_TIMESTAMP 
+                     WHERE id IN (${itemIds.map(() => '?').join(', ')})`;
+        return await this.run(sql, itemIds);
+    }
+
+    // Maintenance operations
+    async getStaleOnlineDevices(minutes) {
+        const sql = `SELECT * FROM devices 
+                     WHERE status != 'offline' 
+                     AND datetime(last_seen) < datetime('now', ?)`;
+        return await this.all(sql, [`-${minutes} minutes`]);
+    }
+
+    async markDeviceOffline(deviceId) {
+        // Leaves last_seen untouched, unlike updateDeviceStatus
+        const sql = `UPDATE devices SET status = 'offline' WHERE device_id = ?`;
+        return await this.run(sql, [deviceId]);
+    }
+
+    // Expire commands past their TTL; commands without one expire after `hours`
+    // Commands are expired one by one so each change goes into the ledger.
+    async expireStaleCommands(hours) {
+        const stale = await this.all(`SELECT id, device_id FROM commands 
+                     WHERE status IN ('queued', 'delivered', 'acknowledged') 
+                     AND ((expires_at IS NOT NULL AND datetime(expires_at) <= datetime('now')) 
+                          OR (expires_at IS NULL AND datetime(sent_at) < datetime('now', ?)))`, [`-${hours} hours`]);
+
+        let changes = 0;
+        for (const command of stale) {
+            changes += await this.transaction(async () => {
+                const result = await this.run(`UPDATE commands 
+                         SET status = 'expired', executed_at = CURRENT_TIMESTAMP 
+                         WHERE id = ? AND status IN ('queued', 'delivered', 'acknowledged')`, [command.id]);
+                if (result.changes > 0) {
+                    await this.appendLedgerEntry(command.device_id, 'command_status', command.id, { status: 'expired', response: null });
+                }
+                return result.changes;
+            });
+        }
+        return { changes: changes };
+    }
+
+    async pruneLocations(days) {
+        return await this.pruneDeviceHistory('locations', 'timestamp', days);
+    }
+
+    async pruneDeviceLogs(days) {
+        return await this.pruneDeviceHistory('device_logs', 'timestamp', days);
+    }
+
+    // Delete rows older than `days` and record the cut-off in each affected
+    // device's ledger, so verification can tell pruned rows from deleted ones
+    async pruneDeviceHistory(table, timeColumn, days) {
+        const before = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        return await this.transaction(async () => {
+            const counts = await this.all(`SELECT device_id, COUNT(*) AS count FROM ${table} 
+                         WHERE datetime(${timeColumn}) < datetime(?) GROUP BY device_id`, [before]);
+
+            const result = await this.run(`DELETE FROM ${table} WHERE datetime(${timeColumn}) < datetime(?)`, [before]);
+            for (const { device_id, count } of counts) {
+                await this.appendLedgerEntry(device_id, 'prune', null, { table: table, before: before, deleted: count });
+            }
+            return result;
+        });
+    }
+
+    async pruneJobRuns(days) {
+        const sql = `DELETE FROM job_runs WHERE datetime(started_at) < datetime('now', ?)`;
+        return await this.run(sql, [`-${days} days`]);
+    }
+
+    async deleteExpiredSessions() {
+        const sql = `DELETE FROM sessions 
+                     WHERE datetime(expires_at) < datetime('now') OR revoked_at IS NOT NULL`;
+        return await this.run(sql);
+    }
+
+    async recordJobRun(jobName, run) {
+        const sql = `INSERT INTO job_runs (job_name, status, result, error, started_at, finished_at) 
+                     VALUES (?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            jobName,
+            run.status,
+            run.result ? JSON.stringify(run.result) : null,
+            run.error,
+            run.startedAt,
+            run.finishedAt
+        ]);
+    }
+
+    async getLastJobRun(jobName) {
+        const sql = 'SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT 1';
+        return await this.get(sql, [jobName]);
+    }
+
+    async getJobRuns(jobName, limit = 20) {
+        const sql = 'SELECT * FROM job_runs WHERE job_name = ? ORDER BY id DESC LIMIT ?';
+        return await this.all(sql, [jobName, limit]);
+    }
+
+    // Scheduled command operations
+    async createScheduledCommand(data) {
+        const sql = `INSERT INTO scheduled_commands 
+                     (device_id, user_id, command_type, command_data, run_at, cron_expression, timezone, ttl, description, is_active) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.device_id,
+            data.user_id,
+            data.command_type,
+            JSON.stringify(data.command_data || {}),
+            data.run_at || null,
+            data.cron_expression || null,
+            data.timezone || null,
+            data.ttl || null,
+            data.description || null,
+            data.is_active ? 1 : 0
+        ]);
+    }
+
+    async updateScheduledCommand(scheduleId, data) {
+        const sql = `UPDATE scheduled_commands 
+                     SET command_type = ?, command_data = ?, run_at = ?, cron_expression = ?, timezone = ?, 
+                         ttl = ?, description = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [
+            data.command_type,
+            JSON.stringify(data.command_data || {}),
+            data.run_at || null,
+            data.cron_expression || null,
+            data.timezone || null,
+            data.ttl || null,
+            data.description || null,
+            data.is_active ? 1 : 0,
+            scheduleId
+        ]);
+    }
+
+    async getScheduledCommandById(scheduleId) {
+        const sql = 'SELECT * FROM scheduled_commands WHERE id = ?';
+        return await this.get(sql, [scheduleId]);
+    }
+
+    async getScheduledCommandsByUserId(userId, deviceId = null) {
+        let sql = 'SELECT * FROM scheduled_commands WHERE user_id = ?';
+        const params = [userId];
+        if (deviceId) {
+            sql += ' AND device_id = ?';
+            params.push(deviceId);
+        }
+        sql += ' ORDER BY created_at DESC, id DESC';
+        return await this.all(sql, params);
+    }
+
+    async getActiveRecurringCommands() {
+        const sql = `SELECT * FROM scheduled_commands 
+                     WHERE is_active = 1 AND cron_expression IS NOT NULL`;
+        return await this.all(sql);
+    }
+
+    // One-off scheduled commands whose time has come
+    async getDueScheduledCommands() {
+        const sql = `SELECT * FROM scheduled_commands 
+                     WHERE is_active = 1 AND cron_expression IS NULL 
+                     AND datetime(run_at) <= datetime('now') 
+                     ORDER BY run_at ASC`;
+        return await this.all(sql);
+    }
+
+    async recordScheduledCommandRun(scheduleId, commandId, deactivate) {
+        const sql = `UPDATE scheduled_commands 
+                     SET run_count = run_count + 1, last_run_at = CURRENT_TIMESTAMP, last_command_id = ?, 
+                         last_error = NULL, last_error_at = NULL, 
+                         is_active = CASE WHEN ? THEN 0 ELSE is_active END 
+                     WHERE id = ?`;
+        return await this.run(sql, [commandId, deactivate ? 1 : 0, scheduleId]);
+    }
+
+    // Keep the reason a run failed; the schedule stays active and is retried
+    async recordScheduledCommandError(scheduleId, error) {
+        const sql = `UPDATE scheduled_commands 
+                     SET last_error = ?, last_error_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [error, scheduleId]);
+    }
+
+    async deactivateScheduledCommand(scheduleId) {
+        const sql = `UPDATE scheduled_commands 
+                     SET is_active = 0, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [scheduleId]);
+    }
+
+    async deleteScheduledCommand(scheduleId) {
+        return await this.run('DELETE FROM scheduled_commands WHERE id = ?', [scheduleId]);
+    }
+
+    // Wipe request operations
+    async updateWipeSettings(userId, approverId, cooldownMinutes) {
+        const sql = `UPDATE users 
+                     SET wipe_approver_id = ?, wipe_cooldown_minutes = ? 
+                     WHERE id = ?`;
+        return await this.run(sql, [approverId, cooldownMinutes, userId]);
+    }
+
+    async createWipeRequest(data) {
+        const sql = `INSERT INTO wipe_requests 
+                     (device_id, user_id, requires_approval, approver_id, release_at) 
+                     VALUES (?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.device_id,
+            data.user_id,
+            data.requires_approval ? 1 : 0,
+            data.approver_id || null,
+            data.release_at
+        ]);
+    }
+
+    async getWipeRequestById(requestId) {
+        const sql = 'SELECT * FROM wipe_requests WHERE id = ?';
+        return await this.get(sql, [requestId]);
+    }
+
+    // Requests the user made or was asked to approve
+    async getWipeRequestsForUser(userId, status = null) {
+        let sql = 'SELECT * FROM wipe_requests WHERE (user_id = ? OR approver_id = ?)';
+        const params = [userId, userId];
+        if (status) {
+            sql += ' AND status = ?';
+            params.push(status);
+        }
+        sql += ' ORDER BY created_at DESC, id DESC';
+        return await this.all(sql, params);
+    }
+
+    // Pending requests that are approved (if needed) and past their cool-down
+    async getReleasableWipeRequests() {
+        const sql = `SELECT * FROM wipe_requests 
+                     WHERE status = 'pending' 
+                     AND (requires_approval = 0 OR approved_at IS NOT NULL) 
+                     AND datetime(release_at) <= datetime('now') 
+                     ORDER BY release_at ASC`;
+        return await this.all(sql);
+    }
+
+    async approveWipeRequest(requestId) {
+        const sql = `UPDATE wipe_requests 
+                     SET approved_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND status = 'pending' AND approved_at IS NULL`;
+        return await this.run(sql, [requestId]);
+    }
+
+    // Move a pending request to released/aborted/rejected; changes is 0 if it
+    // was no longer pending
+    async resolveWipeRequest(requestId, status, resolvedBy, reason = null) {
+        const sql = `UPDATE wipe_requests 
+                     SET status = ?, resolved_by = ?, reason = ?, resolved_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND status = 'pending'`;
+        return await this.run(sql, [status, resolvedBy, reason, requestId]);
+    }
+
+    // Undo a release whose FACTORY_RESET command could not be created
+    async reopenWipeRequest(requestId) {
+        const sql = `UPDATE wipe_requests 
+                     SET status = 'pending', resolved_by = NULL, reason = NULL, resolved_at = NULL 
+                     WHERE id = ? AND status = 'released' AND command_id IS NULL`;
+        return await this.run(sql, [requestId]);
+    }
+
+    async setWipeRequestCommand(requestId, commandId) {
+        const sql = 'UPDATE wipe_requests SET command_id = ? WHERE id = ?';
+        return await this.run(sql, [commandId, requestId]);
+    }
+
+    // API key operations
+    async createApiKey(data) {
+        const sql = `INSERT INTO api_keys 
+                     (user_id, name, key_prefix, key_hash, scopes, expires_at, ip_allowlist) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.user_id,
+            data.name,
+            data.key_prefix,
+            data.key_hash,
+            JSON.stringify(data.scopes),
+            data.expires_at || null,
+            data.ip_allowlist && data.ip_allowlist.length > 0 ? JSON.stringify(data.ip_allowlist) : null
+        ]);
+    }
+
+    async getApiKeyById(keyId) {
+        const sql = 'SELECT * FROM api_keys WHERE id = ?';
+        return await this.get(sql, [keyId]);
+    }
+
+    async getApiKeyByHash(keyHash) {
+        const sql = 'SELECT * FROM api_keys WHERE key_hash = ?';
+        return await this.get(sql, [keyHash]);
+    }
+
+    // Keys of a user; revoked and expired keys only when asked for
+    async getApiKeysByUserId(userId, includeInactive = false) {
+        let sql = 'SELECT * FROM api_keys WHERE user_id = ?';
+        if (!includeInactive) {
+            sql += ` AND revoked_at IS NULL 
+                     AND (expires_at IS NULL OR datetime(expires_at) > datetime('now'))`;
+        }
+        sql += ' ORDER BY created_at DESC, id DESC';
+        return await this.all(sql, [userId]);
+    }
+
+    async touchApiKey(keyId, ip) {
+        const sql = `UPDATE api_keys 
+                     SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? 
+                     WHERE id = ?`;
+        return await this.run(sql, [ip, keyId]);
+    }
+
+    async revokeApiKey(keyId) {
+        const sql = `UPDATE api_keys 
+                     SET revoked_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND revoked_at IS NULL`;
+        return await this.run(sql, [keyId]);
+    }
+
+    // Drop keys that were revoked or expired more than `days` ago
+    async deleteInactiveApiKeys(days) {
+        const sql = `DELETE FROM api_keys 
+                     WHERE datetime(revoked_at) < datetime('now', ?) 
+                     OR datetime(expires_at) < datetime('now', ?)`;
+        return await this.run(sql, [`-${days} days`, `-${days} days`]);
+    }
+
+    // Session operations (dashboard/API logins and their refresh tokens)
+    async createSession(data) {
+        const sql = `INSERT INTO sessions 
+                     (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at, last_used_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`;
+        return await this.run(sql, [
+            data.id,
+            data.user_id,
+            data.refresh_token_hash,
+            data.user_agent || null,
+            data.ip_address || null,
+            data.expires_at
+        ]);
+    }
+
+    async getSessionById(sessionId) {
+        const sql = 'SELECT * FROM sessions WHERE id = ?';
+        return await this.get(sql, [sessionId]);
+    }
+
+    // Matches the current refresh token or the one it replaced
+    async getSessionByRefreshHash(tokenHash) {
+        const sql = `SELECT * FROM sessions 
+                     WHERE refresh_token_hash = ? OR previous_token_hash = ?`;
+        return await this.get(sql, [tokenHash, tokenHash]);
+    }
+
+    async getActiveSessionsByUserId(userId) {
+        const sql = `SELECT * FROM sessions 
+                     WHERE user_id = ? AND revoked_at IS NULL 
+                     AND datetime(expires_at) > datetime('now') 
+                     ORDER BY last_used_at DESC, created_at DESC`;
+        return await this.all(sql, [userId]);
+    }
+
+    // Swap in a new refresh token; changes is 0 if the session was refreshed,
+    // revoked or expired in the meantime
+    async rotateSessionToken(sessionId, currentHash, newHash, ipAddress, userAgent) {
+        const sql = `UPDATE sessions 
+                     SET refresh_token_hash = ?, previous_token_hash = ?, last_used_at = CURRENT_TIMESTAMP, 
+                         ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent) 
+                     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL 
+                     AND datetime(expires_at) > datetime('now')`;
+        return await this.run(sql, [newHash, currentHash, ipAddress, userAgent, sessionId, currentHash]);
+    }
+
+    async revokeSession(sessionId) {
+        const sql = `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND revoked_at IS NULL`;
+        return await this.run(sql, [sessionId]);
+    }
+
+    // Revoke all of a user's sessions, optionally keeping one
+    async revokeUserSessions(userId, exceptSessionId = null) {
+        const sql = `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP 
+                     WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?`;
+        return await this.run(sql, [userId, exceptSessionId]);
+    }
+
+    // Two-factor operations
+    // Start (or restart) enrollment; 2FA stays off until a code is verified
+    async setTotpSecret(userId, secret) {
+        const sql = `UPDATE users 
+                     SET totp_secret = ?, totp_enabled_at = NULL, totp_last_counter = NULL, 
+                         updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [secret, userId]);
+    }
+
+    async enableTotp(userId) {
+        const sql = `UPDATE users SET totp_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND totp_secret IS NOT NULL`;
+        return await this.run(sql, [userId]);
+    }
+
+    async disableTotp(userId) {
+        await this.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        const sql = `UPDATE users 
+                     SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_counter = NULL, 
+                         updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [userId]);
+    }
+
+    // Record the time step of an accepted code; changes is 0 if that step (or
+    // a later one) was already used, so every code works only once
+    async useTotpCounter(userId, counter) {
+        const sql = `UPDATE users SET totp_last_counter = ? 
+                     WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)`;
+        return await this.run(sql, [counter, userId, counter]);
+    }
+
+    async replaceRecoveryCodes(userId, codeHashes) {
+        await this.run('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        for (const codeHash of codeHashes) {
+            await this.run('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash]);
+        }
+    }
+
+    async useRecoveryCode(userId, codeHash) {
+        const sql = `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP 
+                     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`;
+        return await this.run(sql, [userId, codeHash]);
+    }
+
+    async countUnusedRecoveryCodes(userId) {
+        const sql = 'SELECT COUNT(*) AS count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL';
+        const row = await this.get(sql, [userId]);
+        return row.count;
+    }
+
+    // Account token operations (email verification and password reset)
+    async createAccountToken(data) {
+        const sql = `INSERT INTO account_tokens (user_id, purpose, token_hash, email, expires_at) 
+                     VALUES (?, ?, ?, ?, ?)`;
+        return await this.run(sql, [data.user_id, data.purpose, data.token_hash, data.email, data.expires_at]);
+    }
+
+    async getAccountTokenByHash(purpose, tokenHash) {
+        const sql = 'SELECT * FROM account_tokens WHERE purpose = ? AND token_hash = ?';
+        return await this.get(sql, [purpose, tokenHash]);
+    }
+
+    // changes is 0 if the token was already used
+    async useAccountToken(tokenId) {
+        const sql = `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND used_at IS NULL`;
+        return await this.run(sql, [tokenId]);
+    }
+
+    // Retire a user's outstanding tokens for one purpose
+    async invalidateAccountTokens(userId, purpose) {
+        const sql = `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP 
+                     WHERE user_id = ? AND purpose = ? AND used_at IS NULL`;
+        return await this.run(sql, [userId, purpose]);
+    }
+
+    async deleteExpiredAccountTokens() {
+        const sql = `DELETE FROM account_tokens 
+                     WHERE used_at IS NOT NULL OR datetime(expires_at) <= datetime('now')`;
+        return await this.run(sql);
+    }
+
+    // Login attempt operations. created_at is an ISO timestamp with
+    // milliseconds so short throttling delays can be measured.
+    async recordLoginAttempt(data) {
+        const sql = `INSERT INTO login_attempts 
+                     (username, user_id, ip_address, user_agent, outcome, reason, created_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.username,
+            data.user_id || null,
+            data.ip_address || null,
+            data.user_agent || null,
+            data.outcome,
+            data.reason || null,
+            new Date().toISOString()
+        ]);
+    }
+
+    // Failures for a username since its last successful login or password
+    // reset, within the given window
+    async getLoginFailureStats(username, since) {
+        const sql = `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure_at 
+                     FROM login_attempts 
+                     WHERE username = ? AND outcome = 'failed' AND created_at > ? 
+                     AND id > COALESCE((SELECT MAX(id) FROM login_attempts 
+                                        WHERE username = ? AND outcome IN ('success', 'reset')), 0)`;
+        return await this.get(sql, [username, since, username]);
+    }
+
+    async getIpFailureStats(ipAddress, since) {
+        const sql = `SELECT COUNT(*) AS failures, MIN(created_at) AS first_failure_at, 
+                            MAX(created_at) AS last_failure_at 
+                     FROM login_attempts 
+                     WHERE ip_address = ? AND outcome = 'failed' AND created_at > ?`;
+        return await this.get(sql, [ipAddress, since]);
+    }
+
+    async getLoginAttempts(filters = {}, limit = 100) {
+        const conditions = [];
+        const params = [];
+        if (filters.username) {
+            conditions.push('username = ?');
+            params.push(filters.username);
+        }
+        if (filters.ip_address) {
+            conditions.push('ip_address = ?');
+            params.push(filters.ip_address);
+        }
+        if (filters.outcome) {
+            conditions.push('outcome = ?');
+            params.push(filters.outcome);
+        }
+
+        let sql = 'SELECT * FROM login_attempts';
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        sql += ' ORDER BY id DESC LIMIT ?';
+        return await this.all(sql, [...params, limit]);
+    }
+
+    async pruneLoginAttempts(days) {
+        const sql = `DELETE FROM login_attempts WHERE datetime(created_at) < datetime('now', ?)`;
+        return await this.run(sql, [`-${days} days`]);
+    }
+
+    // Organization operations
+    async createOrganization(name, userId) {
+        const result = await this.run('INSERT INTO organizations (name, created_by) VALUES (?, ?)', [name, userId]);
+        await this.addOrganizationMember({ organization_id: result.id, user_id: userId, role: 'owner', added_by: userId });
+        return result;
+    }
+
+    async getOrganizationById(organizationId) {
+        const sql = 'SELECT * FROM organizations WHERE id = ?';
+        return await this.get(sql, [organizationId]);
+    }
+
+    // Organizations the user belongs to, with the user's role
+    async getOrganizationsByUserId(userId) {
+        const sql = `SELECT o.*, om.role, 
+                            (SELECT COUNT(*) FROM organization_members WHERE organization_id = o.id) AS member_count 
+                     FROM organizations o 
+                     JOIN organization_members om ON om.organization_id = o.id 
+                     WHERE om.user_id = ? 
+                     ORDER BY o.name`;
+        return await this.all(sql, [userId]);
+    }
+
+    async renameOrganization(organizationId, name) {
+        const sql = 'UPDATE organizations SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+        return await this.run(sql, [name, organizationId]);
+    }
+
+    async deleteOrganization(organizationId) {
+        const groups = 'SELECT id FROM device_groups WHERE organization_id = ?';
+        const teams = 'SELECT id FROM teams WHERE organization_id = ?';
+        await this.run(`DELETE FROM device_group_devices WHERE group_id IN (${groups})`, [organizationId]);
+        await this.run(`DELETE FROM device_group_teams WHERE group_id IN (${groups})`, [organizationId]);
+        await this.run(`DELETE FROM team_members WHERE team_id IN (${teams})`, [organizationId]);
+        await this.run('DELETE FROM device_groups WHERE organization_id = ?', [organizationId]);
+        await this.run('DELETE FROM teams WHERE organization_id = ?', [organizationId]);
+        await this.run('DELETE FROM organization_members WHERE organization_id = ?', [organizationId]);
+        return await this.run('DELETE FROM organizations WHERE id = ?', [organizationId]);
+    }
+
+    async getOrganizationMember(organizationId, userId) {
+        const sql = 'SELECT * FROM organization_members WHERE organization_id = ? AND user_id = ?';
+        return await this.get(sql, [organizationId, userId]);
+    }
+
+    async getOrganizationMembers(organizationId) {
+        const sql = `SELECT om.*, u.username, u.email 
+                     FROM organization_members om 
+                     JOIN users u ON u.id = om.user_id 
+                     WHERE om.organization_id = ? 
+                     ORDER BY u.username`;
+        return await this.all(sql, [organizationId]);
+    }
+
+    // changes is 0 if the user is already a member
+    async addOrganizationMember(data) {
+        const sql = `INSERT OR IGNORE INTO organization_members (organization_id, user_id, role, added_by) 
+                     VALUES (?, ?, ?, ?)`;
+        return await this.run(sql, [data.organization_id, data.user_id, data.role, data.added_by]);
+    }
+
+    async updateOrganizationMemberRole(organizationId, userId, role) {
+        const sql = 'UPDATE organization_members SET role = ? WHERE organization_id = ? AND user_id = ?';
+        return await this.run(sql, [role, organizationId, userId]);
+    }
+
+    // Also takes the user out of the organization's teams
+    async removeOrganizationMember(organizationId, userId) {
+        await this.run(
+            'DELETE FROM team_members WHERE user_id = ? AND team_id IN (SELECT id FROM teams WHERE organization_id = ?)',
+            [userId, organizationId]
+        );
+        const sql = 'DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?';
+        return await this.run(sql, [organizationId, userId]);
+    }
+
+    async countOrganizationOwners(organizationId) {
+        const sql = `SELECT COUNT(*) AS count FROM organization_members WHERE organization_id = ? AND role = 'owner'`;
+        const row = await this.get(sql, [organizationId]);
+        return row.count;
+    }
+
+    // Team operations
+    async createTeam(organizationId, name) {
+        const sql = 'INSERT INTO teams (organization_id, name) VALUES (?, ?)';
+        return await this.run(sql, [organizationId, name]);
+    }
+
+    async getTeamById(teamId) {
+        const sql = 'SELECT * FROM teams WHERE id = ?';
+        return await this.get(sql, [teamId]);
+    }
+
+    async getTeamsByOrganizationId(organizationId) {
+        const sql = `SELECT t.*, (SELECT COUNT(*) FROM team_members WHERE team_id = t.id) AS member_count 
+                     FROM teams t 
+                     WHERE t.organization_id = ? 
+                     ORDER BY t.name`;
+        return await this.all(sql, [organizationId]);
+    }
+
+    async deleteTeam(teamId) {
+        await this.run('DELETE FROM team_members WHERE team_id = ?', [teamId]);
+        await this.run('DELETE FROM device_group_teams WHERE team_id = ?', [teamId]);
+        return await this.run('DELETE FROM teams WHERE id = ?', [teamId]);
+    }
+
+    async getTeamMembers(teamId) {
+        const sql = `SELECT tm.user_id, tm.created_at, u.username, u.email 
+                     FROM team_members tm 
+                     JOIN users u ON u.id = tm.user_id 
+                     WHERE tm.team_id = ? 
+                     ORDER BY u.username`;
+        return await this.all(sql, [teamId]);
+    }
+
+    // changes is 0 if the user is already in the team
+    async addTeamMember(teamId, userId) {
+        const sql = 'INSERT OR IGNORE INTO team_members (team_id, user_id) VALUES (?, ?)';
+        return await this.run(sql, [teamId, userId]);
+    }
+
+    async removeTeamMember(teamId, userId) {
+        const sql = 'DELETE FROM team_members WHERE team_id = ? AND user_id = ?';
+        return await this.run(sql, [teamId, userId]);
+    }
+
+    // Device group operations
+    async createDeviceGroup(data) {
+        const sql = 'INSERT INTO device_groups (organization_id, name, description) VALUES (?, ?, ?)';
+        return await this.run(sql, [data.organization_id, data.name, data.description || null]);
+    }
+
+    async getDeviceGroupById(groupId) {
+        const sql = 'SELECT * FROM device_groups WHERE id = ?';
+        return await this.get(sql, [groupId]);
+    }
+
+    async getDeviceGroupsByOrganizationId(organizationId) {
+        const sql = `SELECT g.*, 
+                            (SELECT COUNT(*) FROM device_group_devices WHERE group_id = g.id) AS device_count, 
+                            (SELECT COUNT(*) FROM device_group_teams WHERE group_id = g.id) AS team_count 
+                     FROM device_groups g 
+                     WHERE g.organization_id = ? 
+                     ORDER BY g.name`;
+        return await this.all(sql, [organizationId]);
+    }
+
+    async updateDeviceGroup(groupId, data) {
+        const sql = 'UPDATE device_groups SET name = ?, description = ? WHERE id = ?';
+        return await this.run(sql, [data.name, data.description || null, groupId]);
+    }
+
+    async deleteDeviceGroup(groupId) {
+        await this.run('DELETE FROM device_group_devices WHERE group_id = ?', [groupId]);
+        await this.run('DELETE FROM device_group_teams WHERE group_id = ?', [groupId]);
+        return await this.run('DELETE FROM device_groups WHERE id = ?', [groupId]);
+    }
+
+    async getDeviceGroupDevices(groupId) {
+        const sql = `SELECT d.*, gd.added_by, gd.created_at AS added_at 
+                     FROM device_group_devices gd 
+                     JOIN devices d ON d.device_id = gd.device_id 
+                     WHERE gd.group_id = ? 
+                     ORDER BY d.device_name`;
+        return await this.all(sql, [groupId]);
+    }
+
+    // changes is 0 if the device is already in the group
+    async addDeviceToGroup(groupId, deviceId, addedBy) {
+        const sql = 'INSERT OR IGNORE INTO device_group_devices (group_id, device_id, added_by) VALUES (?, ?, ?)';
+        return await this.run(sql, [groupId, deviceId, addedBy]);
+    }
+
+    async removeDeviceFromGroup(groupId, deviceId) {
+        const sql = 'DELETE FROM device_group_devices WHERE group_id = ? AND device_id = ?';
+        return await this.run(sql, [groupId, deviceId]);
+    }
+
+    async getDeviceGroupTeams(groupId) {
+        const sql = `SELECT t.* FROM device_group_teams gt 
+                     JOIN teams t ON t.id = gt.team_id 
+                     WHERE gt.group_id = ? 
+                     ORDER BY t.name`;
+        return await this.all(sql, [groupId]);
+    }
+
+    // changes is 0 if the group is already shared with the team
+    async shareDeviceGroup(groupId, teamId) {
+        const sql = 'INSERT OR IGNORE INTO device_group_teams (group_id, team_id) VALUES (?, ?)';
+        return await this.run(sql, [groupId, teamId]);
+    }
+
+    async unshareDeviceGroup(groupId, teamId) {
+        const sql = 'DELETE FROM device_group_teams WHERE group_id = ? AND team_id = ?';
+        return await this.run(sql, [groupId, teamId]);
+    }
+
+    // Device share operations
+    async createDeviceShare(data) {
+        const sql = `INSERT INTO device_shares (device_id, owner_id, recipient_id, permissions, expires_at) 
+                     VALUES (?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.device_id,
+            data.owner_id,
+            data.recipient_id,
+            JSON.stringify(data.permissions),
+            data.expires_at || null
+        ]);
+    }
+
+    async getDeviceShareById(shareId) {
+        const sql = `SELECT s.*, d.device_name, o.username AS owner_username, r.username AS recipient_username 
+                     FROM device_shares s 
+                     JOIN devices d ON d.device_id = s.device_id 
+                     JOIN users o ON o.id = s.owner_id 
+                     JOIN users r ON r.id = s.recipient_id 
+                     WHERE s.id = ?`;
+        return await this.get(sql, [shareId]);
+    }
+
+    // Shares the user made (role 'owner') or received (role 'recipient')
+    async getDeviceSharesForUser(userId, role) {
+        const column = role === 'owner' ? 'owner_id' : 'recipient_id';
+        const sql = `SELECT s.*, d.device_name, o.username AS owner_username, r.username AS recipient_username 
+                     FROM device_shares s 
+                     JOIN devices d ON d.device_id = s.device_id 
+                     JOIN users o ON o.id = s.owner_id 
+                     JOIN users r ON r.id = s.recipient_id 
+                     WHERE s.${column} = ? 
+                     ORDER BY s.created_at DESC`;
+        return await this.all(sql, [userId]);
+    }
+
+    // Pending or accepted, unexpired share of a device with a user
+    async getOpenDeviceShare(deviceId, recipientId) {
+        const sql = `SELECT * FROM device_shares 
+                     WHERE device_id = ? AND recipient_id = ? AND status IN ('pending', 'accepted') 
+                       AND (expires_at IS NULL OR expires_at > ?)`;
+        return await this.get(sql, [deviceId, recipientId, new Date().toISOString()]);
+    }
+
+    // Accepted, unexpired share that gives the user access to the device
+    async getActiveDeviceShare(deviceId, recipientId) {
+        const sql = `SELECT * FROM device_shares 
+                     WHERE device_id = ? AND recipient_id = ? AND status = 'accepted' 
+                       AND (expires_at IS NULL OR expires_at > ?)`;
+        return await this.get(sql, [deviceId, recipientId, new Date().toISOString()]);
+    }
+
+    // Accept or decline a pending invitation; changes is 0 if it was no
+    // longer pending
+    async respondToDeviceShare(shareId, status) {
+        const sql = `UPDATE device_shares SET status = ?, responded_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND status = 'pending'`;
+        return await this.run(sql, [status, shareId]);
+    }
+
+    // changes is 0 if the share was already over
+    async revokeDeviceShare(shareId) {
+        const sql = `UPDATE device_shares SET status = 'revoked', revoked_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND status IN ('pending', 'accepted')`;
+        return await this.run(sql, [shareId]);
+    }
+
+    async expireDeviceShares() {
+        const sql = `UPDATE device_shares SET status = 'expired' 
+                     WHERE status IN ('pending', 'accepted') AND expires_at IS NOT NULL AND expires_at <= ?`;
+        return await this.run(sql, [new Date().toISOString()]);
+    }
+
+    // Location link operations
+    async createLocationLink(data) {
+        const sql = `INSERT INTO location_links (device_id, created_by, label, mode, trail_hours, expires_at) 
+                     VALUES (?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.device_id,
+            data.created_by,
+            data.label || null,
+            data.mode,
+            data.trail_hours || null,
+            data.expires_at
+        ]);
+    }
+
+    async getLocationLinkById(linkId) {
+        const sql = `SELECT l.*, d.device_name, u.username AS created_by_username 
+                     FROM location_links l 
+                     JOIN devices d ON d.device_id = l.device_id 
+                     JOIN users u ON u.id = l.created_by 
+                     WHERE l.id = ?`;
+        return await this.get(sql, [linkId]);
+    }
+
+    async getLocationLinksByDeviceId(deviceId) {
+        const sql = `SELECT l.*, d.device_name, u.username AS created_by_username 
+                     FROM location_links l 
+                     JOIN devices d ON d.device_id = l.device_id 
+                     JOIN users u ON u.id = l.created_by 
+                     WHERE l.device_id = ? 
+                     ORDER BY l.created_at DESC`;
+        return await this.all(sql, [deviceId]);
+    }
+
+    // changes is 0 if the link was already revoked
+    async revokeLocationLink(linkId) {
+        const sql = `UPDATE location_links SET revoked_at = CURRENT_TIMESTAMP 
+                     WHERE id = ? AND revoked_at IS NULL`;
+        return await this.run(sql, [linkId]);
+    }
+
+    async recordLocationLinkView(linkId) {
+        const sql = `UPDATE location_links SET view_count = view_count + 1, last_viewed_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`;
+        return await this.run(sql, [linkId]);
+    }
+
+    // Audit log operations (there is deliberately no update or delete)
+    async recordAuditEntry(data) {
+        const sql = `INSERT INTO audit_log 
+                     (actor_id, actor_username, auth_method, ip_address, user_agent, action, target, 
+                      device_id, device_owner_id, outcome, status_code, created_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.actor_id || null,
+            data.actor_username || null,
+            data.auth_method,
+            data.ip_address || null,
+            data.user_agent || null,
+            data.action,
+            data.target ? JSON.stringify(data.target) : null,
+            data.device_id || null,
+            data.device_owner_id || null,
+            data.outcome,
+            data.status_code,
+            new Date().toISOString()
+        ]);
+    }
+
+    // Newest first. visible_to limits the entries to those the user made or
+    // that concern devices registered to them.
+    async getAuditEntries(filters = {}, limit = 100) {
+        const conditions = [];
+        const params = [];
+        if (filters.visible_to) {
+            conditions.push('(actor_id = ? OR device_owner_id = ?)');
+            params.push(filters.visible_to, filters.visible_to);
+        }
+        if (filters.actor_id) {
+            conditions.push('actor_id = ?');
+            params.push(filters.actor_id);
+        }
+        if (filters.action) {
+            conditions.push('action LIKE ?');
+            params.push(`%${filters.action}%`);
+        }
+        if (filters.device_id) {
+            conditions.push('device_id = ?');
+            params.push(filters.device_id);
+        }
+        if (filters.outcome) {
+            conditions.push('outcome = ?');
+            params.push(filters.outcome);
+        }
+        if (filters.auth_method) {
+            conditions.push('auth_method = ?');
+            params.push(filters.auth_method);
+        }
+        if (filters.ip_address) {
+            conditions.push('ip_address = ?');
+            params.push(filters.ip_address);
+        }
+        if (filters.since) {
+            conditions.push('created_at >= ?');
+            params.push(filters.since);
+        }
+        if (filters.until) {
+            conditions.push('created_at <= ?');
+            params.push(filters.until);
+        }
+
+        let sql = 'SELECT * FROM audit_log';
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        sql += ' ORDER BY id DESC LIMIT ?';
+        return await this.all(sql, [...params, limit]);
+    }
+
+    // Ledger operations. Entries are written by the methods that insert or
+    // change the recorded rows, in the same transaction as the row, so
+    // neither is kept without the other; there is no update or delete.
+    // Transactions run one at a time, so each entry links to the last.
+    async appendLedgerEntry(deviceId, recordType, recordId, payload) {
+        return await this.transaction(async () => {
+            const last = await this.get(`SELECT sequence, hash FROM ledger_entries 
+                         WHERE device_id = ? ORDER BY sequence DESC LIMIT 1`, [deviceId]);
+            const entry = {
+                sequence: last ? last.sequence + 1 : 1,
+                deviceId: deviceId,
+                recordType: recordType,
+                recordId: recordId,
+                payload: JSON.parse(canonicalJson(payload)),
+                prevHash: last ? last.hash : GENESIS_HASH,
+                createdAt: new Date().toISOString()
+            };
+
+            const sql = `INSERT INTO ledger_entries 
+                         (device_id, sequence, record_type, record_id, payload, prev_hash, hash, created_at) 
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
+            return await this.run(sql, [
+                deviceId,
+                entry.sequence,
+                recordType,
+                recordId,
+                canonicalJson(entry.payload),
+                entry.prevHash,
+                hashLedgerEntry(entry),
+                entry.createdAt
+            ]);
+        });
+    }
+
+    async getLedgerEntries(deviceId) {
+        const sql = 'SELECT * FROM ledger_entries WHERE device_id = ? ORDER BY sequence ASC';
+        return await this.all(sql, [deviceId]);
+    }
+
+    // Row a ledger entry recorded: location, command or device_log
+    async getLedgerRecord(recordType, recordId) {
+        const table = LEDGER_TABLES[recordType];
+        return await this.get(`SELECT * FROM ${table} WHERE id = ?`, [recordId]);
+    }
+
+    // Ids of the device's rows of a recorded type that were added without a
+    // ledger entry, from the first recorded row on
+    async getUnrecordedIds(deviceId, recordType) {
+        const table = LEDGER_TABLES[recordType];
+        const sql = `SELECT id FROM ${table} 
+                     WHERE device_id = ? 
+                       AND id >= (SELECT MIN(record_id) FROM ledger_entries WHERE device_id = ? AND record_type = ?) 
+                       AND id NOT IN (SELECT record_id FROM ledger_entries WHERE device_id = ? AND record_type = ?) 
+                     ORDER BY id`;
+        const rows = await this.all(sql, [deviceId, deviceId, recordType, deviceId, recordType]);
+        return rows.map(row => row.id);
+    }
+
+    // Theft mode operations
+    async getTheftPlaybook(userId) {
+        const sql = 'SELECT * FROM theft_playbooks WHERE user_id = ?';
+        return await this.get(sql, [userId]);
+    }
+
+    async saveTheftPlaybook(userId, settings) {
+        const sql = `INSERT INTO theft_playbooks (user_id, settings) VALUES (?, ?) 
+                     ON CONFLICT(user_id) DO UPDATE SET settings = excluded.settings, updated_at = CURRENT_TIMESTAMP`;
+        return await this.run(sql, [userId, JSON.stringify(settings)]);
+    }
+
+    // Open a case and point the device at it. Resolves to null, keeping
+    // nothing, if the device already has an open case.
+    async openTheftCase(data) {
+        return await this.transaction(async () => {
+            const sql = `INSERT INTO theft_cases (device_id, opened_by, playbook, notes) 
+                         VALUES (?, ?, ?, ?)`;
+            const result = await this.run(sql, [
+                data.device_id,
+                data.opened_by,
+                JSON.stringify(data.playbook),
+                data.notes || null
+            ]);
+
+            const claim = await this.run(`UPDATE devices SET theft_case_id = ? 
+                         WHERE device_id = ? AND theft_case_id IS NULL`, [result.id, data.device_id]);
+            if (claim.changes === 0) {
+                await this.run('DELETE FROM theft_cases WHERE id = ?', [result.id]);
+                return null;
+            }
+            return result;
+        });
+    }
+
+    async getTheftCaseById(caseId) {
+        const sql = `SELECT c.*, o.username AS opened_by_username, r.username AS recovered_by_username 
+                     FROM theft_cases c 
+                     JOIN users o ON o.id = c.opened_by 
+                     LEFT JOIN users r ON r.id = c.recovered_by 
+                     WHERE c.id = ?`;
+        return await this.get(sql, [caseId]);
+    }
+
+    async getTheftCasesByDeviceId(deviceId) {
+        const sql = `SELECT c.*, o.username AS opened_by_username, r.username AS recovered_by_username 
+                     FROM theft_cases c 
+                     JOIN users o ON o.id = c.opened_by 
+                     LEFT JOIN users r ON r.id = c.recovered_by 
+                     WHERE c.device_id = ? 
+                     ORDER BY c.opened_at DESC, c.id DESC`;
+        return await this.all(sql, [deviceId]);
+    }
+
+    async recordTheftCaseSteps(caseId, steps, trailSnapshot) {
+        const sql = 'UPDATE theft_cases SET steps = ?, trail_snapshot = ? WHERE id = ?';
+        return await this.run(sql, [JSON.stringify(steps), trailSnapshot ? JSON.stringify(trailSnapshot) : null, caseId]);
+    }
+
+    // changes is 0 if the case was already closed
+    async closeTheftCase(caseId, data) {
+        const sql = `UPDATE theft_cases 
+                     SET status = 'recovered', recovered_by = ?, recovered_at = CURRENT_TIMESTAMP, 
+                         recovery_steps = ?, recovery_notes = ? 
+                     WHERE id = ? AND status = 'open'`;
+        return await this.run(sql, [data.recovered_by, JSON.stringify(data.recovery_steps), data.recovery_notes || null, caseId]);
+    }
+
+    // Clears the device's open theft case (null); cases are set by openTheftCase
+    async setDeviceTheftCase(deviceId, caseId) {
+        const sql = 'UPDATE devices SET theft_case_id = ? WHERE device_id = ?';
+        return await this.run(sql, [caseId, deviceId]);
+    }
+
+    // Evidence operations
+    async createEvidence(data) {
+        const sql = `INSERT INTO evidence_media 
+                     (device_id, command_id, owner_id, media_type, mime_type, size_bytes, sha256, file_name, captured_at) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+        return await this.run(sql, [
+            data.device_id,
+            data.command_id,
+            data.owner_id,
+            data.media_type,
+            data.mime_type,
+            data.size_bytes,
+            data.sha256,
+            data.file_name,
+            data.captured_at || null
+        ]);
+    }
+
+    async getEvidenceById(evidenceId) {
+        const sql = 'SELECT * FROM evidence_media WHERE id = ?';
+        return await this.get(sql, [evidenceId]);
+    }
+
+    async getEvidenceByDeviceId(deviceId, mediaType = null) {
+        const sql = `SELECT * FROM evidence_media 
+                     WHERE device_id = ? ${mediaType ? 'AND media_type = ?' : ''} 
+                     ORDER BY created_at DESC, id DESC`;
+        return await this.all(sql, mediaType ? [deviceId, mediaType] : [deviceId]);
+    }
+
+    async countEvidenceForCommand(commandId) {
+        const sql = 'SELECT COUNT(*) AS count FROM evidence_media WHERE command_id = ?';
+        const row = await this.get(sql, [commandId]);
+        return row.count;
+    }
+
+    // Bytes of evidence counting against the user's quota
+    async getEvidenceUsage(ownerId) {
+        const sql = 'SELECT COALESCE(SUM(size_bytes), 0) AS used FROM evidence_media WHERE owner_id = ?';
+        const row = await this.get(sql, [ownerId]);
+        return row.used;
+    }
+
+    async deleteEvidence(evidenceId) {
+        const sql = 'DELETE FROM evidence_media WHERE id = ?';
+        return await this.run(sql, [evidenceId]);
+    }
+
+    // Admin operations
+    async promoteAdmins(usernames) {
+        if (usernames.length === 0) {
+            return { changes: 0 };
+        }
+        const sql = `UPDATE users SET is_admin = 1 
+                     WHERE username IN (${usernames.map(() => '?').join(', ')})`;
+        return await this.run(sql, usernames);
+    }
+
+    async close() {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                this.db.close((err) => {
                     if (err) {
                         reject(err);
                     } else {
@@ -436,4 +2399,19 @@ class Database {
     }
 }
 
+// Ledger payload of an inserted row, from the values given to its INSERT
+function ledgerPayload(recordType, values) {
+    const columns = {
+        location: ['device_id', 'latitude', 'longitude', 'accuracy', 'altitude', 'speed', 'bearing', 'address', 'source', 'battery_level', 'network_type', 'timestamp'],
+        command: ['device_id', 'user_id', 'command_type', 'command_data', 'expires_at'],
+        device_log: ['device_id', 'log_type', 'message']
+    }[recordType];
+
+    const payload = {};
+    columns.forEach((column, i) => {
+        payload[column] = values[i] === undefined ? null : values[i];
+    });
+    return payload;
+}
+
 module.exports = Database;
\ No newline at end of file
@@ -4,6 +4,8 @@ let authToken = null;
 let map = null;
 let socket = null;
 let currentDevice = null;
+let twoFactorEnabled = false;
+let evidenceUrls = [];
 
 // Initialize the app
 document.addEventListener('DOMContentLoaded', function() {
@@ -22,19 +24,29 @@ function initializeApp() {
 
     // Setup event listeners
     setupEventListeners();
+    
+    // Links from verification and password reset emails
+    handleAccountLinks();
 }
 
 function setupEventListeners() {
     // Auth form listeners
     document.getElementById('login-form').addEventListener('submit', handleLogin);
     document.getElementById('register-form').addEventListener('submit', handleRegister);
+    document.getElementById('forgot-password').addEventListener('click', handleForgotPassword);
     
     // Dashboard listeners
     document.getElementById('logout-btn').addEventListener('click', handleLogout);
     document.getElementById('refresh-devices').addEventListener('click', loadDevices);
     document.getElementById('refresh-map').addEventListener('click', loadMapData);
-    document.getElementById('refresh-api-key').addEventListener('click', refreshApiKey);
+    document.getElementById('create-api-key').addEventListener('click', createApiKey);
     document.getElementById('copy-api-key').addEventListener('click', copyApiKey);
+    document.getElementById('revoke-other-sessions').addEventListener('click', revokeOtherSessions);
+    document.getElementById('toggle-two-factor').addEventListener('click', toggleTwoFactor);
+    document.getElementById('regenerate-recovery-codes').addEventListener('click', regenerateRecoveryCodes);
+    document.getElementById('refresh-shares').addEventListener('click', loadShares);
+    document.getElementById('refresh-audit-log').addEventListener('click', loadAuditLog);
+    document.getElementById('export-audit-log').addEventListener('click', exportAuditLog);
     
     // Modal listeners
     document.querySelector('.modal-close').addEventListener('click', closeModal);
@@ -49,6 +61,15 @@ function setupEventListeners() {
     document.getElementById('start-alarm').addEventListener('click', () => sendCommand('start-alarm'));
     document.getElementById('stop-alarm').addEventListener('click', () => sendCommand('stop-alarm'));
     document.getElementById('wipe-device').addEventListener('click', () => sendCommand('wipe'));
+    document.getElementById('rotate-device-token').addEventListener('click', rotateDeviceToken);
+    document.getElementById('revoke-device-token').addEventListener('click', revokeDeviceToken);
+    document.getElementById('share-device').addEventListener('click', shareDevice);
+    document.getElementById('create-location-link').addEventListener('click', createLocationLink);
+    document.getElementById('verify-ledger').addEventListener('click', verifyLedger);
+    document.getElementById('set-tracking-profile').addEventListener('click', setTrackingProfile);
+    document.getElementById('capture-evidence').addEventListener('click', captureEvidence);
+    document.getElementById('mark-stolen').addEventListener('click', markStolen);
+    document.getElementById('mark-recovered').addEventListener('click', markRecovered);
 }
 
 // Authentication Functions
@@ -65,7 +86,7 @@ async function handleLogin(e) {
     submitBtn.disabled = true;
     
     try {
-        const response = await fetch('/dashboard/auth/login', {
+        let response = await fetch('/dashboard/auth/login', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -73,12 +94,31 @@ async function handleLogin(e) {
             body: JSON.stringify({ username, password })
         });
         
-        const data = await response.json();
+        let data = await response.json();
+        
+        // Second step when two-factor authentication is enabled
+        if (response.ok && data.twoFactorRequired) {
+            const code = prompt('Enter the code from your authenticator app (or a recovery code)');
+            if (!code) {
+                throw new Error('Two-factor code required');
+            }
+            const factor = /^\d{6}$/.test(code.trim()) ? { totpCode: code.trim() } : { recoveryCode: code.trim() };
+            
+            response = await fetch('/dashboard/auth/login/2fa', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ challengeToken: data.challengeToken, ...factor })
+            });
+            data = await response.json();
+        }
         
         if (response.ok) {
             authToken = data.token;
             currentUser = data.user;
             localStorage.setItem('auth_token', authToken);
+            localStorage.setItem('refresh_token', data.refreshToken);
             
             // Success animation
             submitBtn.innerHTML = '✅ Welcome!';
@@ -134,6 +174,7 @@ async function handleRegister(e) {
             authToken = data.token;
             currentUser = data.user;
             localStorage.setItem('auth_token', authToken);
+            localStorage.setItem('refresh_token', data.refreshToken);
             
             // Success animation
             submitBtn.innerHTML = '🎉 Account Created!';
@@ -161,10 +202,99 @@ async function handleRegister(e) {
     }
 }
 
-function handleLogout() {
+async function handleForgotPassword() {
+    const email = prompt('Enter the email address of your account');
+    if (!email) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/dashboard/auth/forgot-password', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ email })
+        });
+        
+        const data = await response.json();
+        showToast(data.message || data.error, response.ok ? 'success' : 'error');
+    } catch (error) {
+        showToast('Failed to request password reset', 'error');
+    }
+}
+
+async function handleAccountLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verifyEmail');
+    const resetToken = params.get('resetToken');
+    if (!verifyToken && !resetToken) {
+        return;
+    }
+    
+    // Keep the token out of the history and bookmarks
+    window.history.replaceState({}, '', window.location.pathname);
+    
+    try {
+        if (verifyToken) {
+            const response = await fetch('/dashboard/auth/verify-email', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: verifyToken })
+            });
+            
+            const data = await response.json();
+            showToast(response.ok ? `${data.email} verified` : data.error, response.ok ? 'success' : 'error');
+            return;
+        }
+        
+        const newPassword = prompt('Choose a new password');
+        if (!newPassword) {
+            return;
+        }
+        if (prompt('Repeat the new password') !== newPassword) {
+            showToast('Passwords do not match, open the link again', 'error');
+            return;
+        }
+        
+        const response = await fetch('/dashboard/auth/reset-password', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ token: resetToken, newPassword })
+        });
+        
+        const data = await response.json();
+        if (response.ok) {
+            // Every session was logged out, including any stored here
+            localStorage.removeItem('auth_token');
+            localStorage.removeItem('refresh_token');
+            authToken = null;
+            showLoginSection();
+            showToast('Password reset, please log in with the new password', 'success');
+        } else {
+            showToast(data.error || 'Failed to reset password', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to complete the request', 'error');
+    }
+}
+
+async function handleLogout() {
+    // Revoke the session server-side; log out locally even if that fails
+    try {
+        await authFetch('/dashboard/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Logout request failed:', error);
+    }
+    
     authToken = null;
     currentUser = null;
     localStorage.removeItem('auth_token');
+    localStorage.removeItem('refresh_token');
     if (socket) {
         socket.disconnect();
         socket = null;
@@ -175,7 +305,7 @@ function handleLogout() {
 
 async function validateTokenAndShowDashboard() {
     try {
-        const response = await fetch('/dashboard/user/profile', {
+        const response = await authFetch('/dashboard/user/profile', {
             headers: {
                 'Authorization': `Bearer ${authToken}`
             }
@@ -187,14 +317,63 @@ async function validateTokenAndShowDashboard() {
             showDashboard();
         } else {
             localStorage.removeItem('auth_token');
+            localStorage.removeItem('refresh_token');
             showLoginSection();
         }
     } catch (error) {
         localStorage.removeItem('auth_token');
+        localStorage.removeItem('refresh_token');
         showLoginSection();
     }
 }
 
+// Access tokens are short-lived: get a new one with the refresh token
+async function refreshAccessToken() {
+    const refreshToken = localStorage.getItem('refresh_token');
+    if (!refreshToken) {
+        return false;
+    }
+    
+    try {
+        const response = await fetch('/dashboard/auth/refresh', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ refreshToken })
+        });
+        
+        if (!response.ok) {
+            return false;
+        }
+        
+        const data = await response.json();
+        authToken = data.token;
+        localStorage.setItem('auth_token', authToken);
+        localStorage.setItem('refresh_token', data.refreshToken);
+        if (socket) {
+            socket.auth.token = authToken;
+        }
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// fetch() with the access token, refreshing it once if it has expired
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'Authorization': `Bearer ${authToken}` }
+    });
+    
+    let response = await send();
+    if (response.status === 401 && await refreshAccessToken()) {
+        response = await send();
+    }
+    return response;
+}
+
 // UI Functions
 function showTab(tabName) {
     const loginForm = document.getElementById('login-form');
@@ -229,10 +408,16 @@ function showDashboard() {
     
     // Update user info
     document.getElementById('username-display').textContent = currentUser.username;
-    document.getElementById('api-key-display').value = currentUser.apiKey;
+    // Only set right after registration; keys are not shown again later
+    document.getElementById('api-key-display').value = currentUser.apiKey || '';
     
     // Load dashboard data
     loadDevices();
+    loadApiKeys();
+    loadSessions();
+    loadTwoFactorStatus();
+    loadShares();
+    loadAuditLog();
     initializeMap();
     setupWebSocket();
 }
@@ -246,7 +431,7 @@ function showAuthError(message) {
 // Dashboard Functions
 async function loadDevices() {
     try {
-        const response = await fetch('/dashboard/devices', {
+        const response = await authFetch('/dashboard/devices', {
             headers: {
                 'Authorization': `Bearer ${authToken}`
             }
@@ -305,8 +490,10 @@ function displayDevices(devices) {
                 </div>
             </div>
             <div class="device-badges">
+                ${device.isStolen ? '<span class="badge alarm">🚓 Stolen</span>' : ''}
                 ${device.isLocked ? '<span class="badge locked">🔒 Locked</span>' : ''}
                 ${device.alarmActive ? '<span class="badge alarm">🚨 Alarm Active</span>' : ''}
+                ${device.accessRole && device.accessRole !== 'device_owner' ? `<span class="badge">👥 Shared (${device.accessRole})</span>` : ''}
             </div>
         </div>
     `).join('');
@@ -338,7 +525,7 @@ async function loadMapData() {
     if (!map) return;
     
     try {
-        const response = await fetch('/dashboard/map-data', {
+        const response = await authFetch('/dashboard/map-data', {
             headers: {
                 'Authorization': `Bearer ${authToken}`
             }
@@ -412,7 +599,7 @@ async function showDeviceModal(deviceId) {
     currentDevice = deviceId;
     
     try {
-        const response = await fetch(`/dashboard/devices/${deviceId}`, {
+        const response = await authFetch(`/dashboard/devices/${deviceId}`, {
             headers: {
                 'Authorization': `Bearer ${authToken}`
             }
@@ -422,6 +609,12 @@ async function showDeviceModal(deviceId) {
             const data = await response.json();
             displayDeviceDetails(data);
             document.getElementById('device-modal').style.display = 'block';
+            if (data.device.permissions.includes('own')) {
+                loadLocationLinks();
+            }
+            if (data.device.permissions.includes('evidence')) {
+                loadEvidence();
+            }
         } else {
             showToast('Failed to load device details', 'error');
         }
@@ -467,6 +660,16 @@ function displayDeviceDetails(data) {
                 <span>Alarm:</span>
                 <span>${device.alarmActive ? '🚨 Active' : '🔇 Inactive'}</span>
             </div>
+            <div class="device-info-item">
+                <span>Tracking Profile:</span>
+                <span>${device.trackingProfile.profile} (every ${device.trackingProfile.intervalSeconds}s, ${device.trackingProfile.accuracy} accuracy)${device.trackingProfile.isDefault ? ' - default' : ''}</span>
+            </div>
+            ${device.isStolen ? `
+                <div class="device-info-item">
+                    <span>Theft Mode:</span>
+                    <span>🚓 Reported stolen (case #${device.theftCaseId})</span>
+                </div>
+            ` : ''}
         </div>
         
         ${location ? `
@@ -505,6 +708,9 @@ function displayDeviceDetails(data) {
                 `).join('')}
             </div>
         ` : ''}
+        
+        <div id="location-links"></div>
+        <div id="evidence-gallery"></div>
     `;
     
     document.getElementById('device-details').innerHTML = detailsHtml;
@@ -513,6 +719,7 @@ function displayDeviceDetails(data) {
 function closeModal() {
     document.getElementById('device-modal').style.display = 'none';
     currentDevice = null;
+    releaseEvidenceUrls();
 }
 
 // Device Command Functions
@@ -541,23 +748,34 @@ async function sendCommand(commandType) {
         case 'stop-alarm':
             endpoint = `/api/commands/${currentDevice}/alarm/stop`;
             break;
-        case 'wipe':
+        case 'wipe': {
             if (!confirm('This will ERASE ALL DATA on the device. Type OK to continue.')) {
                 return;
             }
+            const password = prompt('Enter your account password to confirm the factory reset');
+            if (!password) {
+                return;
+            }
             endpoint = `/api/commands/${currentDevice}/wipe`;
-            payload = { confirmWipe: 'CONFIRM_FACTORY_RESET' };
+            payload = { confirmWipe: 'CONFIRM_FACTORY_RESET', password: password };
+            if (twoFactorEnabled) {
+                payload.totpCode = prompt('Enter the code from your authenticator app');
+                if (!payload.totpCode) {
+                    return;
+                }
+            }
             break;
+        }
         default:
             return;
     }
     
     try {
-        const response = await fetch(endpoint, {
+        const response = await authFetch(endpoint, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'X-API-Key': currentUser.apiKey
+                'Authorization': `Bearer ${authToken}`
             },
             body: JSON.stringify(payload)
         });
@@ -576,42 +794,16 @@ async function sendCommand(commandType) {
     }
 }
 
-// WebSocket Functions
-function setupWebSocket() {
-    if (socket) {
-        socket.disconnect();
-    }
-    
-    socket = io();
-    
-    socket.on('connect', () => {
-        console.log('Connected to server');
-        socket.emit('join-user-room', currentUser.id);
-    });
-    
-    socket.on('location-update', (data) => {
-        showToast(`Location updated for ${data.deviceId}`, 'info');
-        loadMapData(); // Refresh map
-    });
-    
-    socket.on('command-executed', (data) => {
-        showToast(`Command executed on ${data.deviceId}: ${data.status}`, data.status === 'completed' ? 'success' : 'warning');
-        loadDevices(); // Refresh device list
-    });
+// Device Token Functions
+async function rotateDeviceToken() {
+    if (!currentDevice) return;
     
-    socket.on('disconnect', () => {
-        console.log('Disconnected from server');
-    });
-}
-
-// Utility Functions
-async function refreshApiKey() {
-    if (!confirm('Are you sure you want to generate a new API key? The old key will stop working immediately.')) {
+    if (!confirm('Issue a new token for this device? The current token will stop working immediately.')) {
         return;
     }
     
     try {
-        const response = await fetch('/dashboard/user/refresh-api-key', {
+        const response = await authFetch(`/dashboard/devices/${currentDevice}/token/rotate`, {
             method: 'POST',
             headers: {
                 'Authorization': `Bearer ${authToken}`
@@ -620,94 +812,992 @@ async function refreshApiKey() {
         
         if (response.ok) {
             const data = await response.json();
-            currentUser.apiKey = data.apiKey;
-            document.getElementById('api-key-display').value = data.apiKey;
-            showToast('API key refreshed successfully', 'success');
+            prompt('Copy the new device token now, it will not be shown again:', data.deviceToken);
+            showToast('Device token rotated', 'success');
         } else {
-            showToast('Failed to refresh API key', 'error');
+            const error = await response.json();
+            showToast(error.error || 'Failed to rotate device token', 'error');
         }
     } catch (error) {
-        showToast('Failed to refresh API key', 'error');
+        showToast('Failed to rotate device token', 'error');
     }
 }
 
-function copyApiKey() {
-    const apiKeyInput = document.getElementById('api-key-display');
-    apiKeyInput.select();
-    document.execCommand('copy');
-    showToast('API key copied to clipboard', 'success');
-}
-
-function showToast(message, type = 'info') {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
+async function revokeDeviceToken() {
+    if (!currentDevice) return;
     
-    // Add icon based on type
-    const icons = {
-        success: '✅',
-        error: '❌',
-        warning: '⚠️',
-        info: '📍'
-    };
+    if (!confirm('Revoke the token of this device? It will be disconnected until it gets a new token.')) {
+        return;
+    }
     
-    toast.innerHTML = `
-        <div style="display: flex; align-items: center; gap: 12px;">
-            <span style="font-size: 1.2em;">${icons[type] || icons.info}</span>
-            <span>${message}</span>
-        </div>
-    `;
+    try {
+        const response = await authFetch(`/dashboard/devices/${currentDevice}/token`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+        
+        if (response.ok) {
+            showToast('Device token revoked', 'success');
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to revoke device token', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to revoke device token', 'error');
+    }
+}
+
+// Device Share Functions
+async function shareDevice() {
+    if (!currentDevice) return;
     
-    const container = document.getElementById('toast-container');
-    container.appendChild(toast);
+    const username = prompt('Share this device with which username?');
+    if (!username) return;
     
-    // Auto remove after 5 seconds
-    const timer = setTimeout(() => {
-        toast.style.opacity = '0';
-        toast.style.transform = 'translateX(100%) scale(0.8)';
-        setTimeout(() => toast.remove(), 300);
-    }, 5000);
+    const permissions = prompt('Permissions (view, locate, control, manage, evidence):', 'view, locate, control');
+    if (permissions === null) return;
     
-    // Allow manual dismissal on click
-    toast.addEventListener('click', () => {
-        clearTimeout(timer);
-        toast.style.opacity = '0';
-        toast.style.transform = 'translateX(100%) scale(0.8)';
-        setTimeout(() => toast.remove(), 300);
-    });
+    const hours = prompt('End the share after how many hours? Leave empty to keep it until revoked.', '24');
+    if (hours === null) return;
     
-    // Add cursor pointer for manual dismissal
-    toast.style.cursor = 'pointer';
-    toast.title = 'Click to dismiss';
+    try {
+        const response = await authFetch('/api/shares', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                deviceId: currentDevice,
+                username: username.trim(),
+                permissions: permissions.split(',').map(p => p.trim()).filter(Boolean),
+                expiresAt: hours.trim() ? new Date(Date.now() + parseFloat(hours) * 3600000).toISOString() : null
+            })
+        });
+        
+        if (response.ok) {
+            showToast(`Invitation sent to ${username.trim()}`, 'success');
+            loadShares();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to share device', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to share device', 'error');
+    }
 }
 
-function formatDateTime(dateString) {
-    if (!dateString) return 'Never';
-    
-    const date = new Date(dateString);
-    const now = new Date();
-    const diff = now - date;
-    
-    // If less than 1 minute ago
-    if (diff < 60000) {
-        return 'Just now';
+async function loadShares() {
+    try {
+        const response = await authFetch('/api/shares');
+        
+        if (response.ok) {
+            const data = await response.json();
+            displayShares(data);
+        } else {
+            showToast('Failed to load device shares', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to load device shares', 'error');
     }
+}
+
+function displayShares({ incoming, outgoing }) {
+    const container = document.getElementById('shares-list');
+    const open = share => share.status === 'pending' || share.status === 'accepted';
+    const shares = [
+        ...incoming.filter(open).map(share => ({ ...share, direction: 'incoming' })),
+        ...outgoing.filter(open).map(share => ({ ...share, direction: 'outgoing' }))
+    ];
     
-    // If less than 1 hour ago
-    if (diff < 3600000) {
-        const minutes = Math.floor(diff / 60000);
-        return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    if (shares.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted"><p>No devices are shared with or by you.</p></div>';
+        return;
     }
     
-    // If less than 24 hours ago
-    if (diff < 86400000) {
-        const hours = Math.floor(diff / 3600000);
-        return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    container.innerHTML = shares.map(share => `
+        <div class="device-item">
+            <div class="device-header">
+                <div class="device-name">${share.deviceName}</div>
+                <div>
+                    ${share.direction === 'incoming' && share.status === 'pending' ? `
+                        <button class="btn btn-success" onclick="respondToShare(${share.id}, 'accept')">Accept</button>
+                        <button class="btn btn-secondary" onclick="respondToShare(${share.id}, 'decline')">Decline</button>
+                    ` : `<button class="btn btn-danger" onclick="revokeShare(${share.id})">${share.direction === 'incoming' ? 'Leave' : 'Revoke'}</button>`}
+                </div>
+            </div>
+            <div class="device-info">
+                <div class="device-info-item">
+                    <span>${share.direction === 'incoming' ? 'Shared by:' : 'Shared with:'}</span>
+                    <span>${share.direction === 'incoming' ? share.owner.username : share.recipient.username}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Permissions:</span>
+                    <span>${share.permissions.join(', ')}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Status:</span>
+                    <span>${share.status}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Ends:</span>
+                    <span>${share.expiresAt ? new Date(share.expiresAt).toLocaleString() : 'When revoked'}</span>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function respondToShare(shareId, action) {
+    try {
+        const response = await authFetch(`/api/shares/${shareId}/${action}`, { method: 'POST' });
+        
+        if (response.ok) {
+            showToast(action === 'accept' ? 'Share accepted' : 'Share declined', 'success');
+            loadShares();
+            loadDevices();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to answer the invitation', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to answer the invitation', 'error');
+    }
+}
+
+async function revokeShare(shareId) {
+    if (!confirm('End this device share?')) {
+        return;
     }
     
-    // Otherwise show full date
-    return date.toLocaleString();
+    try {
+        const response = await authFetch(`/api/shares/${shareId}`, { method: 'DELETE' });
+        
+        if (response.ok) {
+            showToast('Share ended', 'success');
+            loadShares();
+            loadDevices();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to end the share', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to end the share', 'error');
+    }
+}
+
+// Location Link Functions
+async function createLocationLink() {
+    if (!currentDevice) return;
+    
+    const mode = prompt('Show only the latest position ("latest") or the recent trail too ("trail")?', 'latest');
+    if (mode === null) return;
+    
+    const hours = prompt('Keep the link working for how many hours?', '24');
+    if (hours === null) return;
+    
+    try {
+        const response = await authFetch(`/api/location/${currentDevice}/links`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                mode: mode.trim(),
+                expiresInHours: parseFloat(hours)
+            })
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            prompt('Anyone with this link can see the device\'s position until it expires or is revoked:', data.url);
+            loadLocationLinks();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to create location link', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to create location link', 'error');
+    }
+}
+
+async function loadLocationLinks() {
+    if (!currentDevice) return;
+    
+    try {
+        const response = await authFetch(`/api/location/${currentDevice}/links`);
+        
+        if (response.ok) {
+            const data = await response.json();
+            displayLocationLinks(data.links.filter(link => link.status === 'active'));
+        }
+    } catch (error) {
+        showToast('Failed to load location links', 'error');
+    }
+}
+
+function displayLocationLinks(links) {
+    const container = document.getElementById('location-links');
+    if (!container) return;
+    
+    container.innerHTML = links.length === 0 ? '' : `
+        <h4 style="margin-top: 20px;">🔗 Public Location Links</h4>
+        <div class="device-info">
+            ${links.map(link => `
+                <div class="device-info-item">
+                    <span>${link.mode === 'trail' ? 'Trail' : 'Latest position'} until ${formatDateTime(link.expiresAt)} (${link.viewCount} views)</span>
+                    <span><button class="btn btn-danger" onclick="revokeLocationLink(${link.id})">Revoke</button></span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+async function revokeLocationLink(linkId) {
+    if (!currentDevice || !confirm('Revoke this location link? It stops working immediately.')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/api/location/${currentDevice}/links/${linkId}`, { method: 'DELETE' });
+        
+        if (response.ok) {
+            showToast('Location link revoked', 'success');
+            loadLocationLinks();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to revoke location link', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to revoke location link', 'error');
+    }
+}
+
+// Ledger Functions
+async function verifyLedger() {
+    if (!currentDevice) return;
+    const deviceId = currentDevice;
+    
+    try {
+        const response = await authFetch(`/api/ledger/${deviceId}/verify`);
+        if (!response.ok) {
+            showToast('Failed to verify history', 'error');
+            return;
+        }
+        
+        const result = await response.json();
+        if (result.valid) {
+            showToast(`History intact (${result.entryCount} records)`, 'success');
+        } else if (result.firstBrokenLink) {
+            showToast(`History altered at record ${result.firstBrokenLink.sequence}: ${result.firstBrokenLink.reason}`, 'error');
+        } else {
+            showToast(`${result.unrecorded.length} records were added outside the ledger`, 'error');
+        }
+        
+        if (confirm('Download a signed export of this device\'s history?')) {
+            await downloadLedgerExport(deviceId);
+        }
+    } catch (error) {
+        showToast('Failed to verify history', 'error');
+    }
+}
+
+async function downloadLedgerExport(deviceId) {
+    const response = await authFetch(`/api/ledger/${deviceId}/export`);
+    if (!response.ok) {
+        showToast('Failed to export history', 'error');
+        return;
+    }
+    
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ledger-${deviceId}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Evidence Functions
+async function captureEvidence() {
+    if (!currentDevice) return;
+    
+    const type = prompt('What should the device capture? (photo, audio, screenshot)', 'photo');
+    if (type === null) {
+        return;
+    }
+    
+    const endpoints = { photo: 'capture-photo', audio: 'record-audio', screenshot: 'screenshot' };
+    const endpoint = endpoints[type.trim().toLowerCase()];
+    if (!endpoint) {
+        showToast('Choose photo, audio or screenshot', 'error');
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/api/commands/${currentDevice}/${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({})
+        });
+        
+        const data = await response.json();
+        if (response.ok) {
+            showToast('Capture requested, the result appears in the gallery once the device uploads it', 'success');
+        } else {
+            showToast(data.error || 'Failed to request capture', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to request capture', 'error');
+    }
+}
+
+async function loadEvidence() {
+    if (!currentDevice) return;
+    
+    try {
+        const response = await authFetch(`/api/evidence/${currentDevice}`);
+        
+        if (response.ok) {
+            await displayEvidence(await response.json());
+        }
+    } catch (error) {
+        showToast('Failed to load evidence', 'error');
+    }
+}
+
+// Files need the login token, so they are fetched and shown from object URLs
+async function displayEvidence(data) {
+    const container = document.getElementById('evidence-gallery');
+    if (!container) return;
+    
+    releaseEvidenceUrls();
+    if (data.evidence.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const items = await Promise.all(data.evidence.map(async (item) => {
+        const response = await authFetch(item.url);
+        const url = response.ok ? URL.createObjectURL(await response.blob()) : null;
+        if (url) {
+            evidenceUrls.push(url);
+        }
+        return { ...item, objectUrl: url };
+    }));
+    
+    const usedMb = (data.quota.usedBytes / (1024 * 1024)).toFixed(1);
+    const limitMb = Math.round(data.quota.limitBytes / (1024 * 1024));
+    container.innerHTML = `
+        <h4 style="margin-top: 20px;">📸 Evidence (${usedMb} of ${limitMb} MB used)</h4>
+        <div style="display: flex; flex-wrap: wrap; gap: 10px;">
+            ${items.map(item => `
+                <div style="width: 160px; font-size: 0.8rem;">
+                    ${!item.objectUrl ? '<div>File unavailable</div>' : item.mediaType === 'audio'
+                        ? `<audio controls src="${item.objectUrl}" style="width: 160px;"></audio>`
+                        : `<a href="${item.objectUrl}" target="_blank"><img src="${item.objectUrl}" alt="${item.mediaType}" style="width: 160px; border-radius: 4px;"></a>`}
+                    <div>${item.mediaType} · ${formatDateTime(item.capturedAt || item.uploadedAt)}</div>
+                    <button class="btn btn-danger" onclick="deleteEvidence(${item.id})">Delete</button>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function releaseEvidenceUrls() {
+    evidenceUrls.forEach(url => URL.revokeObjectURL(url));
+    evidenceUrls = [];
+}
+
+async function deleteEvidence(evidenceId) {
+    if (!currentDevice || !confirm('Delete this evidence? This cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/api/evidence/${currentDevice}/${evidenceId}`, { method: 'DELETE' });
+        
+        if (response.ok) {
+            showToast('Evidence deleted', 'success');
+            loadEvidence();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to delete evidence', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to delete evidence', 'error');
+    }
+}
+
+// Tracking Profile Functions
+async function setTrackingProfile() {
+    if (!currentDevice) return;
+    
+    const profile = prompt('Tracking profile to send (idle, normal, lost, stolen), or leave empty to go back to the default');
+    if (profile === null) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/api/commands/${currentDevice}/tracking-profile`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify({ profile: profile.trim() || null })
+        });
+        
+        const data = await response.json();
+        if (response.ok) {
+            showToast(`Tracking profile ${data.trackingProfile.profile} sent`, 'success');
+            closeModal();
+            loadDevices();
+        } else {
+            showToast(data.error || 'Failed to set tracking profile', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to set tracking profile', 'error');
+    }
+}
+
+// Theft Mode Functions
+async function markStolen() {
+    if (!currentDevice) return;
+    
+    if (!confirm('Mark this device as stolen? Your theft playbook will lock it, start the alarm and notify your contacts.')) {
+        return;
+    }
+    const notes = prompt('Notes for the case record (optional)');
+    if (notes === null) {
+        return;
+    }
+    
+    await sendTheftAction('stolen', { notes: notes || undefined });
+}
+
+async function markRecovered() {
+    if (!currentDevice) return;
+    
+    if (!confirm('Mark this device as recovered? The theft playbook will be reversed and the case closed.')) {
+        return;
+    }
+    const notes = prompt('Recovery notes (optional)');
+    if (notes === null) {
+        return;
+    }
+    
+    await sendTheftAction('recovered', { notes: notes || undefined });
+}
+
+async function sendTheftAction(action, payload) {
+    try {
+        const response = await authFetch(`/api/theft/${currentDevice}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify(payload)
+        });
+        
+        const data = await response.json();
+        if (response.ok) {
+            const skipped = data.theftCase.steps.concat(data.theftCase.recoverySteps)
+                .filter(step => step.status !== 'done');
+            showToast(skipped.length > 0
+                ? `${data.message} (${skipped.map(step => `${step.step} ${step.status}`).join(', ')})`
+                : data.message, 'success');
+            closeModal();
+            loadDevices();
+        } else {
+            showToast(data.error || 'Theft mode action failed', 'error');
+        }
+    } catch (error) {
+        showToast('Theft mode action failed', 'error');
+    }
+}
+
+// WebSocket Functions
+function setupWebSocket() {
+    if (socket) {
+        socket.disconnect();
+    }
+    
+    socket = io({ auth: { token: authToken } });
+    
+    socket.on('connect', () => {
+        console.log('Connected to server');
+        socket.emit('join-user-room', currentUser.id);
+        socket.emit('join-dashboard', currentUser.id);
+    });
+    
+    socket.on('connect_error', async (error) => {
+        console.error('Socket connection rejected:', error.message);
+        if (error.message === 'Invalid or expired token' && await refreshAccessToken()) {
+            socket.connect();
+        }
+    });
+    
+    socket.on('location-update', (data) => {
+        showToast(`Location updated for ${data.deviceId}`, 'info');
+        loadMapData(); // Refresh map
+    });
+    
+    socket.on('wipe-approval-requested', (data) => {
+        showToast(`${data.requestedBy} requests a factory reset of ${data.deviceName} (request #${data.requestId})`, 'warning');
+    });
+    
+    socket.on('command-executed', (data) => {
+        showToast(`Command executed on ${data.deviceId}: ${data.status}`, data.status === 'executed' ? 'success' : 'warning');
+        loadDevices(); // Refresh device list
+    });
+    
+    socket.on('geofence-entered', (data) => {
+        showToast(`${data.deviceId} entered geofence "${data.geofenceName}"`, 'info');
+        loadMapData(); // Refresh map
+    });
+    
+    socket.on('geofence-exited', (data) => {
+        showToast(`${data.deviceId} left geofence "${data.geofenceName}"`, 'warning');
+        loadMapData(); // Refresh map
+    });
+    
+    socket.on('disconnect', () => {
+        console.log('Disconnected from server');
+    });
+}
+
+// Utility Functions
+async function loadApiKeys() {
+    try {
+        const response = await authFetch('/dashboard/user/api-keys', {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+        
+        if (response.ok) {
+            const data = await response.json();
+            displayApiKeys(data.apiKeys);
+        } else {
+            showToast('Failed to load API keys', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to load API keys', 'error');
+    }
+}
+
+function displayApiKeys(apiKeys) {
+    const container = document.getElementById('api-keys-list');
+    
+    if (apiKeys.length === 0) {
+        container.innerHTML = '<p class="text-center text-muted">No active API keys.</p>';
+        return;
+    }
+    
+    container.innerHTML = apiKeys.map(key => `
+        <div class="device-item">
+            <div class="device-header">
+                <div class="device-name">${key.name}</div>
+                <button class="btn btn-danger" onclick="revokeApiKey(${key.id})">Revoke</button>
+            </div>
+            <div class="device-info">
+                <div class="device-info-item">
+                    <span>Key:</span>
+                    <span>${key.prefix}…</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Scopes:</span>
+                    <span>${key.scopes.join(', ')}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Expires:</span>
+                    <span>${key.expiresAt ? new Date(key.expiresAt).toLocaleString() : 'Never'}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Last used:</span>
+                    <span>${key.lastUsedAt ? formatDateTime(key.lastUsedAt) : 'Never'}</span>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function createApiKey() {
+    const name = prompt('Name for the new API key:');
+    if (!name) {
+        return;
+    }
+    const scopeInput = prompt('Scopes (comma separated: read-only, locate, lock, evidence, wipe, admin):', 'read-only');
+    if (!scopeInput) {
+        return;
+    }
+    const scopes = scopeInput.split(',').map(scope => scope.trim()).filter(Boolean);
+    let totpCode;
+    if (twoFactorEnabled) {
+        totpCode = prompt('Enter the code from your authenticator app');
+        if (!totpCode) {
+            return;
+        }
+    }
+    
+    try {
+        const response = await authFetch('/dashboard/user/api-keys', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify({ name, scopes, totpCode })
+        });
+        
+        const data = await response.json();
+        if (response.ok) {
+            document.getElementById('api-key-display').value = data.apiKey;
+            showToast('API key created. Copy it now, it will not be shown again', 'success');
+            loadApiKeys();
+        } else {
+            showToast(data.error || 'Failed to create API key', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to create API key', 'error');
+    }
+}
+
+async function revokeApiKey(keyId) {
+    if (!confirm('Revoke this API key? Anything using it will stop working immediately.')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/dashboard/user/api-keys/${keyId}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+        
+        if (response.ok) {
+            showToast('API key revoked', 'success');
+            loadApiKeys();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to revoke API key', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to revoke API key', 'error');
+    }
+}
+
+async function loadSessions() {
+    try {
+        const response = await authFetch('/dashboard/user/sessions');
+        
+        if (response.ok) {
+            const data = await response.json();
+            displaySessions(data.sessions);
+        } else {
+            showToast('Failed to load sessions', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to load sessions', 'error');
+    }
+}
+
+function displaySessions(sessions) {
+    const container = document.getElementById('sessions-list');
+    
+    container.innerHTML = sessions.map(session => `
+        <div class="device-item">
+            <div class="device-header">
+                <div class="device-name">${session.current ? 'This browser' : (session.userAgent || 'Unknown client')}</div>
+                ${session.current ? '' : `<button class="btn btn-danger" onclick="revokeSession('${session.id}')">Log Out</button>`}
+            </div>
+            <div class="device-info">
+                <div class="device-info-item">
+                    <span>IP address:</span>
+                    <span>${session.ipAddress || 'Unknown'}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Signed in:</span>
+                    <span>${formatDateTime(session.createdAt)}</span>
+                </div>
+                <div class="device-info-item">
+                    <span>Last active:</span>
+                    <span>${formatDateTime(session.lastUsedAt)}</span>
+                </div>
+            </div>
+        </div>
+    `).join('');
+}
+
+async function revokeSession(sessionId) {
+    if (!confirm('Log out this session?')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch(`/dashboard/user/sessions/${sessionId}`, { method: 'DELETE' });
+        
+        if (response.ok) {
+            showToast('Session logged out', 'success');
+            loadSessions();
+        } else {
+            const error = await response.json();
+            showToast(error.error || 'Failed to log out session', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to log out session', 'error');
+    }
+}
+
+async function revokeOtherSessions() {
+    if (!confirm('Log out every other session of your account?')) {
+        return;
+    }
+    
+    try {
+        const response = await authFetch('/dashboard/user/sessions', { method: 'DELETE' });
+        
+        if (response.ok) {
+            const data = await response.json();
+            showToast(`${data.sessionsRevoked} session(s) logged out`, 'success');
+            loadSessions();
+        } else {
+            showToast('Failed to log out sessions', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to log out sessions', 'error');
+    }
+}
+
+async function loadTwoFactorStatus() {
+    try {
+        const response = await authFetch('/dashboard/user/2fa');
+        
+        if (response.ok) {
+            const data = await response.json();
+            twoFactorEnabled = data.enabled;
+            document.getElementById('two-factor-status').textContent = data.enabled
+                ? `Enabled since ${formatDateTime(data.enabledAt)} - ${data.recoveryCodesRemaining} recovery code(s) left`
+                : 'Disabled - enable it to require an authenticator code at login and before a factory reset';
+            document.getElementById('toggle-two-factor').textContent = data.enabled ? 'Disable' : 'Enable';
+            document.getElementById('regenerate-recovery-codes').style.display = data.enabled ? '' : 'none';
+        }
+    } catch (error) {
+        showToast('Failed to load two-factor status', 'error');
+    }
+}
+
+async function postTwoFactor(path, body) {
+    const response = await authFetch(`/dashboard/user/2fa/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error);
+    }
+    return data;
+}
+
+async function toggleTwoFactor() {
+    try {
+        if (twoFactorEnabled) {
+            const password = prompt('Enter your account password to disable two-factor authentication');
+            if (!password) {
+                return;
+            }
+            const code = prompt('Enter the code from your authenticator app (or a recovery code)');
+            if (!code) {
+                return;
+            }
+            const factor = /^\d{6}$/.test(code.trim()) ? { totpCode: code.trim() } : { recoveryCode: code.trim() };
+            await postTwoFactor('disable', { password, ...factor });
+            showToast('Two-factor authentication disabled', 'success');
+        } else {
+            const password = prompt('Enter your account password to set up two-factor authentication');
+            if (!password) {
+                return;
+            }
+            const setup = await postTwoFactor('setup', { password });
+            const totpCode = prompt(
+                `Add this account to your authenticator app (secret: ${setup.secret}), then enter the code it shows:`,
+                setup.otpauthUri
+            );
+            if (!totpCode || totpCode === setup.otpauthUri) {
+                return;
+            }
+            const data = await postTwoFactor('enable', { totpCode: totpCode.trim() });
+            prompt('Two-factor authentication enabled. Store these recovery codes now:', data.recoveryCodes.join(' '));
+        }
+        loadTwoFactorStatus();
+    } catch (error) {
+        showToast(error.message || 'Two-factor request failed', 'error');
+    }
+}
+
+async function regenerateRecoveryCodes() {
+    const password = prompt('Enter your account password');
+    if (!password) {
+        return;
+    }
+    const totpCode = prompt('Enter the code from your authenticator app');
+    if (!totpCode) {
+        return;
+    }
+    
+    try {
+        const data = await postTwoFactor('recovery-codes', { password, totpCode: totpCode.trim() });
+        prompt('Store these recovery codes now, the old ones no longer work:', data.recoveryCodes.join(' '));
+        loadTwoFactorStatus();
+    } catch (error) {
+        showToast(error.message || 'Failed to generate recovery codes', 'error');
+    }
+}
+
+function copyApiKey() {
+    const apiKeyInput = document.getElementById('api-key-display');
+    apiKeyInput.select();
+    document.execCommand('copy');
+    showToast('API key copied to clipboard', 'success');
+}
+
+function showToast(message, type = 'info') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    
+    // Add icon based on type
+    const icons = {
+        success: '✅',
+        error: '❌',
+        warning: '⚠️',
+        info: '📍'
+    };
+    
+    toast.innerHTML = `
+        <div style="display: flex; align-items: center; gap: 12px;">
+            <span style="font-size: 1.2em;">${icons[type] || icons.info}</span>
+            <span>${message}</span>
+        </div>
+    `;
+    
+    const container = document.getElementById('toast-container');
+    container.appendChild(toast);
+    
+    // Auto remove after 5 seconds
+    const timer = setTimeout(() => {
+        toast.style.opacity = '0';
+        toast.style.transform = 'translateX(100%) scale(0.8)';
+        setTimeout(() => toast.remove(), 300);
+    }, 5000);
+    
+    // Allow manual dismissal on click
+    toast.addEventListener('click', () => {
+        clearTimeout(timer);
+        toast.style.opacity = '0';
+        toast.style.transform = 'translateX(100%) scale(0.8)';
+        setTimeout(() => toast.remove(), 300);
+    });
+    
+    // Add cursor pointer for manual dismissal
+    toast.style.cursor = 'pointer';
+    toast.title = 'Click to dismiss';
+}
+
+function formatDateTime(dateString) {
+    if (!dateString) return 'Never';
+    
+    const date = new Date(dateString);
+    const now = new Date();
+    const diff = now - date;
+    
+    // If less than 1 minute ago
+    if (diff < 60000) {
+        return 'Just now';
+    }
+    
+    // If less than 1 hour ago
+    if (diff < 3600000) {
+        const minutes = Math.floor(diff / 60000);
+        return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    }
+    
+    // If less than 24 hours ago
+    if (diff < 86400000) {
+        const hours = Math.floor(diff / 3600000);
+        return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    }
+    
+    // Otherwise show full date
+    return date.toLocaleString();
+}
+
+// Audit Log Functions
+async function loadAuditLog() {
+    try {
+        const response = await authFetch('/dashboard/user/audit-log?limit=20');
+        
+        if (response.ok) {
+            const data = await response.json();
+            displayAuditLog(data.entries);
+        } else {
+            showToast('Failed to load audit log', 'error');
+        }
+    } catch (error) {
+        showToast('Failed to load audit log', 'error');
+    }
+}
+
+function displayAuditLog(entries) {
+    const container = document.getElementById('audit-log-list');
+    
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="text-center text-muted"><p>No recorded actions yet.</p></div>';
+        return;
+    }
+    
+    container.innerHTML = entries.map(entry => `
+        <div style="padding: 8px; border-bottom: 1px solid #e9ecef; font-size: 0.9rem;">
+            <span style="color: #6c757d;">${formatDateTime(entry.createdAt)}</span> - 
+            ${entry.outcome === 'success' ? '✅' : entry.outcome === 'denied' ? '⛔' : '❌'}
+            <span style="font-family: 'Fira Code', monospace;">${entry.action}</span>
+            by ${entry.actor ? entry.actor.username : 'anonymous'} (${entry.authMethod.replace('_', ' ')}, ${entry.ipAddress || 'unknown IP'})
+        </div>
+    `).join('');
+}
+
+async function exportAuditLog() {
+    try {
+        const response = await authFetch('/dashboard/user/audit-log/export?format=csv');
+        
+        if (!response.ok) {
+            showToast('Failed to export audit log', 'error');
+            return;
+        }
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        showToast('Failed to export audit log', 'error');
+    }
 }
 
 // Make functions available globally
 window.showTab = showTab;
-window.showDeviceModal = showDeviceModal;
\ No newline at end of file
+window.showDeviceModal = showDeviceModal;
+window.revokeApiKey = revokeApiKey;
+window.revokeSession = revokeSession;
+window.respondToShare = respondToShare;
+window.revokeShare = revokeShare;
+window.revokeLocationLink = revokeLocationLink;
\ No newline at end of file
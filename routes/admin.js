@@ -0,0 +1,154 @@
+const express = require('express');
+const { requireScope } = require('../services/apiKeys');
+const LoginGuard = require('../services/loginGuard');
+const { formatAuditEntry, buildAuditExport, parseAuditFilters } = require('../services/auditLog');
+
+// Most audit rows a single export contains
+const AUDIT_EXPORT_LIMIT = 10000;
+
+function createAdminRoutes(db, authenticate, jobScheduler) {
+    const router = express.Router();
+
+// Middleware to restrict routes to administrators
+const requireAdmin = (req, res, next) => {
+    if (req.user.is_admin !== 1) {
+        return res.status(403).json({ error: 'Administrator access required' });
+    }
+    next();
+};
+
+// Apply authentication to all admin routes
+router.use(authenticate, requireScope('admin'), requireAdmin);
+
+// GET /api/admin/jobs - Get scheduled job status and last results
+router.get('/jobs', (req, res) => {
+    res.json({
+        jobs: jobScheduler.getStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// GET /api/admin/jobs/:jobName/runs - Get recent runs of a job
+router.get('/jobs/:jobName/runs', async (req, res) => {
+    try {
+        const { jobName } = req.params;
+        const { limit = 20 } = req.query;
+
+        if (!jobScheduler.has(jobName)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const runs = await db.getJobRuns(jobName, parseInt(limit));
+
+        res.json({
+            job: jobName,
+            runs: runs.map(run => ({
+                ...run,
+                result: run.result ? JSON.parse(run.result) : null
+            })),
+            count: runs.length
+        });
+
+    } catch (error) {
+        console.error('Get job runs error:', error);
+        res.status(500).json({ error: 'Failed to get job runs' });
+    }
+});
+
+// POST /api/admin/jobs/:jobName/run - Run a job immediately
+router.post('/jobs/:jobName/run', async (req, res) => {
+    try {
+        const { jobName } = req.params;
+
+        if (!jobScheduler.has(jobName)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const run = await jobScheduler.run(jobName);
+
+        res.json({
+            message: run.skipped ? 'Job is already running' : `Job ${jobName} finished`,
+            job: jobName,
+            run: run
+        });
+
+    } catch (error) {
+        console.error('Run job error:', error);
+        res.status(500).json({ error: 'Failed to run job' });
+    }
+});
+
+// GET /api/admin/login-attempts - Login audit trail (filter by username, ip, outcome)
+router.get('/login-attempts', async (req, res) => {
+    try {
+        const { username, ip, outcome, limit = 100 } = req.query;
+
+        const attempts = await db.getLoginAttempts(
+            { username, ip_address: ip, outcome },
+            Math.min(parseInt(limit) || 100, 1000)
+        );
+
+        res.json({
+            attempts: attempts.map(LoginGuard.formatAttempt),
+            count: attempts.length
+        });
+
+    } catch (error) {
+        console.error('Get login attempts error:', error);
+        res.status(500).json({ error: 'Failed to get login attempts' });
+    }
+});
+
+// GET /api/admin/audit-log - Audit trail of all users (filter by actorId,
+// action, deviceId, outcome, authMethod, ip, since, until)
+router.get('/audit-log', async (req, res) => {
+    try {
+        const { filters, error } = parseAuditFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const entries = await db.getAuditEntries(
+            { ...filters, actor_id: req.query.actorId },
+            Math.min(parseInt(req.query.limit) || 100, 1000)
+        );
+
+        res.json({
+            entries: entries.map(formatAuditEntry),
+            count: entries.length
+        });
+
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Failed to get audit log' });
+    }
+});
+
+// GET /api/admin/audit-log/export - Download the audit trail (?format=csv|json)
+router.get('/audit-log/export', async (req, res) => {
+    try {
+        const { filters, error } = parseAuditFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const entries = await db.getAuditEntries(
+            { ...filters, actor_id: req.query.actorId },
+            Math.min(parseInt(req.query.limit) || AUDIT_EXPORT_LIMIT, AUDIT_EXPORT_LIMIT)
+        );
+        const file = buildAuditExport(entries, req.query.format);
+
+        res.set('Content-Type', file.contentType);
+        res.attachment(file.filename);
+        res.send(file.body);
+
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        res.status(500).json({ error: 'Failed to export audit log' });
+    }
+});
+
+    return router;
+}
+
+module.exports = createAdminRoutes;
@@ -1,148 +1,276 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { v4: uuidv4 } = require('uuid');
-
-function createAuthRoutes(db) {
+const UserService = require('../services/userService');
+const { disconnectSessions } = require('../services/socketAuth');
+const { verifyFreshTotp } = require('../services/secondFactor');
+const {
+    requireScope,
+    validateApiKeyInput,
+    issueApiKey,
+    formatApiKey
+} = require('../services/apiKeys');
+
+function createAuthRoutes(db, auth, userService, loginGuard) {
     const router = express.Router();
+    const { authenticate } = auth;
 
-// Middleware for API key authentication
-const authenticateApiKey = async (req, res, next) => {
+// POST /api/auth/register - Register new user
+router.post('/register', async (req, res) => {
     try {
-        const apiKey = req.headers['x-api-key'];
-        
-        if (!apiKey) {
-            return res.status(401).json({ error: 'API key required' });
-        }
+        const { username, email, password } = req.body;
 
-        const user = await db.getUserByApiKey(apiKey);
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid API key' });
+        const result = await userService.register({ username, email, password });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        req.user = user;
-        next();
+        res.status(201).json({
+            message: 'User registered successfully',
+            userId: result.user.id,
+            apiKey: result.apiKey,
+            username: result.user.username,
+            ...(await auth.createSession(result.user, req))
+        });
+
     } catch (error) {
-        res.status(500).json({ error: 'Authentication error' });
+        console.error('Registration error:', error);
+        res.status(500).json({ error: 'Registration failed' });
     }
-};
+});
 
-// POST /api/auth/register - Register new user
-router.post('/register', async (req, res) => {
+// POST /api/auth/login - User login
+router.post('/login', async (req, res) => {
     try {
-        const { username, email, password } = req.body;
+        const { username, password } = req.body;
 
-        // Validation
-        if (!username || !email || !password) {
+        if (!username || !password) {
             return res.status(400).json({ 
-                error: 'Username, email, and password are required' 
+                error: 'Username and password are required' 
             });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({ 
-                error: 'Password must be at least 6 characters long' 
-            });
+        // Refused while the username or address is throttled or locked out
+        const blocked = await loginGuard.check(username, req);
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfter));
+            return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
         }
 
-        // Check if user already exists
-        const existingUser = await db.getUserByUsername(username);
-        if (existingUser) {
-            return res.status(409).json({ error: 'Username already exists' });
+        const user = await userService.verifyCredentials(username, password);
+        if (!user) {
+            await loginGuard.recordFailure(username, req, 'invalid_credentials');
+            return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Hash password
-        const saltRounds = 12;
-        const passwordHash = await bcrypt.hash(password, saltRounds);
-
-        // Generate API key
-        const apiKey = uuidv4();
-
-        // Create user
-        const result = await db.createUser(username, email, passwordHash, apiKey);
+        // With TOTP enabled this is only a challenge for POST /login/2fa
+        const login = await auth.startLogin(user, req);
+        if (login.twoFactorRequired) {
+            return res.json({ message: 'Two-factor code required', ...login });
+        }
+        await loginGuard.recordSuccess(user, req);
 
-        res.status(201).json({
-            message: 'User registered successfully',
-            userId: result.id,
-            apiKey: apiKey,
-            username: username
+        res.json({
+            message: 'Login successful',
+            ...login,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email
+            }
         });
 
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ error: 'Registration failed' });
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Login failed' });
     }
 });
 
-// POST /api/auth/login - User login
-router.post('/login', async (req, res) => {
+// POST /api/auth/login/2fa - Second login step (TOTP or recovery code)
+router.post('/login/2fa', async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { challengeToken, totpCode, recoveryCode } = req.body;
 
-        if (!username || !password) {
+        if (!challengeToken || (!totpCode && !recoveryCode)) {
             return res.status(400).json({ 
-                error: 'Username and password are required' 
+                error: 'challengeToken and totpCode or recoveryCode are required' 
             });
         }
 
-        // Get user
-        const user = await db.getUserByUsername(username);
+        const user = await auth.verifyLoginChallenge(challengeToken);
         if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
         }
 
-        // Check password
-        const isValidPassword = await bcrypt.compare(password, user.password_hash);
-        if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const blocked = await loginGuard.check(user.username, req);
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfter));
+            return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
         }
 
-        // Generate JWT token for web dashboard
-        const token = jwt.sign(
-            { userId: user.id, username: user.username },
-            process.env.JWT_SECRET || 'alpha-security-secret',
-            { expiresIn: '24h' }
-        );
+        const tokens = await auth.completeLogin(user, { totpCode, recoveryCode }, req);
+        if (tokens.error) {
+            await loginGuard.recordFailure(user.username, req, recoveryCode ? 'invalid_recovery_code' : 'invalid_2fa');
+            return res.status(tokens.status).json({ error: tokens.error });
+        }
+        await loginGuard.recordSuccess(user, req);
 
         res.json({
             message: 'Login successful',
-            token: token,
+            ...tokens,
             user: {
                 id: user.id,
                 username: user.username,
-                email: user.email,
-                apiKey: user.api_key
+                email: user.email
             }
         });
 
     } catch (error) {
-        console.error('Login error:', error);
+        console.error('Two-factor login error:', error);
         res.status(500).json({ error: 'Login failed' });
     }
 });
 
-// GET /api/auth/profile - Get user profile (requires API key)
-router.get('/profile', authenticateApiKey, async (req, res) => {
+// POST /api/auth/refresh - Exchange a refresh token for new tokens
+router.post('/refresh', async (req, res) => {
+    try {
+        const result = await auth.refreshSession(req.body.refreshToken, req);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// POST /api/auth/logout - Revoke the session of the calling access token
+router.post('/logout', authenticate, async (req, res) => {
+    try {
+        if (!req.session) {
+            return res.status(400).json({ error: 'Log out with the access token of the session' });
+        }
+
+        await db.revokeSession(req.session.id);
+        await disconnectSessions(req.app.get('io'), { sessionId: req.session.id });
+
+        res.json({ message: 'Logged out successfully' });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// POST /api/auth/verify-email - Confirm the address with the emailed token
+router.post('/verify-email', async (req, res) => {
+    try {
+        const result = await userService.verifyEmail(req.body.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Email address verified', email: result.user.email });
+
+    } catch (error) {
+        console.error('Email verification error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// POST /api/auth/resend-verification - Send a new verification email
+router.post('/resend-verification', authenticate, requireScope('admin'), async (req, res) => {
     try {
-        const { password_hash, ...userProfile } = req.user;
-        res.json(userProfile);
+        const result = await userService.sendEmailVerification(req.user);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Verification email sent' });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const result = await userService.requestPasswordReset(req.body.email);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'If an account uses this email, a reset link has been sent to it' });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+// POST /api/auth/reset-password - Set a new password with the emailed token
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        const result = await userService.resetPassword(token, newPassword);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await disconnectSessions(req.app.get('io'), { userId: result.user.id });
+        await loginGuard.clearFailures(result.user, req);
+
+        res.json({
+            message: 'Password reset successfully, all sessions were logged out',
+            sessionsRevoked: result.sessionsRevoked
+        });
+
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// GET /api/auth/profile - Get user profile
+router.get('/profile', authenticate, async (req, res) => {
+    try {
+        res.json(UserService.toProfile(req.user));
     } catch (error) {
         console.error('Profile error:', error);
         res.status(500).json({ error: 'Failed to get profile' });
     }
 });
 
-// POST /api/auth/refresh-api-key - Generate new API key
-router.post('/refresh-api-key', authenticateApiKey, async (req, res) => {
+// POST /api/auth/refresh-api-key - Replace the calling key with a new one
+// (same name, scopes, expiry and IP allowlist)
+router.post('/refresh-api-key', authenticate, async (req, res) => {
     try {
-        const newApiKey = uuidv4();
-        
-        const sql = 'UPDATE users SET api_key = ? WHERE id = ?';
-        await db.run(sql, [newApiKey, req.user.id]);
+        const current = req.apiKey;
+        if (!current) {
+            return res.status(400).json({ error: 'Authenticate with the API key to refresh' });
+        }
+
+        const factorError = await verifyFreshTotp(db, req.user, req.body.totpCode);
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
+
+        const { key, apiKey } = await issueApiKey(db, req.user.id, {
+            name: current.name,
+            scopes: current.scopes,
+            expiresAt: current.expires_at,
+            ipAllowlist: current.ip_allowlist
+        });
+        await db.revokeApiKey(current.id);
 
         res.json({
             message: 'API key refreshed successfully',
-            apiKey: newApiKey
+            apiKey: key,
+            key: formatApiKey(apiKey)
         });
 
     } catch (error) {
@@ -151,68 +279,94 @@ router.post('/refresh-api-key', authenticateApiKey, async (req, res) => {
     }
 });
 
-// PUT /api/auth/profile - Update user profile (email and/or password)
-router.put('/profile', authenticateApiKey, async (req, res) => {
+// GET /api/auth/api-keys - List the user's API keys (never the keys themselves)
+router.get('/api-keys', authenticate, requireScope('admin'), async (req, res) => {
     try {
-        const { email, currentPassword, newPassword } = req.body;
-        const userId = req.user.id;
+        const includeInactive = req.query.includeInactive === 'true';
+        const keys = await db.getApiKeysByUserId(req.user.id, includeInactive);
 
-        // Validate at least one field is being updated
-        if (!email && !newPassword) {
-            return res.status(400).json({ 
-                error: 'At least one field (email or password) must be provided' 
-            });
+        res.json({
+            apiKeys: keys.map(formatApiKey),
+            count: keys.length
+        });
+
+    } catch (error) {
+        console.error('Get API keys error:', error);
+        res.status(500).json({ error: 'Failed to get API keys' });
+    }
+});
+
+// POST /api/auth/api-keys - Create a named, scoped API key
+router.post('/api-keys', authenticate, requireScope('admin'), async (req, res) => {
+    try {
+        const { name, scopes = ['read-only'], expiresAt = null, ipAllowlist = [] } = req.body;
+
+        const validationError = validateApiKeyInput({ name, scopes, expiresAt, ipAllowlist });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
 
-        // If changing password, verify current password first
-        if (newPassword) {
-            if (!currentPassword) {
-                return res.status(400).json({ 
-                    error: 'Current password required to change password' 
-                });
-            }
+        const factorError = await verifyFreshTotp(db, req.user, req.body.totpCode);
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
 
-            // Verify current password
-            const user = await db.getUserById(userId);
-            const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
-            if (!isValidPassword) {
-                return res.status(401).json({ error: 'Current password is incorrect' });
-            }
+        const { key, apiKey } = await issueApiKey(db, req.user.id, { name, scopes, expiresAt, ipAllowlist });
 
-            // Validate new password
-            if (newPassword.length < 6) {
-                return res.status(400).json({ 
-                    error: 'New password must be at least 6 characters long' 
-                });
-            }
+        res.status(201).json({
+            message: 'API key created successfully. Store it now, it will not be shown again',
+            apiKey: key,
+            key: formatApiKey(apiKey)
+        });
 
-            // Hash new password
-            const saltRounds = 12;
-            const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
-            
-            // Update password
-            await db.run('UPDATE users SET password_hash = ? WHERE id = ?', 
-                [newPasswordHash, userId]);
-        }
-
-        // Update email if provided
-        if (email) {
-            // Validate email format
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                return res.status(400).json({ error: 'Invalid email format' });
-            }
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// DELETE /api/auth/api-keys/:keyId - Revoke an API key
+router.delete('/api-keys/:keyId', authenticate, requireScope('admin'), async (req, res) => {
+    try {
+        const apiKey = await db.getApiKeyById(req.params.keyId);
+        if (!apiKey || apiKey.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const result = await db.revokeApiKey(apiKey.id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'API key is already revoked' });
+        }
+
+        res.json({ message: 'API key revoked successfully' });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
 
-            await db.run('UPDATE users SET email = ? WHERE id = ?', [email, userId]);
+// PUT /api/auth/profile - Update user profile (email and/or password)
+router.put('/profile', authenticate, requireScope('admin'), async (req, res) => {
+    try {
+        const { email, currentPassword, newPassword } = req.body;
+
+        const result = await userService.updateProfile(req.user, { email, currentPassword, newPassword });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        // Get updated user profile
-        const updatedUser = await db.getUserById(userId);
-        const { password_hash, ...userProfile } = updatedUser;
+        // A password change logs out every session
+        if (result.sessionsRevoked > 0) {
+            await disconnectSessions(req.app.get('io'), { userId: req.user.id });
+        }
 
         res.json({
-            message: 'Profile updated successfully',
-            user: userProfile
+            message: result.sessionsRevoked > 0
+                ? 'Profile updated successfully, all sessions were logged out'
+                : 'Profile updated successfully',
+            user: UserService.toProfile(result.user),
+            sessionsRevoked: result.sessionsRevoked
         });
 
     } catch (error) {
@@ -221,9 +375,6 @@ router.put('/profile', authenticateApiKey, async (req, res) => {
     }
 });
 
-    // Middleware export for other routes
-    router.authenticateApiKey = authenticateApiKey;
-
     return router;
 }
 
@@ -1,57 +1,77 @@
 const express = require('express');
-
-function createCommandRoutes(db, authenticateApiKey) {
+const CommandDispatcher = require('../services/commandDispatcher');
+const WipeApprovals = require('../services/wipeApprovals');
+const { CommandTransitionError, normalizeStatus } = require('../services/commandLifecycle');
+const { verifySecondFactor } = require('../services/secondFactor');
+const { commandScope, requestHasScope, requireScope, scopeError } = require('../services/apiKeys');
+const { trackingProfileCommand, validateTrackingProfile } = require('../services/trackingProfiles');
+const Evidence = require('../services/evidence');
+const {
+    can,
+    commandPermission,
+    getDeviceAccess,
+    permissionError,
+    requireDevicePermission
+} = require('../services/permissions');
+
+// Evidence command options
+const CAMERAS = ['front', 'back'];
+const MAX_AUDIO_SECONDS = 300;
+
+function createCommandRoutes(db, authenticate, events, commandDispatcher, wipeApprovals) {
     const router = express.Router();
 
 // Apply authentication to all command routes
-router.use(authenticateApiKey);
+router.use(authenticate);
+
+// Validate the optional ttl (seconds) accepted by every command route
+router.use((req, res, next) => {
+    if (req.method === 'POST') {
+        const error = CommandDispatcher.validateTtl(req.body.ttl);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+    }
+    next();
+});
 
 // POST /api/commands/:deviceId/lock - Lock device remotely
-router.post('/:deviceId/lock', async (req, res) => {
+router.post('/:deviceId/lock', requireScope('lock'), requireDevicePermission(db, 'control'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { message = 'Device locked remotely for security' } = req.body;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Create lock command
-        const commandResult = await db.createCommand(
-            deviceId,
-            req.user.id,
-            'LOCK_DEVICE',
-            { message, timestamp: new Date().toISOString() }
-        );
-
-        // Update device lock status
-        await db.updateDeviceLockStatus(deviceId, true);
+        // Create lock command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: 'LOCK_DEVICE',
+            data: { message },
+            ttl: req.body.ttl
+        });
 
         // Log the command
         await db.logDeviceActivity(
             deviceId,
             'command_sent',
-            `Lock command sent - Command ID: ${commandResult.id}`
+            `Lock command sent - Command ID: ${command.id}`
         );
 
-        // Notify device via WebSocket if connected
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`device-${deviceId}`).emit('remote-command', {
-                commandId: commandResult.id,
-                type: 'LOCK_DEVICE',
-                data: { message },
-                timestamp: new Date().toISOString()
-            });
-        }
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: 'LOCK_DEVICE',
+            data: { message }
+        });
 
         res.status(201).json({
             message: 'Lock command sent successfully',
-            commandId: commandResult.id,
+            commandId: command.id,
             deviceId: deviceId,
-            status: 'pending'
+            status: command.status,
+            expiresAt: command.expires_at,
+            supersededCommands: command.superseded
         });
 
     } catch (error) {
@@ -61,50 +81,41 @@ router.post('/:deviceId/lock', async (req, res) => {
 });
 
 // POST /api/commands/:deviceId/unlock - Unlock device remotely
-router.post('/:deviceId/unlock', async (req, res) => {
+router.post('/:deviceId/unlock', requireScope('lock'), requireDevicePermission(db, 'control'), async (req, res) => {
     try {
         const { deviceId } = req.params;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Create unlock command
-        const commandResult = await db.createCommand(
-            deviceId,
-            req.user.id,
-            'UNLOCK_DEVICE',
-            { timestamp: new Date().toISOString() }
-        );
-
-        // Update device lock status
-        await db.updateDeviceLockStatus(deviceId, false);
+        // Create unlock command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: 'UNLOCK_DEVICE',
+            data: {},
+            ttl: req.body.ttl
+        });
 
         // Log the command
         await db.logDeviceActivity(
             deviceId,
             'command_sent',
-            `Unlock command sent - Command ID: ${commandResult.id}`
+            `Unlock command sent - Command ID: ${command.id}`
         );
 
-        // Notify device via WebSocket if connected
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`device-${deviceId}`).emit('remote-command', {
-                commandId: commandResult.id,
-                type: 'UNLOCK_DEVICE',
-                data: {},
-                timestamp: new Date().toISOString()
-            });
-        }
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: 'UNLOCK_DEVICE',
+            data: {}
+        });
 
         res.status(201).json({
             message: 'Unlock command sent successfully',
-            commandId: commandResult.id,
+            commandId: command.id,
             deviceId: deviceId,
-            status: 'pending'
+            status: command.status,
+            expiresAt: command.expires_at,
+            supersededCommands: command.superseded
         });
 
     } catch (error) {
@@ -114,48 +125,41 @@ router.post('/:deviceId/unlock', async (req, res) => {
 });
 
 // POST /api/commands/:deviceId/locate - Request device location
-router.post('/:deviceId/locate', async (req, res) => {
+router.post('/:deviceId/locate', requireScope('locate'), requireDevicePermission(db, 'locate'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { highAccuracy = true } = req.body;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Create locate command
-        const commandResult = await db.createCommand(
-            deviceId,
-            req.user.id,
-            'REQUEST_LOCATION',
-            { highAccuracy, timestamp: new Date().toISOString() }
-        );
+        // Create locate command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: 'REQUEST_LOCATION',
+            data: { highAccuracy },
+            ttl: req.body.ttl
+        });
 
         // Log the command
         await db.logDeviceActivity(
             deviceId,
             'command_sent',
-            `Location request sent - Command ID: ${commandResult.id}`
+            `Location request sent - Command ID: ${command.id}`
         );
 
-        // Notify device via WebSocket if connected
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`device-${deviceId}`).emit('remote-command', {
-                commandId: commandResult.id,
-                type: 'REQUEST_LOCATION',
-                data: { highAccuracy },
-                timestamp: new Date().toISOString()
-            });
-        }
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: 'REQUEST_LOCATION',
+            data: { highAccuracy }
+        });
 
         res.status(201).json({
             message: 'Location request sent successfully',
-            commandId: commandResult.id,
+            commandId: command.id,
             deviceId: deviceId,
-            status: 'pending'
+            status: command.status,
+            expiresAt: command.expires_at
         });
 
     } catch (error) {
@@ -164,8 +168,91 @@ router.post('/:deviceId/locate', async (req, res) => {
     }
 });
 
+// POST /api/commands/:deviceId/tracking-profile - Switch the device's location reporting profile
+// Body: { profile: "idle" | "normal" | "lost" | "stolen" | null (back to the device default) }
+router.post('/:deviceId/tracking-profile', requireScope('locate'), requireDevicePermission(db, 'locate'), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { profile = null } = req.body;
+
+        if (profile !== null) {
+            const profileError = validateTrackingProfile(profile);
+            if (profileError) {
+                return res.status(400).json({ error: profileError });
+            }
+        }
+
+        const data = trackingProfileCommand(req.device, profile);
+
+        // Create tracking profile command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: 'SET_TRACKING_PROFILE',
+            data: data,
+            ttl: req.body.ttl
+        });
+
+        // Log the command
+        await db.logDeviceActivity(
+            deviceId,
+            'command_sent',
+            `Tracking profile ${data.profile} sent - Command ID: ${command.id}`
+        );
+
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: 'SET_TRACKING_PROFILE',
+            data: data
+        });
+
+        res.status(201).json({
+            message: 'Tracking profile command sent successfully',
+            commandId: command.id,
+            deviceId: deviceId,
+            status: command.status,
+            expiresAt: command.expires_at,
+            trackingProfile: data,
+            supersededCommands: command.superseded
+        });
+
+    } catch (error) {
+        console.error('Tracking profile command error:', error);
+        res.status(500).json({ error: 'Failed to send tracking profile command' });
+    }
+});
+
+// POST /api/commands/:deviceId/capture-photo - Take a photo and upload it to /api/evidence
+// Body: { camera: "front" | "back" }
+router.post('/:deviceId/capture-photo', requireScope('evidence'), requireDevicePermission(db, 'evidence'), async (req, res) => {
+    const { camera = 'front' } = req.body;
+    if (!CAMERAS.includes(camera)) {
+        return res.status(400).json({ error: `Camera must be one of: ${CAMERAS.join(', ')}` });
+    }
+
+    await sendEvidenceCommand(req, res, 'CAPTURE_PHOTO', { camera });
+});
+
+// POST /api/commands/:deviceId/record-audio - Record audio and upload it to /api/evidence
+// Body: { durationSeconds }
+router.post('/:deviceId/record-audio', requireScope('evidence'), requireDevicePermission(db, 'evidence'), async (req, res) => {
+    const { durationSeconds = 30 } = req.body;
+    if (!Number.isInteger(durationSeconds) || durationSeconds < 1 || durationSeconds > MAX_AUDIO_SECONDS) {
+        return res.status(400).json({ error: `durationSeconds must be between 1 and ${MAX_AUDIO_SECONDS}` });
+    }
+
+    await sendEvidenceCommand(req, res, 'RECORD_AUDIO', { durationSeconds });
+});
+
+// POST /api/commands/:deviceId/screenshot - Take a screenshot and upload it to /api/evidence
+router.post('/:deviceId/screenshot', requireScope('evidence'), requireDevicePermission(db, 'evidence'), async (req, res) => {
+    await sendEvidenceCommand(req, res, 'SCREENSHOT', {});
+});
+
 // POST /api/commands/:deviceId/alarm/start - Start alarm on device
-router.post('/:deviceId/alarm/start', async (req, res) => {
+router.post('/:deviceId/alarm/start', requireScope('lock'), requireDevicePermission(db, 'control'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { 
@@ -174,51 +261,40 @@ router.post('/:deviceId/alarm/start', async (req, res) => {
             message = 'Security Alert - Device Alarm Activated' 
         } = req.body;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Create alarm start command
-        const commandResult = await db.createCommand(
-            deviceId,
-            req.user.id,
-            'START_ALARM',
-            { 
-                duration, 
-                volume, 
-                message, 
-                timestamp: new Date().toISOString() 
-            }
-        );
-
-        // Update device alarm status
-        await db.updateDeviceAlarmStatus(deviceId, true);
+        // Create alarm start command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: 'START_ALARM',
+            data: { duration, volume, message },
+            ttl: req.body.ttl
+        });
 
         // Log the command
         await db.logDeviceActivity(
             deviceId,
             'command_sent',
-            `Start alarm command sent - Command ID: ${commandResult.id}`
+            `Start alarm command sent - Command ID: ${command.id}`
         );
 
-        // Notify device via WebSocket if connected
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`device-${deviceId}`).emit('remote-command', {
-                commandId: commandResult.id,
-                type: 'START_ALARM',
-                data: { duration, volume, message },
-                timestamp: new Date().toISOString()
-            });
-        }
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: 'START_ALARM',
+            data: { duration, volume, message }
+        });
+        events.publish(req.device.user_id, 'alarm.started', {
+            deviceId: deviceId,
+            commandId: command.id, duration: duration, message: message
+        });
 
         res.status(201).json({
             message: 'Alarm start command sent successfully',
-            commandId: commandResult.id,
+            commandId: command.id,
             deviceId: deviceId,
-            status: 'pending',
+            status: command.status,
+            expiresAt: command.expires_at,
             alarmDuration: duration
         });
 
@@ -229,50 +305,45 @@ router.post('/:deviceId/alarm/start', async (req, res) => {
 });
 
 // POST /api/commands/:deviceId/alarm/stop - Stop alarm on device
-router.post('/:deviceId/alarm/stop', async (req, res) => {
+router.post('/:deviceId/alarm/stop', requireScope('lock'), requireDevicePermission(db, 'control'), async (req, res) => {
     try {
         const { deviceId } = req.params;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Create alarm stop command
-        const commandResult = await db.createCommand(
-            deviceId,
-            req.user.id,
-            'STOP_ALARM',
-            { timestamp: new Date().toISOString() }
-        );
-
-        // Update device alarm status
-        await db.updateDeviceAlarmStatus(deviceId, false);
+        // Create alarm stop command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: 'STOP_ALARM',
+            data: {},
+            ttl: req.body.ttl
+        });
 
         // Log the command
         await db.logDeviceActivity(
             deviceId,
             'command_sent',
-            `Stop alarm command sent - Command ID: ${commandResult.id}`
+            `Stop alarm command sent - Command ID: ${command.id}`
         );
 
-        // Notify device via WebSocket if connected
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`device-${deviceId}`).emit('remote-command', {
-                commandId: commandResult.id,
-                type: 'STOP_ALARM',
-                data: {},
-                timestamp: new Date().toISOString()
-            });
-        }
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: 'STOP_ALARM',
+            data: {}
+        });
+        events.publish(req.device.user_id, 'alarm.stopped', {
+            deviceId: deviceId,
+            commandId: command.id
+        });
 
         res.status(201).json({
             message: 'Alarm stop command sent successfully',
-            commandId: commandResult.id,
+            commandId: command.id,
             deviceId: deviceId,
-            status: 'pending'
+            status: command.status,
+            expiresAt: command.expires_at,
+            supersededCommands: command.superseded
         });
 
     } catch (error) {
@@ -282,10 +353,10 @@ router.post('/:deviceId/alarm/stop', async (req, res) => {
 });
 
 // POST /api/commands/:deviceId/wipe - Factory reset device (DANGEROUS)
-router.post('/:deviceId/wipe', async (req, res) => {
+router.post('/:deviceId/wipe', requireScope('wipe'), requireDevicePermission(db, 'wipe'), async (req, res) => {
     try {
         const { deviceId } = req.params;
-        const { confirmWipe } = req.body;
+        const { confirmWipe, password, totpCode, cooldownMinutes = 0 } = req.body;
 
         // Extra confirmation required for wipe
         if (confirmWipe !== 'CONFIRM_FACTORY_RESET') {
@@ -294,47 +365,44 @@ router.post('/:deviceId/wipe', async (req, res) => {
             });
         }
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
+        const cooldown = Number(cooldownMinutes);
+        if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > WipeApprovals.MAX_COOLDOWN_MINUTES) {
+            return res.status(400).json({ 
+                error: `cooldownMinutes must be between 0 and ${WipeApprovals.MAX_COOLDOWN_MINUTES}` 
+            });
         }
 
-        // Create wipe command
-        const commandResult = await db.createCommand(
-            deviceId,
-            req.user.id,
-            'FACTORY_RESET',
-            { 
-                confirmed: true, 
-                timestamp: new Date().toISOString(),
-                warning: 'This will erase all data on the device'
-            }
-        );
+        const device = req.device;
 
-        // Log the critical command
-        await db.logDeviceActivity(
-            deviceId,
-            'critical_command',
-            `FACTORY RESET command sent - Command ID: ${commandResult.id} - USER: ${req.user.username}`
-        );
+        // Re-authenticate before a destructive command
+        const factorError = await verifySecondFactor(db, req.user, { password, totpCode });
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
 
-        // Notify device via WebSocket if connected
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`device-${deviceId}`).emit('remote-command', {
-                commandId: commandResult.id,
-                type: 'FACTORY_RESET',
-                data: { confirmed: true },
-                timestamp: new Date().toISOString()
+        // Released right away unless an approval or cool-down applies
+        const { request, command } = await wipeApprovals.request(req.user, device, cooldown);
+
+        if (!command) {
+            return res.status(202).json({
+                message: request.requires_approval
+                    ? 'Factory reset requested, waiting for approval'
+                    : 'Factory reset scheduled, it can be aborted until the cool-down ends',
+                wipeRequestId: request.id,
+                deviceId: deviceId,
+                status: request.status,
+                requiresApproval: request.requires_approval === 1,
+                releaseAt: request.release_at
             });
         }
 
         res.status(201).json({
             message: 'Factory reset command sent successfully',
-            commandId: commandResult.id,
+            commandId: command.id,
+            wipeRequestId: request.id,
             deviceId: deviceId,
-            status: 'pending',
+            status: command.status,
+            expiresAt: command.expires_at,
             warning: 'This command will erase all data on the device'
         });
 
@@ -345,23 +413,17 @@ router.post('/:deviceId/wipe', async (req, res) => {
 });
 
 // GET /api/commands/:deviceId - Get command history for device
-router.get('/:deviceId', async (req, res) => {
+router.get('/:deviceId', requireScope('read-only'), requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { limit = 50, status = 'all' } = req.query;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
         let sql = `SELECT * FROM commands WHERE device_id = ?`;
         let params = [deviceId];
 
         if (status !== 'all') {
             sql += ` AND status = ?`;
-            params.push(status);
+            params.push(normalizeStatus(status));
         }
 
         sql += ` ORDER BY sent_at DESC LIMIT ?`;
@@ -384,12 +446,14 @@ router.get('/:deviceId', async (req, res) => {
 });
 
 // GET /api/commands/:deviceId/pending - Get pending commands for device
-router.get('/:deviceId/pending', async (req, res) => {
+// Collecting marks commands delivered, so this is a device-side (admin) call
+router.get('/:deviceId/pending', requireScope('admin'), requireDevicePermission(db, 'own'), async (req, res) => {
     try {
         const { deviceId } = req.params;
 
-        // This endpoint can be called by the device itself to check for commands
-        const commands = await db.getPendingCommands(deviceId);
+        // This endpoint can be called by the device itself to check for
+        // commands; everything returned counts as delivered
+        const commands = await commandDispatcher.collect(deviceId);
 
         res.json({
             pendingCommands: commands.map(cmd => ({
@@ -405,6 +469,56 @@ router.get('/:deviceId/pending', async (req, res) => {
     }
 });
 
+// DELETE /api/commands/:deviceId/:commandId - Cancel a command the device has not acknowledged
+router.delete('/:deviceId/:commandId', requireDevicePermission(db, 'view'), async (req, res) => {
+    try {
+        const { deviceId, commandId } = req.params;
+        const { reason = 'Cancelled by user' } = req.body || {};
+
+        const command = await db.getCommandById(commandId);
+        if (!command || command.device_id !== deviceId) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+
+        // Cancelling needs the same scope as sending the command
+        const scope = commandScope(command.command_type);
+        if (!requestHasScope(req, scope)) {
+            return res.status(403).json({ error: scopeError(scope) });
+        }
+
+        // ...and the same device permission
+        const permission = commandPermission(command.command_type);
+        if (!can(req.deviceAccess, permission)) {
+            return res.status(403).json({ error: permissionError(permission) });
+        }
+
+        let cancelled;
+        try {
+            cancelled = await commandDispatcher.cancel(command, reason);
+        } catch (error) {
+            if (error instanceof CommandTransitionError) {
+                return res.status(409).json({
+                    error: `Command can no longer be cancelled (status: ${error.from})`,
+                    commandId: command.id,
+                    status: error.from
+                });
+            }
+            throw error;
+        }
+
+        res.json({
+            message: 'Command cancelled successfully',
+            commandId: cancelled.id,
+            deviceId: deviceId,
+            status: cancelled.status
+        });
+
+    } catch (error) {
+        console.error('Cancel command error:', error);
+        res.status(500).json({ error: 'Failed to cancel command' });
+    }
+});
+
 // POST /api/commands/batch - Send multiple commands to multiple devices
 router.post('/batch', async (req, res) => {
     try {
@@ -418,13 +532,39 @@ router.post('/batch', async (req, res) => {
             return res.status(400).json({ error: 'Command type is required' });
         }
 
+        // Factory resets need the second factor and approval flow of /:deviceId/wipe
+        if (commandType === 'FACTORY_RESET') {
+            return res.status(400).json({ error: 'Factory reset cannot be sent as a batch command' });
+        }
+
+        // Evidence commands are sent one device at a time through their own
+        // routes, which check the camera and recording length
+        if (Evidence.COMMANDS[commandType]) {
+            return res.status(400).json({ error: `${commandType} cannot be sent as a batch command` });
+        }
+
+        // Each device gets the settings of the profile, see /:deviceId/tracking-profile
+        const isTrackingProfile = commandType === 'SET_TRACKING_PROFILE';
+        if (isTrackingProfile && commandData.profile !== null && commandData.profile !== undefined) {
+            const profileError = validateTrackingProfile(commandData.profile);
+            if (profileError) {
+                return res.status(400).json({ error: profileError });
+            }
+        }
+
+        const scope = commandScope(commandType);
+        if (!requestHasScope(req, scope)) {
+            return res.status(403).json({ error: scopeError(scope) });
+        }
+
+        const permission = commandPermission(commandType);
         const results = [];
 
         for (const deviceId of devices) {
             try {
-                // Verify device belongs to user
-                const device = await db.getDeviceById(deviceId);
-                if (!device || device.user_id !== req.user.id) {
+                // Verify the user may send this command to the device
+                const access = await getDeviceAccess(db, req.user.id, deviceId);
+                if (!can(access, permission)) {
                     results.push({
                         deviceId,
                         success: false,
@@ -433,36 +573,40 @@ router.post('/batch', async (req, res) => {
                     continue;
                 }
 
-                // Create command
-                const commandResult = await db.createCommand(
-                    deviceId,
-                    req.user.id,
-                    commandType,
-                    { ...commandData, timestamp: new Date().toISOString() }
-                );
+                const data = isTrackingProfile
+                    ? trackingProfileCommand(access.device, commandData.profile || null)
+                    : commandData;
+
+                // Create command and deliver it if the device is connected
+                const command = await commandDispatcher.dispatch({
+                    deviceId: deviceId,
+                    userId: req.user.id,
+                    type: commandType,
+                    data: data,
+                    ttl: req.body.ttl
+                });
 
                 // Log the command
                 await db.logDeviceActivity(
                     deviceId,
                     'batch_command',
-                    `Batch ${commandType} command sent - Command ID: ${commandResult.id}`
+                    `Batch ${commandType} command sent - Command ID: ${command.id}`
                 );
 
-                // Notify device via WebSocket if connected
-                const io = req.app.get('io');
-                if (io) {
-                    io.to(`device-${deviceId}`).emit('remote-command', {
-                        commandId: commandResult.id,
-                        type: commandType,
-                        data: commandData,
-                        timestamp: new Date().toISOString()
-                    });
-                }
+                // Notify event subscribers
+                events.publish(access.device.user_id, 'command.sent', {
+                    deviceId: deviceId,
+                    commandId: command.id,
+                    type: commandType,
+                    data: data
+                });
 
                 results.push({
                     deviceId,
                     success: true,
-                    commandId: commandResult.id
+                    commandId: command.id,
+                    status: command.status,
+                    supersededCommands: command.superseded
                 });
 
             } catch (error) {
@@ -487,6 +631,51 @@ router.post('/batch', async (req, res) => {
     }
 });
 
+// Helper function to send an evidence command; the device answers with an
+// upload to POST /api/evidence/:deviceId/upload naming the command id
+async function sendEvidenceCommand(req, res, type, data) {
+    try {
+        const { deviceId } = req.params;
+
+        // Create evidence command and deliver it if the device is connected
+        const command = await commandDispatcher.dispatch({
+            deviceId: deviceId,
+            userId: req.user.id,
+            type: type,
+            data: { ...data, maxUploadBytes: Evidence.MAX_UPLOAD_BYTES },
+            ttl: req.body.ttl
+        });
+
+        // Log the command
+        await db.logDeviceActivity(
+            deviceId,
+            'command_sent',
+            `${type} command sent - Command ID: ${command.id}`
+        );
+
+        // Notify event subscribers
+        events.publish(req.device.user_id, 'command.sent', {
+            deviceId: deviceId,
+            commandId: command.id,
+            type: type,
+            data: data
+        });
+
+        res.status(201).json({
+            message: 'Evidence command sent successfully',
+            commandId: command.id,
+            deviceId: deviceId,
+            type: type,
+            status: command.status,
+            expiresAt: command.expires_at
+        });
+
+    } catch (error) {
+        console.error(`${type} command error:`, error);
+        res.status(500).json({ error: 'Failed to send evidence command' });
+    }
+}
+
     return router;
 }
 
@@ -1,29 +1,32 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-
-function createDashboardRoutes(db) {
+const { toGeofenceFeature } = require('../utils/geo');
+const { generateToken, hashToken } = require('../utils/tokens');
+const UserService = require('../services/userService');
+const LoginGuard = require('../services/loginGuard');
+const { disconnectSessions } = require('../services/socketAuth');
+const {
+    isTotpEnabled,
+    verifyFreshTotp,
+    verifySecondFactor,
+    beginTotpSetup,
+    enableTotp,
+    disableTotp,
+    regenerateRecoveryCodes
+} = require('../services/secondFactor');
+const { requireScope, requireMethodScope, validateApiKeyInput, issueApiKey, formatApiKey } = require('../services/apiKeys');
+const { resolveDeviceAccess, requireDevicePermission } = require('../services/permissions');
+const { formatAuditEntry, buildAuditExport, parseAuditFilters } = require('../services/auditLog');
+const { describeTrackingProfile } = require('../services/trackingProfiles');
+
+// Most audit rows a single export contains
+const AUDIT_EXPORT_LIMIT = 10000;
+
+function createDashboardRoutes(db, auth, userService, loginGuard) {
     const router = express.Router();
 
-// JWT Secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-dashboard-secret-key-change-in-production';
-
-// Middleware to authenticate dashboard sessions
-const authenticateToken = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
-
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
-
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
-        }
-        req.user = user;
-        next();
-    });
+// Dashboard routes accept the login JWT or an API key (admin scope for changes)
+const authenticateUser = (req, res, next) => {
+    auth.authenticate(req, res, () => requireMethodScope(req, res, next));
 };
 
 // POST /dashboard/auth/login - Dashboard login
@@ -35,37 +38,33 @@ router.post('/auth/login', async (req, res) => {
             return res.status(400).json({ error: 'Username and password are required' });
         }
 
-        // Get user from database
-        const user = await db.getUserByUsername(username);
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        // Refused while the username or address is throttled or locked out
+        const blocked = await loginGuard.check(username, req);
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfter));
+            return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
         }
 
-        // Verify password
-        const isValid = await bcrypt.compare(password, user.password_hash);
-        if (!isValid) {
+        const user = await userService.verifyCredentials(username, password);
+        if (!user) {
+            await loginGuard.recordFailure(username, req, 'invalid_credentials');
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                id: user.id, 
-                username: user.username,
-                email: user.email 
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // With TOTP enabled this is only a challenge for POST /auth/login/2fa
+        const login = await auth.startLogin(user, req);
+        if (login.twoFactorRequired) {
+            return res.json({ message: 'Two-factor code required', ...login });
+        }
+        await loginGuard.recordSuccess(user, req);
 
         res.json({
             message: 'Login successful',
-            token: token,
+            ...login,
             user: {
                 id: user.id,
                 username: user.username,
-                email: user.email,
-                apiKey: user.api_key
+                email: user.email
             }
         });
 
@@ -75,60 +74,67 @@ router.post('/auth/login', async (req, res) => {
     }
 });
 
-// POST /dashboard/auth/register - Dashboard user registration
-router.post('/auth/register', async (req, res) => {
+// POST /dashboard/auth/login/2fa - Second login step (TOTP or recovery code)
+router.post('/auth/login/2fa', async (req, res) => {
     try {
-        const { username, email, password } = req.body;
+        const { challengeToken, totpCode, recoveryCode } = req.body;
 
-        if (!username || !email || !password) {
-            return res.status(400).json({ 
-                error: 'Username, email, and password are required' 
-            });
+        if (!challengeToken || (!totpCode && !recoveryCode)) {
+            return res.status(400).json({ error: 'challengeToken and totpCode or recoveryCode are required' });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({ 
-                error: 'Password must be at least 6 characters long' 
-            });
+        const user = await auth.verifyLoginChallenge(challengeToken);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
         }
 
-        // Check if user already exists
-        const existingUser = await db.getUserByUsername(username);
-        if (existingUser) {
-            return res.status(409).json({ error: 'Username already exists' });
+        const blocked = await loginGuard.check(user.username, req);
+        if (blocked) {
+            res.set('Retry-After', String(blocked.retryAfter));
+            return res.status(blocked.status).json({ error: blocked.error, retryAfter: blocked.retryAfter });
         }
 
-        const existingEmail = await db.getUserByEmail(email);
-        if (existingEmail) {
-            return res.status(409).json({ error: 'Email already registered' });
+        const tokens = await auth.completeLogin(user, { totpCode, recoveryCode }, req);
+        if (tokens.error) {
+            await loginGuard.recordFailure(user.username, req, recoveryCode ? 'invalid_recovery_code' : 'invalid_2fa');
+            return res.status(tokens.status).json({ error: tokens.error });
         }
+        await loginGuard.recordSuccess(user, req);
 
-        // Hash password and generate API key
-        const passwordHash = await bcrypt.hash(password, 10);
-        const apiKey = require('crypto').randomBytes(32).toString('hex');
+        res.json({
+            message: 'Login successful',
+            ...tokens,
+            user: {
+                id: user.id,
+                username: user.username,
+                email: user.email
+            }
+        });
 
-        // Create user
-        const result = await db.createUser(username, email, passwordHash, apiKey);
+    } catch (error) {
+        console.error('Dashboard two-factor login error:', error);
+        res.status(500).json({ error: 'Login failed' });
+    }
+});
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                id: result.id, 
-                username: username,
-                email: email 
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+// POST /dashboard/auth/register - Dashboard user registration
+router.post('/auth/register', async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+
+        const result = await userService.register({ username, email, password });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
         res.status(201).json({
             message: 'User registered successfully',
-            token: token,
+            ...(await auth.createSession(result.user, req)),
             user: {
-                id: result.id,
-                username: username,
-                email: email,
-                apiKey: apiKey
+                id: result.user.id,
+                username: result.user.username,
+                email: result.user.email,
+                apiKey: result.apiKey
             }
         });
 
@@ -138,41 +144,365 @@ router.post('/auth/register', async (req, res) => {
     }
 });
 
-// GET /dashboard/user/profile - Get user profile
-router.get('/user/profile', authenticateToken, async (req, res) => {
+// POST /dashboard/auth/verify-email - Confirm the address with the emailed token
+router.post('/auth/verify-email', async (req, res) => {
     try {
-        const user = await db.getUserById(req.user.id);
-        if (!user) {
-            return res.status(404).json({ error: 'User not found' });
+        const result = await userService.verifyEmail(req.body.token);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
+        res.json({ message: 'Email address verified', email: result.user.email });
+
+    } catch (error) {
+        console.error('Dashboard email verification error:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// POST /dashboard/auth/forgot-password - Email a password reset link
+router.post('/auth/forgot-password', async (req, res) => {
+    try {
+        const result = await userService.requestPasswordReset(req.body.email);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'If an account uses this email, a reset link has been sent to it' });
+
+    } catch (error) {
+        console.error('Dashboard forgot password error:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+// POST /dashboard/auth/reset-password - Set a new password with the emailed token
+router.post('/auth/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        const result = await userService.resetPassword(token, newPassword);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await disconnectSessions(req.app.get('io'), { userId: result.user.id });
+        await loginGuard.clearFailures(result.user, req);
+
         res.json({
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                apiKey: user.api_key,
-                created_at: user.created_at
-            }
+            message: 'Password reset successfully, all sessions were logged out',
+            sessionsRevoked: result.sessionsRevoked
         });
 
+    } catch (error) {
+        console.error('Dashboard password reset error:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
+// POST /dashboard/auth/refresh - Exchange a refresh token for new tokens
+router.post('/auth/refresh', async (req, res) => {
+    try {
+        const result = await auth.refreshSession(req.body.refreshToken, req);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Dashboard token refresh error:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// POST /dashboard/auth/logout - Revoke the current session
+router.post('/auth/logout', authenticateUser, async (req, res) => {
+    try {
+        if (!req.session) {
+            return res.status(400).json({ error: 'Log out with the access token of the session' });
+        }
+
+        await db.revokeSession(req.session.id);
+        await disconnectSessions(req.app.get('io'), { sessionId: req.session.id });
+
+        res.json({ message: 'Logged out successfully' });
+
+    } catch (error) {
+        console.error('Dashboard logout error:', error);
+        res.status(500).json({ error: 'Logout failed' });
+    }
+});
+
+// GET /dashboard/user/sessions - List active sessions
+router.get('/user/sessions', authenticateUser, async (req, res) => {
+    try {
+        const sessions = await db.getActiveSessionsByUserId(req.user.id);
+        const currentId = req.session ? req.session.id : null;
+
+        res.json({
+            sessions: sessions.map(session => formatSession(session, currentId)),
+            count: sessions.length
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ error: 'Failed to get sessions' });
+    }
+});
+
+// DELETE /dashboard/user/sessions - Log out all other sessions
+router.delete('/user/sessions', authenticateUser, async (req, res) => {
+    try {
+        const currentId = req.session ? req.session.id : null;
+        const result = await db.revokeUserSessions(req.user.id, currentId);
+        await disconnectSessions(req.app.get('io'), { userId: req.user.id, exceptSessionId: currentId });
+
+        res.json({
+            message: 'Other sessions logged out successfully',
+            sessionsRevoked: result.changes
+        });
+
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ error: 'Failed to log out sessions' });
+    }
+});
+
+// DELETE /dashboard/user/sessions/:sessionId - Log out one session
+router.delete('/user/sessions/:sessionId', authenticateUser, async (req, res) => {
+    try {
+        const session = await db.getSessionById(req.params.sessionId);
+        if (!session || session.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const result = await db.revokeSession(session.id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'Session is already logged out' });
+        }
+        await disconnectSessions(req.app.get('io'), { sessionId: session.id });
+
+        res.json({ message: 'Session logged out successfully' });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ error: 'Failed to log out session' });
+    }
+});
+
+// GET /dashboard/user/profile - Get user profile
+router.get('/user/profile', authenticateUser, async (req, res) => {
+    try {
+        res.json({ user: UserService.toProfile(req.user) });
+
     } catch (error) {
         console.error('Get profile error:', error);
         res.status(500).json({ error: 'Failed to get user profile' });
     }
 });
 
-// GET /dashboard/devices - Get user devices with locations
-router.get('/devices', authenticateToken, async (req, res) => {
+// POST /dashboard/user/resend-verification - Send a new verification email
+router.post('/user/resend-verification', authenticateUser, async (req, res) => {
     try {
-        const devices = await db.getUserDevices(req.user.id);
+        const result = await userService.sendEmailVerification(req.user);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Verification email sent' });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({ error: 'Failed to send verification email' });
+    }
+});
+
+// GET /dashboard/user/login-attempts - Recent logins and failed attempts on the account
+router.get('/user/login-attempts', authenticateUser, async (req, res) => {
+    try {
+        const { outcome, limit = 50 } = req.query;
+
+        const attempts = await db.getLoginAttempts({ username: req.user.username, outcome }, Math.min(parseInt(limit) || 50, 500));
+
+        res.json({
+            attempts: attempts.map(LoginGuard.formatAttempt),
+            count: attempts.length
+        });
+
+    } catch (error) {
+        console.error('Get login attempts error:', error);
+        res.status(500).json({ error: 'Failed to get login attempts' });
+    }
+});
+
+// GET /dashboard/user/audit-log - Audit trail of the user's actions and of
+// actions on their devices (filter by action, deviceId, outcome, authMethod,
+// ip, since, until)
+router.get('/user/audit-log', authenticateUser, async (req, res) => {
+    try {
+        const { filters, error } = parseAuditFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const entries = await db.getAuditEntries(
+            { ...filters, visible_to: req.user.id },
+            Math.min(parseInt(req.query.limit) || 100, 1000)
+        );
+
+        res.json({
+            entries: entries.map(formatAuditEntry),
+            count: entries.length
+        });
+
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Failed to get audit log' });
+    }
+});
+
+// GET /dashboard/user/audit-log/export - Download the audit trail (?format=csv|json)
+router.get('/user/audit-log/export', authenticateUser, async (req, res) => {
+    try {
+        const { filters, error } = parseAuditFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error: error });
+        }
+
+        const entries = await db.getAuditEntries(
+            { ...filters, visible_to: req.user.id },
+            Math.min(parseInt(req.query.limit) || AUDIT_EXPORT_LIMIT, AUDIT_EXPORT_LIMIT)
+        );
+        const file = buildAuditExport(entries, req.query.format);
+
+        res.set('Content-Type', file.contentType);
+        res.attachment(file.filename);
+        res.send(file.body);
+
+    } catch (error) {
+        console.error('Export audit log error:', error);
+        res.status(500).json({ error: 'Failed to export audit log' });
+    }
+});
+
+// GET /dashboard/user/2fa - Two-factor status
+router.get('/user/2fa', authenticateUser, async (req, res) => {
+    try {
+        const enabled = isTotpEnabled(req.user);
+
+        res.json({
+            enabled: enabled,
+            enabledAt: req.user.totp_enabled_at,
+            setupPending: !enabled && Boolean(req.user.totp_secret),
+            recoveryCodesRemaining: enabled ? await db.countUnusedRecoveryCodes(req.user.id) : 0
+        });
+
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({ error: 'Failed to get two-factor status' });
+    }
+});
+
+// POST /dashboard/user/2fa/setup - Start TOTP enrollment (returns the secret
+// and the otpauth:// URI for the QR code)
+router.post('/user/2fa/setup', authenticateUser, requireScope('admin'), async (req, res) => {
+    try {
+        const factorError = await verifySecondFactor(db, req.user, { password: req.body.password });
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
+
+        const result = await beginTotpSetup(db, req.user);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            secret: result.secret,
+            otpauthUri: result.otpauthUri
+        });
+
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// POST /dashboard/user/2fa/enable - Verify a first code and turn TOTP on
+router.post('/user/2fa/enable', authenticateUser, requireScope('admin'), async (req, res) => {
+    try {
+        const result = await enableTotp(db, req.user, req.body.totpCode);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store the recovery codes now, they will not be shown again',
+            recoveryCodes: result.recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('Two-factor enable error:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// POST /dashboard/user/2fa/disable - Turn TOTP off (password plus TOTP or recovery code)
+router.post('/user/2fa/disable', authenticateUser, requireScope('admin'), async (req, res) => {
+    try {
+        const { password, totpCode, recoveryCode } = req.body;
+
+        const result = await disableTotp(db, req.user, { password, totpCode, recoveryCode });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ message: 'Two-factor authentication disabled' });
+
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// POST /dashboard/user/2fa/recovery-codes - Replace the recovery codes
+router.post('/user/2fa/recovery-codes', authenticateUser, requireScope('admin'), async (req, res) => {
+    try {
+        if (!isTotpEnabled(req.user)) {
+            return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const { password, totpCode } = req.body;
+        const factorError = await verifySecondFactor(db, req.user, { password, totpCode });
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
+
+        res.json({
+            message: 'New recovery codes generated, the old ones no longer work',
+            recoveryCodes: await regenerateRecoveryCodes(db, req.user)
+        });
+
+    } catch (error) {
+        console.error('Recovery codes error:', error);
+        res.status(500).json({ error: 'Failed to generate recovery codes' });
+    }
+});
+
+// GET /dashboard/devices - Get the user's own, organization and shared devices with locations
+router.get('/devices', authenticateUser, async (req, res) => {
+    try {
+        const devices = await db.getAccessibleDevices(req.user.id);
         
         // Add location and status info to each device
         const enrichedDevices = await Promise.all(
             devices.map(async (device) => {
-                const [location, logs] = await Promise.all([
+                const [location, logs, access] = await Promise.all([
                     db.getLatestLocation(device.device_id),
-                    db.getDeviceLogs(device.device_id, 5)
+                    db.getDeviceLogs(device.device_id, 5),
+                    resolveDeviceAccess(db, req.user.id, device)
                 ]);
 
                 const lastSeenTime = new Date(device.last_seen);
@@ -186,9 +516,13 @@ router.get('/devices', authenticateToken, async (req, res) => {
                     status: device.status,
                     isLocked: device.is_locked === 1,
                     alarmActive: device.alarm_active === 1,
+                    isStolen: device.theft_case_id !== null,
                     batteryLevel: device.battery_level,
                     lastSeen: device.last_seen,
                     isOnline: isOnline,
+                    hasDeviceToken: device.token_hash !== null,
+                    deviceTokenIssuedAt: device.token_issued_at,
+                    ...formatAccess(access),
                     location: location,
                     recentLogs: logs.slice(0, 3) // Only show latest 3 logs
                 };
@@ -213,14 +547,10 @@ router.get('/devices', authenticateToken, async (req, res) => {
 });
 
 // GET /dashboard/devices/:deviceId - Get specific device details
-router.get('/devices/:deviceId', authenticateToken, async (req, res) => {
+router.get('/devices/:deviceId', authenticateUser, requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
-        
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const device = req.device;
 
         // Get comprehensive device data
         const [location, locationHistory, commands, logs, geofences] = await Promise.all([
@@ -243,16 +573,26 @@ router.get('/devices/:deviceId', authenticateToken, async (req, res) => {
                 status: device.status,
                 isLocked: device.is_locked === 1,
                 alarmActive: device.alarm_active === 1,
+                isStolen: device.theft_case_id !== null,
+                theftCaseId: device.theft_case_id,
+                trackingProfile: describeTrackingProfile(device),
                 batteryLevel: device.battery_level,
                 lastSeen: device.last_seen,
                 isOnline: isOnline,
+                hasDeviceToken: device.token_hash !== null,
+                deviceTokenIssuedAt: device.token_issued_at,
+                ...formatAccess(req.deviceAccess),
                 createdAt: device.created_at
             },
             location: location,
             locationHistory: locationHistory,
             commands: commands,
             logs: logs,
-            geofences: geofences
+            geofences: geofences,
+            geofenceFeatures: {
+                type: 'FeatureCollection',
+                features: geofences.map(toGeofenceFeature)
+            }
         });
 
     } catch (error) {
@@ -261,10 +601,54 @@ router.get('/devices/:deviceId', authenticateToken, async (req, res) => {
     }
 });
 
+// POST /dashboard/devices/:deviceId/token/rotate - Issue a new device token
+router.post('/devices/:deviceId/token/rotate', authenticateUser, requireDevicePermission(db, 'own'), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+
+        const deviceToken = generateToken('dt');
+        await db.setDeviceToken(deviceId, hashToken(deviceToken));
+        await disconnectDeviceTokenSockets(req.app.get('io'), deviceId);
+
+        await db.logDeviceActivity(deviceId, 'token_rotated', `Device token rotated by ${req.user.username}`);
+
+        res.json({
+            message: 'Device token rotated successfully',
+            deviceId: deviceId,
+            deviceToken: deviceToken
+        });
+
+    } catch (error) {
+        console.error('Rotate device token error:', error);
+        res.status(500).json({ error: 'Failed to rotate device token' });
+    }
+});
+
+// DELETE /dashboard/devices/:deviceId/token - Revoke the device token
+router.delete('/devices/:deviceId/token', authenticateUser, requireDevicePermission(db, 'own'), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+
+        await db.setDeviceToken(deviceId, null);
+        await disconnectDeviceTokenSockets(req.app.get('io'), deviceId);
+
+        await db.logDeviceActivity(deviceId, 'token_revoked', `Device token revoked by ${req.user.username}`);
+
+        res.json({
+            message: 'Device token revoked successfully',
+            deviceId: deviceId
+        });
+
+    } catch (error) {
+        console.error('Revoke device token error:', error);
+        res.status(500).json({ error: 'Failed to revoke device token' });
+    }
+});
+
 // GET /dashboard/map-data - Get all devices for map display
-router.get('/map-data', authenticateToken, async (req, res) => {
+router.get('/map-data', authenticateUser, async (req, res) => {
     try {
-        const devices = await db.getUserDevices(req.user.id);
+        const devices = await db.getAccessibleDevices(req.user.id);
         const mapData = [];
 
         for (const device of devices) {
@@ -277,9 +661,11 @@ router.get('/map-data', authenticateToken, async (req, res) => {
                     deviceId: device.device_id,
                     name: device.device_name,
                     model: device.device_model,
+                    ...formatAccess(await resolveDeviceAccess(db, req.user.id, device)),
                     isOnline: isOnline,
                     isLocked: device.is_locked === 1,
                     alarmActive: device.alarm_active === 1,
+                    isStolen: device.theft_case_id !== null,
                     batteryLevel: device.battery_level,
                     location: {
                         latitude: location.latitude,
@@ -305,7 +691,7 @@ router.get('/map-data', authenticateToken, async (req, res) => {
 });
 
 // GET /dashboard/analytics - Get user analytics
-router.get('/analytics', authenticateToken, async (req, res) => {
+router.get('/analytics', authenticateUser, async (req, res) => {
     try {
         const { timeframe = '7d' } = req.query;
         
@@ -352,7 +738,10 @@ router.get('/analytics', authenticateToken, async (req, res) => {
         const commandSummary = {};
         commandStats.forEach(stat => {
             if (!commandSummary[stat.command_type]) {
-                commandSummary[stat.command_type] = { total: 0, completed: 0, pending: 0, failed: 0 };
+                commandSummary[stat.command_type] = {
+                    total: 0, queued: 0, delivered: 0, acknowledged: 0,
+                    executed: 0, failed: 0, expired: 0, cancelled: 0
+                };
             }
             commandSummary[stat.command_type].total += stat.count;
             commandSummary[stat.command_type][stat.status] = stat.count;
@@ -374,23 +763,107 @@ router.get('/analytics', authenticateToken, async (req, res) => {
     }
 });
 
-// POST /dashboard/user/refresh-api-key - Refresh user API key
-router.post('/user/refresh-api-key', authenticateToken, async (req, res) => {
+// GET /dashboard/user/api-keys - List the user's API keys
+router.get('/user/api-keys', authenticateUser, requireScope('admin'), async (req, res) => {
     try {
-        const newApiKey = require('crypto').randomBytes(32).toString('hex');
-        await db.refreshUserApiKey(req.user.id, newApiKey);
+        const includeInactive = req.query.includeInactive === 'true';
+        const keys = await db.getApiKeysByUserId(req.user.id, includeInactive);
 
         res.json({
-            message: 'API key refreshed successfully',
-            apiKey: newApiKey
+            apiKeys: keys.map(formatApiKey),
+            count: keys.length
         });
 
     } catch (error) {
-        console.error('Refresh API key error:', error);
-        res.status(500).json({ error: 'Failed to refresh API key' });
+        console.error('Get API keys error:', error);
+        res.status(500).json({ error: 'Failed to get API keys' });
     }
 });
 
+// POST /dashboard/user/api-keys - Create a named, scoped API key
+router.post('/user/api-keys', authenticateUser, requireScope('admin'), async (req, res) => {
+    try {
+        const { name, scopes = ['read-only'], expiresAt = null, ipAllowlist = [] } = req.body;
+
+        const validationError = validateApiKeyInput({ name, scopes, expiresAt, ipAllowlist });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const factorError = await verifyFreshTotp(db, req.user, req.body.totpCode);
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
+
+        const { key, apiKey } = await issueApiKey(db, req.user.id, { name, scopes, expiresAt, ipAllowlist });
+
+        res.status(201).json({
+            message: 'API key created successfully. Store it now, it will not be shown again',
+            apiKey: key,
+            key: formatApiKey(apiKey)
+        });
+
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// DELETE /dashboard/user/api-keys/:keyId - Revoke an API key
+router.delete('/user/api-keys/:keyId', authenticateUser, requireScope('admin'), async (req, res) => {
+    try {
+        const apiKey = await db.getApiKeyById(req.params.keyId);
+        if (!apiKey || apiKey.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const result = await db.revokeApiKey(apiKey.id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'API key is already revoked' });
+        }
+
+        res.json({ message: 'API key revoked successfully' });
+
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+function formatSession(session, currentId) {
+    return {
+        id: session.id,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        expiresAt: session.expires_at,
+        current: session.id === currentId
+    };
+}
+
+// How the user reaches a device: own, organization role or share
+function formatAccess(access) {
+    return {
+        accessRole: access.role,
+        permissions: access.permissions,
+        shareExpiresAt: access.share ? access.share.expires_at : null
+    };
+}
+
+// Helper function to drop live sockets that authenticated with a device's old token
+async function disconnectDeviceTokenSockets(io, deviceId) {
+    if (!io) {
+        return;
+    }
+    const sockets = await io.in(`device-${deviceId}`).fetchSockets();
+    for (const socket of sockets) {
+        if (socket.data.device && socket.data.device.device_id === deviceId) {
+            socket.disconnect(true);
+        }
+    }
+}
+
     return router;
 }
 
@@ -0,0 +1,117 @@
+const express = require('express');
+const DeviceShares = require('../services/deviceShares');
+const { requireMethodScope } = require('../services/apiKeys');
+const { requireDevicePermission } = require('../services/permissions');
+
+function createDeviceShareRoutes(db, authenticate, deviceShares) {
+    const router = express.Router();
+
+// Apply authentication to all share routes
+router.use(authenticate, requireMethodScope);
+
+// GET /api/shares - Shares the user made and received (?status= filters)
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+        const [outgoing, incoming] = await Promise.all([
+            db.getDeviceSharesForUser(req.user.id, 'owner'),
+            db.getDeviceSharesForUser(req.user.id, 'recipient')
+        ]);
+
+        const format = (shares) => shares
+            .map(DeviceShares.format)
+            .filter(share => !status || share.status === status);
+
+        res.json({
+            outgoing: format(outgoing),
+            incoming: format(incoming)
+        });
+
+    } catch (error) {
+        console.error('Get shares error:', error);
+        res.status(500).json({ error: 'Failed to get shares' });
+    }
+});
+
+// POST /api/shares - Invite another account to one of the user's devices
+router.post('/', requireDevicePermission(db, 'own'), async (req, res) => {
+    try {
+        const { username, permissions, expiresAt } = req.body;
+
+        const result = await deviceShares.invite(req.user, req.device, { username, permissions, expiresAt });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({
+            message: 'Invitation sent, the share starts once it is accepted',
+            share: DeviceShares.format(result.share)
+        });
+
+    } catch (error) {
+        console.error('Create share error:', error);
+        res.status(500).json({ error: 'Failed to share device' });
+    }
+});
+
+// POST /api/shares/:shareId/accept - Accept an invitation
+router.post('/:shareId/accept', async (req, res) => {
+    try {
+        const result = await deviceShares.accept(req.user, req.params.shareId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Share accepted',
+            share: DeviceShares.format(result.share)
+        });
+
+    } catch (error) {
+        console.error('Accept share error:', error);
+        res.status(500).json({ error: 'Failed to accept share' });
+    }
+});
+
+// POST /api/shares/:shareId/decline - Decline an invitation
+router.post('/:shareId/decline', async (req, res) => {
+    try {
+        const result = await deviceShares.decline(req.user, req.params.shareId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Share declined',
+            share: DeviceShares.format(result.share)
+        });
+
+    } catch (error) {
+        console.error('Decline share error:', error);
+        res.status(500).json({ error: 'Failed to decline share' });
+    }
+});
+
+// DELETE /api/shares/:shareId - Revoke a share (owner) or give it up (recipient)
+router.delete('/:shareId', async (req, res) => {
+    try {
+        const result = await deviceShares.revoke(req.user, req.params.shareId);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Share revoked',
+            share: DeviceShares.format(result.share)
+        });
+
+    } catch (error) {
+        console.error('Revoke share error:', error);
+        res.status(500).json({ error: 'Failed to revoke share' });
+    }
+});
+
+    return router;
+}
+
+module.exports = createDeviceShareRoutes;
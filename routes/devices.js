@@ -1,10 +1,28 @@
 const express = require('express');
-
-function createDeviceRoutes(db, authenticateApiKey) {
+const { crossedLowBattery } = require('../utils/battery');
+const { STATUSES, CommandTransitionError, normalizeStatus } = require('../services/commandLifecycle');
+const { requireMethodScope } = require('../services/apiKeys');
+const { getDeviceRole, requireDevicePermission } = require('../services/permissions');
+const {
+    TRACKING_PROFILES,
+    describeTrackingProfile,
+    validateTrackingProfile
+} = require('../services/trackingProfiles');
+
+const { generateToken, hashToken } = require('../utils/tokens');
+
+function createDeviceRoutes(db, authenticate, events, commandDispatcher, authenticateDevice, evidence) {
     const router = express.Router();
 
-// Apply authentication to all device routes
-router.use(authenticateApiKey);
+// Apply authentication to all device routes. Heartbeat and command-response
+// authenticate per route so devices can use their own token. Changes made
+// with an API key need its admin scope.
+router.use((req, res, next) => {
+    if (req.method === 'POST' && /^\/[^/]+\/(heartbeat|command-response)$/.test(req.path)) {
+        return next();
+    }
+    authenticate(req, res, () => requireMethodScope(req, res, next));
+});
 
 // POST /api/devices/register - Register a new device
 router.post('/register', async (req, res) => {
@@ -18,6 +36,12 @@ router.post('/register', async (req, res) => {
             });
         }
 
+        // A device id can only be re-registered by the account that owns it
+        const existingDevice = await db.getDeviceById(deviceId);
+        if (existingDevice && existingDevice.user_id !== userId) {
+            return res.status(409).json({ error: 'Device is registered to another account' });
+        }
+
         // Register or update device
         await db.registerDevice(
             userId, 
@@ -34,9 +58,15 @@ router.post('/register', async (req, res) => {
             `Device registered: ${deviceName}`
         );
 
+        // Issue the device's own credential; only its hash is stored and any
+        // previous token of this device stops working
+        const deviceToken = generateToken('dt');
+        await db.setDeviceToken(deviceId, hashToken(deviceToken));
+
         res.status(201).json({
             message: 'Device registered successfully',
             deviceId: deviceId,
+            deviceToken: deviceToken,
             status: 'active'
         });
 
@@ -46,18 +76,22 @@ router.post('/register', async (req, res) => {
     }
 });
 
-// GET /api/devices - Get all user devices
+// GET /api/devices - Get all devices the user owns or reaches through organizations
 router.get('/', async (req, res) => {
     try {
-        const devices = await db.getDevicesByUserId(req.user.id);
+        const devices = await db.getAccessibleDevices(req.user.id);
         
         // Add latest location to each device
         const devicesWithLocation = await Promise.all(
             devices.map(async (device) => {
-                const location = await db.getLatestLocation(device.device_id);
+                const [location, accessRole] = await Promise.all([
+                    db.getLatestLocation(device.device_id),
+                    getDeviceRole(db, req.user.id, device)
+                ]);
                 return {
                     ...device,
                     lastLocation: location,
+                    accessRole: accessRole,
                     isOnline: isDeviceOnline(device.last_seen)
                 };
             })
@@ -75,19 +109,10 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/devices/:deviceId - Get specific device details
-router.get('/:deviceId', async (req, res) => {
+router.get('/:deviceId', requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
-        
-        const device = await db.getDeviceById(deviceId);
-        if (!device) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Verify device belongs to user
-        if (device.user_id !== req.user.id) {
-            return res.status(403).json({ error: 'Access denied' });
-        }
+        const device = req.device;
 
         // Get additional device data
         const [location, logs] = await Promise.all([
@@ -99,6 +124,7 @@ router.get('/:deviceId', async (req, res) => {
             ...device,
             lastLocation: location,
             recentLogs: logs,
+            accessRole: req.deviceAccess.role,
             isOnline: isDeviceOnline(device.last_seen)
         });
 
@@ -109,20 +135,27 @@ router.get('/:deviceId', async (req, res) => {
 });
 
 // POST /api/devices/:deviceId/heartbeat - Device heartbeat/ping
-router.post('/:deviceId/heartbeat', async (req, res) => {
+router.post('/:deviceId/heartbeat', authenticateDevice, requireDevicePermission(db, 'own'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { status = 'active', batteryLevel, networkType } = req.body;
-
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const device = req.device;
 
         // Update device status
         await db.updateDeviceStatus(deviceId, status);
 
+        if (batteryLevel !== undefined && batteryLevel !== null) {
+            const level = parseInt(batteryLevel);
+            await db.updateDeviceBatteryLevel(deviceId, level);
+
+            if (crossedLowBattery(device.battery_level, level)) {
+                events.publish(device.user_id, 'device.battery_low', {
+                    deviceId: deviceId,
+                    batteryLevel: level
+                });
+            }
+        }
+
         // Log heartbeat
         await db.logDeviceActivity(
             deviceId,
@@ -130,12 +163,13 @@ router.post('/:deviceId/heartbeat', async (req, res) => {
             `Status: ${status}, Battery: ${batteryLevel}%, Network: ${networkType}`
         );
 
-        // Check for pending commands
-        const pendingCommands = await db.getPendingCommands(deviceId);
+        // Hand over pending commands; they count as delivered from here on
+        const pendingCommands = await commandDispatcher.collect(deviceId);
 
         res.json({
             message: 'Heartbeat received',
             pendingCommands: pendingCommands,
+            trackingProfile: describeTrackingProfile(device),
             timestamp: new Date().toISOString()
         });
 
@@ -146,7 +180,7 @@ router.post('/:deviceId/heartbeat', async (req, res) => {
 });
 
 // POST /api/devices/:deviceId/command-response - Device command response
-router.post('/:deviceId/command-response', async (req, res) => {
+router.post('/:deviceId/command-response', authenticateDevice, requireDevicePermission(db, 'own'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { commandId, status, response, error } = req.body;
@@ -157,39 +191,76 @@ router.post('/:deviceId/command-response', async (req, res) => {
             });
         }
 
+        // Devices report acknowledged, executed or failed (older aliases accepted)
+        const nextStatus = normalizeStatus(status);
+        if (!STATUSES.includes(nextStatus) || ['queued', 'cancelled'].includes(nextStatus)) {
+            return res.status(400).json({ error: `Invalid command status: ${status}` });
+        }
+
+        const device = req.device;
+
+        // Verify the command was sent to this device
+        const command = await db.getCommandById(commandId);
+        if (!command || command.device_id !== deviceId) {
+            return res.status(404).json({ error: 'Command not found' });
+        }
+
         // Update command status
-        await db.updateCommandStatus(
-            commandId, 
-            status, 
-            response || error || null
-        );
+        try {
+            await db.updateCommandStatus(
+                commandId, 
+                nextStatus, 
+                response || error || null
+            );
+        } catch (transitionError) {
+            if (transitionError instanceof CommandTransitionError) {
+                return res.status(409).json({
+                    error: transitionError.message,
+                    commandId: commandId,
+                    status: transitionError.from
+                });
+            }
+            throw transitionError;
+        }
+
+        // Lock, alarm and tracking profile state counts once the device has
+        // applied the command, so a cancelled, failed or expired command
+        // leaves the current one
+        if (nextStatus === 'executed') {
+            await applyExecutedCommand(command);
+        }
 
         // Log command execution
         await db.logDeviceActivity(
             deviceId,
             'command_response',
-            `Command ${commandId} ${status}: ${response || error || 'No details'}`
+            `Command ${commandId} ${nextStatus}: ${response || error || 'No details'}`
         );
 
-        // Notify dashboard via WebSocket
+        // Notify dashboard via WebSocket and event subscribers
         const io = req.app.get('io');
         if (io) {
-            const device = await db.getDeviceById(deviceId);
-            if (device) {
-                io.to(`dashboard-${device.user_id}`).emit('command-executed', {
-                    deviceId,
-                    commandId,
-                    status,
-                    response: response || error,
-                    timestamp: new Date().toISOString()
-                });
-            }
+            io.to(`dashboard-${device.user_id}`).emit('command-executed', {
+                deviceId,
+                commandId,
+                status: nextStatus,
+                response: response || error,
+                timestamp: new Date().toISOString()
+            });
         }
 
+        events.publish(device.user_id, 'command.response', {
+            deviceId: deviceId,
+            commandId: commandId,
+            type: command.command_type,
+            status: nextStatus,
+            response: response || error || null
+        });
+
         res.json({
             message: 'Command response received',
             commandId: commandId,
-            status: status
+            status: nextStatus
         });
 
     } catch (error) {
@@ -198,18 +269,61 @@ router.post('/:deviceId/command-response', async (req, res) => {
     }
 });
 
+// GET /api/devices/:deviceId/tracking-profile - Current and default tracking profile
+router.get('/:deviceId/tracking-profile', requireDevicePermission(db, 'view'), async (req, res) => {
+    try {
+        res.json({
+            deviceId: req.device.device_id,
+            trackingProfile: describeTrackingProfile(req.device),
+            profiles: TRACKING_PROFILES
+        });
+
+    } catch (error) {
+        console.error('Get tracking profile error:', error);
+        res.status(500).json({ error: 'Failed to get tracking profile' });
+    }
+});
+
+// PUT /api/devices/:deviceId/tracking-profile - Set the profile the device uses by default
+// Body: { defaultProfile: "idle" | "normal" | "lost" | "stolen" | null (server default) }
+router.put('/:deviceId/tracking-profile', requireDevicePermission(db, 'manage'), async (req, res) => {
+    try {
+        const { defaultProfile = null } = req.body;
+
+        if (defaultProfile !== null) {
+            const profileError = validateTrackingProfile(defaultProfile);
+            if (profileError) {
+                return res.status(400).json({ error: profileError });
+            }
+        }
+
+        await db.setDeviceDefaultTrackingProfile(req.device.device_id, defaultProfile);
+
+        await db.logDeviceActivity(
+            req.device.device_id,
+            'tracking_profile_default',
+            `Default tracking profile set to ${defaultProfile || 'server default'} by ${req.user.username}`
+        );
+
+        const device = await db.getDeviceById(req.device.device_id);
+        res.json({
+            message: 'Default tracking profile updated',
+            deviceId: device.device_id,
+            trackingProfile: describeTrackingProfile(device)
+        });
+
+    } catch (error) {
+        console.error('Set tracking profile error:', error);
+        res.status(500).json({ error: 'Failed to set default tracking profile' });
+    }
+});
+
 // GET /api/devices/:deviceId/logs - Get device activity logs
-router.get('/:deviceId/logs', async (req, res) => {
+router.get('/:deviceId/logs', requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { limit = 50 } = req.query;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
         const logs = await db.getDeviceLogs(deviceId, parseInt(limit));
 
         res.json({
@@ -223,20 +337,14 @@ router.get('/:deviceId/logs', async (req, res) => {
     }
 });
 
-// DELETE /api/devices/:deviceId - Remove device
-router.delete('/:deviceId', async (req, res) => {
+// DELETE /api/devices/:deviceId - Remove device (registering account only)
+router.delete('/:deviceId', requireDevicePermission(db, 'own'), async (req, res) => {
     try {
         const { deviceId } = req.params;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        // Delete device (cascade will handle related data)
-        const sql = 'DELETE FROM devices WHERE device_id = ?';
-        await db.run(sql, [deviceId]);
+        // Delete the device with its group memberships, shares and other
+        // records, then its evidence files
+        await evidence.removeDevice(deviceId);
 
         res.json({
             message: 'Device removed successfully',
@@ -273,6 +381,25 @@ function isDeviceOnline(lastSeen) {
     return diffMinutes <= 5;
 }
 
+// Helper function to record the device state an executed command changed
+async function applyExecutedCommand(command) {
+    switch (command.command_type) {
+        case 'LOCK_DEVICE':
+        case 'UNLOCK_DEVICE':
+            await db.updateDeviceLockStatus(command.device_id, command.command_type === 'LOCK_DEVICE');
+            break;
+        case 'START_ALARM':
+        case 'STOP_ALARM':
+            await db.updateDeviceAlarmStatus(command.device_id, command.command_type === 'START_ALARM');
+            break;
+        case 'SET_TRACKING_PROFILE': {
+            const data = command.command_data ? JSON.parse(command.command_data) : {};
+            await db.updateDeviceTrackingProfile(command.device_id, data.isDefault ? null : data.profile);
+            break;
+        }
+    }
+}
+
     return router;
 }
 
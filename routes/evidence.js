@@ -0,0 +1,144 @@
+const express = require('express');
+const multer = require('multer');
+const Evidence = require('../services/evidence');
+const { requireScope } = require('../services/apiKeys');
+const { requireDevicePermission } = require('../services/permissions');
+
+function createEvidenceRoutes(db, authenticate, events, authenticateDevice, evidence) {
+    const router = express.Router();
+
+// Files land in the evidence directory under a random name and are deleted
+// again if Evidence#store refuses them
+const upload = multer({
+    storage: multer.diskStorage({ destination: Evidence.DIRECTORY }),
+    limits: { fileSize: Evidence.MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Helper function to run multer and answer its errors (too large, wrong field)
+const receiveFile = (req, res, next) => {
+    upload.single('file')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                error: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Uploads can be at most ${Evidence.MAX_UPLOAD_BYTES} bytes`
+                    : error.message
+            });
+        }
+        next(error);
+    });
+};
+
+// Apply authentication to all evidence routes. Uploads authenticate per route
+// so devices can use their own token; the other routes need the evidence scope.
+router.use((req, res, next) => {
+    if (req.method === 'POST' && /^\/[^/]+\/upload$/.test(req.path)) {
+        return next();
+    }
+    authenticate(req, res, next);
+});
+
+// POST /api/evidence/:deviceId/upload - Device uploads the result of an evidence command
+// Multipart fields: file, commandId, capturedAt (optional)
+router.post('/:deviceId/upload', authenticateDevice, requireDevicePermission(db, 'own'), receiveFile, async (req, res) => {
+    try {
+        const { commandId, capturedAt } = req.body;
+
+        const result = await evidence.store(req.device, req.file, { commandId, capturedAt });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        events.publish(req.device.user_id, 'evidence.uploaded', {
+            deviceId: req.device.device_id,
+            commandId: result.evidence.command_id,
+            evidenceId: result.evidence.id,
+            mediaType: result.evidence.media_type
+        });
+
+        res.status(201).json({
+            message: 'Evidence uploaded successfully',
+            evidence: Evidence.format(result.evidence)
+        });
+
+    } catch (error) {
+        console.error('Evidence upload error:', error);
+        res.status(500).json({ error: 'Failed to store evidence' });
+    }
+});
+
+// GET /api/evidence/:deviceId - Gallery of the device's evidence (?type=photo|audio|screenshot)
+router.get('/:deviceId', requireScope('evidence'), requireDevicePermission(db, 'evidence'), async (req, res) => {
+    try {
+        const { type } = req.query;
+        const items = await db.getEvidenceByDeviceId(req.device.device_id, type || null);
+
+        res.json({
+            deviceId: req.device.device_id,
+            evidence: items.map(item => ({
+                ...Evidence.format(item),
+                url: `/api/evidence/${encodeURIComponent(item.device_id)}/${item.id}/file`
+            })),
+            count: items.length,
+            quota: await evidence.getQuota(req.device.user_id)
+        });
+
+    } catch (error) {
+        console.error('Get evidence error:', error);
+        res.status(500).json({ error: 'Failed to get evidence' });
+    }
+});
+
+// GET /api/evidence/:deviceId/:evidenceId/file - Download one piece of evidence
+router.get('/:deviceId/:evidenceId/file', requireScope('evidence'), requireDevicePermission(db, 'evidence'), async (req, res) => {
+    try {
+        const item = await db.getEvidenceById(req.params.evidenceId);
+        if (!item || item.device_id !== req.device.device_id) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.type(item.mime_type);
+        res.sendFile(evidence.filePath(item), (error) => {
+            if (error && !res.headersSent) {
+                console.error('Evidence download error:', error);
+                res.status(404).json({ error: 'Evidence file is missing' });
+            }
+        });
+
+    } catch (error) {
+        console.error('Get evidence file error:', error);
+        res.status(500).json({ error: 'Failed to get evidence file' });
+    }
+});
+
+// DELETE /api/evidence/:deviceId/:evidenceId - Delete evidence to free quota
+router.delete('/:deviceId/:evidenceId', requireScope('evidence'), requireDevicePermission(db, 'evidence'), async (req, res) => {
+    try {
+        const item = await db.getEvidenceById(req.params.evidenceId);
+        if (!item || item.device_id !== req.device.device_id) {
+            return res.status(404).json({ error: 'Evidence not found' });
+        }
+
+        await evidence.remove(item);
+
+        await db.logDeviceActivity(
+            req.device.device_id,
+            'evidence_deleted',
+            `${item.media_type} deleted by ${req.user.username} - Evidence ID: ${item.id}`
+        );
+
+        res.json({
+            message: 'Evidence deleted',
+            evidenceId: item.id
+        });
+
+    } catch (error) {
+        console.error('Delete evidence error:', error);
+        res.status(500).json({ error: 'Failed to delete evidence' });
+    }
+});
+
+    return router;
+}
+
+module.exports = createEvidenceRoutes;
@@ -0,0 +1,57 @@
+const express = require('express');
+const { requireMethodScope } = require('../services/apiKeys');
+const { requireDevicePermission } = require('../services/permissions');
+
+function createLedgerRoutes(db, authenticate, ledger) {
+    const router = express.Router();
+
+// GET /api/ledger/public-key - Key that signs ledger exports (no login needed,
+// so third parties can fetch it independently of an export)
+router.get('/public-key', (req, res) => {
+    res.json({
+        algorithm: 'Ed25519',
+        publicKey: ledger.publicKeyPem,
+        fingerprint: ledger.publicKeyFingerprint
+    });
+});
+
+// Apply authentication to the remaining ledger routes
+router.use(authenticate, requireMethodScope);
+
+// GET /api/ledger/:deviceId/verify - Check the device's hash chain and the rows it recorded
+router.get('/:deviceId/verify', requireDevicePermission(db, 'view'), async (req, res) => {
+    try {
+        const result = await ledger.verify(req.params.deviceId);
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Verify ledger error:', error);
+        res.status(500).json({ error: 'Failed to verify ledger' });
+    }
+});
+
+// GET /api/ledger/:deviceId/export - Download the device's signed ledger
+router.get('/:deviceId/export', requireDevicePermission(db, 'view'), async (req, res) => {
+    try {
+        const file = await ledger.export(req.device);
+
+        await db.logDeviceActivity(
+            req.device.device_id,
+            'ledger_exported',
+            `Ledger exported by ${req.user.username} (${file.entries.length} entries)`
+        );
+
+        res.attachment(`ledger-${req.device.device_id}-${file.exportedAt.slice(0, 10)}.json`);
+        res.json(file);
+
+    } catch (error) {
+        console.error('Export ledger error:', error);
+        res.status(500).json({ error: 'Failed to export ledger' });
+    }
+});
+
+    return router;
+}
+
+module.exports = createLedgerRoutes;
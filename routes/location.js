@@ -1,13 +1,50 @@
 const express = require('express');
-
-function createLocationRoutes(db, authenticateApiKey) {
+const {
+    calculateDistance,
+    normalizePolygonGeometry,
+    getBoundingCircle,
+    toGeofenceFeature
+} = require('../utils/geo');
+const { crossedLowBattery } = require('../utils/battery');
+const { requireMethodScope } = require('../services/apiKeys');
+const { can, getDeviceAccess, permissionError, requireDevicePermission } = require('../services/permissions');
+
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Public location links: how long they may stay valid and how far back a
+// trail may reach
+const LOCATION_LINK_MODES = ['latest', 'trail'];
+const LOCATION_LINK_DEFAULT_HOURS = 24;
+const LOCATION_LINK_MAX_HOURS = 30 * 24;
+const LOCATION_LINK_MAX_TRAIL_HOURS = 7 * 24;
+
+function createLocationRoutes(db, authenticate, geofenceMonitor, events, authenticateDevice, signLocationLink) {
     const router = express.Router();
 
-// Apply authentication to all location routes
-router.use(authenticateApiKey);
+// Apply authentication to all location routes. Location uploads authenticate
+// per route so devices can use their own token. Changes made with an API
+// key need its admin scope.
+router.use((req, res, next) => {
+    if (req.method === 'POST' && /^\/([^/]+\/update|batch-update)$/.test(req.path)) {
+        return next();
+    }
+    authenticate(req, res, () => requireMethodScope(req, res, next));
+});
+
+// Helper function to check stored points against the device's geofences. The
+// points are saved by then, so a geofence error is logged rather than failing
+// the upload, which the device would retry and store twice.
+const checkGeofences = async (deviceId, locations) => {
+    try {
+        return await geofenceMonitor.evaluateAll(deviceId, locations);
+    } catch (error) {
+        console.error('Geofence evaluation error:', error);
+        return [];
+    }
+};
 
 // POST /api/location/:deviceId/update - Update device location
-router.post('/:deviceId/update', async (req, res) => {
+router.post('/:deviceId/update', authenticateDevice, requireDevicePermission(db, 'own'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { 
@@ -28,11 +65,7 @@ router.post('/:deviceId/update', async (req, res) => {
             return res.status(400).json({ error: 'Latitude and longitude are required' });
         }
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const device = req.device;
 
         // Save location to database
         const locationData = {
@@ -56,6 +89,13 @@ router.post('/:deviceId/update', async (req, res) => {
         await db.updateDeviceLastSeen(deviceId);
         if (battery_level) {
             await db.updateDeviceBatteryLevel(deviceId, battery_level);
+
+            if (crossedLowBattery(device.battery_level, locationData.battery_level)) {
+                events.publish(req.user.id, 'device.battery_low', {
+                    deviceId: deviceId,
+                    batteryLevel: locationData.battery_level
+                });
+            }
         }
 
         // Log the location update
@@ -65,6 +105,9 @@ router.post('/:deviceId/update', async (req, res) => {
             `Location updated: ${latitude}, ${longitude} (accuracy: ${accuracy}m, source: ${source})`
         );
 
+        // Check the new point against the device's geofences
+        const geofenceEvents = await checkGeofences(deviceId, [locationData]);
+
         // Broadcast location update via WebSocket to dashboard
         const io = req.app.get('io');
         if (io) {
@@ -75,10 +118,17 @@ router.post('/:deviceId/update', async (req, res) => {
             });
         }
 
+        // Notify event subscribers
+        events.publish(req.user.id, 'location.updated', {
+            deviceId: deviceId,
+            location: locationData
+        });
+
         res.json({
             message: 'Location updated successfully',
             locationId: locationResult.id,
-            timestamp: locationData.timestamp
+            timestamp: locationData.timestamp,
+            geofenceEvents: geofenceEvents
         });
 
     } catch (error) {
@@ -88,15 +138,10 @@ router.post('/:deviceId/update', async (req, res) => {
 });
 
 // GET /api/location/:deviceId/latest - Get latest location for device
-router.get('/:deviceId/latest', async (req, res) => {
+router.get('/:deviceId/latest', requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
-
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const device = req.device;
 
         const location = await db.getLatestLocation(deviceId);
 
@@ -121,7 +166,7 @@ router.get('/:deviceId/latest', async (req, res) => {
 });
 
 // GET /api/location/:deviceId/history - Get location history for device
-router.get('/:deviceId/history', async (req, res) => {
+router.get('/:deviceId/history', requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { 
@@ -131,12 +176,7 @@ router.get('/:deviceId/history', async (req, res) => {
             source = 'all',
             minAccuracy 
         } = req.query;
-
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
+        const device = req.device;
 
         let sql = `SELECT * FROM locations WHERE device_id = ?`;
         let params = [deviceId];
@@ -206,10 +246,10 @@ router.get('/:deviceId/history', async (req, res) => {
     }
 });
 
-// GET /api/location/all - Get latest locations for all user devices
+// GET /api/location/all - Get latest locations for all devices the user can see
 router.get('/all', async (req, res) => {
     try {
-        const devices = await db.getUserDevices(req.user.id);
+        const devices = await db.getAccessibleDevices(req.user.id);
         const deviceLocations = [];
 
         for (const device of devices) {
@@ -240,7 +280,8 @@ router.get('/all', async (req, res) => {
 });
 
 // POST /api/location/:deviceId/geofence - Create geofence alert
-router.post('/:deviceId/geofence', async (req, res) => {
+// Accepts either a circle (center + radius) or a GeoJSON Polygon/MultiPolygon geometry
+router.post('/:deviceId/geofence', requireDevicePermission(db, 'manage'), async (req, res) => {
     try {
         const { deviceId } = req.params;
         const { 
@@ -248,30 +289,57 @@ router.post('/:deviceId/geofence', async (req, res) => {
             centerLatitude, 
             centerLongitude, 
             radius, 
+            geometry,
             alertType = 'both' // 'enter', 'exit', or 'both'
         } = req.body;
 
         // Validate required data
-        if (!name || !centerLatitude || !centerLongitude || !radius) {
+        if (!name) {
+            return res.status(400).json({ error: 'Geofence name is required' });
+        }
+
+        if (!geometry && (!centerLatitude || !centerLongitude || !radius)) {
             return res.status(400).json({ 
-                error: 'Name, center coordinates, and radius are required' 
+                error: 'Either a GeoJSON geometry or center coordinates and radius are required' 
             });
         }
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
+        if (!['enter', 'exit', 'both'].includes(alertType)) {
+            return res.status(400).json({ error: 'Alert type must be enter, exit or both' });
+        }
+
+        let geofenceData;
+        if (geometry) {
+            let polygon;
+            try {
+                polygon = normalizePolygonGeometry(geometry);
+            } catch (error) {
+                return res.status(400).json({ error: `Invalid geometry: ${error.message}` });
+            }
+
+            // Polygons keep a bounding circle in the center/radius columns
+            const { center, radiusMeters } = getBoundingCircle(polygon);
+            geofenceData = {
+                shape_type: 'polygon',
+                geometry: polygon,
+                center_latitude: center.latitude,
+                center_longitude: center.longitude,
+                radius_meters: radiusMeters
+            };
+        } else {
+            geofenceData = {
+                shape_type: 'circle',
+                center_latitude: parseFloat(centerLatitude),
+                center_longitude: parseFloat(centerLongitude),
+                radius_meters: parseFloat(radius)
+            };
         }
 
-        // Create geofence (this would need a new table in the database)
         const geofenceResult = await db.createGeofence({
+            ...geofenceData,
             device_id: deviceId,
             user_id: req.user.id,
             name: name,
-            center_latitude: parseFloat(centerLatitude),
-            center_longitude: parseFloat(centerLongitude),
-            radius_meters: parseFloat(radius),
             alert_type: alertType,
             is_active: true
         });
@@ -280,18 +348,16 @@ router.post('/:deviceId/geofence', async (req, res) => {
         await db.logDeviceActivity(
             deviceId,
             'geofence_created',
-            `Geofence "${name}" created with ${radius}m radius`
+            geofenceData.shape_type === 'polygon'
+                ? `Geofence "${name}" created with ${geofenceData.geometry.type} boundary`
+                : `Geofence "${name}" created with ${radius}m radius`
         );
 
+        const geofence = await db.getGeofenceById(geofenceResult.id);
+
         res.status(201).json({
             message: 'Geofence created successfully',
-            geofence: {
-                id: geofenceResult.id,
-                name: name,
-                center: { latitude: centerLatitude, longitude: centerLongitude },
-                radius: radius,
-                alertType: alertType
-            }
+            geofence: formatGeofence(geofence)
         });
 
     } catch (error) {
@@ -301,17 +367,12 @@ router.post('/:deviceId/geofence', async (req, res) => {
 });
 
 // GET /api/location/:deviceId/geofences - Get geofences for device
-router.get('/:deviceId/geofences', async (req, res) => {
+router.get('/:deviceId/geofences', requireDevicePermission(db, 'view'), async (req, res) => {
     try {
         const { deviceId } = req.params;
+        const device = req.device;
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
-        const geofences = await db.getDeviceGeofences(deviceId);
+        const geofences = (await db.getDeviceGeofences(deviceId)).map(formatGeofence);
 
         res.json({
             device: {
@@ -319,6 +380,10 @@ router.get('/:deviceId/geofences', async (req, res) => {
                 name: device.device_name
             },
             geofences: geofences,
+            featureCollection: {
+                type: 'FeatureCollection',
+                features: geofences.map(g => g.feature)
+            },
             count: geofences.length
         });
 
@@ -328,16 +393,49 @@ router.get('/:deviceId/geofences', async (req, res) => {
     }
 });
 
+// GET /api/location/:deviceId/geofence-events - Get geofence enter/exit events for device
+router.get('/:deviceId/geofence-events', requireDevicePermission(db, 'view'), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { limit = 50 } = req.query;
+        const device = req.device;
+
+        const events = await db.getGeofenceEvents(deviceId, parseInt(limit));
+
+        res.json({
+            device: {
+                id: device.device_id,
+                name: device.device_name
+            },
+            events: events,
+            count: events.length
+        });
+
+    } catch (error) {
+        console.error('Get geofence events error:', error);
+        res.status(500).json({ error: 'Failed to get geofence events' });
+    }
+});
+
 // DELETE /api/location/geofence/:geofenceId - Delete geofence
 router.delete('/geofence/:geofenceId', async (req, res) => {
     try {
         const { geofenceId } = req.params;
 
-        // Verify geofence belongs to user
+        // Deletable by its creator and by anyone who may manage the device
         const geofence = await db.getGeofenceById(geofenceId);
-        if (!geofence || geofence.user_id !== req.user.id) {
+        if (!geofence) {
             return res.status(404).json({ error: 'Geofence not found' });
         }
+        if (geofence.user_id !== req.user.id) {
+            const access = await getDeviceAccess(db, req.user.id, geofence.device_id);
+            if (!access) {
+                return res.status(404).json({ error: 'Geofence not found' });
+            }
+            if (!can(access, 'manage')) {
+                return res.status(403).json({ error: permissionError('manage') });
+            }
+        }
 
         await db.deleteGeofence(geofenceId);
 
@@ -356,8 +454,113 @@ router.delete('/geofence/:geofenceId', async (req, res) => {
     }
 });
 
+// POST /api/location/:deviceId/links - Create a public link to the device's position
+router.post('/:deviceId/links', requireDevicePermission(db, 'own'), async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const {
+            mode = 'latest',
+            expiresInHours = LOCATION_LINK_DEFAULT_HOURS,
+            trailHours = LOCATION_LINK_DEFAULT_HOURS,
+            label
+        } = req.body;
+
+        if (!LOCATION_LINK_MODES.includes(mode)) {
+            return res.status(400).json({ error: `Mode must be one of: ${LOCATION_LINK_MODES.join(', ')}` });
+        }
+
+        const hours = parseFloat(expiresInHours);
+        if (!(hours > 0) || hours > LOCATION_LINK_MAX_HOURS) {
+            return res.status(400).json({ error: `expiresInHours must be between 0 and ${LOCATION_LINK_MAX_HOURS}` });
+        }
+
+        const trail = parseInt(trailHours);
+        if (mode === 'trail' && (!(trail > 0) || trail > LOCATION_LINK_MAX_TRAIL_HOURS)) {
+            return res.status(400).json({ error: `trailHours must be between 1 and ${LOCATION_LINK_MAX_TRAIL_HOURS}` });
+        }
+
+        const result = await db.createLocationLink({
+            device_id: deviceId,
+            created_by: req.user.id,
+            label: label ? String(label).slice(0, 100) : null,
+            mode: mode,
+            trail_hours: mode === 'trail' ? trail : null,
+            expires_at: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString()
+        });
+        const link = await db.getLocationLinkById(result.id);
+
+        // The token is only returned now; revoking the link disables it
+        const token = signLocationLink(link);
+
+        await db.logDeviceActivity(
+            deviceId,
+            'location_link_created',
+            `Public ${mode} location link created by ${req.user.username}, valid until ${link.expires_at}`
+        );
+
+        res.status(201).json({
+            message: 'Location link created',
+            link: formatLocationLink(link),
+            token: token,
+            url: `${APP_URL}/share/${token}`
+        });
+
+    } catch (error) {
+        console.error('Create location link error:', error);
+        res.status(500).json({ error: 'Failed to create location link' });
+    }
+});
+
+// GET /api/location/:deviceId/links - List the device's public location links
+router.get('/:deviceId/links', requireDevicePermission(db, 'own'), async (req, res) => {
+    try {
+        const links = await db.getLocationLinksByDeviceId(req.params.deviceId);
+
+        res.json({
+            links: links.map(formatLocationLink),
+            count: links.length
+        });
+
+    } catch (error) {
+        console.error('Get location links error:', error);
+        res.status(500).json({ error: 'Failed to get location links' });
+    }
+});
+
+// DELETE /api/location/:deviceId/links/:linkId - Revoke a public location link
+router.delete('/:deviceId/links/:linkId', requireDevicePermission(db, 'own'), async (req, res) => {
+    try {
+        const { deviceId, linkId } = req.params;
+
+        const link = await db.getLocationLinkById(linkId);
+        if (!link || link.device_id !== deviceId) {
+            return res.status(404).json({ error: 'Location link not found' });
+        }
+
+        const result = await db.revokeLocationLink(link.id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'Location link is already revoked' });
+        }
+
+        await db.logDeviceActivity(
+            deviceId,
+            'location_link_revoked',
+            `Public location link ${link.id} revoked by ${req.user.username}`
+        );
+
+        res.json({
+            message: 'Location link revoked',
+            link: formatLocationLink(await db.getLocationLinkById(link.id))
+        });
+
+    } catch (error) {
+        console.error('Revoke location link error:', error);
+        res.status(500).json({ error: 'Failed to revoke location link' });
+    }
+});
+
 // POST /api/location/batch-update - Batch location updates from device
-router.post('/batch-update', async (req, res) => {
+router.post('/batch-update', authenticateDevice, requireDevicePermission(db, 'own'), async (req, res) => {
     try {
         const { deviceId, locations } = req.body;
 
@@ -365,13 +568,8 @@ router.post('/batch-update', async (req, res) => {
             return res.status(400).json({ error: 'Device ID and locations array are required' });
         }
 
-        // Verify device belongs to user
-        const device = await db.getDeviceById(deviceId);
-        if (!device || device.user_id !== req.user.id) {
-            return res.status(404).json({ error: 'Device not found' });
-        }
-
         const results = [];
+        const savedLocations = [];
 
         for (const locationData of locations) {
             try {
@@ -400,6 +598,7 @@ router.post('/batch-update', async (req, res) => {
                 };
 
                 const locationResult = await db.saveLocation(fullLocationData);
+                savedLocations.push(fullLocationData);
 
                 results.push({
                     timestamp: fullLocationData.timestamp,
@@ -419,6 +618,9 @@ router.post('/batch-update', async (req, res) => {
         // Update device's last seen
         await db.updateDeviceLastSeen(deviceId);
 
+        // Check the saved points against the device's geofences
+        const geofenceEvents = await checkGeofences(deviceId, savedLocations);
+
         // Log the batch update
         await db.logDeviceActivity(
             deviceId,
@@ -430,7 +632,8 @@ router.post('/batch-update', async (req, res) => {
             message: 'Batch location update processed',
             results: results,
             successCount: results.filter(r => r.success).length,
-            errorCount: results.filter(r => !r.success).length
+            errorCount: results.filter(r => !r.success).length,
+            geofenceEvents: geofenceEvents
         });
 
     } catch (error) {
@@ -439,16 +642,41 @@ router.post('/batch-update', async (req, res) => {
     }
 });
 
-// Helper function to calculate distance between two points (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-        Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+// Helper function to shape a geofence row for API responses
+function formatGeofence(geofence) {
+    const isPolygon = geofence.shape_type === 'polygon';
+
+    return {
+        id: geofence.id,
+        name: geofence.name,
+        shape: isPolygon ? 'polygon' : 'circle',
+        center: { latitude: geofence.center_latitude, longitude: geofence.center_longitude },
+        radius: isPolygon ? null : geofence.radius_meters,
+        geometry: isPolygon ? JSON.parse(geofence.geometry) : null,
+        alertType: geofence.alert_type,
+        createdAt: geofence.created_at,
+        feature: toGeofenceFeature(geofence)
+    };
+}
+
+// Helper function to shape a location link row for API responses
+function formatLocationLink(link) {
+    const isExpired = new Date(link.expires_at) <= new Date();
+
+    return {
+        id: link.id,
+        deviceId: link.device_id,
+        label: link.label,
+        mode: link.mode,
+        trailHours: link.trail_hours,
+        status: link.revoked_at ? 'revoked' : isExpired ? 'expired' : 'active',
+        createdBy: link.created_by_username,
+        expiresAt: link.expires_at,
+        revokedAt: link.revoked_at,
+        viewCount: link.view_count,
+        lastViewedAt: link.last_viewed_at,
+        createdAt: link.created_at
+    };
 }
 
     return router;
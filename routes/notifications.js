@@ -0,0 +1,101 @@
+const express = require('express');
+const EmailNotifier = require('../services/emailNotifier');
+const { NOTIFICATION_EVENTS } = require('../services/emailTemplates');
+const { requireMethodScope } = require('../services/apiKeys');
+
+function createNotificationRoutes(db, authenticate, emailNotifier, mailer) {
+    const router = express.Router();
+
+// Apply authentication to all notification routes
+router.use(authenticate, requireMethodScope);
+
+// GET /api/notifications/preferences - Get email notification preferences
+router.get('/preferences', async (req, res) => {
+    try {
+        const preferences = await db.getNotificationPreferences(req.user.id);
+
+        res.json({
+            emailEnabled: mailer.isEnabled,
+            email: req.user.email,
+            modes: EmailNotifier.MODES,
+            preferences: buildPreferences(preferences)
+        });
+
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to get notification preferences' });
+    }
+});
+
+// PUT /api/notifications/preferences - Update email notification preferences
+// Body: { preferences: { "alarm.started": "immediate", "device.battery_low": "digest", ... } }
+router.put('/preferences', async (req, res) => {
+    try {
+        const { preferences } = req.body;
+
+        if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+            return res.status(400).json({ error: 'Preferences object is required' });
+        }
+
+        for (const [eventType, mode] of Object.entries(preferences)) {
+            if (!NOTIFICATION_EVENTS.includes(eventType)) {
+                return res.status(400).json({ error: `Unknown notification event: ${eventType}` });
+            }
+            if (!EmailNotifier.MODES.includes(mode)) {
+                return res.status(400).json({
+                    error: `Mode must be one of: ${EmailNotifier.MODES.join(', ')}`
+                });
+            }
+        }
+
+        for (const [eventType, mode] of Object.entries(preferences)) {
+            await db.setNotificationPreference(req.user.id, eventType, mode);
+        }
+
+        const updated = await db.getNotificationPreferences(req.user.id);
+
+        res.json({
+            message: 'Notification preferences updated successfully',
+            preferences: buildPreferences(updated)
+        });
+
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+});
+
+// POST /api/notifications/test - Send a test email to the account address
+router.post('/test', async (req, res) => {
+    try {
+        if (!mailer.isEnabled) {
+            return res.status(503).json({ error: 'Email delivery is not configured on this server' });
+        }
+
+        const info = await emailNotifier.sendTest(req.user);
+
+        res.json({
+            message: `Test email sent to ${req.user.email}`,
+            messageId: info.messageId
+        });
+
+    } catch (error) {
+        console.error('Test email error:', error);
+        res.status(500).json({ error: 'Failed to send test email' });
+    }
+});
+
+// Helper function to fill in defaults for events without a stored preference
+function buildPreferences(rows) {
+    const preferences = {};
+    for (const eventType of NOTIFICATION_EVENTS) {
+        const row = rows.find(r => r.event_type === eventType);
+        preferences[eventType] = row ? row.mode : 'immediate';
+    }
+    return preferences;
+}
+
+    return router;
+}
+
+module.exports = createNotificationRoutes;
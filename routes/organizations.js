@@ -0,0 +1,709 @@
+const express = require('express');
+const { requireMethodScope } = require('../services/apiKeys');
+const { ORGANIZATION_ROLES, canManageOrganization, getDeviceAccess, can } = require('../services/permissions');
+
+const MAX_NAME_LENGTH = 100;
+
+function createOrganizationRoutes(db, authenticate) {
+    const router = express.Router();
+
+// Apply authentication to all organization routes
+router.use(authenticate, requireMethodScope);
+
+// Load the organization in the URL and the caller's membership into
+// req.organization and req.membership; non-members get 404
+const requireMembership = async (req, res, next) => {
+    try {
+        const [organization, membership] = await Promise.all([
+            db.getOrganizationById(req.params.organizationId),
+            db.getOrganizationMember(req.params.organizationId, req.user.id)
+        ]);
+        if (!organization || !membership) {
+            return res.status(404).json({ error: 'Organization not found' });
+        }
+        req.organization = organization;
+        req.membership = membership;
+        next();
+    } catch (error) {
+        console.error('Organization membership error:', error);
+        res.status(500).json({ error: 'Failed to load organization' });
+    }
+};
+
+// Members, teams and device groups are managed by owners and admins
+const requireManager = (req, res, next) => {
+    if (!canManageOrganization(req.membership.role)) {
+        return res.status(403).json({ error: 'Only organization owners and admins can do this' });
+    }
+    next();
+};
+
+const requireOwner = (req, res, next) => {
+    if (req.membership.role !== 'owner') {
+        return res.status(403).json({ error: 'Only organization owners can do this' });
+    }
+    next();
+};
+
+// GET /api/organizations - List the user's organizations
+router.get('/', async (req, res) => {
+    try {
+        const organizations = await db.getOrganizationsByUserId(req.user.id);
+
+        res.json({
+            organizations: organizations.map(formatOrganization),
+            count: organizations.length
+        });
+
+    } catch (error) {
+        console.error('Get organizations error:', error);
+        res.status(500).json({ error: 'Failed to get organizations' });
+    }
+});
+
+// POST /api/organizations - Create an organization (the creator becomes its owner)
+router.post('/', async (req, res) => {
+    try {
+        const nameError = validateName(req.body.name, 'Organization name');
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        const result = await db.createOrganization(req.body.name.trim(), req.user.id);
+        const organization = await db.getOrganizationById(result.id);
+
+        res.status(201).json({
+            message: 'Organization created successfully',
+            organization: formatOrganization({ ...organization, role: 'owner', member_count: 1 })
+        });
+
+    } catch (error) {
+        console.error('Create organization error:', error);
+        res.status(500).json({ error: 'Failed to create organization' });
+    }
+});
+
+// GET /api/organizations/:organizationId - Organization with members, teams and device groups
+router.get('/:organizationId', requireMembership, async (req, res) => {
+    try {
+        const organizationId = req.organization.id;
+        const [members, teams, groups] = await Promise.all([
+            db.getOrganizationMembers(organizationId),
+            db.getTeamsByOrganizationId(organizationId),
+            db.getDeviceGroupsByOrganizationId(organizationId)
+        ]);
+
+        res.json({
+            organization: formatOrganization({ ...req.organization, role: req.membership.role, member_count: members.length }),
+            members: members.map(formatMember),
+            teams: teams.map(formatTeam),
+            deviceGroups: groups.map(formatDeviceGroup)
+        });
+
+    } catch (error) {
+        console.error('Get organization error:', error);
+        res.status(500).json({ error: 'Failed to get organization' });
+    }
+});
+
+// PUT /api/organizations/:organizationId - Rename the organization
+router.put('/:organizationId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const nameError = validateName(req.body.name, 'Organization name');
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        await db.renameOrganization(req.organization.id, req.body.name.trim());
+
+        res.json({
+            message: 'Organization updated successfully',
+            organization: formatOrganization({
+                ...(await db.getOrganizationById(req.organization.id)),
+                role: req.membership.role
+            })
+        });
+
+    } catch (error) {
+        console.error('Update organization error:', error);
+        res.status(500).json({ error: 'Failed to update organization' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId - Delete the organization; its
+// devices go back to being reachable by their owners only
+router.delete('/:organizationId', requireMembership, requireOwner, async (req, res) => {
+    try {
+        await db.deleteOrganization(req.organization.id);
+
+        res.json({ message: 'Organization deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete organization error:', error);
+        res.status(500).json({ error: 'Failed to delete organization' });
+    }
+});
+
+// POST /api/organizations/:organizationId/members - Add an account by username
+router.post('/:organizationId/members', requireMembership, requireManager, async (req, res) => {
+    try {
+        const { username, role = 'viewer' } = req.body;
+
+        if (!username) {
+            return res.status(400).json({ error: 'Username is required' });
+        }
+
+        const roleError = checkRoleChange(req.membership.role, null, role);
+        if (roleError) {
+            return res.status(roleError.status).json({ error: roleError.error });
+        }
+
+        const user = await db.getUserByUsername(String(username));
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const result = await db.addOrganizationMember({
+            organization_id: req.organization.id,
+            user_id: user.id,
+            role: role,
+            added_by: req.user.id
+        });
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'User is already a member' });
+        }
+
+        const member = await db.getOrganizationMember(req.organization.id, user.id);
+
+        res.status(201).json({
+            message: 'Member added successfully',
+            member: formatMember({ ...member, username: user.username, email: user.email })
+        });
+
+    } catch (error) {
+        console.error('Add organization member error:', error);
+        res.status(500).json({ error: 'Failed to add member' });
+    }
+});
+
+// PUT /api/organizations/:organizationId/members/:userId - Change a member's role
+router.put('/:organizationId/members/:userId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        const member = await db.getOrganizationMember(req.organization.id, req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        const roleError = checkRoleChange(req.membership.role, member.role, role);
+        if (roleError) {
+            return res.status(roleError.status).json({ error: roleError.error });
+        }
+
+        if (member.role === 'owner' && role !== 'owner'
+            && await db.countOrganizationOwners(req.organization.id) === 1) {
+            return res.status(409).json({ error: 'An organization needs at least one owner' });
+        }
+
+        await db.updateOrganizationMemberRole(req.organization.id, member.user_id, role);
+
+        res.json({
+            message: 'Member role updated successfully',
+            userId: member.user_id,
+            role: role
+        });
+
+    } catch (error) {
+        console.error('Update organization member error:', error);
+        res.status(500).json({ error: 'Failed to update member' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId/members/:userId - Remove a member
+// (members may remove themselves to leave the organization)
+router.delete('/:organizationId/members/:userId', requireMembership, async (req, res) => {
+    try {
+        const member = await db.getOrganizationMember(req.organization.id, req.params.userId);
+        if (!member) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        if (member.user_id !== req.user.id) {
+            const roleError = canManageOrganization(req.membership.role)
+                ? checkRoleChange(req.membership.role, member.role, null)
+                : { error: 'Only organization owners and admins can do this', status: 403 };
+            if (roleError) {
+                return res.status(roleError.status).json({ error: roleError.error });
+            }
+        }
+
+        if (member.role === 'owner' && await db.countOrganizationOwners(req.organization.id) === 1) {
+            return res.status(409).json({ error: 'An organization needs at least one owner' });
+        }
+
+        await db.removeOrganizationMember(req.organization.id, member.user_id);
+
+        res.json({
+            message: member.user_id === req.user.id ? 'You left the organization' : 'Member removed successfully',
+            userId: member.user_id
+        });
+
+    } catch (error) {
+        console.error('Remove organization member error:', error);
+        res.status(500).json({ error: 'Failed to remove member' });
+    }
+});
+
+// GET /api/organizations/:organizationId/teams - List teams with their members
+router.get('/:organizationId/teams', requireMembership, async (req, res) => {
+    try {
+        const teams = await db.getTeamsByOrganizationId(req.organization.id);
+        const teamsWithMembers = await Promise.all(teams.map(async (team) => ({
+            ...formatTeam(team),
+            members: (await db.getTeamMembers(team.id)).map(formatTeamMember)
+        })));
+
+        res.json({
+            teams: teamsWithMembers,
+            count: teams.length
+        });
+
+    } catch (error) {
+        console.error('Get teams error:', error);
+        res.status(500).json({ error: 'Failed to get teams' });
+    }
+});
+
+// POST /api/organizations/:organizationId/teams - Create a team
+router.post('/:organizationId/teams', requireMembership, requireManager, async (req, res) => {
+    try {
+        const nameError = validateName(req.body.name, 'Team name');
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        const result = await db.createTeam(req.organization.id, req.body.name.trim());
+        const team = await db.getTeamById(result.id);
+
+        res.status(201).json({
+            message: 'Team created successfully',
+            team: formatTeam({ ...team, member_count: 0 })
+        });
+
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId/teams/:teamId - Delete a team
+router.delete('/:organizationId/teams/:teamId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const team = await db.getTeamById(req.params.teamId);
+        if (!team || team.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        await db.deleteTeam(team.id);
+
+        res.json({ message: 'Team deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete team error:', error);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+});
+
+// POST /api/organizations/:organizationId/teams/:teamId/members - Add an organization member to a team
+router.post('/:organizationId/teams/:teamId/members', requireMembership, requireManager, async (req, res) => {
+    try {
+        const { userId } = req.body;
+
+        const team = await db.getTeamById(req.params.teamId);
+        if (!team || team.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const member = userId && await db.getOrganizationMember(req.organization.id, userId);
+        if (!member) {
+            return res.status(400).json({ error: 'userId must be a member of the organization' });
+        }
+
+        const result = await db.addTeamMember(team.id, member.user_id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'User is already in the team' });
+        }
+
+        res.status(201).json({
+            message: 'Team member added successfully',
+            teamId: team.id,
+            userId: member.user_id
+        });
+
+    } catch (error) {
+        console.error('Add team member error:', error);
+        res.status(500).json({ error: 'Failed to add team member' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId/teams/:teamId/members/:userId - Remove a team member
+router.delete('/:organizationId/teams/:teamId/members/:userId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const team = await db.getTeamById(req.params.teamId);
+        if (!team || team.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const result = await db.removeTeamMember(team.id, req.params.userId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'User is not in the team' });
+        }
+
+        res.json({ message: 'Team member removed successfully' });
+
+    } catch (error) {
+        console.error('Remove team member error:', error);
+        res.status(500).json({ error: 'Failed to remove team member' });
+    }
+});
+
+// GET /api/organizations/:organizationId/groups - List device groups
+router.get('/:organizationId/groups', requireMembership, async (req, res) => {
+    try {
+        const groups = await db.getDeviceGroupsByOrganizationId(req.organization.id);
+
+        res.json({
+            deviceGroups: groups.map(formatDeviceGroup),
+            count: groups.length
+        });
+
+    } catch (error) {
+        console.error('Get device groups error:', error);
+        res.status(500).json({ error: 'Failed to get device groups' });
+    }
+});
+
+// POST /api/organizations/:organizationId/groups - Create a device group
+router.post('/:organizationId/groups', requireMembership, requireManager, async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        const nameError = validateName(name, 'Group name');
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        const result = await db.createDeviceGroup({
+            organization_id: req.organization.id,
+            name: name.trim(),
+            description: description
+        });
+        const group = await db.getDeviceGroupById(result.id);
+
+        res.status(201).json({
+            message: 'Device group created successfully',
+            deviceGroup: formatDeviceGroup({ ...group, device_count: 0, team_count: 0 })
+        });
+
+    } catch (error) {
+        console.error('Create device group error:', error);
+        res.status(500).json({ error: 'Failed to create device group' });
+    }
+});
+
+// GET /api/organizations/:organizationId/groups/:groupId - Device group with
+// the devices the caller can see and the teams it is shared with
+router.get('/:organizationId/groups/:groupId', requireMembership, async (req, res) => {
+    try {
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        const [devices, teams] = await Promise.all([
+            db.getDeviceGroupDevices(group.id),
+            db.getDeviceGroupTeams(group.id)
+        ]);
+
+        // Operators and viewers only see devices of groups shared with their teams
+        const visibleDevices = [];
+        for (const device of devices) {
+            const access = await getDeviceAccess(db, req.user.id, device.device_id);
+            if (access) {
+                visibleDevices.push({
+                    id: device.device_id,
+                    name: device.device_name,
+                    model: device.device_model,
+                    ownerId: device.user_id,
+                    accessRole: access.role,
+                    addedAt: device.added_at
+                });
+            }
+        }
+
+        res.json({
+            deviceGroup: formatDeviceGroup({ ...group, device_count: devices.length, team_count: teams.length }),
+            devices: visibleDevices,
+            teams: teams.map(team => ({ id: team.id, name: team.name }))
+        });
+
+    } catch (error) {
+        console.error('Get device group error:', error);
+        res.status(500).json({ error: 'Failed to get device group' });
+    }
+});
+
+// PUT /api/organizations/:organizationId/groups/:groupId - Update a device group
+router.put('/:organizationId/groups/:groupId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        const { name = group.name, description = group.description } = req.body;
+
+        const nameError = validateName(name, 'Group name');
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        await db.updateDeviceGroup(group.id, { name: name.trim(), description: description });
+
+        res.json({
+            message: 'Device group updated successfully',
+            deviceGroup: formatDeviceGroup(await db.getDeviceGroupById(group.id))
+        });
+
+    } catch (error) {
+        console.error('Update device group error:', error);
+        res.status(500).json({ error: 'Failed to update device group' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId/groups/:groupId - Delete a device group
+router.delete('/:organizationId/groups/:groupId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        await db.deleteDeviceGroup(group.id);
+
+        res.json({ message: 'Device group deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete device group error:', error);
+        res.status(500).json({ error: 'Failed to delete device group' });
+    }
+});
+
+// POST /api/organizations/:organizationId/groups/:groupId/devices - Add one of
+// the caller's own devices to a group
+router.post('/:organizationId/groups/:groupId/devices', requireMembership, requireManager, async (req, res) => {
+    try {
+        const { deviceId } = req.body;
+
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        // Only the registering account can share a device
+        const access = await getDeviceAccess(db, req.user.id, deviceId);
+        if (!can(access, 'own')) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const result = await db.addDeviceToGroup(group.id, deviceId, req.user.id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'Device is already in the group' });
+        }
+
+        await db.logDeviceActivity(
+            deviceId,
+            'group_added',
+            `Device added to group "${group.name}" of organization "${req.organization.name}" by ${req.user.username}`
+        );
+
+        res.status(201).json({
+            message: 'Device added to group successfully',
+            groupId: group.id,
+            deviceId: deviceId
+        });
+
+    } catch (error) {
+        console.error('Add group device error:', error);
+        res.status(500).json({ error: 'Failed to add device to group' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId/groups/:groupId/devices/:deviceId -
+// Remove a device from a group (managers or the device's owner)
+router.delete('/:organizationId/groups/:groupId/devices/:deviceId', requireMembership, async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        const device = await db.getDeviceById(deviceId);
+        if (!canManageOrganization(req.membership.role) && (!device || device.user_id !== req.user.id)) {
+            return res.status(403).json({ error: 'Only organization owners and admins can do this' });
+        }
+
+        const result = await db.removeDeviceFromGroup(group.id, deviceId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Device is not in the group' });
+        }
+
+        if (device) {
+            await db.logDeviceActivity(
+                deviceId,
+                'group_removed',
+                `Device removed from group "${group.name}" of organization "${req.organization.name}" by ${req.user.username}`
+            );
+        }
+
+        res.json({ message: 'Device removed from group successfully' });
+
+    } catch (error) {
+        console.error('Remove group device error:', error);
+        res.status(500).json({ error: 'Failed to remove device from group' });
+    }
+});
+
+// POST /api/organizations/:organizationId/groups/:groupId/teams - Share a group with a team
+router.post('/:organizationId/groups/:groupId/teams', requireMembership, requireManager, async (req, res) => {
+    try {
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        const team = req.body.teamId && await db.getTeamById(req.body.teamId);
+        if (!team || team.organization_id !== req.organization.id) {
+            return res.status(400).json({ error: 'teamId must be a team of the organization' });
+        }
+
+        const result = await db.shareDeviceGroup(group.id, team.id);
+        if (result.changes === 0) {
+            return res.status(409).json({ error: 'Group is already shared with the team' });
+        }
+
+        res.status(201).json({
+            message: 'Device group shared successfully',
+            groupId: group.id,
+            teamId: team.id
+        });
+
+    } catch (error) {
+        console.error('Share device group error:', error);
+        res.status(500).json({ error: 'Failed to share device group' });
+    }
+});
+
+// DELETE /api/organizations/:organizationId/groups/:groupId/teams/:teamId - Stop sharing a group with a team
+router.delete('/:organizationId/groups/:groupId/teams/:teamId', requireMembership, requireManager, async (req, res) => {
+    try {
+        const group = await db.getDeviceGroupById(req.params.groupId);
+        if (!group || group.organization_id !== req.organization.id) {
+            return res.status(404).json({ error: 'Device group not found' });
+        }
+
+        const result = await db.unshareDeviceGroup(group.id, req.params.teamId);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Group is not shared with the team' });
+        }
+
+        res.json({ message: 'Device group unshared successfully' });
+
+    } catch (error) {
+        console.error('Unshare device group error:', error);
+        res.status(500).json({ error: 'Failed to unshare device group' });
+    }
+});
+
+// Helper function to validate organization, team and group names
+function validateName(name, label) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return `${label} is required`;
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `${label} must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Whether a member with `actorRole` may move someone from `fromRole` (null
+// when adding) to `toRole` (null when removing). Admins can't touch owners or
+// make new ones. Returns { error, status } or null.
+function checkRoleChange(actorRole, fromRole, toRole) {
+    if (toRole !== null && !ORGANIZATION_ROLES.includes(toRole)) {
+        return { error: `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}`, status: 400 };
+    }
+    if (actorRole !== 'owner' && (fromRole === 'owner' || toRole === 'owner')) {
+        return { error: 'Only organization owners can add, change or remove owners', status: 403 };
+    }
+    return null;
+}
+
+function formatOrganization(organization) {
+    return {
+        id: organization.id,
+        name: organization.name,
+        role: organization.role,
+        memberCount: organization.member_count,
+        createdBy: organization.created_by,
+        createdAt: organization.created_at,
+        updatedAt: organization.updated_at
+    };
+}
+
+function formatMember(member) {
+    return {
+        userId: member.user_id,
+        username: member.username,
+        email: member.email,
+        role: member.role,
+        addedBy: member.added_by,
+        createdAt: member.created_at
+    };
+}
+
+function formatTeam(team) {
+    return {
+        id: team.id,
+        name: team.name,
+        memberCount: team.member_count,
+        createdAt: team.created_at
+    };
+}
+
+function formatTeamMember(member) {
+    return {
+        userId: member.user_id,
+        username: member.username,
+        addedAt: member.created_at
+    };
+}
+
+function formatDeviceGroup(group) {
+    return {
+        id: group.id,
+        name: group.name,
+        description: group.description,
+        deviceCount: group.device_count,
+        teamCount: group.team_count,
+        createdAt: group.created_at
+    };
+}
+
+    return router;
+}
+
+module.exports = createOrganizationRoutes;
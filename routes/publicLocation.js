@@ -0,0 +1,61 @@
+const express = require('express');
+
+// How many positions a trail link returns at most
+const TRAIL_LIMIT = 500;
+
+// Read-only access to a device's position through a public location link.
+// There is no login; the signed link token is the only credential.
+function createPublicLocationRoutes(db, verifyLocationLink) {
+    const router = express.Router();
+
+// GET /api/public/locations/:token - Position (and trail) behind a location link
+router.get('/:token', async (req, res) => {
+    try {
+        // Positions must not linger in shared caches
+        res.set('Cache-Control', 'no-store');
+
+        const link = await verifyLocationLink(req.params.token);
+        if (!link) {
+            return res.status(404).json({ error: 'Link not found or expired' });
+        }
+
+        const since = link.mode === 'trail'
+            ? new Date(Date.now() - link.trail_hours * 60 * 60 * 1000).toISOString()
+            : null;
+        const [location, trail] = await Promise.all([
+            db.getLatestLocation(link.device_id),
+            since ? db.getLocationHistory(link.device_id, TRAIL_LIMIT, since) : null
+        ]);
+
+        await db.recordLocationLinkView(link.id);
+
+        res.json({
+            device: { name: link.device_name },
+            label: link.label,
+            mode: link.mode,
+            expiresAt: link.expires_at,
+            location: location ? formatPublicLocation(location) : null,
+            trail: trail ? trail.map(formatPublicLocation) : undefined
+        });
+
+    } catch (error) {
+        console.error('Public location error:', error);
+        res.status(500).json({ error: 'Failed to get location' });
+    }
+});
+
+// Helper function to limit a location row to what a public link may show
+function formatPublicLocation(location) {
+    return {
+        latitude: location.latitude,
+        longitude: location.longitude,
+        accuracy: location.accuracy,
+        speed: location.speed,
+        timestamp: location.timestamp
+    };
+}
+
+    return router;
+}
+
+module.exports = createPublicLocationRoutes;
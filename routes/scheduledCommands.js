@@ -0,0 +1,255 @@
+const express = require('express');
+const cron = require('node-cron');
+const CommandDispatcher = require('../services/commandDispatcher');
+const CommandScheduler = require('../services/commandScheduler');
+const { commandScope, requestHasScope, scopeError } = require('../services/apiKeys');
+const { can, commandPermission, getDeviceAccess, permissionError } = require('../services/permissions');
+
+function createScheduledCommandRoutes(db, authenticate, commandScheduler) {
+    const router = express.Router();
+
+// Apply authentication to all scheduled command routes
+router.use(authenticate);
+
+// GET /api/scheduled-commands - List scheduled commands (optionally for one device)
+router.get('/', async (req, res) => {
+    try {
+        const { deviceId } = req.query;
+
+        const schedules = await db.getScheduledCommandsByUserId(req.user.id, deviceId || null);
+
+        res.json({
+            scheduledCommands: schedules.map(formatSchedule),
+            count: schedules.length
+        });
+
+    } catch (error) {
+        console.error('Get scheduled commands error:', error);
+        res.status(500).json({ error: 'Failed to get scheduled commands' });
+    }
+});
+
+// GET /api/scheduled-commands/:scheduleId - Get one scheduled command
+router.get('/:scheduleId', async (req, res) => {
+    try {
+        const schedule = await db.getScheduledCommandById(req.params.scheduleId);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Scheduled command not found' });
+        }
+
+        res.json({ scheduledCommand: formatSchedule(schedule) });
+
+    } catch (error) {
+        console.error('Get scheduled command error:', error);
+        res.status(500).json({ error: 'Failed to get scheduled command' });
+    }
+});
+
+// POST /api/scheduled-commands - Schedule a delayed or recurring command
+router.post('/', async (req, res) => {
+    try {
+        const {
+            deviceId,
+            commandType,
+            commandData = {},
+            runAt,
+            cron: cronExpression,
+            timezone,
+            ttl,
+            description,
+            isActive = true
+        } = req.body;
+
+        if (!deviceId) {
+            return res.status(400).json({ error: 'Device ID is required' });
+        }
+
+        const access = await getDeviceAccess(db, req.user.id, deviceId);
+        if (!access) {
+            return res.status(404).json({ error: 'Device not found' });
+        }
+
+        const validationError = validateSchedule({ commandType, commandData, runAt, cronExpression, timezone, ttl })
+            || (runAt && new Date(runAt) <= new Date() ? 'runAt must be in the future' : null);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const scope = commandScope(commandType);
+        if (!requestHasScope(req, scope)) {
+            return res.status(403).json({ error: scopeError(scope) });
+        }
+
+        const permission = commandPermission(commandType);
+        if (!can(access, permission)) {
+            return res.status(403).json({ error: permissionError(permission) });
+        }
+
+        const result = await db.createScheduledCommand({
+            device_id: deviceId,
+            user_id: req.user.id,
+            command_type: commandType,
+            command_data: commandData,
+            run_at: runAt ? new Date(runAt).toISOString() : null,
+            cron_expression: cronExpression || null,
+            timezone: timezone || null,
+            ttl: ttl || null,
+            description: description || null,
+            is_active: isActive
+        });
+        const schedule = await db.getScheduledCommandById(result.id);
+        commandScheduler.schedule(schedule);
+
+        res.status(201).json({
+            message: 'Command scheduled successfully',
+            scheduledCommand: formatSchedule(schedule)
+        });
+
+    } catch (error) {
+        console.error('Create scheduled command error:', error);
+        res.status(500).json({ error: 'Failed to schedule command' });
+    }
+});
+
+// PUT /api/scheduled-commands/:scheduleId - Update a scheduled command
+router.put('/:scheduleId', async (req, res) => {
+    try {
+        const schedule = await db.getScheduledCommandById(req.params.scheduleId);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Scheduled command not found' });
+        }
+
+        // Switching between one-off and recurring clears the other field
+        const switchesToCron = req.body.cron !== undefined && req.body.runAt === undefined;
+        const switchesToRunAt = req.body.runAt !== undefined && req.body.cron === undefined;
+
+        const {
+            commandType = schedule.command_type,
+            commandData = schedule.command_data ? JSON.parse(schedule.command_data) : {},
+            runAt = switchesToCron ? null : schedule.run_at,
+            cron: cronExpression = switchesToRunAt ? null : schedule.cron_expression,
+            timezone = schedule.timezone,
+            ttl = schedule.ttl,
+            description = schedule.description,
+            isActive = schedule.is_active === 1
+        } = req.body;
+
+        const validationError = validateSchedule({ commandType, commandData, runAt, cronExpression, timezone, ttl })
+            || (req.body.runAt && new Date(runAt) <= new Date() ? 'runAt must be in the future' : null);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // Editing needs the scope of both the old and the new command
+        const scope = [schedule.command_type, commandType].map(commandScope).find(s => !requestHasScope(req, s));
+        if (scope) {
+            return res.status(403).json({ error: scopeError(scope) });
+        }
+
+        await db.updateScheduledCommand(schedule.id, {
+            command_type: commandType,
+            command_data: commandData,
+            run_at: runAt ? new Date(runAt).toISOString() : null,
+            cron_expression: cronExpression || null,
+            timezone: timezone || null,
+            ttl: ttl || null,
+            description: description || null,
+            is_active: isActive
+        });
+        const updatedSchedule = await db.getScheduledCommandById(schedule.id);
+        commandScheduler.schedule(updatedSchedule);
+
+        res.json({
+            message: 'Scheduled command updated successfully',
+            scheduledCommand: formatSchedule(updatedSchedule)
+        });
+
+    } catch (error) {
+        console.error('Update scheduled command error:', error);
+        res.status(500).json({ error: 'Failed to update scheduled command' });
+    }
+});
+
+// DELETE /api/scheduled-commands/:scheduleId - Delete a scheduled command
+router.delete('/:scheduleId', async (req, res) => {
+    try {
+        const schedule = await db.getScheduledCommandById(req.params.scheduleId);
+        if (!schedule || schedule.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Scheduled command not found' });
+        }
+
+        const scope = commandScope(schedule.command_type);
+        if (!requestHasScope(req, scope)) {
+            return res.status(403).json({ error: scopeError(scope) });
+        }
+
+        commandScheduler.unschedule(schedule.id);
+        await db.deleteScheduledCommand(schedule.id);
+
+        res.json({ message: 'Scheduled command deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete scheduled command error:', error);
+        res.status(500).json({ error: 'Failed to delete scheduled command' });
+    }
+});
+
+// Helper function to validate the command and its timing
+function validateSchedule({ commandType, commandData, runAt, cronExpression, timezone, ttl }) {
+    if (!CommandScheduler.SCHEDULABLE_COMMANDS.includes(commandType)) {
+        return `commandType must be one of: ${CommandScheduler.SCHEDULABLE_COMMANDS.join(', ')}`;
+    }
+
+    if (typeof commandData !== 'object' || commandData === null || Array.isArray(commandData)) {
+        return 'commandData must be an object';
+    }
+
+    if (!runAt === !cronExpression) {
+        return 'Provide either runAt (one-off) or cron (recurring)';
+    }
+
+    if (runAt && isNaN(new Date(runAt).getTime())) {
+        return 'runAt must be a valid date';
+    }
+
+    if (cronExpression && !cron.validate(cronExpression)) {
+        return 'Invalid cron expression';
+    }
+
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return 'Invalid timezone';
+        }
+    }
+
+    return CommandDispatcher.validateTtl(ttl);
+}
+
+function formatSchedule(schedule) {
+    return {
+        id: schedule.id,
+        deviceId: schedule.device_id,
+        commandType: schedule.command_type,
+        commandData: schedule.command_data ? JSON.parse(schedule.command_data) : {},
+        runAt: schedule.run_at,
+        cron: schedule.cron_expression,
+        timezone: schedule.timezone,
+        ttl: schedule.ttl,
+        description: schedule.description,
+        isActive: schedule.is_active === 1,
+        runCount: schedule.run_count,
+        lastRunAt: schedule.last_run_at,
+        lastCommandId: schedule.last_command_id,
+        lastError: schedule.last_error,
+        lastErrorAt: schedule.last_error_at,
+        createdAt: schedule.created_at,
+        updatedAt: schedule.updated_at
+    };
+}
+
+    return router;
+}
+
+module.exports = createScheduledCommandRoutes;
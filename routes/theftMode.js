@@ -0,0 +1,107 @@
+const express = require('express');
+const TheftMode = require('../services/theftMode');
+const { requireMethodScope, requireScope } = require('../services/apiKeys');
+const { requireDevicePermission } = require('../services/permissions');
+
+function createTheftModeRoutes(db, authenticate, theftMode) {
+    const router = express.Router();
+
+// Apply authentication to all theft mode routes
+router.use(authenticate);
+
+// GET /api/theft/playbook - The user's theft playbook (defaults for unsaved settings)
+router.get('/playbook', requireMethodScope, async (req, res) => {
+    try {
+        const playbook = await theftMode.getPlaybook(req.user.id);
+
+        res.json({ playbook: playbook });
+
+    } catch (error) {
+        console.error('Get theft playbook error:', error);
+        res.status(500).json({ error: 'Failed to get theft playbook' });
+    }
+});
+
+// PUT /api/theft/playbook - Change playbook settings; omitted settings are kept
+// Body: { lock, lockMessage, trackingProfile, requestLocation, alarm,
+//         alarmDuration, snapshotTrailHours, contacts }
+router.put('/playbook', requireMethodScope, async (req, res) => {
+    try {
+        const result = await theftMode.savePlaybook(req.user.id, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Theft playbook saved',
+            playbook: result.playbook
+        });
+
+    } catch (error) {
+        console.error('Save theft playbook error:', error);
+        res.status(500).json({ error: 'Failed to save theft playbook' });
+    }
+});
+
+// POST /api/theft/:deviceId/stolen - Mark a device as stolen and run the owner's playbook
+// Body: { notes, playbook: { ...settings to override for this case } }
+router.post('/:deviceId/stolen', requireScope('lock'), requireDevicePermission(db, 'control'), async (req, res) => {
+    try {
+        const { notes, playbook } = req.body;
+
+        const result = await theftMode.markStolen(req.user, req.deviceAccess, { notes, playbook });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json({
+            message: 'Device marked as stolen',
+            theftCase: TheftMode.format(result.theftCase)
+        });
+
+    } catch (error) {
+        console.error('Mark stolen error:', error);
+        res.status(500).json({ error: 'Failed to mark device as stolen' });
+    }
+});
+
+// POST /api/theft/:deviceId/recovered - Reverse the playbook and close the open case
+router.post('/:deviceId/recovered', requireScope('lock'), requireDevicePermission(db, 'control'), async (req, res) => {
+    try {
+        const result = await theftMode.markRecovered(req.user, req.deviceAccess, { notes: req.body.notes });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: 'Device marked as recovered',
+            theftCase: TheftMode.format(result.theftCase)
+        });
+
+    } catch (error) {
+        console.error('Mark recovered error:', error);
+        res.status(500).json({ error: 'Failed to mark device as recovered' });
+    }
+});
+
+// GET /api/theft/:deviceId/cases - Theft cases of a device, newest first
+router.get('/:deviceId/cases', requireScope('read-only'), requireDevicePermission(db, 'view'), async (req, res) => {
+    try {
+        const cases = await db.getTheftCasesByDeviceId(req.device.device_id);
+
+        res.json({
+            deviceId: req.device.device_id,
+            stolen: Boolean(req.device.theft_case_id),
+            cases: cases.map(TheftMode.format)
+        });
+
+    } catch (error) {
+        console.error('Get theft cases error:', error);
+        res.status(500).json({ error: 'Failed to get theft cases' });
+    }
+});
+
+    return router;
+}
+
+module.exports = createTheftModeRoutes;
@@ -0,0 +1,227 @@
+const express = require('express');
+const crypto = require('crypto');
+const DeviceEvents = require('../services/deviceEvents');
+const WebhookDispatcher = require('../services/webhookDispatcher');
+const { requireMethodScope } = require('../services/apiKeys');
+
+function createWebhookRoutes(db, authenticate, webhookDispatcher) {
+    const router = express.Router();
+
+// Apply authentication to all webhook routes
+router.use(authenticate, requireMethodScope);
+
+// GET /api/webhooks/events - List events that can be subscribed to
+router.get('/events', (req, res) => {
+    res.json({
+        events: DeviceEvents.EVENT_TYPES,
+        wildcard: '*'
+    });
+});
+
+// GET /api/webhooks - List user webhooks
+router.get('/', async (req, res) => {
+    try {
+        const webhooks = await db.getWebhooksByUserId(req.user.id);
+
+        res.json({
+            webhooks: webhooks.map(formatWebhook),
+            count: webhooks.length
+        });
+
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({ error: 'Failed to get webhooks' });
+    }
+});
+
+// POST /api/webhooks - Create webhook subscription
+router.post('/', async (req, res) => {
+    try {
+        const { url, events = ['*'], secret, description } = req.body;
+
+        const validationError = validateWebhook(url, events);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // The secret is only returned here, so generate one if none was given
+        const webhookSecret = secret || crypto.randomBytes(32).toString('hex');
+
+        const result = await db.createWebhook(req.user.id, url, events, webhookSecret, description || null);
+        const webhook = await db.getWebhookById(result.id);
+
+        res.status(201).json({
+            message: 'Webhook created successfully',
+            webhook: formatWebhook(webhook),
+            secret: webhookSecret
+        });
+
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+// PUT /api/webhooks/:webhookId - Update webhook subscription
+router.put('/:webhookId', async (req, res) => {
+    try {
+        const webhook = await db.getWebhookById(req.params.webhookId);
+        if (!webhook || webhook.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const {
+            url = webhook.url,
+            events = JSON.parse(webhook.events),
+            isActive = webhook.is_active === 1,
+            description = webhook.description
+        } = req.body;
+
+        const validationError = validateWebhook(url, events);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await db.updateWebhook(webhook.id, url, events, isActive, description);
+        const updatedWebhook = await db.getWebhookById(webhook.id);
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook: formatWebhook(updatedWebhook)
+        });
+
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+// DELETE /api/webhooks/:webhookId - Delete webhook subscription
+router.delete('/:webhookId', async (req, res) => {
+    try {
+        const webhook = await db.getWebhookById(req.params.webhookId);
+        if (!webhook || webhook.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        await db.deleteWebhook(webhook.id);
+
+        res.json({ message: 'Webhook deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+// GET /api/webhooks/:webhookId/deliveries - Get webhook delivery log
+router.get('/:webhookId/deliveries', async (req, res) => {
+    try {
+        const { limit = 50 } = req.query;
+
+        const webhook = await db.getWebhookById(req.params.webhookId);
+        if (!webhook || webhook.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const deliveries = await db.getWebhookDeliveries(webhook.id, parseInt(limit));
+
+        res.json({
+            deliveries: deliveries.map(formatDelivery),
+            count: deliveries.length
+        });
+
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({ error: 'Failed to get webhook deliveries' });
+    }
+});
+
+// POST /api/webhooks/:webhookId/test - Send a test event
+router.post('/:webhookId/test', async (req, res) => {
+    try {
+        const webhook = await db.getWebhookById(req.params.webhookId);
+        if (!webhook || webhook.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        const delivery = await webhookDispatcher.sendTest(webhook);
+
+        res.json({
+            message: describeTestDelivery(delivery),
+            delivery: formatDelivery(delivery)
+        });
+
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({ error: 'Failed to send test event' });
+    }
+});
+
+// Helper function to validate webhook URL and event filter
+function validateWebhook(url, events) {
+    if (!url) {
+        return 'Webhook URL is required';
+    }
+
+    try {
+        const parsed = new URL(url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return 'Webhook URL must use http or https';
+        }
+        const destinationError = WebhookDispatcher.checkDestination(parsed);
+        if (destinationError) {
+            return destinationError;
+        }
+    } catch (error) {
+        return 'Invalid webhook URL';
+    }
+
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'Events must be a non-empty array';
+    }
+
+    const unknownEvents = events.filter(e => e !== '*' && !DeviceEvents.EVENT_TYPES.includes(e));
+    if (unknownEvents.length > 0) {
+        return `Unknown events: ${unknownEvents.join(', ')}`;
+    }
+
+    return null;
+}
+
+// Helper function to shape a webhook row without exposing its secret
+function formatWebhook(webhook) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: JSON.parse(webhook.events),
+        description: webhook.description,
+        isActive: webhook.is_active === 1,
+        createdAt: webhook.created_at,
+        updatedAt: webhook.updated_at
+    };
+}
+
+// Helper function to describe the outcome of a test delivery; only pending
+// deliveries have another attempt scheduled
+function describeTestDelivery(delivery) {
+    if (delivery.status === 'succeeded') {
+        return 'Test event delivered successfully';
+    }
+    if (delivery.status === 'pending' && delivery.next_attempt_at) {
+        return `Test event delivery failed (${delivery.error}), it will be retried at ${delivery.next_attempt_at}`;
+    }
+    return `Test event delivery failed (${delivery.error || 'unknown error'}) and will not be retried`;
+}
+
+function formatDelivery(delivery) {
+    return {
+        ...delivery,
+        payload: JSON.parse(delivery.payload)
+    };
+}
+
+    return router;
+}
+
+module.exports = createWebhookRoutes;
@@ -0,0 +1,215 @@
+const express = require('express');
+const WipeApprovals = require('../services/wipeApprovals');
+const { verifySecondFactor } = require('../services/secondFactor');
+const { requireScope } = require('../services/apiKeys');
+
+function createWipeRequestRoutes(db, authenticate, wipeApprovals) {
+    const router = express.Router();
+
+// Apply authentication to all wipe request routes
+router.use(authenticate);
+
+// GET /api/wipe-requests/settings - Get approver and cool-down for the user's wipes
+router.get('/settings', async (req, res) => {
+    try {
+        const approver = req.user.wipe_approver_id
+            ? await db.getUserById(req.user.wipe_approver_id)
+            : null;
+
+        res.json({
+            approverUsername: approver ? approver.username : null,
+            cooldownMinutes: req.user.wipe_cooldown_minutes || 0
+        });
+
+    } catch (error) {
+        console.error('Get wipe settings error:', error);
+        res.status(500).json({ error: 'Failed to get wipe settings' });
+    }
+});
+
+// PUT /api/wipe-requests/settings - Designate an approver and default cool-down
+router.put('/settings', requireScope('admin'), async (req, res) => {
+    try {
+        const { password, totpCode, approverUsername, cooldownMinutes = req.user.wipe_cooldown_minutes || 0 } = req.body;
+
+        // Loosening these settings must not be possible with a stolen API key alone
+        const factorError = await verifySecondFactor(db, req.user, { password, totpCode });
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
+
+        const cooldown = Number(cooldownMinutes);
+        if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > WipeApprovals.MAX_COOLDOWN_MINUTES) {
+            return res.status(400).json({
+                error: `cooldownMinutes must be between 0 and ${WipeApprovals.MAX_COOLDOWN_MINUTES}`
+            });
+        }
+
+        let approverId = req.user.wipe_approver_id || null;
+        if (approverUsername !== undefined) {
+            approverId = null;
+            if (approverUsername) {
+                const approver = await db.getUserByUsername(approverUsername);
+                if (!approver) {
+                    return res.status(404).json({ error: 'Approver not found' });
+                }
+                if (approver.id === req.user.id) {
+                    return res.status(400).json({ error: 'The approver must be a different user' });
+                }
+                approverId = approver.id;
+            }
+        }
+
+        await db.updateWipeSettings(req.user.id, approverId, cooldown);
+
+        const approver = approverId ? await db.getUserById(approverId) : null;
+        res.json({
+            message: 'Wipe settings updated successfully',
+            approverUsername: approver ? approver.username : null,
+            cooldownMinutes: cooldown
+        });
+
+    } catch (error) {
+        console.error('Update wipe settings error:', error);
+        res.status(500).json({ error: 'Failed to update wipe settings' });
+    }
+});
+
+// GET /api/wipe-requests - List wipes the user requested or has to approve
+router.get('/', async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        const requests = await db.getWipeRequestsForUser(req.user.id, status || null);
+
+        res.json({
+            wipeRequests: requests.map(formatWipeRequest),
+            count: requests.length
+        });
+
+    } catch (error) {
+        console.error('Get wipe requests error:', error);
+        res.status(500).json({ error: 'Failed to get wipe requests' });
+    }
+});
+
+// GET /api/wipe-requests/:requestId - Get one wipe request
+router.get('/:requestId', async (req, res) => {
+    try {
+        const request = await db.getWipeRequestById(req.params.requestId);
+        if (!request || (request.user_id !== req.user.id && request.approver_id !== req.user.id)) {
+            return res.status(404).json({ error: 'Wipe request not found' });
+        }
+
+        res.json({ wipeRequest: formatWipeRequest(request) });
+
+    } catch (error) {
+        console.error('Get wipe request error:', error);
+        res.status(500).json({ error: 'Failed to get wipe request' });
+    }
+});
+
+// POST /api/wipe-requests/:requestId/approve - Approve as the designated approver
+router.post('/:requestId/approve', requireScope('wipe'), async (req, res) => {
+    try {
+        const request = await db.getWipeRequestById(req.params.requestId);
+        if (!request || request.approver_id !== req.user.id) {
+            return res.status(404).json({ error: 'Wipe request not found' });
+        }
+
+        const factorError = await verifySecondFactor(db, req.user, {
+            password: req.body.password,
+            totpCode: req.body.totpCode
+        });
+        if (factorError) {
+            return res.status(403).json({ error: factorError });
+        }
+
+        const result = await wipeApprovals.approve(request, req.user);
+        if (!result) {
+            return res.status(409).json({ error: 'Wipe request is no longer awaiting approval' });
+        }
+
+        res.json({
+            message: result.command
+                ? 'Wipe request approved, factory reset command sent'
+                : 'Wipe request approved, it will be released when the cool-down ends',
+            wipeRequest: formatWipeRequest(result.request)
+        });
+
+    } catch (error) {
+        console.error('Approve wipe request error:', error);
+        res.status(500).json({ error: 'Failed to approve wipe request' });
+    }
+});
+
+// POST /api/wipe-requests/:requestId/reject - Reject as the designated approver
+router.post('/:requestId/reject', requireScope('wipe'), async (req, res) => {
+    try {
+        const request = await db.getWipeRequestById(req.params.requestId);
+        if (!request || request.approver_id !== req.user.id) {
+            return res.status(404).json({ error: 'Wipe request not found' });
+        }
+
+        const rejected = await wipeApprovals.abort(request, req.user, 'rejected', req.body.reason || null);
+        if (!rejected) {
+            return res.status(409).json({ error: 'Wipe request is no longer pending' });
+        }
+
+        res.json({
+            message: 'Wipe request rejected',
+            wipeRequest: formatWipeRequest(rejected)
+        });
+
+    } catch (error) {
+        console.error('Reject wipe request error:', error);
+        res.status(500).json({ error: 'Failed to reject wipe request' });
+    }
+});
+
+// POST /api/wipe-requests/:requestId/abort - Abort a pending wipe (requester or approver)
+router.post('/:requestId/abort', requireScope('wipe'), async (req, res) => {
+    try {
+        const request = await db.getWipeRequestById(req.params.requestId);
+        if (!request || (request.user_id !== req.user.id && request.approver_id !== req.user.id)) {
+            return res.status(404).json({ error: 'Wipe request not found' });
+        }
+
+        const aborted = await wipeApprovals.abort(request, req.user, 'aborted', req.body.reason || null);
+        if (!aborted) {
+            return res.status(409).json({ error: 'Wipe request is no longer pending' });
+        }
+
+        res.json({
+            message: 'Wipe request aborted',
+            wipeRequest: formatWipeRequest(aborted)
+        });
+
+    } catch (error) {
+        console.error('Abort wipe request error:', error);
+        res.status(500).json({ error: 'Failed to abort wipe request' });
+    }
+});
+
+function formatWipeRequest(request) {
+    return {
+        id: request.id,
+        deviceId: request.device_id,
+        requestedBy: request.user_id,
+        status: request.status,
+        requiresApproval: request.requires_approval === 1,
+        approverId: request.approver_id,
+        approvedAt: request.approved_at,
+        releaseAt: request.release_at,
+        commandId: request.command_id,
+        resolvedBy: request.resolved_by,
+        resolvedAt: request.resolved_at,
+        reason: request.reason,
+        createdAt: request.created_at
+    };
+}
+
+    return router;
+}
+
+module.exports = createWipeRequestRoutes;
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+// Offline check of a signed ledger export (GET /api/ledger/:deviceId/export).
+//
+//   node scripts/verify-ledger-export.js ledger.json [public-key.pem]
+//
+// Verifies the Ed25519 signature and recomputes the hash chain. Pass the
+// server's public key (GET /api/ledger/public-key) obtained separately to
+// make sure the export was signed by that server and not just by the key it
+// carries. Exits with 0 if the export is intact, 1 otherwise.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { canonicalJson, findBrokenLink } = require('../utils/ledger');
+
+function verifyExport(file, trustedKeyPem) {
+    const { signature, ...body } = file;
+    if (body.format !== 'alpha-security-ledger' || !signature || !Array.isArray(body.entries)) {
+        return 'Not a ledger export';
+    }
+
+    const publicKey = crypto.createPublicKey(trustedKeyPem || body.publicKey);
+    const signed = crypto.verify(
+        null,
+        Buffer.from(canonicalJson(body)),
+        publicKey,
+        Buffer.from(signature.value, 'base64')
+    );
+    if (!signed) {
+        return 'Signature does not match: the export was altered or signed with another key';
+    }
+
+    const foreign = body.entries.find(entry => entry.deviceId !== body.device.id);
+    if (foreign) {
+        return `Entry ${foreign.sequence} belongs to another device`;
+    }
+
+    const broken = findBrokenLink(body.entries);
+    if (broken) {
+        return `Chain broken at entry ${broken.sequence}: ${broken.reason}`;
+    }
+
+    const head = body.entries.length > 0 ? body.entries[body.entries.length - 1].hash : null;
+    if (head !== body.headHash) {
+        return 'Last entry does not match the head hash';
+    }
+    return null;
+}
+
+const [exportPath, keyPath] = process.argv.slice(2);
+if (!exportPath) {
+    console.error('Usage: node scripts/verify-ledger-export.js <export.json> [public-key.pem]');
+    process.exit(2);
+}
+
+const file = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+const error = verifyExport(file, keyPath ? fs.readFileSync(keyPath, 'utf8') : null);
+if (error) {
+    console.error(`❌ ${error}`);
+    process.exit(1);
+}
+
+console.log(`✅ ${file.entries.length} entries for device ${file.device.id} are intact (head ${file.headHash})`);
+if (!keyPath) {
+    console.log(`ℹ️ Checked against the key in the export (fingerprint ${file.publicKeyFingerprint}); pass the server's public key to pin it`);
+}
+if (!file.verification.valid) {
+    console.log(`⚠️ The server reported problems when it exported: ${JSON.stringify(file.verification.firstBrokenLink || file.verification.unrecorded)}`);
+}
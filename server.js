@@ -10,11 +10,57 @@ const path = require('path');
 require('dotenv').config();
 
 const Database = require('./database');
+const GeofenceMonitor = require('./services/geofenceMonitor');
+const DeviceEvents = require('./services/deviceEvents');
+const WebhookDispatcher = require('./services/webhookDispatcher');
+const Mailer = require('./services/mailer');
+const EmailNotifier = require('./services/emailNotifier');
+const JobScheduler = require('./services/jobScheduler');
+const CommandDispatcher = require('./services/commandDispatcher');
+const CommandScheduler = require('./services/commandScheduler');
+const WipeApprovals = require('./services/wipeApprovals');
+const registerMaintenanceJobs = require('./services/maintenanceJobs');
+const createSocketAuth = require('./services/socketAuth');
+const { createAuditMiddleware } = require('./services/auditLog');
+const createAuthentication = require('./services/authentication');
+const UserService = require('./services/userService');
+const LoginGuard = require('./services/loginGuard');
+const DeviceShares = require('./services/deviceShares');
+const Ledger = require('./services/ledger');
+const TheftMode = require('./services/theftMode');
+const Evidence = require('./services/evidence');
 const createAuthRoutes = require('./routes/auth');
 const createDeviceRoutes = require('./routes/devices');
 const createLocationRoutes = require('./routes/location');
 const createCommandRoutes = require('./routes/commands');
 const createDashboardRoutes = require('./routes/dashboard');
+const createWebhookRoutes = require('./routes/webhooks');
+const createNotificationRoutes = require('./routes/notifications');
+const createAdminRoutes = require('./routes/admin');
+const createScheduledCommandRoutes = require('./routes/scheduledCommands');
+const createWipeRequestRoutes = require('./routes/wipeRequests');
+const createOrganizationRoutes = require('./routes/organizations');
+const createDeviceShareRoutes = require('./routes/deviceShares');
+const createPublicLocationRoutes = require('./routes/publicLocation');
+const createLedgerRoutes = require('./routes/ledger');
+const createTheftModeRoutes = require('./routes/theftMode');
+const createEvidenceRoutes = require('./routes/evidence');
+
+// TRUST_PROXY: "false" (default), "true", a number of proxy hops, or
+// comma-separated addresses, CIDR ranges and names such as "loopback" or
+// "uniquelocal" as understood by Express
+function parseTrustProxy(value) {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
 
 class AlphaSecurityServer {
     constructor() {
@@ -28,11 +74,59 @@ class AlphaSecurityServer {
         });
         this.port = process.env.PORT || 3000;
         this.db = new Database();
+        this.auth = createAuthentication(this.db);
+        this.events = new DeviceEvents();
+        this.webhookDispatcher = new WebhookDispatcher(this.db);
+        this.mailer = new Mailer();
+        this.userService = new UserService(this.db, this.mailer);
+        this.loginGuard = new LoginGuard(this.db, this.mailer);
+        this.emailNotifier = new EmailNotifier(this.db, this.mailer);
+        this.jobScheduler = new JobScheduler(this.db);
+        this.geofenceMonitor = new GeofenceMonitor(this.db, this.io, this.events);
+        this.commandDispatcher = new CommandDispatcher(this.db, this.io, this.events);
+        this.commandScheduler = new CommandScheduler(this.db, this.commandDispatcher, this.events);
+        this.wipeApprovals = new WipeApprovals(this.db, this.io, this.commandDispatcher, this.events);
+        this.deviceShares = new DeviceShares(this.db, this.mailer);
+        this.ledger = new Ledger(this.db);
+        this.theftMode = new TheftMode(this.db, this.commandDispatcher, this.events, this.mailer);
+        this.evidence = new Evidence(this.db);
     }
 
     async initialize() {
         // Initialize database
         await this.db.initialize();
+
+        // Key that signs ledger exports
+        await this.ledger.initialize();
+
+        // Start delivering events to webhooks, including retries left over from
+        // a previous run
+        this.webhookDispatcher.attach(this.events);
+        await this.webhookDispatcher.resumePending();
+
+        // Email notifications (no-op unless SMTP is configured)
+        this.emailNotifier.attach(this.events);
+        if (!this.mailer.isEnabled) {
+            console.log('ℹ️ SMTP_HOST not set - email notifications disabled');
+        }
+
+        // Grant admin rights to the configured usernames
+        const adminUsernames = (process.env.ADMIN_USERNAMES || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        await this.db.promoteAdmins(adminUsernames);
+
+        // Start recurring maintenance jobs
+        registerMaintenanceJobs(this.jobScheduler, {
+            db: this.db,
+            events: this.events,
+            emailNotifier: this.emailNotifier,
+            commandScheduler: this.commandScheduler,
+            wipeApprovals: this.wipeApprovals
+        });
+        await this.jobScheduler.start();
+        await this.commandScheduler.start();
         
         // Setup middleware
         this.setupMiddleware();
@@ -48,6 +142,11 @@ class AlphaSecurityServer {
     }
 
     setupMiddleware() {
+        // Take client addresses from X-Forwarded-For only for the configured
+        // proxies; off by default so a directly exposed server can't be given
+        // a forged address
+        this.app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
         // Security middleware
         this.app.use(helmet({
             contentSecurityPolicy: false, // Allow dashboard to load
@@ -68,6 +167,14 @@ class AlphaSecurityServer {
         });
         this.app.use('/api/', limiter);
 
+        // Same limit for the dashboard API, counted separately
+        const dashboardLimiter = rateLimit({
+            windowMs: 15 * 60 * 1000,
+            max: 100,
+            message: 'Too many requests from this IP, please try again later.'
+        });
+        this.app.use('/dashboard/', dashboardLimiter);
+
         // Body parsing
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -78,23 +185,42 @@ class AlphaSecurityServer {
         // Logging
         this.app.use(morgan('combined'));
 
+        // Audit trail of every request that changes something
+        this.app.use(createAuditMiddleware(this.db));
+
         // Static files for dashboard
         this.app.use(express.static('public'));
     }
 
     setupRoutes() {
         // Create route instances with database
-        const authRoutes = createAuthRoutes(this.db);
-        const dashboardRoutes = createDashboardRoutes(this.db);
-        const deviceRoutes = createDeviceRoutes(this.db, authRoutes.authenticateApiKey);
-        const locationRoutes = createLocationRoutes(this.db, authRoutes.authenticateApiKey);
-        const commandRoutes = createCommandRoutes(this.db, authRoutes.authenticateApiKey);
+        const authRoutes = createAuthRoutes(this.db, this.auth, this.userService, this.loginGuard);
+        const dashboardRoutes = createDashboardRoutes(this.db, this.auth, this.userService, this.loginGuard);
+        const deviceRoutes = createDeviceRoutes(this.db, this.auth.authenticate, this.events, this.commandDispatcher, this.auth.authenticateDevice, this.evidence);
+        const locationRoutes = createLocationRoutes(this.db, this.auth.authenticate, this.geofenceMonitor, this.events, this.auth.authenticateDevice, this.auth.signLocationLink);
+        const commandRoutes = createCommandRoutes(this.db, this.auth.authenticate, this.events, this.commandDispatcher, this.wipeApprovals);
+        const webhookRoutes = createWebhookRoutes(this.db, this.auth.authenticate, this.webhookDispatcher);
+        const notificationRoutes = createNotificationRoutes(this.db, this.auth.authenticate, this.emailNotifier, this.mailer);
+        const adminRoutes = createAdminRoutes(this.db, this.auth.authenticate, this.jobScheduler);
+        const scheduledCommandRoutes = createScheduledCommandRoutes(this.db, this.auth.authenticate, this.commandScheduler);
+        const wipeRequestRoutes = createWipeRequestRoutes(this.db, this.auth.authenticate, this.wipeApprovals);
+        const organizationRoutes = createOrganizationRoutes(this.db, this.auth.authenticate);
+        const deviceShareRoutes = createDeviceShareRoutes(this.db, this.auth.authenticate, this.deviceShares);
+        const publicLocationRoutes = createPublicLocationRoutes(this.db, this.auth.verifyLocationLink);
+        const ledgerRoutes = createLedgerRoutes(this.db, this.auth.authenticate, this.ledger);
+        const theftModeRoutes = createTheftModeRoutes(this.db, this.auth.authenticate, this.theftMode);
+        const evidenceRoutes = createEvidenceRoutes(this.db, this.auth.authenticate, this.events, this.auth.authenticateDevice, this.evidence);
 
         // Dashboard HTML route
         this.app.get('/dashboard', (req, res) => {
             res.sendFile(path.join(__dirname, 'public', 'index.html'));
         });
 
+        // Public read-only page for location links
+        this.app.get('/share/:token', (req, res) => {
+            res.sendFile(path.join(__dirname, 'public', 'share.html'));
+        });
+
         // Dashboard API Routes
         this.app.use('/dashboard', dashboardRoutes);
 
@@ -103,6 +229,17 @@ class AlphaSecurityServer {
         this.app.use('/api/devices', deviceRoutes);
         this.app.use('/api/location', locationRoutes);
         this.app.use('/api/commands', commandRoutes);
+        this.app.use('/api/webhooks', webhookRoutes);
+        this.app.use('/api/notifications', notificationRoutes);
+        this.app.use('/api/admin', adminRoutes);
+        this.app.use('/api/scheduled-commands', scheduledCommandRoutes);
+        this.app.use('/api/wipe-requests', wipeRequestRoutes);
+        this.app.use('/api/organizations', organizationRoutes);
+        this.app.use('/api/shares', deviceShareRoutes);
+        this.app.use('/api/public/locations', publicLocationRoutes);
+        this.app.use('/api/ledger', ledgerRoutes);
+        this.app.use('/api/theft', theftModeRoutes);
+        this.app.use('/api/evidence', evidenceRoutes);
 
         // Health check
         this.app.get('/health', (req, res) => {
@@ -135,49 +272,143 @@ class AlphaSecurityServer {
     }
 
     setupWebSocket() {
+        // Every socket must authenticate during the handshake
+        this.io.use(createSocketAuth(this.db, this.auth, this.app.get('trust proxy fn')));
+
         this.io.on('connection', (socket) => {
-            console.log('Client connected:', socket.id);
+            const { user, clientType } = socket.data;
+            console.log(`Client connected: ${socket.id} (${clientType} of user ${user.id})`);
+
+            // Report a rejected event through its ack callback if one was given
+            const deny = (event, error, ack) => {
+                if (typeof ack === 'function') {
+                    ack({ error: error });
+                } else {
+                    socket.emit('request-denied', { event: event, error: error });
+                }
+            };
+
+            // Resolve a device id from a device client to a device owned by its
+            // user; sockets authenticated with a device token only get their device
+            const getOwnDevice = async (deviceId) => {
+                if (clientType !== 'device' || !deviceId) {
+                    return null;
+                }
+                if (socket.data.device && socket.data.device.device_id !== deviceId) {
+                    return null;
+                }
+                const device = await this.db.getDeviceById(deviceId);
+                return device && device.user_id === user.id ? device : null;
+            };
 
             // Join device room for real-time updates
-            socket.on('join-device', (deviceId) => {
-                socket.join(`device-${deviceId}`);
-                console.log(`Device ${deviceId} joined room`);
+            socket.on('join-device', async (deviceId, ack) => {
+                try {
+                    const device = await getOwnDevice(deviceId);
+                    if (!device) {
+                        return deny('join-device', 'Device not found', ack);
+                    }
+
+                    socket.join(`device-${deviceId}`);
+                    console.log(`Device ${deviceId} joined room`);
+                    if (typeof ack === 'function') {
+                        ack({ joined: `device-${deviceId}` });
+                    }
+
+                    // Re-send commands queued while the device was offline
+                    await this.commandDispatcher.redeliver(deviceId);
+                } catch (error) {
+                    console.error('Join device error:', error);
+                }
             });
 
             // Join dashboard room for real-time monitoring
-            socket.on('join-dashboard', (userId) => {
-                socket.join(`dashboard-${userId}`);
-                console.log(`Dashboard user ${userId} joined room`);
+            socket.on('join-dashboard', (userId, ack) => {
+                if (String(userId) !== String(user.id)) {
+                    return deny('join-dashboard', 'Access denied', ack);
+                }
+                socket.join(`dashboard-${user.id}`);
+                console.log(`Dashboard user ${user.id} joined room`);
+                if (typeof ack === 'function') {
+                    ack({ joined: `dashboard-${user.id}` });
+                }
             });
 
             // Join user room for dashboard updates
-            socket.on('join-user-room', (userId) => {
-                socket.join(`user-${userId}`);
-                console.log(`User ${userId} joined room`);
+            socket.on('join-user-room', (userId, ack) => {
+                if (String(userId) !== String(user.id)) {
+                    return deny('join-user-room', 'Access denied', ack);
+                }
+                socket.join(`user-${user.id}`);
+                console.log(`User ${user.id} joined room`);
+                if (typeof ack === 'function') {
+                    ack({ joined: `user-${user.id}` });
+                }
             });
 
             // Handle location updates
-            socket.on('location-update', async (data) => {
+            socket.on('location-update', async (data, ack) => {
                 try {
+                    const device = await getOwnDevice(data && data.device_id);
+                    if (!device) {
+                        return deny('location-update', 'Device not found', ack);
+                    }
+
+                    const location = {
+                        ...data,
+                        timestamp: data.timestamp || new Date().toISOString()
+                    };
+
                     // Save location to database
-                    await this.db.saveLocation(data);
+                    await this.db.saveLocation(location);
                     
                     // Broadcast to dashboard
-                    this.io.to(`dashboard-${data.userId}`).emit('location-updated', data);
+                    this.io.to(`dashboard-${user.id}`).emit('location-updated', { ...data, userId: user.id });
+                    this.events.publish(user.id, 'location.updated', {
+                        deviceId: location.device_id,
+                        location: location
+                    });
+
+                    // Check the new point against the device's geofences; the
+                    // location is stored either way
+                    try {
+                        await this.geofenceMonitor.evaluate(location.device_id, location);
+                    } catch (error) {
+                        console.error('Geofence evaluation error:', error);
+                    }
+
+                    if (typeof ack === 'function') {
+                        ack({ received: true });
+                    }
                 } catch (error) {
                     console.error('Location update error:', error);
+                    deny('location-update', 'Internal error', ack);
                 }
             });
 
             // Handle device status updates
-            socket.on('device-status', async (data) => {
+            socket.on('device-status', async (data, ack) => {
                 try {
+                    const device = await getOwnDevice(data && data.deviceId);
+                    if (!device) {
+                        return deny('device-status', 'Device not found', ack);
+                    }
+
                     await this.db.updateDeviceStatus(data.deviceId, data.status);
                     
                     // Broadcast to dashboard
-                    this.io.to(`dashboard-${data.userId}`).emit('device-status-updated', data);
+                    this.io.to(`dashboard-${user.id}`).emit('device-status-updated', { ...data, userId: user.id });
+                    this.events.publish(user.id, 'device.status', {
+                        deviceId: data.deviceId,
+                        status: data.status
+                    });
+
+                    if (typeof ack === 'function') {
+                        ack({ received: true });
+                    }
                 } catch (error) {
                     console.error('Device status update error:', error);
+                    deny('device-status', 'Internal error', ack);
                 }
             });
 
@@ -236,6 +467,14 @@ class AlphaSecurityServer {
         
         // Close WebSocket connections
         this.io.close();
+
+        // Stop pending webhook retries (they resume on next start)
+        this.webhookDispatcher.stop();
+
+        // Stop scheduled jobs and commands and close the SMTP transport
+        this.jobScheduler.stop();
+        this.commandScheduler.stop();
+        this.mailer.close();
         
         // Close database connection
         await this.db.close();
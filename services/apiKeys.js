@@ -0,0 +1,223 @@
+const net = require('net');
+const { generateToken, hashToken } = require('../utils/tokens');
+
+// Scopes an API key can be granted. Every key may read the account's data;
+// 'admin' allows everything, including key management and /api/admin.
+const API_KEY_SCOPES = ['read-only', 'locate', 'lock', 'evidence', 'wipe', 'admin'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const MAX_NAME_LENGTH = 100;
+
+// Scope needed to send (or cancel, or schedule) each remote command
+const COMMAND_SCOPES = {
+    REQUEST_LOCATION: 'locate',
+    SET_TRACKING_PROFILE: 'locate',
+    LOCK_DEVICE: 'lock',
+    UNLOCK_DEVICE: 'lock',
+    START_ALARM: 'lock',
+    STOP_ALARM: 'lock',
+    CAPTURE_PHOTO: 'evidence',
+    RECORD_AUDIO: 'evidence',
+    SCREENSHOT: 'evidence',
+    FACTORY_RESET: 'wipe'
+};
+
+function commandScope(commandType) {
+    return COMMAND_SCOPES[commandType] || 'admin';
+}
+
+function hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin')
+        || apiKey.scopes.includes(scope)
+        || scope === 'read-only';
+}
+
+// Requests that were not authenticated with an API key (login JWTs, device
+// tokens) are not restricted by scopes
+function requestHasScope(req, scope) {
+    return !req.apiKey || hasScope(req.apiKey, scope);
+}
+
+function scopeError(scope) {
+    return `API key lacks the '${scope}' scope`;
+}
+
+// Route middleware rejecting API keys without the given scope
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!requestHasScope(req, scope)) {
+            return res.status(403).json({ error: scopeError(scope) });
+        }
+        next();
+    };
+}
+
+// Default policy for routers without finer-grained scopes: reads are open
+// to every key, anything else needs 'admin'
+function requireMethodScope(req, res, next) {
+    const scope = SAFE_METHODS.includes(req.method) ? 'read-only' : 'admin';
+    return requireScope(scope)(req, res, next);
+}
+
+function normalizeIp(ip) {
+    return ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+// Allowlist entries are single addresses or CIDR ranges (IPv4 or IPv6)
+function parseAllowlistEntry(entry) {
+    if (typeof entry !== 'string') {
+        return null;
+    }
+    const [address, prefix] = entry.trim().split('/');
+    const family = net.isIP(address);
+    if (!family) {
+        return null;
+    }
+    if (prefix === undefined) {
+        return { address, family, prefix: null };
+    }
+    const bits = Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > (family === 4 ? 32 : 128)) {
+        return null;
+    }
+    return { address, family, prefix: bits };
+}
+
+function ipAllowed(allowlist, ip) {
+    if (!allowlist || allowlist.length === 0) {
+        return true;
+    }
+
+    const address = normalizeIp(ip);
+    const family = net.isIP(address);
+    if (!family) {
+        return false;
+    }
+
+    const blockList = new net.BlockList();
+    for (const entry of allowlist.map(parseAllowlistEntry).filter(Boolean)) {
+        const type = entry.family === 4 ? 'ipv4' : 'ipv6';
+        if (entry.prefix === null) {
+            blockList.addAddress(entry.address, type);
+        } else {
+            blockList.addSubnet(entry.address, entry.prefix, type);
+        }
+    }
+    return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Helper function to validate a new key's settings; returns an error message or null
+function validateApiKeyInput({ name, scopes, expiresAt, ipAllowlist }) {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return 'Key name is required';
+    }
+
+    if (name.length > MAX_NAME_LENGTH) {
+        return `Key name must be at most ${MAX_NAME_LENGTH} characters`;
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+        return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const expiry = new Date(expiresAt);
+        if (isNaN(expiry.getTime())) {
+            return 'expiresAt must be a valid date';
+        }
+        if (expiry <= new Date()) {
+            return 'expiresAt must be in the future';
+        }
+    }
+
+    if (ipAllowlist !== undefined && ipAllowlist !== null) {
+        if (!Array.isArray(ipAllowlist)) {
+            return 'ipAllowlist must be an array of IP addresses or CIDR ranges';
+        }
+        const invalid = ipAllowlist.find(entry => !parseAllowlistEntry(entry));
+        if (invalid !== undefined) {
+            return `Invalid ipAllowlist entry: ${invalid}`;
+        }
+    }
+
+    return null;
+}
+
+function parseApiKey(row) {
+    return {
+        ...row,
+        scopes: JSON.parse(row.scopes),
+        ip_allowlist: row.ip_allowlist ? JSON.parse(row.ip_allowlist) : []
+    };
+}
+
+// Look up a presented key. Resolves to { user, apiKey } or { error, status }.
+async function verifyApiKey(db, key, ip) {
+    const row = await db.getApiKeyByHash(hashToken(key));
+    if (!row || row.revoked_at) {
+        return { error: 'Invalid API key', status: 401 };
+    }
+
+    if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+        return { error: 'API key has expired', status: 401 };
+    }
+
+    const apiKey = parseApiKey(row);
+    if (!ipAllowed(apiKey.ip_allowlist, ip)) {
+        return { error: 'API key is not allowed from this IP address', status: 403 };
+    }
+
+    const user = await db.getUserById(apiKey.user_id);
+    if (!user) {
+        return { error: 'Invalid API key', status: 401 };
+    }
+
+    await db.touchApiKey(apiKey.id, normalizeIp(ip) || null);
+
+    return { user, apiKey };
+}
+
+// Create a key; the plaintext is only ever returned here
+async function issueApiKey(db, userId, { name, scopes, expiresAt = null, ipAllowlist = [] }, key = generateToken('ak')) {
+    const result = await db.createApiKey({
+        user_id: userId,
+        name: name.trim(),
+        key_prefix: key.slice(0, 11),
+        key_hash: hashToken(key),
+        scopes: scopes,
+        expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+        ip_allowlist: ipAllowlist || []
+    });
+
+    return { key, apiKey: parseApiKey(await db.getApiKeyById(result.id)) };
+}
+
+function formatApiKey(row) {
+    const apiKey = Array.isArray(row.scopes) ? row : parseApiKey(row);
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.key_prefix,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expires_at,
+        ipAllowlist: apiKey.ip_allowlist,
+        lastUsedAt: apiKey.last_used_at,
+        lastUsedIp: apiKey.last_used_ip,
+        revokedAt: apiKey.revoked_at,
+        createdAt: apiKey.created_at
+    };
+}
+
+module.exports = {
+    API_KEY_SCOPES,
+    commandScope,
+    hasScope,
+    requestHasScope,
+    scopeError,
+    requireScope,
+    requireMethodScope,
+    ipAllowed,
+    validateApiKeyInput,
+    verifyApiKey,
+    issueApiKey,
+    formatApiKey
+};
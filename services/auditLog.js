@@ -0,0 +1,179 @@
+// Security audit trail. Every request that changes something (POST, PUT,
+// PATCH, DELETE) is written to audit_log once its response is sent: who made
+// it and how they authenticated, from where, which route and target, and
+// whether it succeeded. Request bodies are never stored since they carry
+// passwords, codes and tokens. Reports devices send about themselves are left
+// out; device_logs already records them.
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const DEVICE_REPORT_PATHS = [
+    /^\/api\/devices\/[^/]+\/(heartbeat|command-response)$/,
+    /^\/api\/location\/([^/]+\/update|batch-update)$/,
+    /^\/api\/evidence\/[^/]+\/upload$/
+];
+
+const AUDIT_OUTCOMES = ['success', 'denied', 'failure'];
+const AUTH_METHODS = ['session', 'api_key', 'device_token', 'none'];
+
+function createAuditMiddleware(db) {
+    return (req, res, next) => {
+        const path = req.originalUrl.split('?')[0];
+        if (!MUTATING_METHODS.includes(req.method) || DEVICE_REPORT_PATHS.some(pattern => pattern.test(path))) {
+            return next();
+        }
+
+        res.on('finish', () => {
+            db.recordAuditEntry(buildAuditEntry(req, res, path)).catch(error => {
+                console.error('Audit log error:', error);
+            });
+        });
+        next();
+    };
+}
+
+// Helper function to describe a finished request as an audit_log row
+function buildAuditEntry(req, res, path) {
+    // The matched route, e.g. "DELETE /api/devices/:deviceId"
+    const route = req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` : path;
+    const params = req.route && Object.keys(req.params).length > 0 ? { ...req.params } : null;
+    const deviceId = (params && params.deviceId) || (req.body && typeof req.body.deviceId === 'string' ? req.body.deviceId : null);
+
+    return {
+        actor_id: req.user ? req.user.id : null,
+        actor_username: req.user ? req.user.username : null,
+        auth_method: getAuthMethod(req),
+        ip_address: req.ip,
+        user_agent: req.headers['user-agent'],
+        action: `${req.method} ${route}`,
+        target: params,
+        device_id: deviceId,
+        // Set by requireDevicePermission once the device was found
+        device_owner_id: req.device ? req.device.user_id : null,
+        outcome: getOutcome(res.statusCode),
+        status_code: res.statusCode
+    };
+}
+
+// The credential the request presented, whether or not it was accepted
+function getAuthMethod(req) {
+    if (req.apiKey || req.headers['x-api-key']) {
+        return 'api_key';
+    }
+    if (req.session || (req.headers['authorization'] || '').startsWith('Bearer ')) {
+        return 'session';
+    }
+    if (req.headers['x-device-token']) {
+        return 'device_token';
+    }
+    return 'none';
+}
+
+function getOutcome(statusCode) {
+    if (statusCode < 400) {
+        return 'success';
+    }
+    return statusCode === 401 || statusCode === 403 ? 'denied' : 'failure';
+}
+
+function formatAuditEntry(entry) {
+    return {
+        id: entry.id,
+        actor: entry.actor_id ? { id: entry.actor_id, username: entry.actor_username } : null,
+        authMethod: entry.auth_method,
+        ipAddress: entry.ip_address,
+        userAgent: entry.user_agent,
+        action: entry.action,
+        target: entry.target ? JSON.parse(entry.target) : null,
+        deviceId: entry.device_id,
+        outcome: entry.outcome,
+        statusCode: entry.status_code,
+        createdAt: entry.created_at
+    };
+}
+
+const CSV_COLUMNS = [
+    'id', 'created_at', 'actor_id', 'actor_username', 'auth_method', 'ip_address',
+    'user_agent', 'action', 'target', 'device_id', 'device_owner_id', 'outcome', 'status_code'
+];
+
+// Audit rows as CSV with a header line. Cells that a spreadsheet would read
+// as a formula are prefixed with a quote.
+function auditEntriesToCsv(entries) {
+    const cell = (value) => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        let text = String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        CSV_COLUMNS.join(','),
+        ...entries.map(entry => CSV_COLUMNS.map(column => cell(entry[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+// Export file for audit rows: CSV (default) or JSON, as
+// { contentType, filename, body }
+function buildAuditExport(entries, format = 'csv') {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        return {
+            contentType: 'application/json',
+            filename: `audit-log-${date}.json`,
+            body: JSON.stringify({ entries: entries.map(formatAuditEntry), exportedAt: new Date().toISOString() }, null, 2)
+        };
+    }
+    return {
+        contentType: 'text/csv; charset=utf-8',
+        filename: `audit-log-${date}.csv`,
+        body: auditEntriesToCsv(entries)
+    };
+}
+
+// Helper function to turn audit query parameters into getAuditEntries
+// filters; returns { filters } or { error }
+function parseAuditFilters(query) {
+    const { action, deviceId, outcome, authMethod, ip, since, until } = query;
+
+    if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+        return { error: `Outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}` };
+    }
+    if (authMethod && !AUTH_METHODS.includes(authMethod)) {
+        return { error: `Auth method must be one of: ${AUTH_METHODS.join(', ')}` };
+    }
+
+    const dates = {};
+    for (const [name, value] of Object.entries({ since, until })) {
+        if (value) {
+            const time = new Date(value);
+            if (Number.isNaN(time.getTime())) {
+                return { error: `${name} must be a date` };
+            }
+            dates[name] = time.toISOString();
+        }
+    }
+
+    return {
+        filters: {
+            action: action,
+            device_id: deviceId,
+            outcome: outcome,
+            auth_method: authMethod,
+            ip_address: ip,
+            ...dates
+        }
+    };
+}
+
+module.exports = {
+    AUDIT_OUTCOMES,
+    AUTH_METHODS,
+    createAuditMiddleware,
+    formatAuditEntry,
+    auditEntriesToCsv,
+    buildAuditExport,
+    parseAuditFilters
+};
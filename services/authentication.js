@@ -0,0 +1,271 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { requireMethodScope, verifyApiKey } = require('./apiKeys');
+const { isTotpEnabled, verifyTotpCode, verifyRecoveryCode } = require('./secondFactor');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'alpha-security-secret-change-in-production';
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const LOGIN_CHALLENGE_MINUTES = 5;
+
+// One authentication layer for every HTTP route and the socket handshake.
+// Users authenticate with a login JWT (Authorization: Bearer) or an API key
+// (X-API-Key); devices may also use their own device token on the device
+// endpoints. req.user is always the full user row; req.apiKey is set when an
+// API key was used so its scopes can be checked, req.session when a login
+// token was used.
+//
+// Logins open a session: a short-lived access JWT plus a refresh token that is
+// stored hashed in `sessions` and replaced on every refresh. Access tokens are
+// only valid while their session is, so revoking a session logs it out.
+// Presenting a refresh token that was already replaced revokes the session,
+// since one of the two copies must have been stolen.
+//
+// Users with TOTP enabled log in in two steps: the password yields a
+// short-lived challenge token, which is exchanged for a session together with
+// a TOTP or recovery code.
+//
+// Public location links carry a signed token that names the link; the link
+// row decides whether it still works, so links can be revoked.
+function createAuthentication(db) {
+    if (!process.env.JWT_SECRET) {
+        console.warn('⚠️ JWT_SECRET not set - using the built-in development secret');
+    }
+
+    // Access tokens carry the user id as `sub`, the username for display and
+    // the session id as `sid`
+    const signToken = (user, sessionId) => jwt.sign(
+        { sub: String(user.id), username: user.username, sid: sessionId },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_MINUTES * 60 }
+    );
+
+    const tokenResponse = (user, sessionId, refreshToken) => ({
+        token: signToken(user, sessionId),
+        refreshToken: refreshToken,
+        expiresIn: ACCESS_TOKEN_MINUTES * 60
+    });
+
+    // Start a session for a user who just logged in or registered
+    const createSession = async (user, req) => {
+        const sessionId = uuidv4();
+        const refreshToken = generateToken('rt');
+        await db.createSession({
+            id: sessionId,
+            user_id: user.id,
+            refresh_token_hash: hashToken(refreshToken),
+            user_agent: req.headers['user-agent'],
+            ip_address: req.ip,
+            expires_at: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString()
+        });
+        return tokenResponse(user, sessionId, refreshToken);
+    };
+
+    // Called once the password is verified. Resolves to session tokens, or to
+    // a login challenge when the user has TOTP enabled.
+    const startLogin = async (user, req) => {
+        if (!isTotpEnabled(user)) {
+            return createSession(user, req);
+        }
+
+        const challengeToken = jwt.sign(
+            { sub: String(user.id), purpose: 'login-2fa' },
+            JWT_SECRET,
+            { expiresIn: LOGIN_CHALLENGE_MINUTES * 60 }
+        );
+        return { twoFactorRequired: true, challengeToken: challengeToken, expiresIn: LOGIN_CHALLENGE_MINUTES * 60 };
+    };
+
+    // Resolves to the user a login challenge was issued for, or null
+    const verifyLoginChallenge = async (challengeToken) => {
+        let payload;
+        try {
+            payload = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (error) {
+            return null;
+        }
+        if (payload.purpose !== 'login-2fa' || !payload.sub) {
+            return null;
+        }
+
+        const user = await db.getUserById(payload.sub);
+        return user && isTotpEnabled(user) ? user : null;
+    };
+
+    // Token for a public location link, valid until the link expires
+    const signLocationLink = (link) => jwt.sign(
+        { lid: link.id, purpose: 'location-link' },
+        JWT_SECRET,
+        { expiresIn: Math.max(1, Math.floor((new Date(link.expires_at) - Date.now()) / 1000)) }
+    );
+
+    // Resolves to the link row of a valid, unrevoked link token, or null
+    const verifyLocationLink = async (token) => {
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return null;
+        }
+        if (payload.purpose !== 'location-link' || !payload.lid) {
+            return null;
+        }
+
+        const link = await db.getLocationLinkById(payload.lid);
+        if (!link || link.revoked_at || new Date(link.expires_at) <= new Date()) {
+            return null;
+        }
+        return link;
+    };
+
+    // Second login step for the user of a verified challenge. Resolves to
+    // session tokens or { error, status }.
+    const completeLogin = async (user, { totpCode, recoveryCode }, req) => {
+        const isValid = recoveryCode
+            ? await verifyRecoveryCode(db, user, recoveryCode)
+            : await verifyTotpCode(db, user, totpCode);
+        if (!isValid) {
+            return { error: recoveryCode ? 'Invalid recovery code' : 'Invalid two-factor code', status: 401 };
+        }
+
+        return createSession(user, req);
+    };
+
+    // Trade a refresh token for a new access token and refresh token.
+    // Resolves to the tokens or { error, status }.
+    const refreshSession = async (refreshToken, req) => {
+        const invalid = { error: 'Invalid or expired refresh token', status: 401 };
+        if (!refreshToken) {
+            return invalid;
+        }
+
+        const tokenHash = hashToken(refreshToken);
+        const session = await db.getSessionByRefreshHash(tokenHash);
+        if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+            return invalid;
+        }
+
+        if (session.refresh_token_hash !== tokenHash) {
+            await db.revokeSession(session.id);
+            console.warn(`Refresh token reuse detected - session ${session.id} revoked`);
+            return invalid;
+        }
+
+        const user = await db.getUserById(session.user_id);
+        if (!user) {
+            return invalid;
+        }
+
+        const newRefreshToken = generateToken('rt');
+        const result = await db.rotateSessionToken(
+            session.id, tokenHash, hashToken(newRefreshToken), req.ip, req.headers['user-agent'] || null
+        );
+        if (result.changes === 0) {
+            return invalid;
+        }
+
+        return tokenResponse(user, session.id, newRefreshToken);
+    };
+
+    // Resolves to { user, session } for a valid access token, or null
+    const verifyToken = async (token) => {
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return null;
+        }
+        if (!payload.sub || !payload.sid || payload.purpose) {
+            return null;
+        }
+
+        const session = await db.getSessionById(payload.sid);
+        if (!session || session.revoked_at || String(session.user_id) !== payload.sub
+            || new Date(session.expires_at) <= new Date()) {
+            return null;
+        }
+
+        const user = await db.getUserById(session.user_id);
+        return user ? { user, session } : null;
+    };
+
+    const authenticate = async (req, res, next) => {
+        try {
+            const apiKey = req.headers['x-api-key'];
+            if (apiKey) {
+                const result = await verifyApiKey(db, apiKey, req.ip);
+                if (result.error) {
+                    return res.status(result.status).json({ error: result.error });
+                }
+
+                req.user = result.user;
+                req.apiKey = result.apiKey;
+                return next();
+            }
+
+            const authHeader = req.headers['authorization'];
+            const token = authHeader && authHeader.startsWith('Bearer ') && authHeader.slice(7);
+            if (token) {
+                const result = await verifyToken(token);
+                if (!result) {
+                    return res.status(401).json({ error: 'Invalid or expired token' });
+                }
+
+                req.user = result.user;
+                req.session = result.session;
+                return next();
+            }
+
+            res.status(401).json({ error: 'Authentication required (Bearer token or X-API-Key)' });
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(500).json({ error: 'Authentication error' });
+        }
+    };
+
+    // Device endpoints (heartbeat, location, command-response) also accept the
+    // device's own token (X-Device-Token), which is only valid for the device
+    // in the URL or body. API keys need the admin scope there.
+    const authenticateDevice = async (req, res, next) => {
+        const deviceToken = req.headers['x-device-token'];
+        if (!deviceToken) {
+            return authenticate(req, res, () => requireMethodScope(req, res, next));
+        }
+
+        try {
+            const device = await db.getDeviceByTokenHash(hashToken(deviceToken));
+            const deviceId = req.params.deviceId || req.body.deviceId;
+            if (!device || device.device_id !== deviceId) {
+                return res.status(401).json({ error: 'Invalid device token' });
+            }
+
+            const user = await db.getUserById(device.user_id);
+            if (!user) {
+                return res.status(401).json({ error: 'Invalid device token' });
+            }
+
+            req.user = user;
+            req.device = device;
+            next();
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(500).json({ error: 'Authentication error' });
+        }
+    };
+
+    return {
+        authenticate,
+        authenticateDevice,
+        createSession,
+        startLogin,
+        verifyLoginChallenge,
+        completeLogin,
+        refreshSession,
+        verifyToken,
+        signLocationLink,
+        verifyLocationLink
+    };
+}
+
+module.exports = createAuthentication;
@@ -0,0 +1,158 @@
+const { CommandTransitionError } = require('./commandLifecycle');
+
+const DEFAULT_TTL_SECONDS = (parseInt(process.env.COMMAND_EXPIRY_HOURS) || 24) * 60 * 60;
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Creates remote commands and pushes them to the device over Socket.IO.
+// Commands that cannot be pushed stay queued until the device reconnects or
+// polls for them, and are re-sent until acknowledged or expired.
+class CommandDispatcher {
+    constructor(db, io, events) {
+        this.db = db;
+        this.io = io;
+        this.events = events;
+    }
+
+    // Validate a ttl (seconds) from a request body; returns an error message or null
+    static validateTtl(ttl) {
+        if (ttl === undefined || ttl === null) {
+            return null;
+        }
+        const value = Number(ttl);
+        if (!Number.isInteger(value) || value <= 0 || value > MAX_TTL_SECONDS) {
+            return `ttl must be a whole number of seconds between 1 and ${MAX_TTL_SECONDS}`;
+        }
+        return null;
+    }
+
+    async dispatch({ deviceId, userId, type, data = {}, ttl }) {
+        const ttlSeconds = ttl ? Number(ttl) : DEFAULT_TTL_SECONDS;
+        const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+
+        const result = await this.db.createCommand(
+            deviceId,
+            userId,
+            type,
+            { ...data, timestamp: new Date().toISOString() },
+            expiresAt
+        );
+
+        // Cancel queued commands this one overrides, e.g. a LOCK_DEVICE that
+        // has not reached the device when UNLOCK_DEVICE is sent. One delivered
+        // in the meantime is left to the device.
+        const superseded = [];
+        for (const previous of await this.db.getSupersededCommands(deviceId, type, result.id)) {
+            try {
+                await this.cancel(previous, `Superseded by ${type} command ${result.id}`);
+                superseded.push(previous);
+            } catch (error) {
+                if (!(error instanceof CommandTransitionError)) {
+                    throw error;
+                }
+            }
+        }
+
+        const command = await this.db.getCommandById(result.id);
+        const delivered = await this.deliver(command);
+        return {
+            ...delivered,
+            superseded: superseded.map(previous => previous.id)
+        };
+    }
+
+    // Cancel a command that has not been acknowledged yet. Throws
+    // CommandTransitionError if the device already acknowledged or finished it.
+    async cancel(command, reason = 'Cancelled by user') {
+        await this.db.updateCommandStatus(command.id, 'cancelled', reason);
+
+        // A delivered command may already be waiting on the device
+        if (command.status === 'delivered') {
+            this.io.to(`device-${command.device_id}`).emit('command-cancelled', {
+                commandId: command.id,
+                type: command.command_type,
+                reason: reason,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        await this.db.logDeviceActivity(
+            command.device_id,
+            'command_cancelled',
+            `${command.command_type} command cancelled - Command ID: ${command.id} - ${reason}`
+        );
+
+        this.events.publish(command.user_id, 'command.cancelled', {
+            deviceId: command.device_id,
+            commandId: command.id,
+            type: command.command_type,
+            reason: reason
+        });
+
+        return await this.db.getCommandById(command.id);
+    }
+
+    // Push a command to the device room if the device is connected. It is
+    // marked delivered first, so a command cancelled or answered in the
+    // meantime is left alone rather than sent.
+    async deliver(command) {
+        const room = `device-${command.device_id}`;
+        const connected = this.io.sockets.adapter.rooms.get(room);
+        if (!connected || connected.size === 0) {
+            return command;
+        }
+
+        if (!await this.markDelivered(command)) {
+            return await this.db.getCommandById(command.id);
+        }
+
+        this.io.to(room).emit('remote-command', {
+            commandId: command.id,
+            type: command.command_type,
+            data: command.command_data ? JSON.parse(command.command_data) : {},
+            expiresAt: command.expires_at,
+            timestamp: new Date().toISOString()
+        });
+
+        return await this.db.getCommandById(command.id);
+    }
+
+    // Re-send every command the device has not acknowledged yet, e.g. when it
+    // joins its socket room again after being offline
+    async redeliver(deviceId) {
+        const commands = await this.db.getPendingCommands(deviceId);
+        for (const command of commands) {
+            await this.deliver(command);
+        }
+        return commands.length;
+    }
+
+    // Hand pending commands to a device that polls for them (heartbeat or
+    // /pending) and mark them delivered; commands that moved on in the
+    // meantime are skipped
+    async collect(deviceId) {
+        const commands = await this.db.getPendingCommands(deviceId);
+        const collected = [];
+        for (const command of commands) {
+            if (await this.markDelivered(command)) {
+                collected.push(await this.db.getCommandById(command.id));
+            }
+        }
+        return collected;
+    }
+
+    // False if the command can no longer be delivered, e.g. it was cancelled
+    // or acknowledged since it was read
+    async markDelivered(command) {
+        try {
+            await this.db.updateCommandStatus(command.id, 'delivered');
+            return true;
+        } catch (error) {
+            if (error instanceof CommandTransitionError) {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = CommandDispatcher;
@@ -0,0 +1,79 @@
+// Command state machine
+//
+//   queued ──> delivered ──> acknowledged ──> executed
+//     │            │               │      └─> failed
+//     │            │               └────────> expired
+//     └────────────┴──> executed / failed / expired / cancelled
+//
+// "delivered" may repeat when a command is re-sent to a reconnecting device.
+
+const STATUSES = ['queued', 'delivered', 'acknowledged', 'executed', 'failed', 'expired', 'cancelled'];
+
+const TERMINAL_STATUSES = ['executed', 'failed', 'expired', 'cancelled'];
+
+// Statuses a command is still waiting to be picked up by the device in
+const UNACKNOWLEDGED_STATUSES = ['queued', 'delivered'];
+
+const TRANSITIONS = {
+    queued: ['delivered', 'acknowledged', 'executed', 'failed', 'expired', 'cancelled'],
+    delivered: ['delivered', 'acknowledged', 'executed', 'failed', 'expired', 'cancelled'],
+    acknowledged: ['executed', 'failed', 'expired'],
+    executed: [],
+    failed: [],
+    expired: [],
+    cancelled: []
+};
+
+// Sending a command cancels still-queued commands it makes pointless; once
+// delivered the device may already have acted on them
+const SUPERSEDES = {
+    UNLOCK_DEVICE: ['LOCK_DEVICE'],
+    LOCK_DEVICE: ['UNLOCK_DEVICE'],
+    STOP_ALARM: ['START_ALARM'],
+    SET_TRACKING_PROFILE: ['SET_TRACKING_PROFILE']
+};
+
+// Status names older device builds report
+const STATUS_ALIASES = {
+    pending: 'queued',
+    received: 'acknowledged',
+    ack: 'acknowledged',
+    completed: 'executed',
+    success: 'executed',
+    done: 'executed',
+    error: 'failed'
+};
+
+class CommandTransitionError extends Error {
+    constructor(commandId, from, to) {
+        super(`Command ${commandId} cannot move from ${from} to ${to}`);
+        this.name = 'CommandTransitionError';
+        this.commandId = commandId;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+function normalizeStatus(status) {
+    const value = String(status).toLowerCase();
+    return STATUS_ALIASES[value] || value;
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[normalizeStatus(from)] || []).includes(to);
+}
+
+function isTerminal(status) {
+    return TERMINAL_STATUSES.includes(normalizeStatus(status));
+}
+
+module.exports = {
+    STATUSES,
+    TERMINAL_STATUSES,
+    UNACKNOWLEDGED_STATUSES,
+    SUPERSEDES,
+    CommandTransitionError,
+    normalizeStatus,
+    canTransition,
+    isTerminal
+};
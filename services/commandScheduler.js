@@ -0,0 +1,147 @@
+const cron = require('node-cron');
+const { can, commandPermission, getDeviceAccess } = require('./permissions');
+
+// Remote commands that may be scheduled; wipes always need a live request
+const SCHEDULABLE_COMMANDS = ['LOCK_DEVICE', 'UNLOCK_DEVICE', 'REQUEST_LOCATION', 'START_ALARM', 'STOP_ALARM'];
+
+// Sends scheduled commands through the CommandDispatcher when they are due.
+// Recurring schedules get their own node-cron task; one-off schedules are
+// picked up by the dispatch-scheduled-commands maintenance job.
+class CommandScheduler {
+    constructor(db, commandDispatcher, events) {
+        this.db = db;
+        this.commandDispatcher = commandDispatcher;
+        this.events = events;
+        this.tasks = new Map();
+    }
+
+    async start() {
+        const schedules = await this.db.getActiveRecurringCommands();
+        for (const schedule of schedules) {
+            this.schedule(schedule);
+        }
+        console.log(`✅ Command scheduler started (${schedules.length} recurring schedules)`);
+    }
+
+    stop() {
+        for (const task of this.tasks.values()) {
+            task.stop();
+        }
+        this.tasks.clear();
+    }
+
+    // (Re)create the cron task for a schedule after it is created or edited
+    schedule(schedule) {
+        this.unschedule(schedule.id);
+        if (!schedule.cron_expression || schedule.is_active !== 1) {
+            return;
+        }
+
+        const options = schedule.timezone ? { timezone: schedule.timezone } : {};
+        const task = cron.schedule(schedule.cron_expression, () => {
+            this.runSafely(schedule.id);
+        }, options);
+        this.tasks.set(schedule.id, task);
+    }
+
+    unschedule(scheduleId) {
+        const task = this.tasks.get(scheduleId);
+        if (task) {
+            task.stop();
+            this.tasks.delete(scheduleId);
+        }
+    }
+
+    // Run every one-off schedule whose time has passed. A schedule that fails
+    // does not hold up the others and is tried again on the next run.
+    async runDue() {
+        const schedules = await this.db.getDueScheduledCommands();
+        const result = { dispatched: 0, failed: 0 };
+        for (const schedule of schedules) {
+            const outcome = await this.runSafely(schedule.id);
+            if (outcome.error) {
+                result.failed++;
+            } else if (outcome.command) {
+                result.dispatched++;
+            }
+        }
+        return result;
+    }
+
+    // Run a schedule and record instead of throw its error
+    async runSafely(scheduleId) {
+        try {
+            return { command: await this.run(scheduleId) };
+        } catch (error) {
+            console.error(`Scheduled command ${scheduleId} error:`, error);
+            try {
+                await this.db.recordScheduledCommandError(scheduleId, error.message);
+            } catch (recordError) {
+                console.error(`Scheduled command ${scheduleId} error not recorded:`, recordError);
+            }
+            return { error: error };
+        }
+    }
+
+    async run(scheduleId) {
+        const schedule = await this.db.getScheduledCommandById(scheduleId);
+        if (!schedule || schedule.is_active !== 1) {
+            return null;
+        }
+
+        // Stop schedules whose device was removed or that their creator may
+        // no longer send (device changed hands, organization access revoked)
+        const access = await getDeviceAccess(this.db, schedule.user_id, schedule.device_id);
+        if (!can(access, commandPermission(schedule.command_type))) {
+            this.unschedule(schedule.id);
+            await this.db.deactivateScheduledCommand(schedule.id);
+            return null;
+        }
+
+        const data = schedule.command_data ? JSON.parse(schedule.command_data) : {};
+        const command = await this.commandDispatcher.dispatch({
+            deviceId: schedule.device_id,
+            userId: schedule.user_id,
+            type: schedule.command_type,
+            data: data,
+            ttl: schedule.ttl
+        });
+
+        await this.db.logDeviceActivity(
+            schedule.device_id,
+            'scheduled_command',
+            `Scheduled ${schedule.command_type} command sent - Command ID: ${command.id} - Schedule ID: ${schedule.id}`
+        );
+
+        this.events.publish(access.device.user_id, 'command.sent', {
+            deviceId: schedule.device_id,
+            commandId: command.id,
+            type: schedule.command_type,
+            data: data,
+            scheduleId: schedule.id
+        });
+        if (schedule.command_type === 'START_ALARM') {
+            this.events.publish(access.device.user_id, 'alarm.started', {
+                deviceId: schedule.device_id,
+                commandId: command.id,
+                duration: data.duration,
+                message: data.message
+            });
+        } else if (schedule.command_type === 'STOP_ALARM') {
+            this.events.publish(access.device.user_id, 'alarm.stopped', {
+                deviceId: schedule.device_id,
+                commandId: command.id
+            });
+        }
+
+        // One-off schedules are done after their single run
+        const finished = !schedule.cron_expression;
+        await this.db.recordScheduledCommandRun(schedule.id, command.id, finished);
+
+        return command;
+    }
+}
+
+CommandScheduler.SCHEDULABLE_COMMANDS = SCHEDULABLE_COMMANDS;
+
+module.exports = CommandScheduler;
@@ -0,0 +1,40 @@
+const EventEmitter = require('events');
+
+// Event names that can be published and subscribed to (e.g. by webhooks)
+const EVENT_TYPES = [
+    'location.updated',
+    'device.status',
+    'device.offline',
+    'device.battery_low',
+    'device.stolen',
+    'device.recovered',
+    'command.sent',
+    'command.response',
+    'command.cancelled',
+    'alarm.started',
+    'alarm.stopped',
+    'evidence.uploaded',
+    'wipe.requested',
+    'wipe.approval_requested',
+    'wipe.aborted',
+    'wipe.issued',
+    'geofence.entered',
+    'geofence.exited'
+];
+
+// In-process bus for device events. Publishers call publish() wherever they
+// notify the dashboard over Socket.IO; outbound integrations listen for 'event'.
+class DeviceEvents extends EventEmitter {
+    publish(userId, type, data) {
+        this.emit('event', {
+            userId: userId,
+            type: type,
+            data: data,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+DeviceEvents.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = DeviceEvents;
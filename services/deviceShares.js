@@ -0,0 +1,187 @@
+const { renderAccountEmail } = require('./emailTemplates');
+const { validateSharePermissions } = require('./permissions');
+
+// Longest a share may run; shares without an expiry last until revoked
+const MAX_SHARE_DAYS = 365;
+
+// Sharing a single device with another account. The owner invites a user by
+// username with a set of permissions and an optional expiry; the share gives
+// access once the recipient accepts it and ends when it expires, is revoked
+// by the owner or is given up by the recipient. Methods that can be refused
+// resolve to { error, status }.
+class DeviceShares {
+    constructor(db, mailer) {
+        this.db = db;
+        this.mailer = mailer;
+    }
+
+    async invite(owner, device, { username, permissions = ['view'], expiresAt = null }) {
+        if (!username) {
+            return { error: 'Username is required', status: 400 };
+        }
+
+        const permissionsError = validateSharePermissions(permissions);
+        if (permissionsError) {
+            return { error: permissionsError, status: 400 };
+        }
+
+        const expiryError = DeviceShares.validateExpiry(expiresAt);
+        if (expiryError) {
+            return { error: expiryError, status: 400 };
+        }
+
+        const recipient = await this.db.getUserByUsername(String(username));
+        if (!recipient) {
+            return { error: 'User not found', status: 404 };
+        }
+        if (recipient.id === owner.id) {
+            return { error: 'You cannot share a device with yourself', status: 400 };
+        }
+
+        if (await this.db.getOpenDeviceShare(device.device_id, recipient.id)) {
+            return { error: 'Device is already shared with this user', status: 409 };
+        }
+
+        // Every share can at least see the device
+        const sharePermissions = ['view', ...permissions.filter(p => p !== 'view')];
+        const result = await this.db.createDeviceShare({
+            device_id: device.device_id,
+            owner_id: owner.id,
+            recipient_id: recipient.id,
+            permissions: sharePermissions,
+            expires_at: expiresAt ? new Date(expiresAt).toISOString() : null
+        });
+
+        await this.db.logDeviceActivity(
+            device.device_id,
+            'share_created',
+            `Device shared with ${recipient.username} (${sharePermissions.join(', ')}) by ${owner.username}`
+        );
+
+        const share = await this.db.getDeviceShareById(result.id);
+        await this.notifyRecipient(recipient, owner, device, share);
+
+        return { share: share };
+    }
+
+    async accept(user, shareId) {
+        return this.respond(user, shareId, 'accepted');
+    }
+
+    async decline(user, shareId) {
+        return this.respond(user, shareId, 'declined');
+    }
+
+    async respond(user, shareId, status) {
+        const share = await this.db.getDeviceShareById(shareId);
+        if (!share || share.recipient_id !== user.id) {
+            return { error: 'Share not found', status: 404 };
+        }
+
+        if (share.status !== 'pending' || DeviceShares.isExpired(share)) {
+            return { error: `Invitation is no longer open (status: ${DeviceShares.effectiveStatus(share)})`, status: 409 };
+        }
+
+        const result = await this.db.respondToDeviceShare(share.id, status);
+        if (result.changes === 0) {
+            return { error: 'Invitation is no longer open', status: 409 };
+        }
+
+        await this.db.logDeviceActivity(
+            share.device_id,
+            `share_${status}`,
+            `Device share ${status} by ${user.username}`
+        );
+
+        return { share: await this.db.getDeviceShareById(share.id) };
+    }
+
+    // The owner revokes a share, or the recipient gives it up
+    async revoke(user, shareId) {
+        const share = await this.db.getDeviceShareById(shareId);
+        if (!share || (share.owner_id !== user.id && share.recipient_id !== user.id)) {
+            return { error: 'Share not found', status: 404 };
+        }
+
+        const result = await this.db.revokeDeviceShare(share.id);
+        if (result.changes === 0) {
+            return { error: `Share has already ended (status: ${DeviceShares.effectiveStatus(share)})`, status: 409 };
+        }
+
+        await this.db.logDeviceActivity(
+            share.device_id,
+            'share_revoked',
+            share.owner_id === user.id
+                ? `Device share with ${share.recipient_username} revoked by ${user.username}`
+                : `Device share given up by ${user.username}`
+        );
+
+        return { share: await this.db.getDeviceShareById(share.id) };
+    }
+
+    // Invitations go through even if the email can't be sent
+    async notifyRecipient(recipient, owner, device, share) {
+        if (!this.mailer.isEnabled) {
+            return;
+        }
+
+        try {
+            await this.mailer.send({
+                to: recipient.email,
+                ...renderAccountEmail('device.shared', {
+                    username: recipient.username,
+                    owner: owner.username,
+                    deviceName: device.device_name,
+                    permissions: JSON.parse(share.permissions),
+                    expiresAt: share.expires_at
+                })
+            });
+        } catch (error) {
+            console.error('Share invitation send error:', error);
+        }
+    }
+
+    static validateExpiry(expiresAt) {
+        if (expiresAt === null || expiresAt === undefined) {
+            return null;
+        }
+        const time = new Date(expiresAt).getTime();
+        if (Number.isNaN(time) || time <= Date.now()) {
+            return 'expiresAt must be a future date';
+        }
+        if (time > Date.now() + MAX_SHARE_DAYS * 24 * 60 * 60 * 1000) {
+            return `Shares can last at most ${MAX_SHARE_DAYS} days`;
+        }
+        return null;
+    }
+
+    static isExpired(share) {
+        return Boolean(share.expires_at) && new Date(share.expires_at) <= new Date();
+    }
+
+    // Status with expiry applied before the expire-device-shares job runs
+    static effectiveStatus(share) {
+        if (['pending', 'accepted'].includes(share.status) && DeviceShares.isExpired(share)) {
+            return 'expired';
+        }
+        return share.status;
+    }
+
+    static format(share) {
+        return {
+            id: share.id,
+            deviceId: share.device_id,
+            deviceName: share.device_name,
+            owner: { id: share.owner_id, username: share.owner_username },
+            recipient: { id: share.recipient_id, username: share.recipient_username },
+            permissions: JSON.parse(share.permissions),
+            status: DeviceShares.effectiveStatus(share),
+            expiresAt: share.expires_at,
+            respondedAt: share.responded_at,
+            revokedAt: share.revoked_at,
+            createdAt: share.created_at
+        };
+    }
+}
+
+module.exports = DeviceShares;
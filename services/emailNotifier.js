@@ -0,0 +1,110 @@
+const { NOTIFICATION_EVENTS, renderNotification, renderDigest } = require('./emailTemplates');
+
+// Turns device events into email notifications according to each user's
+// preferences: sent immediately, queued for the next digest, or skipped.
+// Digests are sent by the email-digest maintenance job.
+class EmailNotifier {
+    constructor(db, mailer) {
+        this.db = db;
+        this.mailer = mailer;
+    }
+
+    // Subscribe to a DeviceEvents bus
+    attach(events) {
+        events.on('event', (event) => {
+            if (!NOTIFICATION_EVENTS.includes(event.type)) {
+                return;
+            }
+            this.handle(event).catch(error => {
+                console.error('Email notification error:', error);
+            });
+        });
+    }
+
+    async handle(event) {
+        if (!this.mailer.isEnabled) {
+            return;
+        }
+
+        const mode = await this.getMode(event.userId, event.type);
+        if (mode === 'off') {
+            return;
+        }
+
+        const data = await this.enrich(event.data);
+
+        if (mode === 'digest') {
+            await this.db.queueNotificationDigestItem(event.userId, event.type, data, event.timestamp);
+            return;
+        }
+
+        const user = await this.db.getUserById(event.userId);
+        if (!user) {
+            return;
+        }
+
+        await this.mailer.send({
+            to: user.email,
+            ...renderNotification(event.type, data)
+        });
+    }
+
+    // Send one digest email per user with everything queued since the last run
+    async flushDigests() {
+        if (!this.mailer.isEnabled) {
+            return 0;
+        }
+
+        const items = await this.db.getUnsentNotificationDigestItems();
+        const byUser = new Map();
+        for (const item of items) {
+            if (!byUser.has(item.user_id)) {
+                byUser.set(item.user_id, []);
+            }
+            byUser.get(item.user_id).push({
+                id: item.id,
+                type: item.event_type,
+                data: JSON.parse(item.payload),
+                timestamp: item.created_at
+            });
+        }
+
+        for (const [userId, userItems] of byUser) {
+            const user = await this.db.getUserById(userId);
+            if (user) {
+                await this.mailer.send({
+                    to: user.email,
+                    ...renderDigest(userItems)
+                });
+            }
+            await this.db.markNotificationDigestItemsSent(userItems.map(item => item.id));
+        }
+
+        return byUser.size;
+    }
+
+    async sendTest(user) {
+        return await this.mailer.send({
+            to: user.email,
+            ...renderNotification('test', {})
+        });
+    }
+
+    // Preference for one event type; every event is sent immediately by default
+    async getMode(userId, eventType) {
+        const preference = await this.db.getNotificationPreference(userId, eventType);
+        return preference ? preference.mode : 'immediate';
+    }
+
+    async enrich(data) {
+        const device = data.deviceId ? await this.db.getDeviceById(data.deviceId) : null;
+        return {
+            ...data,
+            deviceName: device ? device.device_name : data.deviceId
+        };
+    }
+}
+
+EmailNotifier.MODES = ['immediate', 'digest', 'off'];
+
+module.exports = EmailNotifier;
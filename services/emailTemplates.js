@@ -0,0 +1,244 @@
+// Subject and body templates for notification emails. Each template receives
+// the event data plus `deviceName` and returns { subject, lines }, which are
+// rendered into matching text and HTML bodies.
+
+const templates = {
+    'device.offline': (data) => ({
+        subject: `${data.deviceName} went offline`,
+        lines: [
+            `${data.deviceName} has not checked in since ${data.lastSeen || 'an unknown time'}.`,
+            'If you did not expect this, check the device location on the dashboard.'
+        ]
+    }),
+
+    'device.battery_low': (data) => ({
+        subject: `Low battery on ${data.deviceName} (${data.batteryLevel}%)`,
+        lines: [
+            `The battery of ${data.deviceName} dropped to ${data.batteryLevel}%.`,
+            'The device may stop reporting its location soon.'
+        ]
+    }),
+
+    'alarm.started': (data) => ({
+        subject: `Alarm started on ${data.deviceName}`,
+        lines: [
+            `An alarm was started on ${data.deviceName} for ${data.duration} seconds.`,
+            data.message ? `Message: ${data.message}` : null
+        ]
+    }),
+
+    'wipe.requested': (data) => ({
+        subject: `Factory reset requested for ${data.deviceName}`,
+        lines: [
+            `${data.requestedBy} requested a factory reset of ${data.deviceName}.`,
+            data.requiresApproval ? 'It will be sent once the designated approver approves it.' : null,
+            `It will not be sent before ${data.releaseAt} and can be aborted until then.`
+        ]
+    }),
+
+    'wipe.approval_requested': (data) => ({
+        subject: `Approval needed: factory reset of ${data.deviceName}`,
+        lines: [
+            `${data.requestedBy} requested a factory reset of ${data.deviceName} and named you as approver.`,
+            `Approve or reject wipe request #${data.requestId} from the API or dashboard.`
+        ]
+    }),
+
+    'wipe.aborted': (data) => ({
+        subject: `Factory reset of ${data.deviceName} ${data.status}`,
+        lines: [
+            `The factory reset request for ${data.deviceName} was ${data.status} by ${data.abortedBy}.`,
+            data.reason ? `Reason: ${data.reason}` : null
+        ]
+    }),
+
+    'wipe.issued': (data) => ({
+        subject: `Factory reset issued for ${data.deviceName}`,
+        lines: [
+            `A factory reset command was issued for ${data.deviceName} by ${data.issuedBy}.`,
+            data.approvedBy ? `Approved by ${data.approvedBy}.` : null,
+            'All data on the device will be erased once it receives the command.'
+        ]
+    }),
+
+    'device.stolen': (data) => ({
+        subject: `${data.deviceName} was marked as stolen`,
+        lines: [
+            `${data.reportedBy} marked ${data.deviceName} as stolen and started theft mode (case #${data.caseId}).`,
+            `Playbook: ${data.steps.join(', ')}`,
+            'Mark the device as recovered from the dashboard once you have it back.'
+        ]
+    }),
+
+    'device.recovered': (data) => ({
+        subject: `${data.deviceName} was marked as recovered`,
+        lines: [
+            `${data.recoveredBy} marked ${data.deviceName} as recovered and closed theft case #${data.caseId}.`
+        ]
+    }),
+
+    'geofence.entered': (data) => ({
+        subject: `${data.deviceName} entered "${data.geofenceName}"`,
+        lines: [
+            `${data.deviceName} entered the geofence "${data.geofenceName}".`,
+            `Position: ${data.location.latitude}, ${data.location.longitude}`
+        ]
+    }),
+
+    'geofence.exited': (data) => ({
+        subject: `${data.deviceName} left "${data.geofenceName}"`,
+        lines: [
+            `${data.deviceName} left the geofence "${data.geofenceName}".`,
+            `Position: ${data.location.latitude}, ${data.location.longitude}`
+        ]
+    }),
+
+    'test': () => ({
+        subject: 'Alpha Security test notification',
+        lines: ['Email notifications are configured correctly.']
+    })
+};
+
+// Account emails, sent regardless of notification preferences
+const accountTemplates = {
+    'email.verify': (data) => ({
+        subject: 'Verify your Alpha Security email address',
+        lines: [
+            `Hi ${data.username}, please confirm that ${data.email} belongs to your account by opening this link:`,
+            data.link,
+            `The link expires in ${data.expiresIn}. If you did not sign up, you can ignore this email.`
+        ]
+    }),
+
+    'password.reset': (data) => ({
+        subject: 'Reset your Alpha Security password',
+        lines: [
+            `Hi ${data.username}, a password reset was requested for your account. Choose a new password here:`,
+            data.link,
+            `The link works once and expires in ${data.expiresIn}. If you did not ask for this, you can ignore this email.`
+        ]
+    }),
+
+    'account.locked': (data) => ({
+        subject: 'Your Alpha Security account was temporarily locked',
+        lines: [
+            `Hi ${data.username}, logins to your account were blocked for ${data.minutes} minutes after ${data.failures} failed attempts.`,
+            `The last attempt came from ${data.ip || 'an unknown address'}.`,
+            'If this was not you, someone may be guessing your password. Consider resetting it and enabling two-factor authentication.'
+        ]
+    }),
+
+    'device.shared': (data) => ({
+        subject: `${data.owner} shared ${data.deviceName} with you`,
+        lines: [
+            `Hi ${data.username}, ${data.owner} invited you to access the device ${data.deviceName} (${data.permissions.join(', ')}).`,
+            data.expiresAt ? `The share ends on ${new Date(data.expiresAt).toLocaleString()}.` : null,
+            'Open the Alpha Security dashboard to accept or decline the invitation.'
+        ]
+    }),
+
+    'password.changed': (data) => ({
+        subject: 'Your Alpha Security password was reset',
+        lines: [
+            `Hi ${data.username}, the password of your account was just reset and all sessions were logged out.`,
+            'If this was not you, reset your password again right away and review your API keys.'
+        ]
+    })
+};
+
+// Emails to the theft contacts listed in a user's playbook, who may not
+// have an account
+const contactTemplates = {
+    'theft.reported': (data) => ({
+        subject: `${data.deviceName} has been reported stolen`,
+        lines: [
+            `${data.owner} reported the device ${data.deviceName} as stolen and listed you as a contact.`,
+            data.lastLocation
+                ? `Last known position: ${data.lastLocation.latitude}, ${data.lastLocation.longitude} at ${new Date(data.lastLocation.timestamp).toLocaleString()}.`
+                : 'No recent position is known.',
+            `If you see the device or hear from whoever has it, please contact ${data.owner}.`
+        ]
+    }),
+
+    'theft.recovered': (data) => ({
+        subject: `${data.deviceName} has been recovered`,
+        lines: [
+            `${data.owner} reported the device ${data.deviceName} as recovered. Thank you for your help.`
+        ]
+    })
+};
+
+const NOTIFICATION_EVENTS = Object.keys(templates).filter(type => type !== 'test');
+const NOTIFICATION_FOOTER = 'Alpha Security · You can change your notification preferences at any time.';
+const ACCOUNT_FOOTER = 'Alpha Security · You receive this email because of activity on your account.';
+const CONTACT_FOOTER = 'Alpha Security · You receive this email because a device owner listed you as a theft contact.';
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function renderLayout(title, paragraphs, footer = NOTIFICATION_FOOTER) {
+    const text = `${title}\n\n${paragraphs.join('\n')}\n\n-- \nAlpha Security`;
+    const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #212529;">
+    <h2 style="color: #0d6efd;">🛡️ ${escapeHtml(title)}</h2>
+    ${paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n    ')}
+    <p style="color: #6c757d; font-size: 12px;">${escapeHtml(footer)}</p>
+</body>
+</html>`;
+    return { text, html };
+}
+
+// Render a single event notification
+function renderNotification(type, data) {
+    const { subject, lines } = templates[type](data);
+    return {
+        subject: subject,
+        ...renderLayout(subject, lines.filter(Boolean))
+    };
+}
+
+// Render a digest of several queued notifications
+function renderDigest(items) {
+    const subject = `Alpha Security digest: ${items.length} notification${items.length > 1 ? 's' : ''}`;
+    const lines = items.map(item => {
+        const { subject: itemSubject } = templates[item.type](item.data);
+        return `[${new Date(item.timestamp).toLocaleString()}] ${itemSubject}`;
+    });
+    return {
+        subject: subject,
+        ...renderLayout(subject, lines)
+    };
+}
+
+// Render an account email (verification, password reset, device shares)
+function renderAccountEmail(type, data) {
+    const { subject, lines } = accountTemplates[type](data);
+    return {
+        subject: subject,
+        ...renderLayout(subject, lines.filter(Boolean), ACCOUNT_FOOTER)
+    };
+}
+
+// Render an email to a theft contact
+function renderContactEmail(type, data) {
+    const { subject, lines } = contactTemplates[type](data);
+    return {
+        subject: subject,
+        ...renderLayout(subject, lines.filter(Boolean), CONTACT_FOOTER)
+    };
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    renderNotification,
+    renderDigest,
+    renderAccountEmail,
+    renderContactEmail
+};
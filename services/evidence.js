@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { MEDIA_HEADER_BYTES, detectMediaType } = require('../utils/media');
+const { normalizeStatus } = require('./commandLifecycle');
+
+const EVIDENCE_DIR = path.join(__dirname, '..', 'data', 'evidence');
+const MAX_UPLOAD_BYTES = (parseInt(process.env.EVIDENCE_MAX_UPLOAD_MB) || 25) * 1024 * 1024;
+const QUOTA_BYTES = (parseInt(process.env.EVIDENCE_QUOTA_MB) || 500) * 1024 * 1024;
+const MAX_FILES_PER_COMMAND = 10;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const AUDIO_TYPES = ['audio/mp4', 'audio/3gpp', 'audio/mpeg', 'audio/ogg', 'audio/webm', 'audio/wav', 'audio/amr'];
+
+// Commands whose result the device uploads, with the media they produce
+const EVIDENCE_COMMANDS = {
+    CAPTURE_PHOTO: { mediaType: 'photo', mimeTypes: IMAGE_TYPES },
+    RECORD_AUDIO: { mediaType: 'audio', mimeTypes: AUDIO_TYPES },
+    SCREENSHOT: { mediaType: 'screenshot', mimeTypes: IMAGE_TYPES }
+};
+
+// Uploads are accepted once the device received the command
+const UPLOAD_STATUSES = ['delivered', 'acknowledged', 'executed'];
+
+// Photos, audio recordings and screenshots devices upload for evidence
+// commands. Files are kept under data/evidence with random names and judged
+// by their content, not the type the device claims; each device owner has a
+// storage quota (EVIDENCE_QUOTA_MB). Methods that can be refused resolve to
+// { error, status }.
+class Evidence {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async getQuota(userId) {
+        return {
+            usedBytes: await this.db.getEvidenceUsage(userId),
+            limitBytes: QUOTA_BYTES
+        };
+    }
+
+    // Keep a file multer stored for a command of the device, or delete it
+    // again if it is refused
+    async store(device, file, { commandId, capturedAt }) {
+        let result;
+        try {
+            result = await this.accept(device, file, { commandId, capturedAt });
+        } catch (error) {
+            await this.discard(file);
+            throw error;
+        }
+        if (result.error) {
+            await this.discard(file);
+        }
+        return result;
+    }
+
+    async accept(device, file, { commandId, capturedAt }) {
+        if (!file) {
+            return { error: 'A file is required', status: 400 };
+        }
+
+        const command = commandId ? await this.db.getCommandById(commandId) : null;
+        if (!command || command.device_id !== device.device_id) {
+            return { error: 'Command not found', status: 404 };
+        }
+
+        const spec = EVIDENCE_COMMANDS[command.command_type];
+        if (!spec) {
+            return { error: `${command.command_type} commands do not take uploads`, status: 400 };
+        }
+
+        const status = normalizeStatus(command.status);
+        if (!UPLOAD_STATUSES.includes(status)) {
+            return { error: `Command is ${status}; uploads are accepted from delivery until it ends`, status: 409 };
+        }
+        if (await this.db.countEvidenceForCommand(command.id) >= MAX_FILES_PER_COMMAND) {
+            return { error: `A command takes at most ${MAX_FILES_PER_COMMAND} uploads`, status: 409 };
+        }
+
+        if (capturedAt && Number.isNaN(new Date(capturedAt).getTime())) {
+            return { error: 'capturedAt must be a date', status: 400 };
+        }
+
+        const mimeType = detectMediaType(await readHeader(file.path));
+        if (!spec.mimeTypes.includes(mimeType)) {
+            return { error: `${command.command_type} uploads must be one of: ${spec.mimeTypes.join(', ')}`, status: 415 };
+        }
+
+        const quota = await this.getQuota(device.user_id);
+        if (quota.usedBytes + file.size > quota.limitBytes) {
+            return { error: 'Evidence storage quota exceeded, delete older evidence first', status: 413 };
+        }
+
+        const result = await this.db.createEvidence({
+            device_id: device.device_id,
+            command_id: command.id,
+            owner_id: device.user_id,
+            media_type: spec.mediaType,
+            mime_type: mimeType,
+            size_bytes: file.size,
+            sha256: await hashFile(file.path),
+            file_name: file.filename,
+            captured_at: capturedAt ? new Date(capturedAt).toISOString() : null
+        });
+
+        await this.db.logDeviceActivity(
+            device.device_id,
+            'evidence_uploaded',
+            `${spec.mediaType} uploaded (${file.size} bytes) - Command ID: ${command.id} - Evidence ID: ${result.id}`
+        );
+
+        return { evidence: await this.db.getEvidenceById(result.id) };
+    }
+
+    async remove(evidence) {
+        await this.db.deleteEvidence(evidence.id);
+        await this.discard({ path: this.filePath(evidence) });
+    }
+
+    // Remove a device through Database#removeDevice, then the files of its
+    // evidence once their rows are gone for good
+    async removeDevice(deviceId) {
+        const items = await this.db.transaction(async () => {
+            const rows = await this.db.getEvidenceByDeviceId(deviceId);
+            await this.db.removeDevice(deviceId);
+            return rows;
+        });
+        for (const evidence of items) {
+            await this.discard({ path: this.filePath(evidence) });
+        }
+    }
+
+    filePath(evidence) {
+        return path.join(EVIDENCE_DIR, path.basename(evidence.file_name));
+    }
+
+    async discard(file) {
+        if (!file) {
+            return;
+        }
+        try {
+            await fs.promises.unlink(file.path);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Evidence file delete error:', error);
+            }
+        }
+    }
+
+    static format(evidence) {
+        return {
+            id: evidence.id,
+            deviceId: evidence.device_id,
+            commandId: evidence.command_id,
+            mediaType: evidence.media_type,
+            mimeType: evidence.mime_type,
+            sizeBytes: evidence.size_bytes,
+            sha256: evidence.sha256,
+            capturedAt: evidence.captured_at,
+            uploadedAt: evidence.created_at
+        };
+    }
+}
+
+async function readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(MEDIA_HEADER_BYTES), 0, MEDIA_HEADER_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+Evidence.COMMANDS = EVIDENCE_COMMANDS;
+Evidence.DIRECTORY = EVIDENCE_DIR;
+Evidence.MAX_UPLOAD_BYTES = MAX_UPLOAD_BYTES;
+
+module.exports = Evidence;
@@ -0,0 +1,116 @@
+const { calculateDistance, isPointInPolygonGeometry } = require('../utils/geo');
+
+// Evaluates incoming location points against a device's active geofences,
+// tracks the inside/outside state of every fence and raises enter/exit events
+class GeofenceMonitor {
+    constructor(db, io, events) {
+        this.db = db;
+        this.io = io;
+        this.events = events;
+    }
+
+    // Check a single location point and return the events it triggered
+    async evaluate(deviceId, location) {
+        const geofences = await this.db.getDeviceGeofences(deviceId);
+        const events = [];
+
+        for (const geofence of geofences) {
+            const { isInside, distanceMeters } = this.containsPoint(geofence, location);
+
+            const state = await this.db.getGeofenceState(geofence.id);
+
+            // Ignore points older than the one the current state is based on,
+            // otherwise out-of-order batches would flip the state back and forth
+            if (state && new Date(location.timestamp) < new Date(state.last_location_at)) {
+                continue;
+            }
+
+            await this.db.saveGeofenceState(geofence.id, deviceId, isInside, location.timestamp);
+
+            // The first point only establishes the initial state
+            if (!state || (state.is_inside === 1) === isInside) {
+                continue;
+            }
+
+            const eventType = isInside ? 'enter' : 'exit';
+            if (geofence.alert_type !== 'both' && geofence.alert_type !== eventType) {
+                continue;
+            }
+
+            const eventResult = await this.db.createGeofenceEvent({
+                geofence_id: geofence.id,
+                device_id: deviceId,
+                user_id: geofence.user_id,
+                event_type: eventType,
+                latitude: location.latitude,
+                longitude: location.longitude,
+                distance_meters: distanceMeters,
+                timestamp: location.timestamp
+            });
+
+            await this.db.logDeviceActivity(
+                deviceId,
+                `geofence_${eventType}`,
+                `Device ${isInside ? 'entered' : 'exited'} geofence "${geofence.name}"`
+            );
+
+            const event = {
+                eventId: eventResult.id,
+                geofenceId: geofence.id,
+                geofenceName: geofence.name,
+                deviceId: deviceId,
+                userId: geofence.user_id,
+                type: eventType,
+                location: {
+                    latitude: location.latitude,
+                    longitude: location.longitude
+                },
+                distanceMeters: distanceMeters !== null ? Math.round(distanceMeters) : null,
+                timestamp: location.timestamp
+            };
+
+            this.io.to(`dashboard-${geofence.user_id}`).emit(
+                isInside ? 'geofence-entered' : 'geofence-exited',
+                event
+            );
+            this.events.publish(geofence.user_id, `geofence.${isInside ? 'entered' : 'exited'}`, event);
+
+            events.push(event);
+        }
+
+        return events;
+    }
+
+    // Circles compare the distance to the center with the radius. For polygons
+    // the stored center/radius is a bounding circle, so points outside it can
+    // skip the full polygon test.
+    containsPoint(geofence, location) {
+        const distanceMeters = calculateDistance(
+            geofence.center_latitude, geofence.center_longitude,
+            location.latitude, location.longitude
+        ) * 1000;
+
+        if (geofence.shape_type !== 'polygon') {
+            return { isInside: distanceMeters <= geofence.radius_meters, distanceMeters };
+        }
+
+        const isInside = distanceMeters <= geofence.radius_meters &&
+            isPointInPolygonGeometry(JSON.parse(geofence.geometry), location.latitude, location.longitude);
+        return { isInside, distanceMeters: null };
+    }
+
+    // Evaluate several points in chronological order
+    async evaluateAll(deviceId, locations) {
+        const ordered = [...locations].sort(
+            (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+        );
+
+        const events = [];
+        for (const location of ordered) {
+            events.push(...await this.evaluate(deviceId, location));
+        }
+        return events;
+    }
+}
+
+module.exports = GeofenceMonitor;
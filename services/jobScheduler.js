@@ -0,0 +1,113 @@
+const cron = require('node-cron');
+
+// Runs recurring maintenance jobs on node-cron schedules and keeps track of
+// their status. Each run is recorded in the job_runs table.
+class JobScheduler {
+    constructor(db) {
+        this.db = db;
+        this.jobs = new Map();
+    }
+
+    // Register a job; handler resolves to a JSON-serializable result
+    register(name, schedule, description, handler) {
+        if (!cron.validate(schedule)) {
+            throw new Error(`Invalid cron schedule for job ${name}: ${schedule}`);
+        }
+
+        this.jobs.set(name, {
+            name: name,
+            schedule: schedule,
+            description: description,
+            handler: handler,
+            task: null,
+            running: false,
+            lastRun: null
+        });
+    }
+
+    async start() {
+        for (const job of this.jobs.values()) {
+            // Show the previous process's last run until this one runs the job
+            const lastRun = await this.db.getLastJobRun(job.name);
+            if (lastRun) {
+                job.lastRun = {
+                    status: lastRun.status,
+                    result: lastRun.result ? JSON.parse(lastRun.result) : null,
+                    error: lastRun.error,
+                    startedAt: lastRun.started_at,
+                    finishedAt: lastRun.finished_at
+                };
+            }
+
+            job.task = cron.schedule(job.schedule, () => {
+                this.run(job.name).catch(error => {
+                    console.error(`Job ${job.name} error:`, error);
+                });
+            });
+        }
+        console.log(`✅ Job scheduler started (${this.jobs.size} jobs)`);
+    }
+
+    stop() {
+        for (const job of this.jobs.values()) {
+            if (job.task) {
+                job.task.stop();
+                job.task = null;
+            }
+        }
+    }
+
+    has(name) {
+        return this.jobs.has(name);
+    }
+
+    // Run a job immediately. Overlapping runs of the same job are skipped.
+    async run(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        if (job.running) {
+            return { ...job.lastRun, skipped: true };
+        }
+
+        job.running = true;
+        const startedAt = new Date().toISOString();
+        let run;
+
+        try {
+            const result = await job.handler();
+            run = { status: 'succeeded', result: result || null, error: null };
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error);
+            run = { status: 'failed', result: null, error: error.message };
+        } finally {
+            job.running = false;
+        }
+
+        run = {
+            ...run,
+            startedAt: startedAt,
+            finishedAt: new Date().toISOString()
+        };
+        job.lastRun = run;
+
+        await this.db.recordJobRun(name, run);
+
+        return run;
+    }
+
+    getStatus() {
+        return Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            description: job.description,
+            schedule: job.schedule,
+            scheduled: job.task !== null,
+            running: job.running,
+            lastRun: job.lastRun
+        }));
+    }
+}
+
+module.exports = JobScheduler;
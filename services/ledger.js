@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { canonicalJson, findBrokenLink } = require('../utils/ledger');
+const { normalizeStatus } = require('./commandLifecycle');
+
+const KEY_PATH = path.join(__dirname, '..', 'data', 'ledger-signing-key.pem');
+const EXPORT_FORMAT = 'alpha-security-ledger';
+
+// Tamper evidence for a device's history. Every command, command status
+// change, location, device log and pruning run is appended to the device's
+// hash chain in ledger_entries (see Database#appendLedgerEntry). Verification
+// walks the chain and compares it with the rows it recorded; exports are
+// signed with an Ed25519 key so a third party can check them offline with
+// scripts/verify-ledger-export.js.
+//
+// The signing key comes from LEDGER_SIGNING_KEY (PEM) or is generated into
+// data/ on first start.
+class Ledger {
+    constructor(db) {
+        this.db = db;
+        this.privateKey = null;
+        this.publicKey = null;
+    }
+
+    async initialize() {
+        let pem = process.env.LEDGER_SIGNING_KEY ? process.env.LEDGER_SIGNING_KEY.replace(/\\n/g, '\n') : null;
+        if (!pem) {
+            try {
+                pem = await fs.readFile(KEY_PATH, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+                const { privateKey } = crypto.generateKeyPairSync('ed25519');
+                pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+                await fs.writeFile(KEY_PATH, pem, { mode: 0o600 });
+                console.log('🔏 Generated a ledger signing key in data/ - set LEDGER_SIGNING_KEY to keep it across deployments');
+            }
+        }
+
+        this.privateKey = crypto.createPrivateKey(pem);
+        this.publicKey = crypto.createPublicKey(this.privateKey);
+    }
+
+    get publicKeyPem() {
+        return this.publicKey.export({ type: 'spki', format: 'pem' });
+    }
+
+    // SHA-256 of the public key, to compare with the key in an export
+    get publicKeyFingerprint() {
+        return crypto.createHash('sha256')
+            .update(this.publicKey.export({ type: 'spki', format: 'der' }))
+            .digest('hex');
+    }
+
+    // Checks the chain and the rows it recorded. firstBrokenLink is the
+    // earliest entry that fails; unrecorded lists rows added behind the
+    // ledger's back.
+    async verify(deviceId) {
+        const entries = (await this.db.getLedgerEntries(deviceId)).map(Ledger.formatEntry);
+
+        let firstBrokenLink = null;
+        const chainBreak = findBrokenLink(entries);
+        if (chainBreak) {
+            const entry = entries.find(e => e.sequence === chainBreak.sequence);
+            firstBrokenLink = Ledger.brokenLink(entry, chainBreak.sequence, chainBreak.reason);
+        }
+
+        // Rows are only compared up to the chain break; past it nothing can be trusted
+        const intact = chainBreak ? entries.filter(e => e.sequence < chainBreak.sequence) : entries;
+        const recordIssue = await this.findRecordMismatch(intact);
+        if (recordIssue && (!firstBrokenLink || recordIssue.sequence < firstBrokenLink.sequence)) {
+            firstBrokenLink = recordIssue;
+        }
+
+        const unrecorded = [];
+        for (const recordType of ['command', 'location', 'device_log']) {
+            const ids = await this.db.getUnrecordedIds(deviceId, recordType);
+            ids.forEach(id => unrecorded.push({ recordType: recordType, recordId: id }));
+        }
+
+        return {
+            deviceId: deviceId,
+            valid: !firstBrokenLink && unrecorded.length === 0,
+            entryCount: entries.length,
+            headHash: entries.length > 0 ? entries[entries.length - 1].hash : null,
+            firstBrokenLink: firstBrokenLink,
+            unrecorded: unrecorded,
+            verifiedAt: new Date().toISOString()
+        };
+    }
+
+    // First entry whose row was changed or deleted (pruned rows excepted)
+    async findRecordMismatch(entries) {
+        const prunedBefore = {};
+        entries.filter(e => e.recordType === 'prune').forEach(e => {
+            if (!prunedBefore[e.payload.table] || e.payload.before > prunedBefore[e.payload.table]) {
+                prunedBefore[e.payload.table] = e.payload.before;
+            }
+        });
+
+        const lastStatus = new Map();
+        const issues = [];
+        for (const entry of entries) {
+            if (entry.recordType === 'prune') {
+                continue;
+            }
+            if (entry.recordType === 'command_status') {
+                lastStatus.set(entry.recordId, entry);
+                continue;
+            }
+
+            const row = await this.db.getLedgerRecord(entry.recordType, entry.recordId);
+            if (!row) {
+                const table = entry.recordType === 'location' ? 'locations' : 'device_logs';
+                const time = entry.recordType === 'location' ? entry.payload.timestamp : entry.createdAt;
+                const wasPruned = entry.recordType !== 'command' && prunedBefore[table]
+                    && new Date(time) < new Date(prunedBefore[table]);
+                if (!wasPruned) {
+                    issues.push(Ledger.brokenLink(entry, entry.sequence, 'Recorded row was deleted'));
+                }
+                continue;
+            }
+
+            // Loose comparison: SQLite may store "1.5" sent by a device as 1.5
+            const changed = Object.keys(entry.payload).filter(key => entry.payload[key] != row[key]);
+            if (changed.length > 0) {
+                issues.push(Ledger.brokenLink(entry, entry.sequence, `Recorded row was changed (${changed.join(', ')})`));
+            }
+        }
+
+        for (const entry of lastStatus.values()) {
+            const command = await this.db.getCommandById(entry.recordId);
+            if (command && normalizeStatus(command.status) !== entry.payload.status) {
+                issues.push(Ledger.brokenLink(entry, entry.sequence, `Command status was changed to ${command.status}`));
+            }
+        }
+
+        return issues.sort((a, b) => a.sequence - b.sequence)[0] || null;
+    }
+
+    // The device's full chain with its verification, signed
+    async export(device) {
+        const entries = (await this.db.getLedgerEntries(device.device_id)).map(Ledger.formatEntry);
+        const verification = await this.verify(device.device_id);
+
+        const body = {
+            format: EXPORT_FORMAT,
+            version: 1,
+            device: { id: device.device_id, name: device.device_name },
+            exportedAt: new Date().toISOString(),
+            entries: entries,
+            headHash: verification.headHash,
+            verification: verification,
+            publicKey: this.publicKeyPem,
+            publicKeyFingerprint: this.publicKeyFingerprint
+        };
+
+        return {
+            ...body,
+            signature: {
+                algorithm: 'Ed25519',
+                value: crypto.sign(null, Buffer.from(canonicalJson(body)), this.privateKey).toString('base64')
+            }
+        };
+    }
+
+    static brokenLink(entry, sequence, reason) {
+        return {
+            sequence: sequence,
+            recordType: entry ? entry.recordType : null,
+            recordId: entry ? entry.recordId : null,
+            reason: reason
+        };
+    }
+
+    static formatEntry(row) {
+        return {
+            sequence: row.sequence,
+            deviceId: row.device_id,
+            recordType: row.record_type,
+            recordId: row.record_id,
+            payload: JSON.parse(row.payload),
+            prevHash: row.prev_hash,
+            hash: row.hash,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = Ledger;
@@ -0,0 +1,183 @@
+const { renderAccountEmail } = require('./emailTemplates');
+const { isPrivateAddress } = require('../utils/network');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_WINDOW_MINUTES = 15;
+// Failures older than this no longer count towards a username's lockout
+const FAILURE_MEMORY_HOURS = 24;
+
+// Brute-force protection for the password and two-factor login steps.
+// Failed attempts are recorded per username and per IP address in
+// login_attempts, which doubles as the audit trail:
+// - after a few failures each further attempt has to wait a little longer,
+//   for the username and (later) for the address
+// - every LOCKOUT_THRESHOLD consecutive failures lock the username, for
+//   twice as long each time, and the owner is emailed
+// - an address with IP_MAX_FAILURES failures within IP_WINDOW_MINUTES is
+//   refused until they age out
+// Unknown usernames are tracked the same way, so responses do not reveal
+// which accounts exist.
+// Loopback and private addresses are left out of the per-address limits:
+// behind a reverse proxy without TRUST_PROXY every request seems to come from
+// the proxy, and one client's failures would block everyone.
+class LoginGuard {
+    constructor(db, mailer) {
+        this.db = db;
+        this.mailer = mailer;
+    }
+
+    // Seconds to wait after `failures` consecutive failures: none for the
+    // first two, then 1, 2, 4... up to 30
+    static delaySeconds(failures) {
+        return failures < 3 ? 0 : Math.min(2 ** (failures - 3), 30);
+    }
+
+    static lockoutMinutes(failures) {
+        const lockouts = Math.floor(failures / LOCKOUT_THRESHOLD);
+        if (lockouts === 0) {
+            return 0;
+        }
+        return Math.min(LOCKOUT_MINUTES * 2 ** (lockouts - 1), MAX_LOCKOUT_MINUTES);
+    }
+
+    // Resolves to null if the attempt may proceed, otherwise
+    // { error, status, retryAfter } (seconds). Refused attempts are recorded.
+    async check(username, req) {
+        const blocked = await this.getBlock(username, req.ip);
+        if (blocked) {
+            await this.record(username, null, req, 'blocked', blocked.reason);
+            return { error: blocked.error, status: 429, retryAfter: blocked.retryAfter };
+        }
+        return null;
+    }
+
+    async getBlock(username, ip) {
+        const now = Date.now();
+
+        const ipStats = isPrivateAddress(ip)
+            ? { failures: 0 }
+            : await this.db.getIpFailureStats(ip, since(IP_WINDOW_MINUTES * 60 * 1000));
+        if (ipStats.failures >= IP_MAX_FAILURES) {
+            return {
+                reason: 'ip_blocked',
+                error: 'Too many failed logins from this address, try again later',
+                retryAfter: secondsUntil(Date.parse(ipStats.first_failure_at) + IP_WINDOW_MINUTES * 60 * 1000, now)
+            };
+        }
+
+        const stats = await this.db.getLoginFailureStats(username, since(FAILURE_MEMORY_HOURS * 60 * 60 * 1000));
+        if (stats.failures > 0) {
+            const lastFailure = Date.parse(stats.last_failure_at);
+
+            const lockedUntil = lastFailure + LoginGuard.lockoutMinutes(stats.failures) * 60 * 1000;
+            if (lockedUntil > now) {
+                return {
+                    reason: 'locked',
+                    error: 'Account temporarily locked after repeated failed logins',
+                    retryAfter: secondsUntil(lockedUntil, now)
+                };
+            }
+
+            const delayUntil = lastFailure + LoginGuard.delaySeconds(stats.failures) * 1000;
+            if (delayUntil > now) {
+                return {
+                    reason: 'throttled',
+                    error: 'Too many failed login attempts, wait before trying again',
+                    retryAfter: secondsUntil(delayUntil, now)
+                };
+            }
+        }
+
+        // Addresses may be shared, so their delays start only after as many
+        // failures as lock a single username
+        if (ipStats.failures > LOCKOUT_THRESHOLD) {
+            const delay = LoginGuard.delaySeconds(ipStats.failures - LOCKOUT_THRESHOLD);
+            const delayUntil = Date.parse(ipStats.last_failure_at) + delay * 1000;
+            if (delayUntil > now) {
+                return {
+                    reason: 'throttled',
+                    error: 'Too many failed login attempts, wait before trying again',
+                    retryAfter: secondsUntil(delayUntil, now)
+                };
+            }
+        }
+
+        return null;
+    }
+
+    // reason: invalid_credentials, invalid_2fa or invalid_recovery_code
+    async recordFailure(username, req, reason) {
+        const user = await this.db.getUserByUsername(String(username));
+        await this.record(username, user, req, 'failed', reason);
+
+        const stats = await this.db.getLoginFailureStats(username, since(FAILURE_MEMORY_HOURS * 60 * 60 * 1000));
+        if (user && stats.failures % LOCKOUT_THRESHOLD === 0) {
+            await this.notifyLockout(user, stats.failures, req.ip);
+        }
+    }
+
+    async recordSuccess(user, req) {
+        await this.record(user.username, user, req, 'success', null);
+    }
+
+    // A password reset proves ownership, so earlier failures stop counting
+    async clearFailures(user, req) {
+        await this.record(user.username, user, req, 'reset', 'password_reset');
+    }
+
+    async record(username, user, req, outcome, reason) {
+        await this.db.recordLoginAttempt({
+            username: String(username),
+            user_id: user ? user.id : null,
+            ip_address: req.ip,
+            user_agent: req.headers['user-agent'],
+            outcome: outcome,
+            reason: reason
+        });
+    }
+
+    async notifyLockout(user, failures, ip) {
+        const minutes = LoginGuard.lockoutMinutes(failures);
+        console.warn(`Account ${user.username} locked for ${minutes} minutes after ${failures} failed logins`);
+
+        try {
+            await this.mailer.send({
+                to: user.email,
+                ...renderAccountEmail('account.locked', {
+                    username: user.username,
+                    failures: failures,
+                    ip: ip,
+                    minutes: minutes
+                })
+            });
+        } catch (error) {
+            console.error('Lockout notification error:', error);
+        }
+    }
+
+    static formatAttempt(attempt) {
+        return {
+            id: attempt.id,
+            username: attempt.username,
+            userId: attempt.user_id,
+            ipAddress: attempt.ip_address,
+            userAgent: attempt.user_agent,
+            outcome: attempt.outcome,
+            reason: attempt.reason,
+            createdAt: attempt.created_at
+        };
+    }
+}
+
+function since(ms) {
+    return new Date(Date.now() - ms).toISOString();
+}
+
+function secondsUntil(time, now) {
+    return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+module.exports = LoginGuard;
@@ -0,0 +1,49 @@
+const nodemailer = require('nodemailer');
+
+// Thin wrapper around a nodemailer SMTP transport configured from the
+// environment. Without SMTP_HOST, email delivery is disabled and send() is a no-op.
+class Mailer {
+    constructor() {
+        this.from = process.env.SMTP_FROM || 'Alpha Security <no-reply@alphasecurity.local>';
+        this.transport = null;
+
+        if (process.env.SMTP_HOST) {
+            this.transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+                auth: process.env.SMTP_USER ? {
+                    user: process.env.SMTP_USER,
+                    pass: process.env.SMTP_PASS
+                } : undefined
+            });
+        }
+    }
+
+    get isEnabled() {
+        return this.transport !== null;
+    }
+
+    async send({ to, subject, text, html }) {
+        if (!this.transport) {
+            return null;
+        }
+
+        return await this.transport.sendMail({
+            from: this.from,
+            to: to,
+            subject: subject,
+            text: text,
+            html: html
+        });
+    }
+
+    close() {
+        if (this.transport) {
+            this.transport.close();
+        }
+    }
+}
+
+module.exports = Mailer;
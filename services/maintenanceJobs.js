@@ -0,0 +1,114 @@
+// Recurring maintenance jobs run by the JobScheduler
+
+const OFFLINE_AFTER_MINUTES = parseInt(process.env.DEVICE_OFFLINE_MINUTES) || 15;
+const COMMAND_EXPIRY_HOURS = parseInt(process.env.COMMAND_EXPIRY_HOURS) || 24;
+const LOCATION_RETENTION_DAYS = parseInt(process.env.LOCATION_RETENTION_DAYS) || 90;
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS) || 30;
+
+function registerMaintenanceJobs(scheduler, { db, events, emailNotifier, commandScheduler, wipeApprovals }) {
+    scheduler.register(
+        'mark-offline-devices',
+        '* * * * *',
+        `Mark devices offline after ${OFFLINE_AFTER_MINUTES} minutes without a heartbeat`,
+        async () => {
+            const devices = await db.getStaleOnlineDevices(OFFLINE_AFTER_MINUTES);
+
+            for (const device of devices) {
+                await db.markDeviceOffline(device.device_id);
+                await db.logDeviceActivity(
+                    device.device_id,
+                    'status_change',
+                    `Device marked offline - no contact since ${device.last_seen}`
+                );
+                events.publish(device.user_id, 'device.offline', {
+                    deviceId: device.device_id,
+                    lastSeen: device.last_seen
+                });
+            }
+
+            return { markedOffline: devices.length };
+        }
+    );
+
+    scheduler.register(
+        'expire-pending-commands',
+        '*/5 * * * *',
+        'Expire unfinished commands past their TTL',
+        async () => {
+            const result = await db.expireStaleCommands(COMMAND_EXPIRY_HOURS);
+            return { expired: result.changes };
+        }
+    );
+
+    scheduler.register(
+        'dispatch-scheduled-commands',
+        '* * * * *',
+        'Send one-off scheduled commands that are due',
+        async () => {
+            return await commandScheduler.runDue();
+        }
+    );
+
+    scheduler.register(
+        'release-wipe-requests',
+        '* * * * *',
+        'Send factory resets whose approval and cool-down are complete',
+        async () => {
+            const released = await wipeApprovals.releaseDue();
+            return { released: released };
+        }
+    );
+
+    scheduler.register(
+        'expire-device-shares',
+        '*/5 * * * *',
+        'Mark device shares and invitations past their expiry as expired',
+        async () => {
+            const result = await db.expireDeviceShares();
+            return { expired: result.changes };
+        }
+    );
+
+    scheduler.register(
+        'prune-history',
+        '30 3 * * *',
+        `Delete locations older than ${LOCATION_RETENTION_DAYS} days and device logs, job runs, login attempts and inactive API keys older than ${LOG_RETENTION_DAYS} days`,
+        async () => {
+            const locations = await db.pruneLocations(LOCATION_RETENTION_DAYS);
+            const logs = await db.pruneDeviceLogs(LOG_RETENTION_DAYS);
+            const jobRuns = await db.pruneJobRuns(LOG_RETENTION_DAYS);
+            const apiKeys = await db.deleteInactiveApiKeys(LOG_RETENTION_DAYS);
+            const loginAttempts = await db.pruneLoginAttempts(LOG_RETENTION_DAYS);
+            return {
+                locationsDeleted: locations.changes,
+                logsDeleted: logs.changes,
+                jobRunsDeleted: jobRuns.changes,
+                apiKeysDeleted: apiKeys.changes,
+                loginAttemptsDeleted: loginAttempts.changes
+            };
+        }
+    );
+
+    scheduler.register(
+        'clean-sessions',
+        '0 * * * *',
+        'Delete expired dashboard sessions and account tokens',
+        async () => {
+            const result = await db.deleteExpiredSessions();
+            const tokens = await db.deleteExpiredAccountTokens();
+            return { deleted: result.changes, accountTokensDeleted: tokens.changes };
+        }
+    );
+
+    scheduler.register(
+        'email-digest',
+        process.env.NOTIFICATION_DIGEST_CRON || '0 * * * *',
+        'Send queued notification digest emails',
+        async () => {
+            const usersNotified = await emailNotifier.flushDigests();
+            return { usersNotified: usersNotified };
+        }
+    );
+}
+
+module.exports = registerMaintenanceJobs;
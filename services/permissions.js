@@ -0,0 +1,161 @@
+// Device permissions. A device is reachable by the account it is registered
+// to, by members of an organization whose device groups contain it (see
+// Database#getDeviceOrganizationRoles) and by accounts it was shared with
+// (device_shares). Organization members' rights follow from their role,
+// share recipients get the permissions picked for the share:
+// - view: device details, locations, logs, geofences and command history
+// - locate: request a location fix
+// - control: lock, unlock and the alarm
+// - manage: geofences and every other command type
+// - evidence: photos, audio recordings and screenshots from the device, and
+//   the evidence gallery
+// - wipe: factory reset
+// - own: only the registering account; delete the device, manage its token,
+//   shares and public location links and report for it (heartbeats,
+//   locations, command responses)
+const ORGANIZATION_ROLES = ['owner', 'admin', 'operator', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'locate', 'control', 'manage', 'evidence', 'wipe'],
+    admin: ['view', 'locate', 'control', 'manage', 'evidence', 'wipe'],
+    operator: ['view', 'locate', 'control'],
+    viewer: ['view']
+};
+
+// Role reported for the account the device is registered to
+const DEVICE_OWNER_ROLE = 'device_owner';
+const DEVICE_OWNER_PERMISSIONS = ['view', 'locate', 'control', 'manage', 'evidence', 'wipe', 'own'];
+
+// Role reported for recipients of a device share; shares always include view
+// and never a factory reset
+const SHARED_ROLE = 'shared';
+const SHAREABLE_PERMISSIONS = ['view', 'locate', 'control', 'manage', 'evidence'];
+
+// Permission needed to send (or cancel, or schedule) each remote command
+const COMMAND_PERMISSIONS = {
+    REQUEST_LOCATION: 'locate',
+    SET_TRACKING_PROFILE: 'locate',
+    LOCK_DEVICE: 'control',
+    UNLOCK_DEVICE: 'control',
+    START_ALARM: 'control',
+    STOP_ALARM: 'control',
+    CAPTURE_PHOTO: 'evidence',
+    RECORD_AUDIO: 'evidence',
+    SCREENSHOT: 'evidence',
+    FACTORY_RESET: 'wipe'
+};
+
+function commandPermission(commandType) {
+    return COMMAND_PERMISSIONS[commandType] || 'manage';
+}
+
+// Organization roles that may manage members, teams and device groups
+function canManageOrganization(role) {
+    return role === 'owner' || role === 'admin';
+}
+
+// Resolves to { device, role, permissions, share }, or null if the device
+// does not exist or the user has no access to it
+async function getDeviceAccess(db, userId, deviceId) {
+    if (!deviceId) {
+        return null;
+    }
+
+    const device = await db.getDeviceById(deviceId);
+    if (!device) {
+        return null;
+    }
+    return resolveDeviceAccess(db, userId, device);
+}
+
+// Same for a device row that is already loaded. With several organization
+// roles the strongest one applies; an accepted share adds its permissions.
+async function resolveDeviceAccess(db, userId, device) {
+    if (device.user_id === userId) {
+        return { device: device, role: DEVICE_OWNER_ROLE, permissions: DEVICE_OWNER_PERMISSIONS, share: null };
+    }
+
+    const [roles, share] = await Promise.all([
+        db.getDeviceOrganizationRoles(userId, device.device_id),
+        db.getActiveDeviceShare(device.device_id, userId)
+    ]);
+    const role = ORGANIZATION_ROLES.find(r => roles.includes(r));
+    if (!role && !share) {
+        return null;
+    }
+
+    const permissions = new Set(role ? ROLE_PERMISSIONS[role] : []);
+    if (share) {
+        JSON.parse(share.permissions).forEach(permission => permissions.add(permission));
+    }
+    return { device: device, role: role || SHARED_ROLE, permissions: [...permissions], share: share || null };
+}
+
+// The user's role for a device row, or null without access
+async function getDeviceRole(db, userId, device) {
+    const access = await resolveDeviceAccess(db, userId, device);
+    return access ? access.role : null;
+}
+
+// Helper function to validate the permissions of a new device share;
+// returns an error message or null
+function validateSharePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+        return 'Permissions must be a non-empty array';
+    }
+    const unknown = permissions.filter(p => !SHAREABLE_PERMISSIONS.includes(p));
+    if (unknown.length > 0) {
+        return `Permissions can only include: ${SHAREABLE_PERMISSIONS.join(', ')}`;
+    }
+    return null;
+}
+
+function can(access, permission) {
+    return Boolean(access) && access.permissions.includes(permission);
+}
+
+function permissionError(permission) {
+    return `Your access to this device does not include '${permission}'`;
+}
+
+// Middleware that loads the device in the URL (or, for batch uploads, the
+// body) into req.device and req.deviceAccess. Devices the user can't see
+// answer 404 like missing ones, visible devices without the permission 403.
+function requireDevicePermission(db, permission) {
+    return async (req, res, next) => {
+        try {
+            const deviceId = req.params.deviceId || (req.body && req.body.deviceId);
+            const access = await getDeviceAccess(db, req.user.id, deviceId);
+            if (!access) {
+                return res.status(404).json({ error: 'Device not found' });
+            }
+            // Set before the check so refused requests are audited against the device
+            req.device = access.device;
+            req.deviceAccess = access;
+            if (!can(access, permission)) {
+                return res.status(403).json({ error: permissionError(permission) });
+            }
+            next();
+        } catch (error) {
+            console.error('Device permission check error:', error);
+            res.status(500).json({ error: 'Failed to check device permissions' });
+        }
+    };
+}
+
+module.exports = {
+    ORGANIZATION_ROLES,
+    ROLE_PERMISSIONS,
+    DEVICE_OWNER_ROLE,
+    SHARED_ROLE,
+    SHAREABLE_PERMISSIONS,
+    commandPermission,
+    canManageOrganization,
+    getDeviceAccess,
+    resolveDeviceAccess,
+    getDeviceRole,
+    validateSharePermissions,
+    can,
+    permissionError,
+    requireDevicePermission
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { hashToken } = require('../utils/tokens');
+const { generateSecret, matchCode, provisioningUri } = require('../utils/totp');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Alpha Security';
+const RECOVERY_CODE_COUNT = 10;
+
+// Optional TOTP (RFC 6238) second factor. Once enabled it is asked for at
+// login and, together with the password, before destructive actions.
+function isTotpEnabled(user) {
+    return Boolean(user.totp_enabled_at && user.totp_secret);
+}
+
+// Accepts each code once: the code's time step must be newer than the last
+// one used
+async function verifyTotpCode(db, user, code) {
+    if (!user.totp_secret) {
+        return false;
+    }
+
+    const counter = matchCode(user.totp_secret, code);
+    if (counter === null) {
+        return false;
+    }
+
+    const result = await db.useTotpCounter(user.id, counter);
+    return result.changes > 0;
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+async function verifyRecoveryCode(db, user, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) {
+        return false;
+    }
+
+    const result = await db.useRecoveryCode(user.id, hashToken(normalized));
+    return result.changes > 0;
+}
+
+// A current TOTP code, required only when the user has enabled TOTP.
+// Resolves to an error message, or null.
+async function verifyFreshTotp(db, user, totpCode) {
+    if (!isTotpEnabled(user)) {
+        return null;
+    }
+
+    if (!totpCode) {
+        return 'Two-factor code required';
+    }
+
+    if (!(await verifyTotpCode(db, user, totpCode))) {
+        return 'Invalid two-factor code';
+    }
+
+    return null;
+}
+
+// Re-authentication required before destructive actions such as a factory
+// reset: the password, plus a fresh TOTP code when enabled. Resolves to an
+// error message, or null when the factors are valid.
+async function verifySecondFactor(db, user, { password, totpCode } = {}) {
+    if (!password) {
+        return 'Password confirmation required';
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+    if (!isValidPassword) {
+        return 'Invalid password';
+    }
+
+    return await verifyFreshTotp(db, user, totpCode);
+}
+
+// Store a new secret and return what the authenticator app needs. TOTP is
+// only enabled once a code generated from it has been verified.
+async function beginTotpSetup(db, user) {
+    if (isTotpEnabled(user)) {
+        return { error: 'Two-factor authentication is already enabled', status: 409 };
+    }
+
+    const secret = generateSecret();
+    await db.setTotpSecret(user.id, secret);
+
+    return {
+        secret: secret,
+        otpauthUri: provisioningUri(secret, user.username, TOTP_ISSUER)
+    };
+}
+
+async function enableTotp(db, user, totpCode) {
+    if (isTotpEnabled(user)) {
+        return { error: 'Two-factor authentication is already enabled', status: 409 };
+    }
+
+    if (!user.totp_secret) {
+        return { error: 'Start two-factor setup first', status: 400 };
+    }
+
+    if (!(await verifyTotpCode(db, user, totpCode))) {
+        return { error: 'Invalid two-factor code', status: 400 };
+    }
+
+    await db.enableTotp(user.id);
+    return { recoveryCodes: await regenerateRecoveryCodes(db, user) };
+}
+
+// Needs the password and a TOTP code, or a recovery code if the
+// authenticator is lost
+async function disableTotp(db, user, { password, totpCode, recoveryCode }) {
+    if (!isTotpEnabled(user)) {
+        return { error: 'Two-factor authentication is not enabled', status: 409 };
+    }
+
+    if (recoveryCode) {
+        if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+            return { error: password ? 'Invalid password' : 'Password confirmation required', status: 403 };
+        }
+        if (!(await verifyRecoveryCode(db, user, recoveryCode))) {
+            return { error: 'Invalid recovery code', status: 403 };
+        }
+    } else {
+        const factorError = await verifySecondFactor(db, user, { password, totpCode });
+        if (factorError) {
+            return { error: factorError, status: 403 };
+        }
+    }
+
+    await db.disableTotp(user.id);
+    return {};
+}
+
+// Replace all recovery codes; the plaintext codes are only returned here
+async function regenerateRecoveryCodes(db, user) {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const hex = crypto.randomBytes(5).toString('hex');
+        codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+
+    await db.replaceRecoveryCodes(user.id, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+    return codes;
+}
+
+module.exports = {
+    isTotpEnabled,
+    verifyTotpCode,
+    verifyRecoveryCode,
+    verifyFreshTotp,
+    verifySecondFactor,
+    beginTotpSetup,
+    enableTotp,
+    disableTotp,
+    regenerateRecoveryCodes
+};
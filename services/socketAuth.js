@@ -0,0 +1,89 @@
+const proxyaddr = require('proxy-addr');
+const { hashToken } = require('../utils/tokens');
+const { hasScope, scopeError, verifyApiKey } = require('./apiKeys');
+
+// Socket.IO handshake authentication. Devices connect with their device token
+// (`auth.deviceToken` or an X-Device-Token header) or an API key with the
+// admin scope (`auth.apiKey` or an X-API-Key header), dashboards with their login JWT
+// (`auth.token` or a Bearer Authorization header). The authenticated user,
+// client type and, for device tokens, the device are stored on socket.data.
+// trustProxy is the app's compiled 'trust proxy' setting, so API key IP
+// allowlists see the same client address as HTTP requests.
+function createSocketAuth(db, authentication, trustProxy) {
+    return async (socket, next) => {
+        try {
+            const { auth = {}, headers = {} } = socket.handshake;
+
+            const deviceToken = auth.deviceToken || headers['x-device-token'];
+            if (deviceToken) {
+                const device = await db.getDeviceByTokenHash(hashToken(deviceToken));
+                const user = device ? await db.getUserById(device.user_id) : null;
+                if (!user) {
+                    return next(new Error('Invalid device token'));
+                }
+                socket.data.user = user;
+                socket.data.device = device;
+                socket.data.clientType = 'device';
+                return next();
+            }
+
+            const apiKey = auth.apiKey || headers['x-api-key'];
+            if (apiKey) {
+                const result = await verifyApiKey(db, apiKey, proxyaddr(socket.request, trustProxy));
+                if (result.error) {
+                    return next(new Error(result.error));
+                }
+                // A device connection receives and answers every command type
+                if (!hasScope(result.apiKey, 'admin')) {
+                    return next(new Error(scopeError('admin')));
+                }
+                socket.data.user = result.user;
+                socket.data.clientType = 'device';
+                return next();
+            }
+
+            const authHeader = headers['authorization'];
+            const token = auth.token || (authHeader && authHeader.split(' ')[1]);
+            if (token) {
+                const result = await authentication.verifyToken(token);
+                if (!result) {
+                    return next(new Error('Invalid or expired token'));
+                }
+                socket.data.user = result.user;
+                socket.data.session = result.session;
+                socket.data.clientType = 'dashboard';
+                return next();
+            }
+
+            next(new Error('Authentication required'));
+        } catch (error) {
+            console.error('Socket authentication error:', error);
+            next(new Error('Authentication error'));
+        }
+    };
+}
+
+// Disconnect dashboard sockets opened with a session that was just revoked.
+// Pass a userId to drop all of the user's sessions except `exceptSessionId`.
+async function disconnectSessions(io, { sessionId = null, userId = null, exceptSessionId = null }) {
+    if (!io) {
+        return;
+    }
+    const sockets = await io.fetchSockets();
+    for (const socket of sockets) {
+        const session = socket.data.session;
+        if (!session) {
+            continue;
+        }
+        const matches = sessionId
+            ? session.id === sessionId
+            : session.user_id === userId && session.id !== exceptSessionId;
+        if (matches) {
+            socket.disconnect(true);
+        }
+    }
+}
+
+createSocketAuth.disconnectSessions = disconnectSessions;
+
+module.exports = createSocketAuth;
@@ -0,0 +1,341 @@
+const { renderContactEmail } = require('./emailTemplates');
+const { DEVICE_OWNER_ROLE, can, commandPermission } = require('./permissions');
+const { trackingProfileCommand, validateTrackingProfile } = require('./trackingProfiles');
+const UserService = require('./userService');
+
+const MAX_CONTACTS = 10;
+const MAX_TRAIL_HOURS = 168;
+const MAX_TRAIL_POINTS = 500;
+
+// Used for every setting a user has not saved
+const DEFAULT_PLAYBOOK = {
+    lock: true,
+    lockMessage: 'This device has been reported stolen. Please contact the owner.',
+    trackingProfile: 'stolen',
+    requestLocation: true,
+    alarm: true,
+    alarmDuration: 60,
+    snapshotTrailHours: 24,
+    contacts: []
+};
+
+// Theft mode. Marking a device stolen opens a case and runs the owner's
+// playbook: lock with a message, switch to a faster tracking profile, ask for
+// a fresh location, start the alarm, keep a snapshot of the recent trail and
+// email the owner's contacts. Each step is recorded with its outcome; marking
+// the device recovered reverses the steps that ran and closes the case.
+// Methods that can be refused resolve to { error, status }.
+class TheftMode {
+    constructor(db, commandDispatcher, events, mailer) {
+        this.db = db;
+        this.commandDispatcher = commandDispatcher;
+        this.events = events;
+        this.mailer = mailer;
+    }
+
+    // The user's saved playbook over the defaults
+    async getPlaybook(userId) {
+        const row = await this.db.getTheftPlaybook(userId);
+        return { ...DEFAULT_PLAYBOOK, ...(row ? TheftMode.pickSettings(JSON.parse(row.settings)) : {}) };
+    }
+
+    async savePlaybook(userId, settings) {
+        const playbook = { ...(await this.getPlaybook(userId)), ...TheftMode.pickSettings(settings) };
+        const error = TheftMode.validatePlaybook(playbook);
+        if (error) {
+            return { error: error, status: 400 };
+        }
+
+        await this.db.saveTheftPlaybook(userId, playbook);
+        return { playbook: playbook };
+    }
+
+    // access is the acting user's getDeviceAccess result; the device owner's
+    // playbook runs, with any overrides sent for this case
+    async markStolen(user, access, { playbook: overrides = {}, notes = null } = {}) {
+        const device = access.device;
+        if (device.theft_case_id) {
+            return { error: 'Device is already marked as stolen', status: 409 };
+        }
+
+        // Contacts get the owner's name and the device's last location, so
+        // only the owner may send them to other addresses
+        const settings = TheftMode.pickSettings(overrides);
+        if (settings.contacts !== undefined && access.role !== DEVICE_OWNER_ROLE) {
+            return { error: 'Only the device owner can change the contacts for a case', status: 403 };
+        }
+
+        const playbook = { ...(await this.getPlaybook(device.user_id)), ...settings };
+        const error = TheftMode.validatePlaybook(playbook);
+        if (error) {
+            return { error: error, status: 400 };
+        }
+
+        const result = await this.db.openTheftCase({
+            device_id: device.device_id,
+            opened_by: user.id,
+            playbook: playbook,
+            notes: notes ? String(notes) : null
+        });
+        if (!result) {
+            return { error: 'Device is already marked as stolen', status: 409 };
+        }
+
+        const steps = [];
+        let trail = null;
+
+        if (playbook.lock) {
+            steps.push(await this.runCommandStep(user, access, 'lock', 'LOCK_DEVICE', { message: playbook.lockMessage }));
+        }
+        if (playbook.trackingProfile) {
+            const step = await this.runCommandStep(user, access, 'tracking_profile', 'SET_TRACKING_PROFILE',
+                trackingProfileCommand(device, playbook.trackingProfile));
+            // Restored on recovery; null means the device's default
+            steps.push({ ...step, previousProfile: device.tracking_profile });
+        }
+        if (playbook.requestLocation) {
+            steps.push(await this.runCommandStep(user, access, 'locate', 'REQUEST_LOCATION', {}));
+        }
+        if (playbook.alarm) {
+            steps.push(await this.runCommandStep(user, access, 'alarm', 'START_ALARM', {
+                duration: playbook.alarmDuration,
+                volume: 100,
+                message: playbook.lockMessage
+            }));
+        }
+        if (playbook.snapshotTrailHours) {
+            const since = new Date(Date.now() - playbook.snapshotTrailHours * 60 * 60 * 1000).toISOString();
+            trail = (await this.db.getLocationHistory(device.device_id, MAX_TRAIL_POINTS, since))
+                .reverse()
+                .map(TheftMode.formatTrailPoint);
+            steps.push({ step: 'trail_snapshot', status: 'done', points: trail.length });
+        }
+        if (playbook.contacts.length > 0) {
+            const owner = await this.db.getUserById(device.user_id);
+            steps.push(await this.notifyContacts(playbook.contacts, 'theft.reported', {
+                deviceName: device.device_name,
+                owner: owner ? owner.username : user.username,
+                lastLocation: trail && trail.length > 0 ? trail[trail.length - 1] : null
+            }));
+        }
+
+        await this.db.recordTheftCaseSteps(result.id, steps, trail);
+
+        await this.db.logDeviceActivity(
+            device.device_id,
+            'theft_reported',
+            `Device marked as stolen by ${user.username} - Case ID: ${result.id}`
+        );
+
+        this.events.publish(device.user_id, 'device.stolen', {
+            deviceId: device.device_id,
+            caseId: result.id,
+            reportedBy: user.username,
+            steps: steps.map(step => `${step.step}: ${step.status}`)
+        });
+
+        return { theftCase: await this.db.getTheftCaseById(result.id) };
+    }
+
+    // Undo what the open case did: unlock, restore the previous tracking
+    // profile, stop the alarm and tell the contacts that were notified
+    async markRecovered(user, access, { notes = null } = {}) {
+        const device = access.device;
+        const theftCase = device.theft_case_id ? await this.db.getTheftCaseById(device.theft_case_id) : null;
+        if (!theftCase || theftCase.status !== 'open') {
+            return { error: 'Device is not marked as stolen', status: 409 };
+        }
+
+        const opened = JSON.parse(theftCase.steps || '[]');
+        const ran = (name) => opened.find(step => step.step === name && step.status === 'done');
+        const steps = [];
+
+        if (ran('lock')) {
+            steps.push(await this.runCommandStep(user, access, 'unlock', 'UNLOCK_DEVICE', {}));
+        }
+        if (ran('tracking_profile')) {
+            steps.push(await this.runCommandStep(user, access, 'tracking_profile', 'SET_TRACKING_PROFILE',
+                trackingProfileCommand(device, ran('tracking_profile').previousProfile)));
+        }
+        if (ran('alarm')) {
+            steps.push(await this.runCommandStep(user, access, 'stop_alarm', 'STOP_ALARM', {}));
+        }
+        if (ran('notify_contacts')) {
+            const owner = await this.db.getUserById(device.user_id);
+            steps.push(await this.notifyContacts(ran('notify_contacts').notified, 'theft.recovered', {
+                deviceName: device.device_name,
+                owner: owner ? owner.username : user.username
+            }));
+        }
+
+        const result = await this.db.closeTheftCase(theftCase.id, {
+            recovered_by: user.id,
+            recovery_steps: steps,
+            recovery_notes: notes ? String(notes) : null
+        });
+        if (result.changes === 0) {
+            return { error: 'Case was already closed', status: 409 };
+        }
+        await this.db.setDeviceTheftCase(device.device_id, null);
+
+        await this.db.logDeviceActivity(
+            device.device_id,
+            'theft_recovered',
+            `Device marked as recovered by ${user.username} - Case ID: ${theftCase.id}`
+        );
+
+        this.events.publish(device.user_id, 'device.recovered', {
+            deviceId: device.device_id,
+            caseId: theftCase.id,
+            recoveredBy: user.username
+        });
+
+        return { theftCase: await this.db.getTheftCaseById(theftCase.id) };
+    }
+
+    // Send one playbook command with the same side effects as the matching
+    // /api/commands route. Commands the acting user may not send are skipped.
+    async runCommandStep(user, access, step, type, data) {
+        if (!can(access, commandPermission(type))) {
+            return { step: step, status: 'skipped', reason: `Requires ${commandPermission(type)} permission` };
+        }
+
+        const deviceId = access.device.device_id;
+        try {
+            const command = await this.commandDispatcher.dispatch({
+                deviceId: deviceId,
+                userId: user.id,
+                type: type,
+                data: data
+            });
+
+            await this.db.logDeviceActivity(
+                deviceId,
+                'command_sent',
+                `Theft mode ${type} command sent - Command ID: ${command.id}`
+            );
+
+            this.events.publish(access.device.user_id, 'command.sent', {
+                deviceId: deviceId,
+                commandId: command.id,
+                type: type,
+                data: data
+            });
+            if (type === 'START_ALARM') {
+                this.events.publish(access.device.user_id, 'alarm.started', {
+                    deviceId: deviceId,
+                    commandId: command.id,
+                    duration: data.duration,
+                    message: data.message
+                });
+            } else if (type === 'STOP_ALARM') {
+                this.events.publish(access.device.user_id, 'alarm.stopped', {
+                    deviceId: deviceId,
+                    commandId: command.id
+                });
+            }
+
+            return { step: step, status: 'done', commandId: command.id };
+        } catch (error) {
+            console.error(`Theft mode ${type} error:`, error);
+            return { step: step, status: 'failed', reason: `Failed to send ${type} command` };
+        }
+    }
+
+    // A failed email does not stop the playbook
+    async notifyContacts(contacts, type, data) {
+        if (!this.mailer.isEnabled) {
+            return { step: 'notify_contacts', status: 'skipped', reason: 'Email is not configured' };
+        }
+
+        const failed = [];
+        for (const email of contacts) {
+            try {
+                await this.mailer.send({ to: email, ...renderContactEmail(type, data) });
+            } catch (error) {
+                console.error('Theft contact email error:', error);
+                failed.push(email);
+            }
+        }
+
+        return {
+            step: 'notify_contacts',
+            status: failed.length === contacts.length ? 'failed' : 'done',
+            notified: contacts.filter(email => !failed.includes(email)),
+            failed: failed
+        };
+    }
+
+    // Only known settings are taken from a request body
+    static pickSettings(settings) {
+        const picked = {};
+        Object.keys(DEFAULT_PLAYBOOK).forEach(key => {
+            if (settings && settings[key] !== undefined) {
+                picked[key] = settings[key];
+            }
+        });
+        return picked;
+    }
+
+    static validatePlaybook(playbook) {
+        for (const key of ['lock', 'requestLocation', 'alarm']) {
+            if (typeof playbook[key] !== 'boolean') {
+                return `${key} must be true or false`;
+            }
+        }
+        if (typeof playbook.lockMessage !== 'string' || playbook.lockMessage.length > 200) {
+            return 'lockMessage must be a text of at most 200 characters';
+        }
+        if (playbook.trackingProfile !== null && validateTrackingProfile(playbook.trackingProfile)) {
+            return `${validateTrackingProfile(playbook.trackingProfile)}, or null to leave it unchanged`;
+        }
+        if (!Number.isInteger(playbook.alarmDuration) || playbook.alarmDuration < 1 || playbook.alarmDuration > 3600) {
+            return 'alarmDuration must be between 1 and 3600 seconds';
+        }
+        if (!Number.isInteger(playbook.snapshotTrailHours)
+            || playbook.snapshotTrailHours < 0 || playbook.snapshotTrailHours > MAX_TRAIL_HOURS) {
+            return `snapshotTrailHours must be between 0 and ${MAX_TRAIL_HOURS}`;
+        }
+        if (!Array.isArray(playbook.contacts) || playbook.contacts.length > MAX_CONTACTS) {
+            return `contacts must be a list of at most ${MAX_CONTACTS} email addresses`;
+        }
+        const invalid = playbook.contacts.find(email => typeof email !== 'string' || !UserService.EMAIL_REGEX.test(email));
+        if (invalid !== undefined) {
+            return `Invalid contact email address: ${invalid}`;
+        }
+        return null;
+    }
+
+    static formatTrailPoint(location) {
+        return {
+            latitude: location.latitude,
+            longitude: location.longitude,
+            accuracy: location.accuracy,
+            timestamp: location.timestamp
+        };
+    }
+
+    static format(theftCase) {
+        return {
+            id: theftCase.id,
+            deviceId: theftCase.device_id,
+            status: theftCase.status,
+            openedBy: { id: theftCase.opened_by, username: theftCase.opened_by_username },
+            openedAt: theftCase.opened_at,
+            notes: theftCase.notes,
+            playbook: JSON.parse(theftCase.playbook),
+            steps: theftCase.steps ? JSON.parse(theftCase.steps) : [],
+            trailSnapshot: theftCase.trail_snapshot ? JSON.parse(theftCase.trail_snapshot) : null,
+            recoveredBy: theftCase.recovered_by
+                ? { id: theftCase.recovered_by, username: theftCase.recovered_by_username }
+                : null,
+            recoveredAt: theftCase.recovered_at,
+            recoverySteps: theftCase.recovery_steps ? JSON.parse(theftCase.recovery_steps) : [],
+            recoveryNotes: theftCase.recovery_notes
+        };
+    }
+}
+
+TheftMode.DEFAULT_PLAYBOOK = DEFAULT_PLAYBOOK;
+
+module.exports = TheftMode;
@@ -0,0 +1,57 @@
+// Named location reporting profiles sent to devices with SET_TRACKING_PROFILE.
+// intervalSeconds is how often the device takes a fix, accuracy its location
+// mode (low, balanced, high), and batching how many fixes it may collect
+// before uploading them through /api/location/batch-update: at most
+// batchSize fixes or maxBatchDelaySeconds, whichever comes first.
+const TRACKING_PROFILES = {
+    idle: { intervalSeconds: 900, accuracy: 'low', batchSize: 10, maxBatchDelaySeconds: 3600 },
+    normal: { intervalSeconds: 300, accuracy: 'balanced', batchSize: 5, maxBatchDelaySeconds: 900 },
+    lost: { intervalSeconds: 60, accuracy: 'high', batchSize: 1, maxBatchDelaySeconds: 0 },
+    stolen: { intervalSeconds: 15, accuracy: 'high', batchSize: 1, maxBatchDelaySeconds: 0 }
+};
+
+// Profile of devices that have no default of their own
+const DEFAULT_TRACKING_PROFILE = 'normal';
+
+function validateTrackingProfile(profile) {
+    if (!Object.prototype.hasOwnProperty.call(TRACKING_PROFILES, profile)) {
+        return `Tracking profile must be one of: ${Object.keys(TRACKING_PROFILES).join(', ')}`;
+    }
+    return null;
+}
+
+function defaultTrackingProfile(device) {
+    return device.default_tracking_profile || DEFAULT_TRACKING_PROFILE;
+}
+
+// The profile a device should be using: the last one it was sent, otherwise
+// its default
+function describeTrackingProfile(device) {
+    const profile = device.tracking_profile || defaultTrackingProfile(device);
+    return {
+        profile: profile,
+        ...TRACKING_PROFILES[profile],
+        isDefault: !device.tracking_profile,
+        defaultProfile: defaultTrackingProfile(device)
+    };
+}
+
+// SET_TRACKING_PROFILE command data; a null profile returns the device to
+// its default. Store the result with Database#updateDeviceTrackingProfile.
+function trackingProfileCommand(device, profile) {
+    const name = profile || defaultTrackingProfile(device);
+    return {
+        profile: name,
+        ...TRACKING_PROFILES[name],
+        isDefault: !profile
+    };
+}
+
+module.exports = {
+    TRACKING_PROFILES,
+    DEFAULT_TRACKING_PROFILE,
+    validateTrackingProfile,
+    defaultTrackingProfile,
+    describeTrackingProfile,
+    trackingProfileCommand
+};
@@ -0,0 +1,291 @@
+const bcrypt = require('bcryptjs');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { issueApiKey } = require('./apiKeys');
+const { renderAccountEmail } = require('./emailTemplates');
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 6;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_MINUTES) || 60;
+
+// Links in account emails point at the dashboard. Never derived from the
+// request's Host header, which a caller controls.
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Account registration, credential checks, profile changes, email
+// verification and password resets shared by /api/auth and /dashboard.
+// Methods that can be refused resolve to { error, status } so routes can
+// answer with them directly.
+class UserService {
+    constructor(db, mailer) {
+        this.db = db;
+        this.mailer = mailer;
+    }
+
+    // Create an account and its first (full-access) API key
+    async register({ username, email, password }) {
+        if (!username || !email || !password) {
+            return { error: 'Username, email, and password are required', status: 400 };
+        }
+
+        const passwordError = UserService.validatePassword(password);
+        if (passwordError) {
+            return { error: passwordError, status: 400 };
+        }
+
+        if (!EMAIL_REGEX.test(email)) {
+            return { error: 'Invalid email format', status: 400 };
+        }
+
+        if (await this.db.getUserByUsername(username)) {
+            return { error: 'Username already exists', status: 409 };
+        }
+
+        if (await this.db.getUserByEmail(email)) {
+            return { error: 'Email already registered', status: 409 };
+        }
+
+        const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+        const apiKey = generateToken('ak');
+
+        const result = await this.db.createUser(username, email, passwordHash, hashToken(apiKey));
+        await issueApiKey(this.db, result.id, { name: 'Default key', scopes: ['admin'] }, apiKey);
+
+        const user = await this.db.getUserById(result.id);
+        await this.trySendEmailVerification(user);
+
+        return { user: user, apiKey: apiKey };
+    }
+
+    // Resolves to the user, or null if the username or password is wrong
+    async verifyCredentials(username, password) {
+        if (!username || !password) {
+            return null;
+        }
+
+        const user = await this.db.getUserByUsername(username);
+        if (!user) {
+            return null;
+        }
+
+        const isValidPassword = await bcrypt.compare(password, user.password_hash);
+        return isValidPassword ? user : null;
+    }
+
+    // Change email and/or password; the password needs the current one.
+    // Changing the password logs out every session of the user.
+    async updateProfile(user, { email, currentPassword, newPassword }) {
+        if (!email && !newPassword) {
+            return { error: 'At least one field (email or password) must be provided', status: 400 };
+        }
+
+        if (newPassword) {
+            if (!currentPassword) {
+                return { error: 'Current password required to change password', status: 400 };
+            }
+
+            const isValidPassword = await bcrypt.compare(currentPassword, user.password_hash);
+            if (!isValidPassword) {
+                return { error: 'Current password is incorrect', status: 401 };
+            }
+
+            const passwordError = UserService.validatePassword(newPassword, 'New password');
+            if (passwordError) {
+                return { error: passwordError, status: 400 };
+            }
+        }
+
+        if (email) {
+            if (!EMAIL_REGEX.test(email)) {
+                return { error: 'Invalid email format', status: 400 };
+            }
+
+            const existing = await this.db.getUserByEmail(email);
+            if (existing && existing.id !== user.id) {
+                return { error: 'Email already registered', status: 409 };
+            }
+        }
+
+        let sessionsRevoked = 0;
+        if (newPassword) {
+            await this.db.updateUserPassword(user.id, await bcrypt.hash(newPassword, BCRYPT_ROUNDS));
+            sessionsRevoked = (await this.db.revokeUserSessions(user.id)).changes;
+        }
+        if (email && email !== user.email) {
+            await this.db.updateUserEmail(user.id, email);
+            await this.trySendEmailVerification(await this.db.getUserById(user.id));
+        }
+
+        return { user: await this.db.getUserById(user.id), sessionsRevoked: sessionsRevoked };
+    }
+
+    // Email a verification link for the user's current address; earlier
+    // links stop working
+    async sendEmailVerification(user) {
+        if (user.email_verified_at) {
+            return { error: 'Email address is already verified', status: 409 };
+        }
+
+        if (!this.mailer.isEnabled) {
+            return { error: 'Email delivery is not configured', status: 503 };
+        }
+
+        await this.db.invalidateAccountTokens(user.id, 'email_verification');
+        const token = await this.createAccountToken(user, 'email_verification', EMAIL_VERIFICATION_HOURS * 60);
+
+        await this.mailer.send({
+            to: user.email,
+            ...renderAccountEmail('email.verify', {
+                username: user.username,
+                email: user.email,
+                link: `${APP_URL}/dashboard?verifyEmail=${token}`,
+                expiresIn: `${EMAIL_VERIFICATION_HOURS} hours`
+            })
+        });
+
+        return {};
+    }
+
+    // Registration and email changes go through even if the email can't be sent
+    async trySendEmailVerification(user) {
+        try {
+            await this.sendEmailVerification(user);
+        } catch (error) {
+            console.error('Email verification send error:', error);
+        }
+    }
+
+    async verifyEmail(token) {
+        const invalid = { error: 'Invalid or expired verification link', status: 400 };
+
+        const record = await this.findAccountToken('email_verification', token);
+        if (!record) {
+            return invalid;
+        }
+
+        const used = await this.db.useAccountToken(record.id);
+        if (used.changes === 0) {
+            return invalid;
+        }
+
+        // No-op if the address was changed since the link was sent
+        const verified = await this.db.markEmailVerified(record.user_id, record.email);
+        if (verified.changes === 0) {
+            return invalid;
+        }
+
+        return { user: await this.db.getUserById(record.user_id) };
+    }
+
+    // Always resolves the same way, so the endpoint does not reveal which
+    // addresses have an account
+    async requestPasswordReset(email) {
+        if (typeof email !== 'string' || !EMAIL_REGEX.test(email)) {
+            return { error: 'A valid email is required', status: 400 };
+        }
+
+        const user = await this.db.getUserByEmail(email);
+        if (!user) {
+            return {};
+        }
+
+        try {
+            await this.db.invalidateAccountTokens(user.id, 'password_reset');
+            const token = await this.createAccountToken(user, 'password_reset', PASSWORD_RESET_MINUTES);
+
+            await this.mailer.send({
+                to: user.email,
+                ...renderAccountEmail('password.reset', {
+                    username: user.username,
+                    link: `${APP_URL}/dashboard?resetToken=${token}`,
+                    expiresIn: `${PASSWORD_RESET_MINUTES} minutes`
+                })
+            });
+        } catch (error) {
+            console.error('Password reset send error:', error);
+        }
+
+        return {};
+    }
+
+    // Set a new password from a reset link. The link proves control of the
+    // address, so it also verifies it; every session is logged out.
+    async resetPassword(token, newPassword) {
+        const passwordError = UserService.validatePassword(newPassword, 'New password');
+        if (passwordError) {
+            return { error: passwordError, status: 400 };
+        }
+
+        const invalid = { error: 'Invalid or expired reset link', status: 400 };
+
+        const record = await this.findAccountToken('password_reset', token);
+        const user = record && await this.db.getUserById(record.user_id);
+        if (!user || user.email !== record.email) {
+            return invalid;
+        }
+
+        const used = await this.db.useAccountToken(record.id);
+        if (used.changes === 0) {
+            return invalid;
+        }
+
+        await this.db.updateUserPassword(user.id, await bcrypt.hash(newPassword, BCRYPT_ROUNDS));
+        await this.db.invalidateAccountTokens(user.id, 'password_reset');
+        await this.db.markEmailVerified(user.id, user.email);
+        const sessionsRevoked = (await this.db.revokeUserSessions(user.id)).changes;
+
+        try {
+            await this.mailer.send({
+                to: user.email,
+                ...renderAccountEmail('password.changed', { username: user.username })
+            });
+        } catch (error) {
+            console.error('Password changed send error:', error);
+        }
+
+        return { user: await this.db.getUserById(user.id), sessionsRevoked: sessionsRevoked };
+    }
+
+    async createAccountToken(user, purpose, lifetimeMinutes) {
+        const token = generateToken(purpose === 'password_reset' ? 'pr' : 'ev');
+        await this.db.createAccountToken({
+            user_id: user.id,
+            purpose: purpose,
+            token_hash: hashToken(token),
+            email: user.email,
+            expires_at: new Date(Date.now() + lifetimeMinutes * 60 * 1000).toISOString()
+        });
+        return token;
+    }
+
+    // Unused, unexpired token record, or null
+    async findAccountToken(purpose, token) {
+        if (typeof token !== 'string' || !token) {
+            return null;
+        }
+
+        const record = await this.db.getAccountTokenByHash(purpose, hashToken(token));
+        if (!record || record.used_at || new Date(record.expires_at) <= new Date()) {
+            return null;
+        }
+        return record;
+    }
+
+    static validatePassword(password, label = 'Password') {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return `${label} must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+        }
+        return null;
+    }
+
+    // User row without credentials, as returned by the profile endpoints
+    static toProfile(user) {
+        const { password_hash, api_key, totp_secret, totp_last_counter, ...profile } = user;
+        return profile;
+    }
+}
+
+UserService.EMAIL_REGEX = EMAIL_REGEX;
+
+module.exports = UserService;
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { isPrivateAddress, isLocalHostname } = require('../utils/network');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Self-hosted setups with receivers on the local network can allow them
+const ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+
+// Delivers device events to user webhook subscriptions as HMAC-signed JSON
+// POSTs, retrying failed deliveries with exponential backoff
+class WebhookDispatcher {
+    constructor(db) {
+        this.db = db;
+        this.timers = new Set();
+    }
+
+    // Subscribe to a DeviceEvents bus
+    attach(events) {
+        events.on('event', (event) => {
+            this.dispatch(event).catch(error => {
+                console.error('Webhook dispatch error:', error);
+            });
+        });
+    }
+
+    // Queue a delivery for every active webhook of the user that wants this event
+    async dispatch(event) {
+        const webhooks = await this.db.getActiveWebhooksByUserId(event.userId);
+
+        for (const webhook of webhooks) {
+            const events = JSON.parse(webhook.events);
+            if (!events.includes('*') && !events.includes(event.type)) {
+                continue;
+            }
+
+            const delivery = await this.db.createWebhookDelivery(webhook.id, event.type, {
+                event: event.type,
+                timestamp: event.timestamp,
+                data: event.data
+            });
+            this.attempt(delivery.id).catch(error => {
+                console.error('Webhook delivery error:', error);
+            });
+        }
+    }
+
+    // Send a test event to a single webhook and wait for the first attempt
+    async sendTest(webhook) {
+        const delivery = await this.db.createWebhookDelivery(webhook.id, 'test', {
+            event: 'test',
+            timestamp: new Date().toISOString(),
+            data: { message: 'This is a test event from Alpha Security Server' }
+        });
+        await this.attempt(delivery.id);
+        return await this.db.getWebhookDeliveryById(delivery.id);
+    }
+
+    // Re-schedule deliveries left pending by a previous process
+    async resumePending() {
+        const deliveries = await this.db.getPendingWebhookDeliveries();
+        for (const delivery of deliveries) {
+            const delay = Math.max(0, new Date(delivery.next_attempt_at) - Date.now());
+            this.schedule(delivery.id, delay);
+        }
+        return deliveries.length;
+    }
+
+    async attempt(deliveryId) {
+        const delivery = await this.db.getWebhookDeliveryById(deliveryId);
+        if (!delivery || delivery.status !== 'pending') {
+            return;
+        }
+
+        const webhook = await this.db.getWebhookById(delivery.webhook_id);
+        if (!webhook || !webhook.is_active) {
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'failed',
+                attempts: delivery.attempts,
+                error: 'Webhook deleted or disabled'
+            });
+            return;
+        }
+
+        const attempts = delivery.attempts + 1;
+        let result;
+        try {
+            result = await this.post(webhook, delivery);
+        } catch (error) {
+            result = { statusCode: null, error: error.message, refused: Boolean(error.refused) };
+        }
+
+        const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+        if (succeeded) {
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'succeeded',
+                attempts: attempts,
+                response_status: result.statusCode,
+                delivered_at: new Date().toISOString()
+            });
+            return;
+        }
+
+        // Refused destinations are not retried
+        const error = result.error || `HTTP ${result.statusCode}`;
+        if (attempts >= MAX_ATTEMPTS || result.refused) {
+            await this.db.updateWebhookDelivery(deliveryId, {
+                status: 'failed',
+                attempts: attempts,
+                response_status: result.statusCode,
+                error: error
+            });
+            return;
+        }
+
+        // Exponential backoff: base, 2x base, 4x base, ...
+        const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+        await this.db.updateWebhookDelivery(deliveryId, {
+            status: 'pending',
+            attempts: attempts,
+            response_status: result.statusCode,
+            error: error,
+            next_attempt_at: new Date(Date.now() + delay).toISOString()
+        });
+        this.schedule(deliveryId, delay);
+    }
+
+    schedule(deliveryId, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.attempt(deliveryId).catch(error => {
+                console.error('Webhook retry error:', error);
+            });
+        }, delay);
+        timer.unref();
+        this.timers.add(timer);
+    }
+
+    post(webhook, delivery) {
+        const body = delivery.payload;
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const url = new URL(webhook.url);
+        const client = url.protocol === 'https:' ? https : http;
+
+        // Checked again on every attempt: the webhook may predate the check
+        // and its host name may resolve differently by now
+        const destinationError = WebhookDispatcher.checkDestination(url);
+        if (destinationError) {
+            return Promise.reject(refusal(destinationError));
+        }
+
+        const options = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'AlphaSecurity-Webhook/1.0',
+                'X-Alpha-Event': delivery.event,
+                'X-Alpha-Delivery': delivery.id.toString(),
+                'X-Alpha-Timestamp': timestamp,
+                'X-Alpha-Signature': `sha256=${WebhookDispatcher.sign(webhook.secret, timestamp, body)}`
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+            lookup: ALLOW_PRIVATE_NETWORKS ? dns.lookup : publicLookup
+        };
+
+        return new Promise((resolve, reject) => {
+            const req = client.request(url, options, (res) => {
+                res.resume();
+                res.on('end', () => resolve({ statusCode: res.statusCode }));
+            });
+            req.on('timeout', () => req.destroy(new Error('Request timed out')));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    stop() {
+        for (const timer of this.timers) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    // Reason a webhook URL may not be delivered to, or null. Loopback, private
+    // and link-local hosts are refused so webhooks cannot reach internal
+    // services; names are checked again when they are resolved.
+    static checkDestination(url) {
+        if (ALLOW_PRIVATE_NETWORKS) {
+            return null;
+        }
+        if (isLocalHostname(url.hostname) || isPrivateAddress(url.hostname)) {
+            return 'Webhook URL must not point to a local or private network address';
+        }
+        return null;
+    }
+
+    // Receivers verify with HMAC-SHA256(secret, "<timestamp>.<raw body>")
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+}
+
+// dns.lookup for outgoing deliveries that refuses host names resolving to a
+// local or private address
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address: address }];
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(refusal(`${hostname} resolves to a private network address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+// Error for a delivery refused because of where it would go
+function refusal(message) {
+    const error = new Error(message);
+    error.refused = true;
+    return error;
+}
+
+module.exports = WebhookDispatcher;
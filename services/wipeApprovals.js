@@ -0,0 +1,193 @@
+const DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.WIPE_COOLDOWN_MINUTES) || 0;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+// Holds factory resets until they are approved by the owner's designated
+// approver (if any) and their cool-down has passed, then releases the
+// FACTORY_RESET command. Requests can be aborted while they are pending.
+// Requests that become due after a cool-down are released by the
+// release-wipe-requests maintenance job.
+class WipeApprovals {
+    constructor(db, io, commandDispatcher, events) {
+        this.db = db;
+        this.io = io;
+        this.commandDispatcher = commandDispatcher;
+        this.events = events;
+    }
+
+    async request(user, device, cooldownMinutes = 0) {
+        const cooldown = Math.max(DEFAULT_COOLDOWN_MINUTES, user.wipe_cooldown_minutes || 0, cooldownMinutes);
+        const releaseAt = new Date(Date.now() + cooldown * 60 * 1000).toISOString();
+        const approverId = user.wipe_approver_id || null;
+
+        const result = await this.db.createWipeRequest({
+            device_id: device.device_id,
+            user_id: user.id,
+            requires_approval: approverId !== null,
+            approver_id: approverId,
+            release_at: releaseAt
+        });
+        const request = await this.db.getWipeRequestById(result.id);
+
+        // Nothing to wait for - release straight away
+        if (!approverId && cooldown === 0) {
+            const command = await this.release(request);
+            return { request: await this.db.getWipeRequestById(request.id), command: command };
+        }
+
+        await this.db.logDeviceActivity(
+            device.device_id,
+            'wipe_requested',
+            `FACTORY RESET requested - Request ID: ${request.id} - USER: ${user.username}` +
+                `${approverId ? ' - awaiting approval' : ''} - release after ${releaseAt}`
+        );
+
+        this.events.publish(user.id, 'wipe.requested', {
+            deviceId: device.device_id,
+            requestId: request.id,
+            requestedBy: user.username,
+            requiresApproval: approverId !== null,
+            releaseAt: releaseAt
+        });
+
+        if (approverId) {
+            this.io.to(`dashboard-${approverId}`).emit('wipe-approval-requested', {
+                requestId: request.id,
+                deviceId: device.device_id,
+                deviceName: device.device_name,
+                requestedBy: user.username,
+                releaseAt: releaseAt,
+                timestamp: new Date().toISOString()
+            });
+            this.events.publish(approverId, 'wipe.approval_requested', {
+                deviceId: device.device_id,
+                requestId: request.id,
+                requestedBy: user.username,
+                releaseAt: releaseAt
+            });
+        }
+
+        return { request: request, command: null };
+    }
+
+    // Approve a pending request; releases it at once if its cool-down is over.
+    // Resolves to null if the request was no longer waiting for approval.
+    async approve(request, approver) {
+        const result = await this.db.approveWipeRequest(request.id);
+        if (result.changes === 0) {
+            return null;
+        }
+
+        await this.db.logDeviceActivity(
+            request.device_id,
+            'wipe_approved',
+            `FACTORY RESET request ${request.id} approved by ${approver.username}`
+        );
+
+        let command = null;
+        if (new Date(request.release_at) <= new Date()) {
+            command = await this.release(await this.db.getWipeRequestById(request.id));
+        }
+
+        return { request: await this.db.getWipeRequestById(request.id), command: command };
+    }
+
+    // Abort (requester) or reject (approver) a pending request
+    async abort(request, user, status, reason = null) {
+        const result = await this.db.resolveWipeRequest(request.id, status, user.id, reason);
+        if (result.changes === 0) {
+            return null;
+        }
+
+        await this.db.logDeviceActivity(
+            request.device_id,
+            'wipe_aborted',
+            `FACTORY RESET request ${request.id} ${status} by ${user.username}${reason ? ` - ${reason}` : ''}`
+        );
+
+        this.events.publish(request.user_id, 'wipe.aborted', {
+            deviceId: request.device_id,
+            requestId: request.id,
+            status: status,
+            abortedBy: user.username,
+            reason: reason
+        });
+
+        return await this.db.getWipeRequestById(request.id);
+    }
+
+    async releaseDue() {
+        const requests = await this.db.getReleasableWipeRequests();
+        let released = 0;
+        for (const request of requests) {
+            try {
+                if (await this.release(request)) {
+                    released++;
+                }
+            } catch (error) {
+                console.error(`Wipe request ${request.id} release error:`, error);
+            }
+        }
+        return released;
+    }
+
+    // Send the FACTORY_RESET command for a request; resolves to null if the
+    // request was aborted or released in the meantime. The request is claimed
+    // first so it is sent only once, and put back to pending if sending fails
+    // so the release-wipe-requests job tries again.
+    async release(request) {
+        const result = await this.db.resolveWipeRequest(request.id, 'released', null);
+        if (result.changes === 0) {
+            return null;
+        }
+
+        const requester = await this.db.getUserById(request.user_id);
+        const approver = request.approver_id ? await this.db.getUserById(request.approver_id) : null;
+
+        let command;
+        try {
+            command = await this.commandDispatcher.dispatch({
+                deviceId: request.device_id,
+                userId: request.user_id,
+                type: 'FACTORY_RESET',
+                data: {
+                    confirmed: true,
+                    warning: 'This will erase all data on the device',
+                    wipeRequestId: request.id
+                }
+            });
+        } catch (error) {
+            await this.db.reopenWipeRequest(request.id);
+            throw error;
+        }
+        await this.db.setWipeRequestCommand(request.id, command.id);
+
+        // Log the critical command
+        await this.db.logDeviceActivity(
+            request.device_id,
+            'critical_command',
+            `FACTORY RESET command sent - Command ID: ${command.id} - USER: ${requester.username}` +
+                `${approver ? ` - APPROVED BY: ${approver.username}` : ''}`
+        );
+
+        // Notify event subscribers
+        this.events.publish(request.user_id, 'command.sent', {
+            deviceId: request.device_id,
+            commandId: command.id,
+            type: 'FACTORY_RESET',
+            data: { confirmed: true }
+        });
+
+        this.events.publish(request.user_id, 'wipe.issued', {
+            deviceId: request.device_id,
+            commandId: command.id,
+            issuedBy: requester.username,
+            approvedBy: approver ? approver.username : null
+        });
+
+        return command;
+    }
+}
+
+WipeApprovals.MAX_COOLDOWN_MINUTES = MAX_COOLDOWN_MINUTES;
+
+module.exports = WipeApprovals;
@@ -0,0 +1,133 @@
+const {
+    API_KEY_SCOPES,
+    commandScope,
+    hasScope,
+    requestHasScope,
+    requireScope,
+    requireMethodScope,
+    ipAllowed,
+    validateApiKeyInput
+} = require('../services/apiKeys');
+
+// Response double recording what a middleware answered
+function mockResponse() {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+}
+
+describe('ipAllowed', () => {
+    test('allows every address without an allowlist', () => {
+        expect(ipAllowed([], '203.0.113.7')).toBe(true);
+        expect(ipAllowed(null, '203.0.113.7')).toBe(true);
+    });
+
+    test('matches single addresses and CIDR ranges', () => {
+        const allowlist = ['198.51.100.4', '203.0.113.0/24', '2001:db8::/32'];
+        expect(ipAllowed(allowlist, '198.51.100.4')).toBe(true);
+        expect(ipAllowed(allowlist, '198.51.100.5')).toBe(false);
+        expect(ipAllowed(allowlist, '203.0.113.200')).toBe(true);
+        expect(ipAllowed(allowlist, '203.0.114.1')).toBe(false);
+        expect(ipAllowed(allowlist, '2001:db8::1')).toBe(true);
+        expect(ipAllowed(allowlist, '2001:db9::1')).toBe(false);
+    });
+
+    test('reads IPv4-mapped IPv6 addresses as IPv4', () => {
+        expect(ipAllowed(['203.0.113.0/24'], '::ffff:203.0.113.9')).toBe(true);
+    });
+
+    test('refuses requests without a usable address', () => {
+        expect(ipAllowed(['203.0.113.0/24'], undefined)).toBe(false);
+        expect(ipAllowed(['203.0.113.0/24'], 'not-an-ip')).toBe(false);
+    });
+
+    test('skips invalid entries', () => {
+        expect(ipAllowed(['nonsense', '203.0.113.0/99'], '203.0.113.1')).toBe(false);
+    });
+});
+
+describe('commandScope', () => {
+    test.each([
+        ['REQUEST_LOCATION', 'locate'],
+        ['SET_TRACKING_PROFILE', 'locate'],
+        ['LOCK_DEVICE', 'lock'],
+        ['UNLOCK_DEVICE', 'lock'],
+        ['START_ALARM', 'lock'],
+        ['STOP_ALARM', 'lock'],
+        ['CAPTURE_PHOTO', 'evidence'],
+        ['RECORD_AUDIO', 'evidence'],
+        ['SCREENSHOT', 'evidence'],
+        ['FACTORY_RESET', 'wipe'],
+        ['CUSTOM_COMMAND', 'admin']
+    ])('%s needs %s', (commandType, scope) => {
+        expect(commandScope(commandType)).toBe(scope);
+        expect(API_KEY_SCOPES).toContain(scope);
+    });
+});
+
+describe('hasScope', () => {
+    test('grants granted scopes, read-only to every key and everything to admin', () => {
+        const key = { scopes: ['locate'] };
+        expect(hasScope(key, 'locate')).toBe(true);
+        expect(hasScope(key, 'read-only')).toBe(true);
+        expect(hasScope(key, 'lock')).toBe(false);
+        API_KEY_SCOPES.forEach(scope => expect(hasScope({ scopes: ['admin'] }, scope)).toBe(true));
+    });
+
+    test('does not restrict requests without an API key', () => {
+        expect(requestHasScope({}, 'wipe')).toBe(true);
+        expect(requestHasScope({ apiKey: { scopes: ['lock'] } }, 'wipe')).toBe(false);
+    });
+});
+
+describe('requireScope', () => {
+    test('passes keys with the scope on', () => {
+        const next = jest.fn();
+        requireScope('lock')({ apiKey: { scopes: ['lock'] } }, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+    });
+
+    test('answers 403 for keys without it', () => {
+        const next = jest.fn();
+        const res = mockResponse();
+        requireScope('wipe')({ apiKey: { scopes: ['lock'] } }, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({ error: "API key lacks the 'wipe' scope" });
+    });
+});
+
+describe('requireMethodScope', () => {
+    test('lets every key read and only admin keys write', () => {
+        const apiKey = { scopes: ['locate'] };
+
+        const next = jest.fn();
+        requireMethodScope({ method: 'GET', apiKey }, mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+
+        const res = mockResponse();
+        requireMethodScope({ method: 'POST', apiKey }, res, jest.fn());
+        expect(res.status).toHaveBeenCalledWith(403);
+
+        const adminNext = jest.fn();
+        requireMethodScope({ method: 'DELETE', apiKey: { scopes: ['admin'] } }, mockResponse(), adminNext);
+        expect(adminNext).toHaveBeenCalled();
+    });
+});
+
+describe('validateApiKeyInput', () => {
+    const valid = { name: 'CI', scopes: ['read-only'] };
+
+    test('accepts a named key with known scopes', () => {
+        expect(validateApiKeyInput(valid)).toBeNull();
+        expect(validateApiKeyInput({ ...valid, ipAllowlist: ['203.0.113.0/24', '::1'] })).toBeNull();
+    });
+
+    test('refuses unknown scopes, past expiry and invalid allowlist entries', () => {
+        expect(validateApiKeyInput({ ...valid, name: ' ' })).toBe('Key name is required');
+        expect(validateApiKeyInput({ ...valid, scopes: ['root'] })).toMatch(/^scopes must be/);
+        expect(validateApiKeyInput({ ...valid, expiresAt: '2000-01-01' })).toBe('expiresAt must be in the future');
+        expect(validateApiKeyInput({ ...valid, ipAllowlist: ['10.0.0.0/33'] })).toBe('Invalid ipAllowlist entry: 10.0.0.0/33');
+    });
+});
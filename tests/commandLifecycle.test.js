@@ -0,0 +1,105 @@
+const {
+    STATUSES,
+    TERMINAL_STATUSES,
+    UNACKNOWLEDGED_STATUSES,
+    SUPERSEDES,
+    CommandTransitionError,
+    normalizeStatus,
+    canTransition,
+    isTerminal
+} = require('../services/commandLifecycle');
+
+describe('canTransition', () => {
+    test.each([
+        ['queued', 'delivered'],
+        ['queued', 'executed'],
+        ['queued', 'cancelled'],
+        ['delivered', 'delivered'],
+        ['delivered', 'acknowledged'],
+        ['delivered', 'cancelled'],
+        ['acknowledged', 'executed'],
+        ['acknowledged', 'failed'],
+        ['acknowledged', 'expired']
+    ])('allows %s -> %s', (from, to) => {
+        expect(canTransition(from, to)).toBe(true);
+    });
+
+    test.each([
+        ['queued', 'queued'],
+        ['acknowledged', 'delivered'],
+        ['acknowledged', 'cancelled'],
+        ['delivered', 'queued']
+    ])('refuses %s -> %s', (from, to) => {
+        expect(canTransition(from, to)).toBe(false);
+    });
+
+    test.each(TERMINAL_STATUSES)('refuses every move out of %s', (from) => {
+        STATUSES.forEach(to => expect(canTransition(from, to)).toBe(false));
+    });
+
+    test('reads the status names older device builds report', () => {
+        expect(canTransition('pending', 'delivered')).toBe(true);
+        expect(canTransition('received', 'executed')).toBe(true);
+        expect(canTransition('completed', 'failed')).toBe(false);
+    });
+
+    test('refuses unknown statuses', () => {
+        expect(canTransition('sent', 'executed')).toBe(false);
+        expect(canTransition('queued', 'sent')).toBe(false);
+    });
+});
+
+describe('normalizeStatus', () => {
+    test.each([
+        ['pending', 'queued'],
+        ['RECEIVED', 'acknowledged'],
+        ['ack', 'acknowledged'],
+        ['completed', 'executed'],
+        ['success', 'executed'],
+        ['done', 'executed'],
+        ['error', 'failed'],
+        ['Delivered', 'delivered']
+    ])('maps %s to %s', (status, expected) => {
+        expect(normalizeStatus(status)).toBe(expected);
+    });
+});
+
+describe('isTerminal', () => {
+    test('is true for ended commands only', () => {
+        expect(TERMINAL_STATUSES.every(isTerminal)).toBe(true);
+        expect(isTerminal('success')).toBe(true);
+        expect(['queued', 'delivered', 'acknowledged', 'pending'].some(isTerminal)).toBe(false);
+    });
+});
+
+describe('CommandTransitionError', () => {
+    test('names the command and both statuses', () => {
+        const error = new CommandTransitionError(7, 'executed', 'cancelled');
+        expect(error).toBeInstanceOf(Error);
+        expect(error.name).toBe('CommandTransitionError');
+        expect(error.message).toBe('Command 7 cannot move from executed to cancelled');
+        expect(error).toMatchObject({ commandId: 7, from: 'executed', to: 'cancelled' });
+    });
+});
+
+describe('SUPERSEDES', () => {
+    test.each([
+        ['UNLOCK_DEVICE', 'LOCK_DEVICE'],
+        ['LOCK_DEVICE', 'UNLOCK_DEVICE'],
+        ['STOP_ALARM', 'START_ALARM'],
+        ['SET_TRACKING_PROFILE', 'SET_TRACKING_PROFILE']
+    ])('%s cancels a queued %s', (type, superseded) => {
+        expect(SUPERSEDES[type]).toContain(superseded);
+    });
+
+    test('leaves alarms, locations, wipes and evidence commands alone', () => {
+        ['START_ALARM', 'REQUEST_LOCATION', 'FACTORY_RESET', 'CAPTURE_PHOTO'].forEach(type => {
+            expect(SUPERSEDES[type]).toBeUndefined();
+        });
+        expect(Object.values(SUPERSEDES).flat()).not.toContain('FACTORY_RESET');
+    });
+
+    test('superseded commands can be cancelled from every status the device has not acknowledged', () => {
+        UNACKNOWLEDGED_STATUSES.forEach(status => expect(canTransition(status, 'cancelled')).toBe(true));
+    });
+});
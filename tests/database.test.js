@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('../database');
+
+let db;
+let tempDir;
+let userId;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alpha-security-'));
+    db = new Database();
+    db.dbPath = path.join(tempDir, 'test.db');
+    await db.initialize();
+
+    const user = await db.createUser('alice', 'alice@example.com', 'hash', 'api-key-hash');
+    userId = user.id;
+    await db.registerDevice(userId, 'dev1', 'Phone', 'Pixel 8', '14');
+});
+
+afterEach(async () => {
+    await db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+});
+
+describe('Database#registerDevice', () => {
+    test('updates the name, model and Android version of a registered device', async () => {
+        const before = await db.getDeviceById('dev1');
+        await db.registerDevice(userId, 'dev1', 'Work phone', 'Pixel 9', '15');
+
+        const device = await db.getDeviceById('dev1');
+        expect(device).toMatchObject({
+            id: before.id,
+            user_id: userId,
+            device_name: 'Work phone',
+            device_model: 'Pixel 9',
+            android_version: '15'
+        });
+    });
+
+    test('keeps the open theft case of a stolen device', async () => {
+        const theftCase = await db.openTheftCase({ device_id: 'dev1', opened_by: userId, playbook: {} });
+        await db.registerDevice(userId, 'dev1', 'Phone', 'Pixel 8', '14');
+
+        const device = await db.getDeviceById('dev1');
+        expect(device.theft_case_id).toBe(theftCase.id);
+        expect(await db.openTheftCase({ device_id: 'dev1', opened_by: userId, playbook: {} })).toBeNull();
+    });
+
+    test('keeps the default and applied tracking profiles', async () => {
+        await db.setDeviceDefaultTrackingProfile('dev1', 'idle');
+        await db.updateDeviceTrackingProfile('dev1', 'lost');
+        await db.registerDevice(userId, 'dev1', 'Phone', 'Pixel 8', '14');
+
+        const device = await db.getDeviceById('dev1');
+        expect(device.default_tracking_profile).toBe('idle');
+        expect(device.tracking_profile).toBe('lost');
+    });
+});
+
+describe('Database#removeDevice', () => {
+    beforeEach(async () => {
+        const command = await db.createCommand('dev1', userId, 'CAPTURE_PHOTO', { camera: 'front' });
+        await db.createEvidence({
+            device_id: 'dev1',
+            command_id: command.id,
+            owner_id: userId,
+            media_type: 'photo',
+            mime_type: 'image/jpeg',
+            size_bytes: 3,
+            sha256: 'a'.repeat(64),
+            file_name: 'photo.jpg'
+        });
+        await db.openTheftCase({ device_id: 'dev1', opened_by: userId, playbook: {} });
+    });
+
+    test('deletes the device with its evidence and theft cases', async () => {
+        await db.removeDevice('dev1');
+
+        expect(await db.getDeviceById('dev1')).toBeUndefined();
+        expect(await db.getEvidenceByDeviceId('dev1')).toEqual([]);
+        expect(await db.getTheftCasesByDeviceId('dev1')).toEqual([]);
+    });
+
+    test('keeps everything when one of the deletes fails', async () => {
+        const run = db.run.bind(db);
+        jest.spyOn(db, 'run').mockImplementation((sql, params) => (
+            sql === 'DELETE FROM devices WHERE device_id = ?'
+                ? Promise.reject(new Error('disk I/O error'))
+                : run(sql, params)
+        ));
+
+        await expect(db.removeDevice('dev1')).rejects.toThrow('disk I/O error');
+        db.run.mockRestore();
+
+        expect(await db.getDeviceById('dev1')).toBeDefined();
+        expect(await db.getEvidenceByDeviceId('dev1')).toHaveLength(1);
+        expect(await db.getTheftCasesByDeviceId('dev1')).toHaveLength(1);
+    });
+});
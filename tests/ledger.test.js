@@ -0,0 +1,110 @@
+const { GENESIS_HASH, canonicalJson, hashLedgerEntry, findBrokenLink } = require('../utils/ledger');
+
+// Builds a valid chain of entries for the given payloads
+function buildChain(payloads) {
+    const entries = [];
+    let prevHash = GENESIS_HASH;
+    payloads.forEach((payload, i) => {
+        const entry = {
+            sequence: i + 1,
+            deviceId: 'dev1',
+            recordType: 'location',
+            recordId: i + 1,
+            payload: payload,
+            prevHash: prevHash,
+            createdAt: `2026-01-01T00:00:0${i}.000Z`
+        };
+        entry.hash = hashLedgerEntry(entry);
+        prevHash = entry.hash;
+        entries.push(entry);
+    });
+    return entries;
+}
+
+describe('canonicalJson', () => {
+    test('sorts keys at every level and drops undefined values', () => {
+        expect(canonicalJson({ b: 1, a: { d: [2, { f: 3, e: 4 }], c: undefined } }))
+            .toBe('{"a":{"d":[2,{"e":4,"f":3}]},"b":1}');
+    });
+
+    test('serializes undefined as null', () => {
+        expect(canonicalJson(undefined)).toBe('null');
+        expect(canonicalJson([undefined])).toBe('[null]');
+    });
+});
+
+describe('hashLedgerEntry', () => {
+    const [entry] = buildChain([{ latitude: 52.52, longitude: 13.405 }]);
+
+    test('is a SHA-256 hex digest', () => {
+        expect(entry.hash).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('does not depend on key order or the stored hash', () => {
+        const reordered = {
+            hash: 'ignored',
+            createdAt: entry.createdAt,
+            prevHash: entry.prevHash,
+            payload: { longitude: 13.405, latitude: 52.52 },
+            recordId: entry.recordId,
+            recordType: entry.recordType,
+            deviceId: entry.deviceId,
+            sequence: entry.sequence
+        };
+        expect(hashLedgerEntry(reordered)).toBe(entry.hash);
+    });
+
+    test.each([
+        ['sequence', 2],
+        ['deviceId', 'dev2'],
+        ['recordType', 'command'],
+        ['recordId', 99],
+        ['payload', { latitude: 0, longitude: 0 }],
+        ['prevHash', 'f'.repeat(64)],
+        ['createdAt', '2026-01-02T00:00:00.000Z']
+    ])('changes with %s', (field, value) => {
+        expect(hashLedgerEntry({ ...entry, [field]: value })).not.toBe(entry.hash);
+    });
+});
+
+describe('findBrokenLink', () => {
+    test('returns null for an intact or empty chain', () => {
+        expect(findBrokenLink(buildChain([{ a: 1 }, { a: 2 }, { a: 3 }]))).toBeNull();
+        expect(findBrokenLink([])).toBeNull();
+    });
+
+    test('reports edited content', () => {
+        const entries = buildChain([{ a: 1 }, { a: 2 }, { a: 3 }]);
+        entries[1].payload = { a: 20 };
+        expect(findBrokenLink(entries)).toEqual({
+            sequence: 2,
+            reason: 'Entry content does not match its hash'
+        });
+    });
+
+    test('reports a rehashed entry the next one no longer links to', () => {
+        const entries = buildChain([{ a: 1 }, { a: 2 }, { a: 3 }]);
+        entries[1].payload = { a: 20 };
+        entries[1].hash = hashLedgerEntry(entries[1]);
+        expect(findBrokenLink(entries)).toEqual({
+            sequence: 3,
+            reason: 'Entry does not link to the previous entry'
+        });
+    });
+
+    test('reports a first entry that does not start from the genesis hash', () => {
+        const entries = buildChain([{ a: 1 }]);
+        entries[0].prevHash = 'f'.repeat(64);
+        entries[0].hash = hashLedgerEntry(entries[0]);
+        expect(findBrokenLink(entries)).toEqual({
+            sequence: 1,
+            reason: 'Entry does not link to the previous entry'
+        });
+    });
+
+    test('reports deleted entries', () => {
+        const entries = buildChain([{ a: 1 }, { a: 2 }, { a: 3 }]);
+        entries.splice(1, 1);
+        expect(findBrokenLink(entries)).toEqual({ sequence: 2, reason: 'Entry 2 is missing' });
+    });
+});
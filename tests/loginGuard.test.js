@@ -0,0 +1,73 @@
+const LoginGuard = require('../services/loginGuard');
+
+// Database double with fixed failure statistics
+function mockDb({ userFailures = 0, ipFailures = 0, lastFailureAt = new Date().toISOString() } = {}) {
+    return {
+        getLoginFailureStats: jest.fn(async () => ({
+            failures: userFailures,
+            last_failure_at: userFailures ? lastFailureAt : null
+        })),
+        getIpFailureStats: jest.fn(async () => ({
+            failures: ipFailures,
+            first_failure_at: ipFailures ? lastFailureAt : null,
+            last_failure_at: ipFailures ? lastFailureAt : null
+        }))
+    };
+}
+
+describe('LoginGuard.delaySeconds', () => {
+    test.each([
+        [0, 0],
+        [2, 0],
+        [3, 1],
+        [4, 2],
+        [5, 4],
+        [7, 16],
+        [8, 30],
+        [50, 30]
+    ])('waits after %i failures for %i seconds', (failures, seconds) => {
+        expect(LoginGuard.delaySeconds(failures)).toBe(seconds);
+    });
+});
+
+describe('LoginGuard.lockoutMinutes', () => {
+    test.each([
+        [0, 0],
+        [4, 0],
+        [5, 15],
+        [9, 15],
+        [10, 30],
+        [15, 60],
+        [20, 120],
+        [200, 24 * 60]
+    ])('locks after %i failures for %i minutes', (failures, minutes) => {
+        expect(LoginGuard.lockoutMinutes(failures)).toBe(minutes);
+    });
+});
+
+describe('LoginGuard#getBlock', () => {
+    test('lets a username without failures through', async () => {
+        const guard = new LoginGuard(mockDb(), null);
+        expect(await guard.getBlock('alice', '203.0.113.7')).toBeNull();
+    });
+
+    test('throttles and locks usernames after recent failures', async () => {
+        const throttled = await new LoginGuard(mockDb({ userFailures: 3 }), null).getBlock('alice', '203.0.113.7');
+        expect(throttled).toMatchObject({ reason: 'throttled', retryAfter: 1 });
+
+        const locked = await new LoginGuard(mockDb({ userFailures: 5 }), null).getBlock('alice', '203.0.113.7');
+        expect(locked.reason).toBe('locked');
+        expect(locked.retryAfter).toBeGreaterThan(14 * 60);
+    });
+
+    test('blocks public addresses with too many failures', async () => {
+        const guard = new LoginGuard(mockDb({ ipFailures: 20 }), null);
+        expect(await guard.getBlock('alice', '203.0.113.7')).toMatchObject({ reason: 'ip_blocked' });
+    });
+
+    test.each(['127.0.0.1', '::1', '10.0.0.2', '::ffff:192.168.1.10'])('does not count failures against %s', async (ip) => {
+        const db = mockDb({ ipFailures: 20 });
+        expect(await new LoginGuard(db, null).getBlock('alice', ip)).toBeNull();
+        expect(db.getIpFailureStats).not.toHaveBeenCalled();
+    });
+});
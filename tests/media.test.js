@@ -0,0 +1,42 @@
+const { MEDIA_HEADER_BYTES, detectMediaType } = require('../utils/media');
+
+// Header of MEDIA_HEADER_BYTES starting with the given bytes or text
+function header(...parts) {
+    const bytes = Buffer.concat(parts.map(part => Buffer.from(part)));
+    return Buffer.concat([bytes, Buffer.alloc(Math.max(0, MEDIA_HEADER_BYTES - bytes.length))]);
+}
+
+describe('detectMediaType', () => {
+    test.each([
+        ['image/jpeg', header([0xFF, 0xD8, 0xFF, 0xE0])],
+        ['image/png', header([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])],
+        ['image/webp', header('RIFF', [0x24, 0, 0, 0], 'WEBPVP8 ')],
+        ['audio/wav', header('RIFF', [0x24, 0, 0, 0], 'WAVEfmt ')],
+        ['audio/ogg', header('OggS', [0, 2])],
+        ['audio/amr', header('#!AMR\n')],
+        ['audio/webm', header([0x1A, 0x45, 0xDF, 0xA3])],
+        ['audio/mp4', header([0, 0, 0, 0x20], 'ftypM4A ')],
+        ['audio/3gpp', header([0, 0, 0, 0x18], 'ftyp3gp4')],
+        ['audio/mpeg', header('ID3', [4, 0])],
+        ['audio/mpeg', header([0xFF, 0xFB, 0x90, 0x64])]
+    ])('detects %s', (mimeType, bytes) => {
+        expect(detectMediaType(bytes)).toBe(mimeType);
+    });
+
+    test('tells RIFF containers apart by their form type', () => {
+        expect(detectMediaType(header('RIFF', [0, 0, 0, 0], 'AVI LIST'))).toBeNull();
+    });
+
+    test('does not trust file names or text content', () => {
+        expect(detectMediaType(header('<html><body>'))).toBeNull();
+        expect(detectMediaType(header('photo.jpg'))).toBeNull();
+        expect(detectMediaType(header([0x25, 0x50, 0x44, 0x46]))).toBeNull();
+    });
+
+    test('refuses headers too short to tell', () => {
+        expect(detectMediaType(Buffer.alloc(0))).toBeNull();
+        expect(detectMediaType(Buffer.from([0xFF, 0xD8]))).toBeNull();
+        expect(detectMediaType(Buffer.from('RIFF'))).toBeNull();
+        expect(detectMediaType(Buffer.from([0x89, 0x50, 0x4E, 0x47]))).toBeNull();
+    });
+});
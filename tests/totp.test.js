@@ -0,0 +1,76 @@
+const { generateSecret, generateCode, timeCounter, matchCode, provisioningUri } = require('../utils/totp');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" with SHA-1.
+// The RFC lists 8-digit codes; 6-digit codes are their last six digits.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+];
+
+describe('generateCode', () => {
+    test.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+        expect(generateCode(RFC_SECRET, timeCounter(seconds * 1000))).toBe(code.slice(-6));
+    });
+
+    test('accepts lower case and padded secrets', () => {
+        const code = generateCode(RFC_SECRET, 1);
+        expect(generateCode(RFC_SECRET.toLowerCase(), 1)).toBe(code);
+        expect(generateCode(`${RFC_SECRET}====`, 1)).toBe(code);
+    });
+
+    test('rejects secrets that are not base32', () => {
+        expect(() => generateCode('NOT-BASE32!', 1)).toThrow('Invalid base32 character');
+    });
+});
+
+describe('matchCode', () => {
+    const time = 1111111111 * 1000;
+    const counter = timeCounter(time);
+
+    test('returns the counter of a current code', () => {
+        expect(matchCode(RFC_SECRET, '050471', 1, time)).toBe(counter);
+    });
+
+    test('allows a step of clock drift either way', () => {
+        expect(matchCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 1), 1, time)).toBe(counter - 1);
+        expect(matchCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 1), 1, time)).toBe(counter + 1);
+        expect(matchCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 2), 1, time)).toBeNull();
+    });
+
+    test('ignores spaces in the code', () => {
+        expect(matchCode(RFC_SECRET, '050 471', 1, time)).toBe(counter);
+    });
+
+    test.each([null, '', '12345', '1234567', 'abcdef'])('refuses %p', (code) => {
+        expect(matchCode(RFC_SECRET, code, 1, time)).toBeNull();
+    });
+});
+
+describe('generateSecret', () => {
+    test('returns 160 bits of base32', () => {
+        const secret = generateSecret();
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(generateSecret()).not.toBe(secret);
+    });
+});
+
+describe('provisioningUri', () => {
+    test('names the issuer and account and lists the code settings', () => {
+        const uri = new URL(provisioningUri(RFC_SECRET, 'alice', 'Alpha Security'));
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.host).toBe('totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/Alpha Security:alice');
+        expect(Object.fromEntries(uri.searchParams)).toEqual({
+            secret: RFC_SECRET,
+            issuer: 'Alpha Security',
+            algorithm: 'SHA1',
+            digits: '6',
+            period: '30'
+        });
+    });
+});
@@ -0,0 +1,70 @@
+const WebhookDispatcher = require('../services/webhookDispatcher');
+
+// Database double holding one webhook and one pending delivery
+function mockDb(url) {
+    const delivery = { id: 1, webhook_id: 1, event: 'test', payload: '{}', status: 'pending', attempts: 0 };
+    return {
+        getWebhookDeliveryById: jest.fn(async () => ({ ...delivery })),
+        getWebhookById: jest.fn(async () => ({ id: 1, url: url, secret: 'secret', is_active: 1 })),
+        updateWebhookDelivery: jest.fn(async () => ({ changes: 1 }))
+    };
+}
+
+describe('WebhookDispatcher#attempt', () => {
+    let dispatcher;
+
+    afterEach(() => {
+        dispatcher.stop();
+    });
+
+    test.each([
+        'http://127.0.0.1/hook',
+        'http://localhost:8080/hook',
+        'http://[::1]/hook',
+        'http://192.168.1.20/hook'
+    ])('fails deliveries to %s without retrying', async (url) => {
+        const db = mockDb(url);
+        dispatcher = new WebhookDispatcher(db);
+        dispatcher.schedule = jest.fn();
+
+        await dispatcher.attempt(1);
+
+        expect(db.updateWebhookDelivery).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'failed',
+            attempts: 1,
+            error: 'Webhook URL must not point to a local or private network address'
+        }));
+        expect(dispatcher.schedule).not.toHaveBeenCalled();
+    });
+
+    test('fails deliveries whose host name resolves to a private address without retrying', async () => {
+        const db = mockDb('https://hooks.example.com/hook');
+        dispatcher = new WebhookDispatcher(db);
+        dispatcher.schedule = jest.fn();
+        const refusal = new Error('hooks.example.com resolves to a private network address');
+        refusal.refused = true;
+        dispatcher.post = jest.fn(async () => { throw refusal; });
+
+        await dispatcher.attempt(1);
+
+        expect(db.updateWebhookDelivery).toHaveBeenCalledWith(1, expect.objectContaining({ status: 'failed' }));
+        expect(dispatcher.schedule).not.toHaveBeenCalled();
+    });
+
+    test('retries other failures later', async () => {
+        const db = mockDb('https://hooks.example.com/hook');
+        dispatcher = new WebhookDispatcher(db);
+        dispatcher.schedule = jest.fn();
+        dispatcher.post = jest.fn(async () => ({ statusCode: 503 }));
+
+        await dispatcher.attempt(1);
+
+        expect(db.updateWebhookDelivery).toHaveBeenCalledWith(1, expect.objectContaining({
+            status: 'pending',
+            attempts: 1,
+            error: 'HTTP 503',
+            next_attempt_at: expect.any(String)
+        }));
+        expect(dispatcher.schedule).toHaveBeenCalledWith(1, expect.any(Number));
+    });
+});
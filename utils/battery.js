@@ -0,0 +1,18 @@
+// Battery level helpers shared by the heartbeat and location routes
+
+const LOW_BATTERY_THRESHOLD = parseInt(process.env.LOW_BATTERY_THRESHOLD) || 15;
+
+// True when a new reading drops below the threshold from a level at or above
+// it (or from no reading at all), so each discharge alerts only once
+function crossedLowBattery(previousLevel, currentLevel) {
+    if (currentLevel === null || currentLevel === undefined || isNaN(currentLevel)) {
+        return false;
+    }
+    const wasLow = previousLevel !== null && previousLevel !== undefined && previousLevel < LOW_BATTERY_THRESHOLD;
+    return currentLevel < LOW_BATTERY_THRESHOLD && !wasLow;
+}
+
+module.exports = {
+    LOW_BATTERY_THRESHOLD,
+    crossedLowBattery
+};
@@ -0,0 +1,142 @@
+// Geographic helpers shared by the location routes and geofence monitoring
+
+const EARTH_RADIUS_KM = 6371;
+
+// Distance between two points in kilometers (Haversine formula)
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon/2) * Math.sin(dLon/2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+    return EARTH_RADIUS_KM * c;
+}
+
+// Validate a GeoJSON Polygon, MultiPolygon or Feature wrapping one and return
+// the bare geometry with every ring closed. Throws on invalid input.
+function normalizePolygonGeometry(input) {
+    const geometry = input && input.type === 'Feature' ? input.geometry : input;
+
+    if (!geometry || (geometry.type !== 'Polygon' && geometry.type !== 'MultiPolygon')) {
+        throw new Error('Geometry must be a GeoJSON Polygon or MultiPolygon');
+    }
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || polygons.length === 0) {
+        throw new Error('Geometry has no polygons');
+    }
+
+    const normalized = polygons.map(polygon => {
+        if (!Array.isArray(polygon) || polygon.length === 0) {
+            throw new Error('Each polygon needs at least an outer ring');
+        }
+        return polygon.map(normalizeRing);
+    });
+
+    return geometry.type === 'Polygon'
+        ? { type: 'Polygon', coordinates: normalized[0] }
+        : { type: 'MultiPolygon', coordinates: normalized };
+}
+
+function normalizeRing(ring) {
+    if (!Array.isArray(ring)) {
+        throw new Error('Polygon rings must be arrays of [longitude, latitude] positions');
+    }
+
+    const positions = ring.map(position => {
+        if (!Array.isArray(position) || position.length < 2) {
+            throw new Error('Positions must be [longitude, latitude] pairs');
+        }
+        const [longitude, latitude] = position.map(Number);
+        if (!isFinite(longitude) || !isFinite(latitude) ||
+            longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
+            throw new Error(`Invalid position: ${JSON.stringify(position)}`);
+        }
+        return [longitude, latitude];
+    });
+
+    // Close the ring if the client left it open
+    const first = positions[0];
+    const last = positions[positions.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push([first[0], first[1]]);
+    }
+
+    if (positions.length < 4) {
+        throw new Error('Polygon rings need at least three distinct positions');
+    }
+
+    return positions;
+}
+
+// Ray casting test against a single ring of [longitude, latitude] positions
+function isPointInRing(ring, latitude, longitude) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const intersects = ((yi > latitude) !== (yj > latitude)) &&
+            (longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi);
+        if (intersects) inside = !inside;
+    }
+    return inside;
+}
+
+// A point is inside a polygon when it is inside the outer ring and outside every hole
+function isPointInPolygonGeometry(geometry, latitude, longitude) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+
+    return polygons.some(([outer, ...holes]) =>
+        isPointInRing(outer, latitude, longitude) &&
+        !holes.some(hole => isPointInRing(hole, latitude, longitude))
+    );
+}
+
+// Smallest circle around the bounding box center that contains every vertex,
+// used as a cheap pre-check before the full polygon test
+function getBoundingCircle(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const positions = polygons.flatMap(polygon => polygon[0]);
+
+    const longitudes = positions.map(p => p[0]);
+    const latitudes = positions.map(p => p[1]);
+    const center = {
+        latitude: (Math.min(...latitudes) + Math.max(...latitudes)) / 2,
+        longitude: (Math.min(...longitudes) + Math.max(...longitudes)) / 2
+    };
+
+    const radiusMeters = Math.max(...positions.map(([longitude, latitude]) =>
+        calculateDistance(center.latitude, center.longitude, latitude, longitude) * 1000
+    ));
+
+    return { center, radiusMeters };
+}
+
+// GeoJSON Feature for a stored geofence row. Circles are returned as a Point
+// with a `radius` property (meters) since GeoJSON has no circle type.
+function toGeofenceFeature(geofence) {
+    const isPolygon = geofence.shape_type === 'polygon';
+
+    return {
+        type: 'Feature',
+        id: geofence.id,
+        geometry: isPolygon
+            ? JSON.parse(geofence.geometry)
+            : { type: 'Point', coordinates: [geofence.center_longitude, geofence.center_latitude] },
+        properties: {
+            name: geofence.name,
+            shape: isPolygon ? 'polygon' : 'circle',
+            radius: isPolygon ? null : geofence.radius_meters,
+            alertType: geofence.alert_type
+        }
+    };
+}
+
+module.exports = {
+    calculateDistance,
+    normalizePolygonGeometry,
+    isPointInPolygonGeometry,
+    getBoundingCircle,
+    toGeofenceFeature
+};
@@ -0,0 +1,57 @@
+// Hash chain helpers shared by the server and the offline export verifier
+// (scripts/verify-ledger-export.js), so they only depend on Node's crypto.
+
+const crypto = require('crypto');
+
+// prevHash of the first entry of every device's chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with object keys sorted at every level, so the same value always
+// serializes (and hashes) the same way
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+// SHA-256 over everything an entry says, including the previous entry's hash
+function hashLedgerEntry(entry) {
+    return crypto.createHash('sha256').update(canonicalJson({
+        sequence: entry.sequence,
+        deviceId: entry.deviceId,
+        recordType: entry.recordType,
+        recordId: entry.recordId,
+        payload: entry.payload,
+        prevHash: entry.prevHash,
+        createdAt: entry.createdAt
+    })).digest('hex');
+}
+
+// Walks a device's entries in sequence order. Returns null for an intact
+// chain, otherwise the first broken link as { sequence, reason }.
+function findBrokenLink(entries) {
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (entry.sequence !== i + 1) {
+            return { sequence: i + 1, reason: `Entry ${i + 1} is missing` };
+        }
+        if (entry.prevHash !== prevHash) {
+            return { sequence: entry.sequence, reason: 'Entry does not link to the previous entry' };
+        }
+        if (hashLedgerEntry(entry) !== entry.hash) {
+            return { sequence: entry.sequence, reason: 'Entry content does not match its hash' };
+        }
+        prevHash = entry.hash;
+    }
+    return null;
+}
+
+module.exports = { GENESIS_HASH, canonicalJson, hashLedgerEntry, findBrokenLink };
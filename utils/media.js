@@ -0,0 +1,50 @@
+// Media type detection from a file's first bytes, so uploads are judged by
+// their content rather than the type the client claims
+
+// Bytes detectMediaType needs to see
+const MEDIA_HEADER_BYTES = 16;
+
+function startsWith(header, bytes, offset = 0) {
+    return header.length >= offset + bytes.length
+        && bytes.every((byte, i) => header[offset + i] === byte);
+}
+
+function ascii(text) {
+    return Array.from(text, char => char.charCodeAt(0));
+}
+
+// Returns the MIME type of a supported image or audio format, or null
+function detectMediaType(header) {
+    if (startsWith(header, [0xFF, 0xD8, 0xFF])) {
+        return 'image/jpeg';
+    }
+    if (startsWith(header, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+        return 'image/png';
+    }
+    if (startsWith(header, ascii('RIFF')) && startsWith(header, ascii('WEBP'), 8)) {
+        return 'image/webp';
+    }
+    if (startsWith(header, ascii('RIFF')) && startsWith(header, ascii('WAVE'), 8)) {
+        return 'audio/wav';
+    }
+    if (startsWith(header, ascii('OggS'))) {
+        return 'audio/ogg';
+    }
+    if (startsWith(header, ascii('#!AMR'))) {
+        return 'audio/amr';
+    }
+    if (startsWith(header, [0x1A, 0x45, 0xDF, 0xA3])) {
+        return 'audio/webm';
+    }
+    // ISO base media (m4a, mp4, 3gp) has its "ftyp" box right after the size
+    if (startsWith(header, ascii('ftyp'), 4)) {
+        return startsWith(header, ascii('3gp'), 8) ? 'audio/3gpp' : 'audio/mp4';
+    }
+    // MP3 with an ID3 tag, or a bare MPEG audio frame
+    if (startsWith(header, ascii('ID3')) || (header.length >= 2 && header[0] === 0xFF && (header[1] & 0xE0) === 0xE0)) {
+        return 'audio/mpeg';
+    }
+    return null;
+}
+
+module.exports = { MEDIA_HEADER_BYTES, detectMediaType };
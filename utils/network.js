@@ -0,0 +1,40 @@
+const net = require('net');
+
+// Address helpers for requests the server makes or accepts on behalf of
+// clients
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges, plus
+// NAT64 which can reach them. BlockList also matches IPv4-mapped IPv6
+// addresses (::ffff:127.0.0.1) against the IPv4 ranges.
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// True for an IP address that does not belong to the public internet; IPv6
+// addresses may be given with the brackets URLs use
+function isPrivateAddress(address) {
+    const ip = String(address).replace(/^\[(.*)\]$/, '$1');
+    const family = net.isIP(ip);
+    if (family === 0) {
+        return false;
+    }
+    return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// True for a host name that always means this machine
+function isLocalHostname(hostname) {
+    const name = String(hostname).toLowerCase().replace(/\.$/, '');
+    return name === 'localhost' || name.endsWith('.localhost');
+}
+
+module.exports = {
+    isPrivateAddress,
+    isLocalHostname
+};
@@ -0,0 +1,15 @@
+// Helpers for bearer credentials that are only stored as hashes
+
+const crypto = require('crypto');
+
+// Random credential with a readable prefix, e.g. generateToken('dt') -> "dt_3f9a..."
+function generateToken(prefix) {
+    return `${prefix}_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// SHA-256 is enough for random 256-bit tokens and keeps lookups indexable
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = { generateToken, hashToken };